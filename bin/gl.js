@@ -8,8 +8,15 @@
  *
  * Usage:
  *   gl init              - Initialize Lighthouse skill in current project
- *   gl analyze <report>   - Analyze a Lighthouse report
- *   gl fixes <report>     - Generate fix suggestions
+ *   gl audit [url...]    - Run Lighthouse for the configured URLs and presets
+ *   gl analyze <report...> - Analyze a Lighthouse report (or aggregate runs)
+ *   gl fixes <report...>  - Generate fix suggestions
+ *   gl compare <base> <head> - Compare two reports and flag regressions
+ *   gl trend             - Show score and metric trends from history
+ *   gl rules list [report] - List fix rules and their audit coverage
+ *   gl bundles [report...] - Break JavaScript bundles down by module and package
+ *   gl explore [report...] - Browse audits, items and fixes interactively
+ *   gl serve             - Browse reports, comparisons and history in a local web UI
  *   gl --help            - Show help
  */
 
@@ -19,8 +26,15 @@ const fs = require('fs');
 
 // Import commands
 const init = require('../src/commands/init');
+const audit = require('../src/commands/audit');
 const analyze = require('../src/commands/analyze');
 const fixes = require('../src/commands/fixes');
+const compare = require('../src/commands/compare');
+const trend = require('../src/commands/trend');
+const rules = require('../src/commands/rules');
+const bundles = require('../src/commands/bundles');
+const explore = require('../src/commands/explore');
+const serve = require('../src/commands/serve');
 
 const packageJson = require('../package.json');
 
@@ -37,24 +51,104 @@ program
   .option('--ide <type>', 'Specify IDE type (cursor, claude, antigravity, all)')
   .action(init);
 
+// Audit command
+program
+  .command('audit [urls...]')
+  .description('Run Lighthouse for the URLs and presets in .lighthouse/config.json and update latest.json')
+  .option('-p, --preset <names>', 'Comma-separated presets to run (mobile, desktop or audit.customPresets)')
+  .option('-n, --runs <count>', 'Runs per URL and preset (the median run is kept as latest.json)')
+  .option('--lighthouse <path>', 'Lighthouse CLI to run instead of the project or global one')
+  .action(audit);
+
 // Analyze command
 program
-  .command('analyze [report]')
-  .description('Analyze a Lighthouse JSON report')
+  .command('analyze [reports...]')
+  .description('Analyze a Lighthouse JSON report (several reports or a directory are aggregated)')
   .option('-c, --category <name>', 'Filter by category (performance, accessibility, seo, best-practices)')
   .option('-s, --min-score <score>', 'Minimum score threshold (0-1)', '0.5')
-  .option('-f, --format <format>', 'Output format (markdown, json)', 'markdown')
+  .option('-f, --format <format>', 'Output format (markdown, json, html, sarif, junit)', 'markdown')
   .option('-v, --verbose', 'Show detailed information')
+  .option('--no-history', 'Do not record this run in .lighthouse/history')
+  .option('--variance-threshold <ratio>', 'Relative spread between runs that triggers a variance warning', '0.25')
   .action(analyze);
 
 // Fixes command
 program
-  .command('fixes [report]')
-  .description('Generate fix suggestions from Lighthouse report')
+  .command('fixes [reports...]')
+  .description('Generate fix suggestions from Lighthouse report (several reports or a directory are aggregated)')
   .option('-c, --category <name>', 'Filter by category')
   .option('-o, --output <path>', 'Write output to file')
+  .option('-f, --format <format>', 'Output format (markdown, sarif)', 'markdown')
+  .option('--no-locate', 'Skip mapping failing items back to project source files')
+  .option('--stack <id>', 'Use snippets for this stack instead of detecting it (next, nuxt, vite-react, react, angular, sveltekit, remix, gatsby, astro, wordpress, static)')
+  .option('--apply', 'Patch mechanical fixes (meta description, canonical, lang, viewport, image sizes) into the project')
+  .option('--dry-run', 'With --apply, only show the diff')
+  .option('-y, --yes', 'With --apply, write without asking for confirmation')
+  .option('--lang <code>', 'Language for added lang attributes and caption tracks', 'en')
+  .option('--description <text>', 'With --apply, the meta description to add (otherwise taken from og:description or asked for)')
   .action(fixes);
 
+// Compare command
+program
+  .command('compare <base> <head>')
+  .description('Compare two Lighthouse JSON reports and flag regressions')
+  .option('-c, --category <name>', 'Filter by category')
+  .option('-s, --min-score <score>', 'Minimum score threshold for failed audits (0-1)', '0.5')
+  .option('-f, --format <format>', 'Output format (terminal, markdown, json)', 'terminal')
+  .option('-o, --output <path>', 'Write markdown/json output to file')
+  .option('--score-tolerance <points>', 'Score points a category may drop before it is a regression', '2')
+  .option('--metric-tolerance <percent>', 'Percent a metric may worsen before it is a regression', '5')
+  .option('--savings-tolerance <ms>', 'Milliseconds an opportunity may grow before it is reported', '100')
+  .option('--fail-on-regression', 'Exit with code 1 when regressions are detected')
+  .action(compare);
+
+// Trend command
+program
+  .command('trend')
+  .description('Show per-URL score and metric trends from report history')
+  .option('-u, --url <url>', 'Only show URLs containing this string')
+  .option('-n, --limit <count>', 'Only show the last N runs per URL')
+  .option('--since <date>', 'Only show runs fetched on or after this date')
+  .option('-f, --format <format>', 'Output format (terminal, markdown, json)', 'terminal')
+  .option('-o, --output <path>', 'Write markdown/json output to file')
+  .action(trend);
+
+// Rules command
+const rulesCommand = program
+  .command('rules')
+  .description('Inspect fix rules (built-in and .lighthouse/rules/)');
+
+rulesCommand
+  .command('list [report]')
+  .description('List fix rules and which failing audits of a report they cover')
+  .option('-f, --format <format>', 'Output format (terminal, json)', 'terminal')
+  .action(rules.list);
+
+// Bundles command
+program
+  .command('bundles [reports...]')
+  .description('Break JavaScript down by module and package (treemap data, duplicates, legacy polyfills)')
+  .option('-f, --format <format>', 'Output format (terminal, json, html)', 'terminal')
+  .option('-o, --output <path>', 'Write json/html output to file')
+  .option('-d, --depth <levels>', 'Module tree depth in the terminal', '4')
+  .option('--min-size <kb>', 'Fold modules smaller than this into one row', '5')
+  .action(bundles);
+
+// Explore command
+program
+  .command('explore [reports...]')
+  .description('Browse categories, audits, items and fixes interactively, and ignore audits')
+  .option('--stack <id>', 'Use snippets for this stack instead of detecting it')
+  .action(explore);
+
+// Serve command
+program
+  .command('serve')
+  .description('Serve a local dashboard of reports, analyses, fixes, comparisons and history')
+  .option('-p, --port <port>', 'Port to listen on', '4545')
+  .option('--host <host>', 'Interface to bind (0.0.0.0 shares it on the network)', '127.0.0.1')
+  .action(serve);
+
 // Parse arguments
 program.parse(process.argv);
 
@@ -10,15 +10,116 @@ const path = require('path');
 const fs = require('fs');
 
 const LighthouseAnalyzer = require('../lib/analyzer');
+const ReportAggregator = require('../lib/aggregator');
+const FlowAnalyzer = require('../lib/flow');
+const ReportLoader = require('../lib/report-loader');
+const ReportHistory = require('../lib/history');
+const ThirdPartyReport = require('../lib/third-party');
+const MainThreadAnalyzer = require('../lib/main-thread');
+const LayoutShiftAnalyzer = require('../lib/layout-shift');
+const ProjectConfig = require('../lib/project-config');
+
+/**
+ * Append analyzed reports to the history; a failed write only warns, since
+ * the analysis itself still succeeded
+ */
+function recordHistory(analyzers) {
+  try {
+    const history = new ReportHistory(process.cwd());
+    analyzers.forEach(analyzer => history.record(analyzer));
+  } catch (error) {
+    console.warn(chalk.yellow(`Warning: could not record history (${error.message}); use --no-history to skip it`));
+  }
+}
+
+/**
+ * Display and save the analysis of a user-flow report, step by step
+ */
+function analyzeFlow(reportPath, flow, options) {
+  const flowAnalyzer = new FlowAnalyzer(reportPath, {
+    flow,
+    category: options.category,
+    minScore: parseFloat(options.minScore),
+    verbose: options.verbose,
+    ignoredAudits: new ProjectConfig(process.cwd()).getIgnoredAudits()
+  });
+
+  const steps = flowAnalyzer.getStepSummaries();
+  const worst = flowAnalyzer.getWorstSteps(steps);
+
+  // Navigation steps are full page loads, comparable with regular reports
+  if (options.history !== false) {
+    recordHistory(flowAnalyzer.steps.filter(step => step.mode === 'navigation').map(step => step.analyzer));
+  }
+
+  console.log('\n' + chalk.cyan.bold(`📊 Lighthouse User Flow: ${flowAnalyzer.getName()}\n`));
+
+  for (const summary of steps) {
+    const step = flowAnalyzer.steps[summary.index];
+
+    console.log(chalk.bold(flowAnalyzer.getStepLabel(step)));
+    console.log(chalk.dim('─'.repeat(40)));
+    console.log(`  URL:         ${chalk.dim(summary.url)}`);
+
+    for (const [id, score] of Object.entries(summary.scores)) {
+      const value = flowAnalyzer.getComparableScore(score);
+      const color = value === null ? 'gray' : value >= 90 ? 'green' : value >= 50 ? 'yellow' : 'red';
+      console.log(`  ${chalk.bold(id.padEnd(15))}: ${chalk[color](flowAnalyzer.formatStepScore(score))}`);
+    }
+
+    for (const metric of Object.values(summary.metrics)) {
+      const name = metric.name.replace(/(\w+ \w+).*/, '$1').padEnd(20);
+      const value = String(metric.displayValue || Math.round(metric.value)).padStart(12);
+      const status = metric.passed ? chalk.green('✅ Pass') : chalk.red('❌ Fail');
+      console.log(`  ${name}${value}  ${status}`);
+    }
+
+    summary.failedAudits.slice(0, 5).forEach(audit => {
+      console.log(`  ${chalk.red('✗')} ${audit.title} ${chalk.dim(`Score: ${Math.round(audit.score * 100)}`)}`);
+    });
+    if (summary.failedAudits.length > 5) {
+      console.log(chalk.dim(`  ... and ${summary.failedAudits.length - 5} more failed audits`));
+    }
+
+    console.log();
+  }
+
+  console.log(chalk.bold('Flow Summary (worst step per category)'));
+  console.log(chalk.dim('─'.repeat(40)));
+  for (const [id, entry] of Object.entries(worst)) {
+    console.log(`  ${chalk.bold(id.padEnd(15))}: Step ${entry.step + 1} ${chalk.dim(entry.name)} ${chalk.yellow(entry.display)}`);
+  }
+  console.log();
+
+  if (['json', 'markdown'].includes(options.format)) {
+    const outputDir = path.join(process.cwd(), '.lighthouse', 'analysis');
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const ext = options.format === 'json' ? 'json' : 'md';
+    const outputPath = path.join(outputDir, `flow-analysis-${timestamp}.${ext}`);
+
+    const content = options.format === 'json'
+      ? JSON.stringify(flowAnalyzer.toJSON(), null, 2)
+      : flowAnalyzer.formatMarkdown();
+
+    fs.writeFileSync(outputPath, content);
+    console.log(chalk.dim(`\nAnalysis saved to: ${outputPath}\n`));
+  } else if (['html', 'sarif', 'junit'].includes(options.format)) {
+    console.log(chalk.yellow(`The ${options.format} format is not available for user-flow reports; use markdown or json.\n`));
+  }
+}
 
 /**
  * Main analyze function
  */
-async function analyze(report, options) {
+async function analyze(reports, options) {
   // Determine report path
   let reportPath;
 
-  if (!report) {
+  if (!reports || reports.length === 0) {
     // Try to find latest report in .lighthouse/reports
     const defaultPath = path.join(process.cwd(), '.lighthouse', 'reports', 'latest.json');
     if (fs.existsSync(defaultPath)) {
@@ -28,7 +129,7 @@ async function analyze(report, options) {
       const reportsDir = path.join(process.cwd(), '.lighthouse', 'reports');
       if (fs.existsSync(reportsDir)) {
         const files = fs.readdirSync(reportsDir)
-          .filter(f => f.endsWith('.json'))
+          .filter(f => ReportLoader.isReportFile(f))
           .map(f => ({
             name: f,
             path: path.join(reportsDir, f),
@@ -43,10 +144,11 @@ async function analyze(report, options) {
       }
     }
   } else {
-    reportPath = report;
+    // Several reports (or a directory) are aggregated into their median run
+    reportPath = reports.length === 1 ? reports[0] : reports;
   }
 
-  if (!reportPath || !fs.existsSync(reportPath)) {
+  if (!reportPath || [].concat(reportPath).some(p => !ReportLoader.exists(p))) {
     console.error(chalk.red('Error: Lighthouse report not found'));
     console.error(chalk.dim('\nRun: lighthouse <url> --output json --output-path .lighthouse/reports/latest.json'));
     process.exit(1);
@@ -55,19 +157,40 @@ async function analyze(report, options) {
   const spinner = ora('Analyzing Lighthouse report...').start();
 
   try {
+    // User-flow reports are analyzed step by step
+    const result = ReportAggregator.isMultiRun(reportPath) ? null : ReportLoader.loadResult(reportPath);
+    if (result && ReportLoader.isFlowResult(result)) {
+      spinner.stop();
+      analyzeFlow(reportPath, result, options);
+      return;
+    }
+
     const analyzer = new LighthouseAnalyzer(reportPath, {
+      lhr: result,
       category: options.category,
       minScore: parseFloat(options.minScore),
-      verbose: options.verbose
+      verbose: options.verbose,
+      varianceThreshold: options.varianceThreshold ? parseFloat(options.varianceThreshold) : undefined,
+      thirdPartyAllowlist: ThirdPartyReport.loadAllowlist(process.cwd()),
+      ignoredAudits: new ProjectConfig(process.cwd()).getIgnoredAudits()
     });
 
     const summary = analyzer.getSummary();
     const vitals = analyzer.getCoreWebVitals();
     const opportunities = analyzer.getOpportunities();
     const failedAudits = analyzer.getFailedAudits(options.category);
+    const thirdParty = analyzer.getThirdPartyImpact();
+    const diagnostics = analyzer.getDiagnostics();
+    const mainThread = analyzer.getMainThreadDiagnostics();
+    const layoutShifts = analyzer.getLayoutShifts();
 
     spinner.stop();
 
+    // Record the run in the append-only history
+    if (options.history !== false) {
+      recordHistory([analyzer]);
+    }
+
     // Display results
     console.log('\n' + chalk.cyan.bold('📊 Lighthouse Analysis\n'));
 
@@ -78,6 +201,23 @@ async function analyze(report, options) {
     console.log(`  Version:     ${chalk.dim(summary.version)}`);
     console.log(`  Timestamp:   ${chalk.dim(new Date(summary.timestamp).toLocaleString())}`);
 
+    // Run variability (multi-run aggregate)
+    if (analyzer.aggregate) {
+      const { runCount, medianRunPath, stats, warnings } = analyzer.aggregate;
+
+      console.log('\n' + chalk.bold(`Run Variability (${runCount} runs)`));
+      console.log(chalk.dim('─'.repeat(40)));
+      console.log(`  Median run:  ${chalk.dim(path.basename(medianRunPath))}`);
+      console.log(chalk.dim('  Metric             Min     Median        p75        Max'));
+
+      for (const [key, stat] of Object.entries(stats)) {
+        const fmt = value => (key === 'cls' ? value.toFixed(3) : String(Math.round(value))).padStart(10);
+        console.log(`  ${key.padEnd(12)}${fmt(stat.min)} ${fmt(stat.median)} ${fmt(stat.p75)} ${fmt(stat.max)}`);
+      }
+
+      warnings.forEach(warning => console.log(chalk.yellow(`  ⚠ ${warning}`)));
+    }
+
     // Category scores
     console.log('\n' + chalk.bold('Category Scores'));
     console.log(chalk.dim('─'.repeat(40)));
@@ -134,10 +274,106 @@ async function analyze(report, options) {
       });
 
       if (opportunities.length > 5) {
-        console.log(chalk.dim(`  ... and ${opportunities.length - 5} more opportunities`));
+        console.log(chalk.dim(`  ... and ${opportunities.length - 5} more opportunities (gl explore lists them all)`));
+      }
+    }
+
+    // Main-thread work, tied back to TBT
+    if (diagnostics.length > 0 || mainThread.scripts.length > 0) {
+      const mainThreadAnalyzer = new MainThreadAnalyzer(analyzer.lhr);
+      const shorten = url => {
+        const name = mainThreadAnalyzer.shortUrl(url);
+        return (name.length > 30 ? name.slice(0, 29) + '…' : name).padEnd(30);
+      };
+
+      console.log('\n' + chalk.bold('Diagnostics'));
+      console.log(chalk.dim('─'.repeat(40)));
+
+      diagnostics.forEach(diagnostic => {
+        console.log(`  ${chalk.yellow('•')} ${diagnostic.title} ${chalk.dim(diagnostic.displayValue || '')}`);
+      });
+
+      if (mainThread.scripts.length > 0) {
+        console.log('\n' + chalk.dim(`  Scripts by blocking time (TBT ${mainThread.tbt}ms, split by ${mainThread.scripts[0].attribution})`));
+        console.log(chalk.dim('  Script                           Total   Parse  Est. TBT'));
+        mainThread.scripts.slice(0, 5).forEach(script => {
+          const tbt = `${script.tbtMs}ms`.padStart(7) + chalk.dim(` ${String(script.tbtShare).padStart(3)}%`);
+          console.log(`  ${shorten(script.url)}${`${script.total}ms`.padStart(8)}${`${script.parseCompile}ms`.padStart(8)}  ${script.tbtMs > 0 ? chalk.yellow(tbt) : tbt}`);
+        });
+      }
+
+      if (mainThread.categories.length > 0) {
+        console.log('\n' + chalk.dim(`  Main-thread work by category (${mainThread.mainThreadMs}ms)`));
+        mainThread.categories.slice(0, 5).forEach(category => {
+          const bar = '█'.repeat(Math.max(1, Math.round(category.share / 5)));
+          console.log(`  ${category.label.padEnd(30)}${`${category.duration}ms`.padStart(8)}  ${chalk.cyan(bar)} ${chalk.dim(category.share + '%')}`);
+        });
+      }
+
+      if (mainThread.longTasks.length > 0) {
+        console.log('\n' + chalk.dim('  Longest tasks                   Start  Duration  Blocking'));
+        mainThread.longTasks.slice(0, 5).forEach(task => {
+          console.log(`  ${shorten(task.url)}${`${task.startTime}ms`.padStart(7)}${`${task.duration}ms`.padStart(10)}${`${task.blockingMs}ms`.padStart(10)}`);
+        });
+        if (mainThread.longTasks.length > 5) {
+          console.log(chalk.dim(`  ... and ${mainThread.longTasks.length - 5} more long tasks`));
+        }
       }
     }
 
+    // Third-party cost per vendor
+    if (thirdParty.entities.length > 0) {
+      const { entities, facades, totals } = thirdParty;
+
+      console.log('\n' + chalk.bold('Third-Party Impact'));
+      console.log(chalk.dim('─'.repeat(40)));
+      console.log(chalk.dim('  Vendor                    Transfer  Main thread  Blocking'));
+
+      entities.slice(0, 5).forEach(entity => {
+        const name = (entity.name.length > 24 ? entity.name.slice(0, 23) + '…' : entity.name).padEnd(24);
+        const size = `${Math.round(entity.transferSize / 1024)} KB`.padStart(10);
+        const main = `${entity.mainThreadMs}ms`.padStart(13);
+        const blocking = `${entity.blockingMs}ms`.padStart(10);
+        const line = `  ${name}${size}${main}${blocking}`;
+        const note = entity.accepted ? chalk.dim(' accepted') : entity.facade ? chalk.yellow(` facade: ${entity.facade}`) : '';
+        console.log((entity.accepted ? chalk.dim(line) : line) + note);
+      });
+
+      if (entities.length > 5) {
+        console.log(chalk.dim(`  ... and ${entities.length - 5} more vendors`));
+      }
+
+      console.log(chalk.dim(`  Total: ${Math.round(totals.transferSize / 1024)} KB, ${totals.mainThreadMs}ms main thread, ${totals.blockingMs}ms blocking` +
+        (totals.accepted > 0 ? ` (excluding ${totals.accepted} accepted)` : '')));
+
+      const candidates = facades.filter(facade => !facade.accepted);
+      if (candidates.length > 0) {
+        console.log(chalk.yellow(`  ${candidates.length} facade candidate${candidates.length === 1 ? '' : 's'}: `) +
+          candidates.map(facade => facade.name).join(', '));
+      }
+    }
+
+    // Elements behind CLS
+    if (layoutShifts.elements.length > 0) {
+      const { cls, elements } = layoutShifts;
+
+      console.log('\n' + chalk.bold('Layout Shifts') + chalk.dim(cls !== null ? ` (CLS ${cls.toFixed(3)})` : ''));
+      console.log(chalk.dim('─'.repeat(40)));
+      console.log(chalk.dim('  Element                          Share  Likely cause'));
+
+      elements.slice(0, 5).forEach(element => {
+        const selector = element.selector || 'unknown';
+        const name = (selector.length > 30 ? selector.slice(0, 29) + '…' : selector).padEnd(30);
+        const share = (element.share !== null ? `${element.share}%` : '—').padStart(7);
+        console.log(`  ${name}${element.share >= 25 ? chalk.yellow(share) : share}  ${LayoutShiftAnalyzer.CAUSE_LABELS[element.cause]}`);
+      });
+
+      if (elements.length > 5) {
+        console.log(chalk.dim(`  ... and ${elements.length - 5} more elements`));
+      }
+      console.log(chalk.dim('  Run gl fixes for a fix per element'));
+    }
+
     // Failed audits
     if (failedAudits.length > 0) {
       console.log('\n' + chalk.bold('Failed Audits'));
@@ -152,10 +388,14 @@ async function analyze(report, options) {
       });
 
       if (failedAudits.length > 5) {
-        console.log(chalk.dim(`  ... and ${failedAudits.length - 5} more failed audits`));
+        console.log(chalk.dim(`  ... and ${failedAudits.length - 5} more failed audits (gl explore lists them all)`));
       }
     }
 
+    if (analyzer.options.ignoredAudits.length > 0) {
+      console.log(chalk.dim(`  ${analyzer.options.ignoredAudits.length} audit(s) ignored in .lighthouse/config.json`));
+    }
+
     // Recommendations
     console.log('\n' + chalk.bold('Quick Actions'));
     console.log(chalk.dim('─'.repeat(40)));
@@ -180,14 +420,14 @@ async function analyze(report, options) {
     console.log();
 
     // Output to file if requested
-    if (options.format === 'json' || options.format === 'markdown') {
+    if (['json', 'markdown', 'html', 'sarif', 'junit'].includes(options.format)) {
       const outputDir = path.join(process.cwd(), '.lighthouse', 'analysis');
       if (!fs.existsSync(outputDir)) {
         fs.mkdirSync(outputDir, { recursive: true });
       }
 
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-      const ext = options.format === 'json' ? 'json' : 'md';
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+      const ext = { json: 'json', markdown: 'md', html: 'html', sarif: 'sarif', junit: 'xml' }[options.format];
       const outputPath = path.join(outputDir, `analysis-${timestamp}.${ext}`);
 
       let content;
@@ -196,8 +436,25 @@ async function analyze(report, options) {
           summary,
           coreWebVitals: vitals,
           opportunities,
-          failedAudits
+          failedAudits,
+          diagnostics,
+          mainThread,
+          thirdParty,
+          layoutShifts,
+          aggregate: analyzer.aggregate ? {
+            runCount: analyzer.aggregate.runCount,
+            medianRunPath: analyzer.aggregate.medianRunPath,
+            runs: analyzer.aggregate.runs,
+            stats: analyzer.aggregate.stats,
+            warnings: analyzer.aggregate.warnings
+          } : undefined
         }, null, 2);
+      } else if (options.format === 'html') {
+        content = analyzer.formatHtml();
+      } else if (options.format === 'sarif') {
+        content = analyzer.formatSarif();
+      } else if (options.format === 'junit') {
+        content = analyzer.formatJUnit();
       } else {
         content = analyzer.formatMarkdown();
       }
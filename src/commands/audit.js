@@ -0,0 +1,118 @@
+/**
+ * gl audit command
+ *
+ * Runs the local Lighthouse CLI for every configured URL and preset
+ * (`audit` in .lighthouse/config.json), stores each run in
+ * .lighthouse/reports/ and points latest.json at the first page's median run.
+ */
+
+const chalk = require('chalk');
+const ora = require('ora');
+const path = require('path');
+
+const LighthouseRunner = require('../lib/lighthouse-runner');
+const ProjectConfig = require('../lib/project-config');
+
+const SCORE_KEYS = ['performance', 'accessibility', 'best-practices', 'seo'];
+
+const scoreColor = score => score >= 90 ? 'green' : score >= 50 ? 'yellow' : 'red';
+
+function formatScores(lhr) {
+  return SCORE_KEYS
+    .filter(key => lhr.categories?.[key] && lhr.categories[key].score !== null)
+    .map(key => {
+      const score = Math.round(lhr.categories[key].score * 100);
+      return `${lhr.categories[key].title} ${chalk[scoreColor(score)](score)}`;
+    })
+    .join(chalk.dim(' · '));
+}
+
+/**
+ * Main audit function
+ */
+async function audit(urls, options) {
+  const projectRoot = process.cwd();
+
+  let runner;
+  let targets;
+  let presets;
+  let runs;
+  try {
+    const config = new ProjectConfig(projectRoot).getAuditConfig();
+    runner = new LighthouseRunner(projectRoot, config, { lighthouse: options.lighthouse });
+    targets = runner.getUrls(urls || []);
+    presets = runner.getPresets(options.preset);
+    runs = runner.getRuns(options.runs);
+    // Resolve headers up front so a missing environment variable stops before any run
+    presets.forEach(preset => runner.getHeaders(preset));
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const total = targets.length * presets.length * runs;
+
+  console.log('\n' + chalk.cyan.bold('🚦 Lighthouse Audit'));
+  console.log(chalk.dim(`  ${targets.length} URL(s) × ${presets.map(preset => preset.name).join(', ')} × ${runs} run(s) = ${total} run(s)`));
+  console.log(chalk.dim(`  Using ${runner.getCommand().label}\n`));
+
+  const results = [];
+  let failures = 0;
+  let aborted = false;
+
+  for (const url of targets) {
+    for (const preset of presets) {
+      const result = { url, preset: preset.name, reportPaths: [] };
+      results.push(result);
+
+      for (let run = 1; run <= runs && !aborted; run++) {
+        const label = `${url} ${chalk.dim(`(${preset.name}${runs > 1 ? `, run ${run}/${runs}` : ''})`)}`;
+        const spinner = ora(label).start();
+        const reportPath = runner.getReportPath(url, preset, timestamp, run, runs);
+
+        try {
+          const lhr = await runner.run(url, preset, reportPath);
+          result.reportPaths.push(reportPath);
+          spinner.succeed(`${label}  ${formatScores(lhr)}`);
+        } catch (error) {
+          failures++;
+          spinner.fail(`${label}  ${chalk.red(error.message)}`);
+          // Without a binary every other run would fail the same way
+          if (error.code === 'ENOENT') aborted = true;
+        }
+      }
+    }
+  }
+
+  const completed = results.filter(result => result.reportPaths.length > 0);
+  if (completed.length === 0) {
+    console.error(chalk.red('\nNo reports were written.'));
+    process.exit(1);
+  }
+
+  console.log('\n' + chalk.bold('Reports'));
+  let latest = null;
+  for (const result of completed) {
+    const representative = runner.pickRepresentative(result.reportPaths);
+    if (!latest) latest = representative;
+
+    const suffix = result.reportPaths.length > 1 ? chalk.dim(` (median of ${result.reportPaths.length} runs)`) : '';
+    console.log(`  ${result.url} ${chalk.dim(result.preset)}  ${chalk.cyan(path.relative(projectRoot, representative))}${suffix}`);
+  }
+
+  runner.updateLatest(latest);
+  console.log(chalk.green(`\n✓ latest.json updated from ${path.basename(latest)}`));
+  if (failures > 0) console.log(chalk.red(`✗ ${failures} run(s) failed`));
+
+  console.log(chalk.dim('\nNext: gl analyze, gl fixes or gl serve'));
+  if (runs > 1) {
+    const first = completed[0];
+    console.log(chalk.dim(`Aggregate runs: gl analyze ${first.reportPaths.map(reportPath => path.relative(projectRoot, reportPath)).join(' ')}`));
+  }
+  console.log();
+
+  if (failures > 0) process.exit(1);
+}
+
+module.exports = audit;
@@ -0,0 +1,147 @@
+/**
+ * gl bundles command
+ *
+ * Shows where a page's JavaScript bytes go: scripts broken down into
+ * source-mapped modules and packages, duplicated packages and legacy
+ * polyfills, as a terminal tree, JSON or an HTML treemap.
+ */
+
+const chalk = require('chalk');
+const path = require('path');
+const fs = require('fs');
+
+const LighthouseAnalyzer = require('../lib/analyzer');
+const ReportLoader = require('../lib/report-loader');
+const BundleExplorer = require('../lib/bundle-explorer');
+const BundleTreemapRenderer = require('../lib/bundle-treemap');
+
+const kb = bytes => Math.round(bytes / 1024) + ' KB';
+
+/**
+ * Print the module tree, then duplicates and legacy code
+ */
+function printBundles(explorer, result, options) {
+  const { totals, duplicates, legacy, packages } = result;
+
+  console.log('\n' + chalk.cyan.bold('📦 JavaScript Bundles\n'));
+  console.log(chalk.dim(`  ${totals.scripts} scripts, ${kb(totals.bytes)}, ${kb(totals.unusedBytes)} unused, ` +
+    `${kb(totals.duplicatedBytes)} duplicated, ${kb(totals.legacyBytes)} legacy\n`));
+
+  if (!result.sourceMapped) {
+    console.log(chalk.yellow('  No source-mapped modules in this report; deploy source maps (or run against a dev build) to see modules.\n'));
+  }
+
+  const rows = explorer.getTreeRows(result.scripts, {
+    maxDepth: parseInt(options.depth, 10),
+    minBytes: parseFloat(options.minSize) * 1024
+  });
+
+  for (const row of rows) {
+    const size = kb(row.bytes).padStart(8);
+    const unusedRatio = row.bytes ? row.unusedBytes / row.bytes : 0;
+    const unusedColor = unusedRatio >= 0.5 ? 'red' : unusedRatio >= 0.25 ? 'yellow' : 'gray';
+    const unused = chalk[unusedColor](`${Math.round(unusedRatio * 100)}% unused`.padStart(12));
+    const name = row.script ? chalk.bold(row.name) : row.name;
+    // Advice is listed once under Suggestions; the tree only marks where it applies
+    const flags = [row.duplicate ? chalk.red('duplicated') : null, row.advice ? chalk.cyan('*') : null].filter(Boolean).join(' ');
+
+    if (row.script && row !== rows[0]) console.log();
+    console.log(`${size} ${unused}  ${chalk.dim(row.prefix)}${name}${flags ? ' ' + flags : ''}`);
+  }
+
+  if (duplicates.length > 0) {
+    console.log('\n' + chalk.bold('Duplicated Packages'));
+    console.log(chalk.dim('─'.repeat(40)));
+    for (const duplicate of duplicates) {
+      console.log(`  ${chalk.red(duplicate.name.padEnd(24))} ${kb(duplicate.wastedBytes).padStart(8)} wasted  ` +
+        chalk.dim(duplicate.scripts.map(script => explorer.shortUrl(script.url)).join(', ')));
+    }
+  }
+
+  if (legacy.length > 0) {
+    console.log('\n' + chalk.bold('Legacy JavaScript'));
+    console.log(chalk.dim('─'.repeat(40)));
+    for (const entry of legacy) {
+      console.log(`  ${explorer.shortUrl(entry.url).padEnd(24)} ${kb(entry.wastedBytes).padStart(8)}`);
+      if (entry.polyfills.length > 0) console.log(chalk.dim(`    polyfills:  ${entry.polyfills.join(', ')}`));
+      if (entry.transforms.length > 0) console.log(chalk.dim(`    transforms: ${entry.transforms.join(', ')}`));
+    }
+  }
+
+  const advised = packages.filter(entry => entry.advice);
+  if (advised.length > 0) {
+    console.log('\n' + chalk.bold('Suggestions') + chalk.cyan(' *'));
+    console.log(chalk.dim('─'.repeat(40)));
+    for (const entry of advised.slice(0, 5)) {
+      const part = entry.largestPart ? `${entry.largestPart.path} ${kb(entry.largestPart.bytes)}` : `${entry.name} ${kb(entry.bytes)}`;
+      console.log(`  ${chalk.cyan('•')} ${chalk.bold(part)}: ${entry.advice}`);
+    }
+  }
+
+  console.log();
+}
+
+/**
+ * Main bundles function
+ */
+async function bundles(reports, options) {
+  const format = options.format || 'terminal';
+  if (!['terminal', 'json', 'html'].includes(format)) {
+    console.error(chalk.red(`Error: Unknown format "${format}" (use terminal, json or html)`));
+    process.exit(1);
+  }
+
+  let reportPath;
+  if (!reports || reports.length === 0) {
+    const defaultPath = path.join(process.cwd(), '.lighthouse', 'reports', 'latest.json');
+    if (fs.existsSync(defaultPath)) {
+      reportPath = defaultPath;
+    }
+  } else {
+    reportPath = reports.length === 1 ? reports[0] : reports;
+  }
+
+  if (!reportPath || [].concat(reportPath).some(p => !ReportLoader.exists(p))) {
+    console.error(chalk.red('Error: Lighthouse report not found'));
+    console.error(chalk.dim('\nRun: lighthouse <url> --output json --output-path .lighthouse/reports/latest.json'));
+    process.exit(1);
+  }
+
+  try {
+    // Several runs are reduced to their median run, as in gl analyze
+    const { lhr } = new LighthouseAnalyzer(reportPath);
+    const explorer = new BundleExplorer(lhr);
+    const result = explorer.explore();
+
+    if (format === 'terminal') {
+      printBundles(explorer, result, options);
+      return;
+    }
+
+    const content = format === 'json'
+      ? JSON.stringify({ url: lhr.finalUrl, ...result }, null, 2)
+      : new BundleTreemapRenderer(explorer, result).render();
+
+    let outputPath = options.output;
+    if (!outputPath && format === 'html') {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+      outputPath = path.join(process.cwd(), '.lighthouse', 'analysis', `bundles-${timestamp}.html`);
+    }
+
+    if (outputPath) {
+      const outputDir = path.dirname(outputPath);
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+      fs.writeFileSync(outputPath, content);
+      console.log(chalk.dim(`\nBundles saved to: ${outputPath}\n`));
+    } else {
+      console.log(content);
+    }
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+}
+
+module.exports = bundles;
@@ -0,0 +1,156 @@
+/**
+ * gl compare command
+ *
+ * Compares two Lighthouse JSON reports and flags regressions.
+ */
+
+const chalk = require('chalk');
+const ora = require('ora');
+const path = require('path');
+const fs = require('fs');
+
+const ReportComparator = require('../lib/comparator');
+const ReportLoader = require('../lib/report-loader');
+
+const STATUS_COLORS = {
+  regressed: 'red',
+  improved: 'green',
+  unchanged: 'gray',
+  unknown: 'gray'
+};
+
+/**
+ * Print comparison to the terminal
+ */
+function printComparison(comparator, result) {
+  console.log('\n' + chalk.cyan.bold('🔀 Lighthouse Comparison\n'));
+
+  console.log(chalk.bold('Reports'));
+  console.log(chalk.dim('─'.repeat(40)));
+  console.log(`  Base:        ${chalk.dim(result.base.url)} ${chalk.dim(new Date(result.base.timestamp).toLocaleString())}`);
+  console.log(`  Head:        ${chalk.dim(result.head.url)} ${chalk.dim(new Date(result.head.timestamp).toLocaleString())}`);
+
+  // Category scores
+  console.log('\n' + chalk.bold('Category Scores'));
+  console.log(chalk.dim('─'.repeat(40)));
+
+  for (const score of result.scores) {
+    const paddedId = score.id.padEnd(15);
+    const base = comparator.formatScore(score.base).padStart(3);
+    const head = comparator.formatScore(score.head).padStart(3);
+    const delta = comparator.formatSigned(score.delta).padStart(4);
+    const color = STATUS_COLORS[score.status];
+    console.log(`  ${chalk.bold(paddedId)}: ${base} → ${head}  ${chalk[color](delta)}`);
+  }
+
+  // Core Web Vitals
+  console.log('\n' + chalk.bold('Core Web Vitals'));
+  console.log(chalk.dim('─'.repeat(40)));
+  console.log(chalk.dim('  Metric              Base        Head        Δ'));
+  console.log(chalk.dim('  ' + '─'.repeat(52)));
+
+  for (const metric of result.metrics) {
+    const name = metric.name.replace(/(\w+ \w+).*/, '$1').padEnd(20);
+    const base = String(metric.baseDisplay).padEnd(12);
+    const head = String(metric.headDisplay).padEnd(12);
+    const color = STATUS_COLORS[metric.status];
+    console.log(`  ${name}${base}${head}${chalk[color](comparator.formatMetricDelta(metric))}`);
+  }
+
+  if (result.newlyFailed.length > 0) {
+    console.log('\n' + chalk.bold('Newly Failed Audits'));
+    console.log(chalk.dim('─'.repeat(40)));
+    result.newlyFailed.forEach(audit => {
+      console.log(`  ${chalk.red('✗')} ${chalk.bold(audit.title)} ${chalk.dim(audit.id)}`);
+    });
+  }
+
+  if (result.fixed.length > 0) {
+    console.log('\n' + chalk.bold('Fixed Audits'));
+    console.log(chalk.dim('─'.repeat(40)));
+    result.fixed.forEach(audit => {
+      console.log(`  ${chalk.green('✓')} ${chalk.bold(audit.title)} ${chalk.dim(audit.id)}`);
+    });
+  }
+
+  if (result.grownOpportunities.length > 0) {
+    console.log('\n' + chalk.bold('Opportunities With Larger Savings'));
+    console.log(chalk.dim('─'.repeat(40)));
+    result.grownOpportunities.forEach(opp => {
+      const label = opp.isNew ? chalk.dim(' (new)') : '';
+      console.log(`  ${chalk.bold(opp.title)}${label} ${chalk.yellow('+' + Math.round(opp.deltaMs) + 'ms')}`);
+    });
+  }
+
+  console.log();
+  if (result.regressions > 0) {
+    console.log(chalk.red.bold(`❌ ${result.regressions} regression(s) detected\n`));
+  } else {
+    console.log(chalk.green.bold('✅ No regressions detected\n'));
+  }
+}
+
+/**
+ * Main compare function
+ */
+async function compare(base, head, options) {
+  for (const reportPath of [base, head]) {
+    if (!ReportLoader.exists(reportPath)) {
+      console.error(chalk.red(`Error: Lighthouse report not found: ${reportPath}`));
+      process.exit(1);
+    }
+  }
+
+  const format = options.format || 'terminal';
+  if (!['terminal', 'markdown', 'json'].includes(format)) {
+    console.error(chalk.red(`Error: Unknown format "${format}" (use terminal, markdown or json)`));
+    process.exit(1);
+  }
+
+  const spinner = ora('Comparing Lighthouse reports...').start();
+  let result;
+
+  try {
+    const comparator = new ReportComparator(base, head, {
+      category: options.category,
+      minScore: parseFloat(options.minScore),
+      scoreTolerance: parseFloat(options.scoreTolerance),
+      metricTolerance: parseFloat(options.metricTolerance),
+      savingsTolerance: parseFloat(options.savingsTolerance)
+    });
+
+    result = comparator.compare();
+
+    spinner.stop();
+
+    if (format === 'terminal') {
+      printComparison(comparator, result);
+    } else {
+      const content = format === 'json'
+        ? JSON.stringify(result, null, 2)
+        : comparator.formatMarkdown(result);
+
+      if (options.output) {
+        const outputDir = path.dirname(options.output);
+        if (!fs.existsSync(outputDir)) {
+          fs.mkdirSync(outputDir, { recursive: true });
+        }
+        fs.writeFileSync(options.output, content);
+        console.log(chalk.dim(`\nComparison saved to: ${options.output}\n`));
+      } else {
+        console.log(content);
+      }
+    }
+
+  } catch (error) {
+    spinner.fail(chalk.red('Failed to compare reports'));
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+
+  if (options.failOnRegression && result.regressions > 0) {
+    process.exit(1);
+  }
+}
+
+module.exports = compare;
@@ -0,0 +1,282 @@
+/**
+ * gl explore command
+ *
+ * Interactive triage of a report: pick a category, drill into any audit,
+ * page through its items (node snippets, URLs, sub-items), show the fixes
+ * FixGenerator has for it, and ignore or un-ignore audits on the spot.
+ */
+
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const Table = require('cli-table3');
+const path = require('path');
+const fs = require('fs');
+
+const LighthouseAnalyzer = require('../lib/analyzer');
+const ReportAggregator = require('../lib/aggregator');
+const FlowAnalyzer = require('../lib/flow');
+const ReportLoader = require('../lib/report-loader');
+const AuditExplorer = require('../lib/audit-explorer');
+const ProjectConfig = require('../lib/project-config');
+const StackDetector = require('../lib/stack-detector');
+
+const PAGE_SIZE = 10;
+
+const STATUS_ICONS = {
+  fail: chalk.red('▲'),
+  average: chalk.yellow('■'),
+  pass: chalk.green('●'),
+  info: chalk.gray('○'),
+  na: chalk.gray('–')
+};
+
+const scoreColor = score => score === null ? 'gray' : score >= 90 ? 'green' : score >= 50 ? 'yellow' : 'red';
+
+async function choose(message, choices, pageSize = 15) {
+  const { answer } = await inquirer.prompt([{ type: 'list', name: 'answer', message, choices, pageSize, loop: false }]);
+  return answer;
+}
+
+/**
+ * Strip markdown links down to their text for the terminal
+ */
+function plainDescription(text) {
+  return (text || '').replace(/\[([^\]]+)\]\([^)]+\)/g, '$1');
+}
+
+async function chooseCategory(explorer) {
+  const categories = explorer.getCategories();
+  const choices = categories.map(category => ({
+    name: `${chalk[scoreColor(category.score)](String(category.score ?? 'N/A').padStart(3))}  ${category.title.padEnd(18)}` +
+      chalk.dim(`${category.failing} to fix` + (category.ignored ? `, ${category.ignored} ignored` : '')),
+    value: category.id
+  }));
+
+  return choose('Category', [...choices, new inquirer.Separator(), { name: 'Quit', value: null }]);
+}
+
+async function exploreCategory(explorer, config, categoryId) {
+  let showPassing = false;
+
+  for (;;) {
+    const audits = explorer.getAudits(categoryId, { showPassing });
+    const choices = audits.map(audit => ({
+      name: `${STATUS_ICONS[audit.status]} ${audit.ignored ? chalk.dim.strikethrough(audit.title) : audit.title}` +
+        chalk.dim((audit.displayValue ? `  ${audit.displayValue}` : '') + (audit.itemCount ? `  (${audit.itemCount} items)` : '') +
+          (audit.ignored ? '  ignored' : '')),
+      value: audit.id
+    }));
+
+    if (choices.length === 0) {
+      choices.push({ name: chalk.green('Nothing to fix in this category'), value: '__none', disabled: true });
+    }
+
+    const auditId = await choose(
+      `${explorer.lhr.categories[categoryId].title}: ${audits.length} audits`,
+      [
+        ...choices,
+        new inquirer.Separator(),
+        { name: showPassing ? 'Hide passing audits' : 'Show passing audits', value: '__toggle' },
+        { name: 'Back', value: null }
+      ],
+      20
+    );
+
+    if (auditId === null) return;
+    if (auditId === '__toggle') {
+      showPassing = !showPassing;
+      continue;
+    }
+
+    await exploreAudit(explorer, config, auditId);
+  }
+}
+
+async function exploreAudit(explorer, config, auditId) {
+  const audit = explorer.lhr.audits[auditId];
+
+  for (;;) {
+    const ignored = explorer.ignoredAudits.includes(auditId);
+    const itemCount = explorer.getItems(audit).length;
+    const status = explorer.getStatus(audit);
+
+    console.log('\n' + STATUS_ICONS[status] + ' ' + chalk.bold(audit.title) + chalk.dim(`  ${audit.id}`));
+    console.log(chalk.dim('─'.repeat(40)));
+    if (audit.score !== null) console.log(`  Score: ${chalk[scoreColor(Math.round(audit.score * 100))](Math.round(audit.score * 100))}`);
+    if (audit.displayValue) console.log(`  Value: ${audit.displayValue}`);
+    if (ignored) console.log(chalk.yellow('  Ignored in .lighthouse/config.json'));
+    console.log(chalk.dim('  ' + plainDescription(audit.description)) + '\n');
+
+    const action = await choose('Audit', [
+      { name: `View items (${itemCount})`, value: 'items', disabled: itemCount === 0 ? 'no items' : false },
+      { name: 'Show fix', value: 'fix' },
+      { name: ignored ? 'Stop ignoring this audit' : 'Ignore this audit', value: 'ignore' },
+      { name: 'Back', value: null }
+    ]);
+
+    if (action === null) return;
+    if (action === 'items') await browseItems(explorer, audit);
+    if (action === 'fix') printFixes(explorer, audit);
+    if (action === 'ignore') {
+      explorer.ignoredAudits = config.setIgnored(auditId, !ignored);
+      console.log(chalk.green(`\n✓ ${ignored ? 'No longer ignoring' : 'Ignoring'} ${auditId} (.lighthouse/config.json)`));
+    }
+  }
+}
+
+/**
+ * Natural column widths, shrunk proportionally (never below 8) to fit the terminal
+ */
+function getColumnWidths(columns, cells) {
+  const available = (process.stdout.columns || 120) - 7 - columns.length;
+  const natural = columns.map((column, i) =>
+    Math.min(80, Math.max(column.label.length, ...cells.map(row => row[i].length)) + 2));
+  const total = natural.reduce((sum, width) => sum + width, 0);
+  if (total <= available) return natural;
+  return natural.map(width => Math.max(8, Math.floor(width * available / total)));
+}
+
+async function browseItems(explorer, audit) {
+  let page = 0;
+
+  for (;;) {
+    const { columns, rows, pages, total } = explorer.getPage(audit, page, PAGE_SIZE);
+    page = Math.min(page, pages - 1);
+
+    const cells = rows.map(row => row.cells.map(cell => cell.length > 160 ? cell.slice(0, 159) + '…' : cell));
+    const table = new Table({
+      head: ['#', ...columns.map(column => column.label)],
+      colWidths: [6, ...getColumnWidths(columns, cells)],
+      wordWrap: true,
+      wrapOnWordBoundary: false,
+      style: { head: ['cyan'] }
+    });
+    rows.forEach((row, i) => table.push([row.index + 1, ...cells[i]]));
+
+    console.log('\n' + table.toString());
+    console.log(chalk.dim(`  Page ${page + 1} of ${pages} (${total} items)\n`));
+
+    const action = await choose('Items', [
+      { name: 'Next page', value: 'next', disabled: page >= pages - 1 },
+      { name: 'Previous page', value: 'previous', disabled: page === 0 },
+      { name: 'Inspect an item', value: 'inspect' },
+      { name: 'Back', value: null }
+    ]);
+
+    if (action === null) return;
+    if (action === 'next') page++;
+    if (action === 'previous') page--;
+    if (action === 'inspect') {
+      const index = await choose('Item', rows.map(row => ({
+        name: `${row.index + 1}. ${row.cells.find(Boolean) || '(empty)'}`.slice(0, (process.stdout.columns || 120) - 6),
+        value: row.index
+      })));
+      printItem(explorer, audit, index);
+    }
+  }
+}
+
+function printItem(explorer, audit, index) {
+  console.log('\n' + chalk.bold(`Item ${index + 1}`));
+  console.log(chalk.dim('─'.repeat(40)));
+  for (const field of explorer.describeItem(audit, index)) {
+    const value = field.code ? chalk.cyan(field.value) : field.value;
+    console.log(`  ${chalk.dim(field.label + ':')} ${value}`);
+  }
+  console.log();
+}
+
+function printFixes(explorer, audit) {
+  const { covered, failing, fixes } = explorer.getFixes(audit.id);
+
+  if (!covered) {
+    console.log(chalk.yellow('\nNo fix rule covers this audit. Add one in .lighthouse/rules/ (see gl rules list).\n'));
+    return;
+  }
+  if (fixes.length === 0) {
+    console.log(chalk.green(failing ? '\nThe rules for this audit found nothing to fix.\n' : '\nThis audit passes; no fix needed.\n'));
+    return;
+  }
+
+  for (const fix of fixes) {
+    const color = fix.priority === 'high' ? 'red' : fix.priority === 'medium' ? 'yellow' : 'green';
+    console.log('\n' + chalk[color]('● ') + chalk.bold(fix.title) + chalk.dim(`  ${fix.priority} priority, ${fix.impact}`));
+    if (fix.diagnosis) console.log(`  ${chalk.cyan('Diagnosis:')} ${fix.diagnosis}`);
+
+    for (const solution of fix.fixes) {
+      console.log('\n  ' + chalk.bold(solution.title) + chalk.dim(` (${solution.type})`));
+      console.log(solution.code.split('\n').map(line => '    ' + line).join('\n'));
+    }
+  }
+  console.log();
+}
+
+/**
+ * Pick one step of a user flow to explore
+ */
+async function chooseFlowStep(reportPath, flow) {
+  const flowAnalyzer = new FlowAnalyzer(reportPath, { flow });
+  if (flowAnalyzer.steps.length === 1) return flowAnalyzer.steps[0].lhr;
+
+  const index = await choose('Flow step', flowAnalyzer.steps.map(step => ({
+    name: flowAnalyzer.getStepLabel(step),
+    value: step.index
+  })));
+  return flowAnalyzer.steps[index].lhr;
+}
+
+/**
+ * Main explore function
+ */
+async function explore(reports, options) {
+  if (!process.stdin.isTTY || !process.stdout.isTTY) {
+    console.error(chalk.red('Error: gl explore needs an interactive terminal'));
+    console.error(chalk.dim('\nUse gl analyze or gl fixes for non-interactive output.'));
+    process.exit(1);
+  }
+
+  let reportPath;
+  if (!reports || reports.length === 0) {
+    const defaultPath = path.join(process.cwd(), '.lighthouse', 'reports', 'latest.json');
+    if (fs.existsSync(defaultPath)) {
+      reportPath = defaultPath;
+    }
+  } else {
+    reportPath = reports.length === 1 ? reports[0] : reports;
+  }
+
+  if (!reportPath || [].concat(reportPath).some(p => !ReportLoader.exists(p))) {
+    console.error(chalk.red('Error: Lighthouse report not found'));
+    console.error(chalk.dim('\nRun: lighthouse <url> --output json --output-path .lighthouse/reports/latest.json'));
+    process.exit(1);
+  }
+
+  try {
+    const result = ReportAggregator.isMultiRun(reportPath) ? null : ReportLoader.loadResult(reportPath);
+    const lhr = result && ReportLoader.isFlowResult(result)
+      ? await chooseFlowStep(reportPath, result)
+      : new LighthouseAnalyzer(reportPath, { lhr: result || undefined }).lhr;
+
+    const config = new ProjectConfig(process.cwd());
+    const explorer = new AuditExplorer(lhr, {
+      ignoredAudits: config.getIgnoredAudits(),
+      stack: options.stack ? StackDetector.fromId(options.stack) : null
+    });
+
+    console.log('\n' + chalk.cyan.bold('🔎 Lighthouse Explorer'));
+    console.log(chalk.dim(`  ${lhr.finalDisplayedUrl || lhr.finalUrl}\n`));
+
+    for (;;) {
+      const categoryId = await chooseCategory(explorer);
+      if (categoryId === null) break;
+      await exploreCategory(explorer, config, categoryId);
+    }
+  } catch (error) {
+    // Ctrl+C inside a prompt closes it; leave quietly
+    if (error.isTtyError || /force closed/i.test(error.message)) return;
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+}
+
+module.exports = explore;
@@ -6,18 +6,128 @@
 
 const chalk = require('chalk');
 const ora = require('ora');
+const inquirer = require('inquirer');
 const path = require('path');
 const fs = require('fs');
 
 const FixGenerator = require('../lib/fix-generator');
+const LighthouseAnalyzer = require('../lib/analyzer');
+const ReportAggregator = require('../lib/aggregator');
+const FlowAnalyzer = require('../lib/flow');
+const ReportLoader = require('../lib/report-loader');
+const SourceMapper = require('../lib/source-mapper');
+const FixPatcher = require('../lib/patcher');
+const StackDetector = require('../lib/stack-detector');
+
+/**
+ * Print a unified diff with added/removed lines coloured
+ */
+function printDiff(diff) {
+  for (const line of diff.trimEnd().split('\n')) {
+    if (line.startsWith('+++') || line.startsWith('---')) {
+      console.log(chalk.bold(line));
+    } else if (line.startsWith('@@')) {
+      console.log(chalk.cyan(line));
+    } else if (line.startsWith('+')) {
+      console.log(chalk.green(line));
+    } else if (line.startsWith('-')) {
+      console.log(chalk.red(line));
+    } else {
+      console.log(chalk.dim(line));
+    }
+  }
+}
+
+/**
+ * Patch mechanical fixes into the project: show the diff, write only after confirmation
+ */
+async function applyFixes(lhr, options) {
+  let description = options.description;
+  const descriptionAudit = lhr.audits['meta-description'];
+  const needsDescription = descriptionAudit && descriptionAudit.score !== null && descriptionAudit.score < 0.9;
+
+  // Description copy has to come from a person; ask for it rather than invent it
+  if (needsDescription && !description && !options.yes && !options.dryRun && process.stdin.isTTY) {
+    ({ description } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'description',
+        message: `Meta description for ${lhr.finalDisplayedUrl || lhr.finalUrl} (50-160 characters, empty to skip):`,
+        filter: value => value.trim()
+      }
+    ]));
+  }
+
+  const patcher = new FixPatcher(lhr, process.cwd(), { lang: options.lang, description });
+  const plan = patcher.plan();
+
+  console.log('\n' + chalk.cyan.bold('🩹 Fix Patches\n'));
+  if (plan.target) {
+    console.log(chalk.dim(`Document head: ${plan.target.file}\n`));
+  }
+
+  plan.changes.forEach(change => {
+    console.log(`  ${chalk.green('✓')} ${change.title} ${chalk.dim('→ ' + change.file)}`);
+  });
+  plan.skipped.forEach(skipped => {
+    console.log(`  ${chalk.yellow('–')} ${chalk.dim(skipped.auditId + ': ' + skipped.reason)}`);
+  });
+
+  if (plan.files.length === 0) {
+    console.log(chalk.green('\nNothing to patch.\n'));
+    return;
+  }
+
+  console.log();
+  plan.files.forEach(file => printDiff(file.diff));
+
+  if (options.output) {
+    const outputDir = path.dirname(options.output);
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+    fs.writeFileSync(options.output, plan.files.map(file => file.diff).join(''));
+    console.log(chalk.dim(`\nPatch saved to: ${options.output}`));
+  }
+
+  if (options.dryRun) {
+    console.log(chalk.yellow('\nDry run: no files were changed.\n'));
+    return;
+  }
+
+  let confirmed = options.yes;
+  if (!confirmed) {
+    if (!process.stdin.isTTY) {
+      console.log(chalk.yellow('\nNo files were changed. Re-run with --yes to write the patches.\n'));
+      return;
+    }
+
+    ({ confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Write changes to ${plan.files.length} file(s)?`,
+        default: false
+      }
+    ]));
+  }
+
+  if (!confirmed) {
+    console.log(chalk.yellow('\nNo files were changed.\n'));
+    return;
+  }
+
+  const written = patcher.apply();
+  console.log(chalk.green(`\n✅ Updated ${written.join(', ')}\n`));
+}
 
 /**
  * Main fixes function
  */
-async function fixes(report, options) {
+async function fixes(reports, options) {
   let reportPath;
 
-  if (!report) {
+  if (!reports || reports.length === 0) {
     const defaultPath = path.join(process.cwd(), '.lighthouse', 'reports', 'latest.json');
     if (fs.existsSync(defaultPath)) {
       reportPath = defaultPath;
@@ -25,7 +135,7 @@ async function fixes(report, options) {
       const reportsDir = path.join(process.cwd(), '.lighthouse', 'reports');
       if (fs.existsSync(reportsDir)) {
         const files = fs.readdirSync(reportsDir)
-          .filter(f => f.endsWith('.json'))
+          .filter(f => ReportLoader.isReportFile(f))
           .map(f => ({
             name: f,
             path: path.join(reportsDir, f),
@@ -39,10 +149,11 @@ async function fixes(report, options) {
       }
     }
   } else {
-    reportPath = report;
+    // Several reports (or a directory) are aggregated into their median run
+    reportPath = reports.length === 1 ? reports[0] : reports;
   }
 
-  if (!reportPath || !fs.existsSync(reportPath)) {
+  if (!reportPath || [].concat(reportPath).some(p => !ReportLoader.exists(p))) {
     console.error(chalk.red('Error: Lighthouse report not found'));
     console.error(chalk.dim('\nRun: lighthouse <url> --output json --output-path .lighthouse/reports/latest.json'));
     process.exit(1);
@@ -51,23 +162,72 @@ async function fixes(report, options) {
   const spinner = ora('Generating fix suggestions...').start();
 
   try {
-    const generator = new FixGenerator(reportPath, {
-      category: options.category
-    });
+    const format = options.format || 'markdown';
+    const result = ReportAggregator.isMultiRun(reportPath) ? null : ReportLoader.loadResult(reportPath);
+    const isFlow = result && ReportLoader.isFlowResult(result);
+    // One mapper and registry for all steps so the project is only scanned once
+    const sourceMapper = options.locate === false ? null : new SourceMapper(process.cwd());
+    const registry = FixGenerator.createRegistry(process.cwd());
+    const stack = options.stack ? StackDetector.fromId(options.stack) : null;
+
+    let generator;
+    let content;
+
+    if (options.apply) {
+      if (isFlow) {
+        throw new Error('--apply is not available for user-flow reports; pass a single navigation report');
+      }
 
-    const content = generator.generate();
+      spinner.stop();
+      const lhr = result || new ReportAggregator(reportPath).aggregate().lhr;
+      await applyFixes(lhr, options);
+      return;
+    }
+
+    if (isFlow) {
+      if (format === 'sarif') {
+        throw new Error('SARIF output is not available for user-flow reports; use markdown');
+      }
+
+      // User-flow reports get fixes per step
+      content = new FlowAnalyzer(reportPath, {
+        flow: result,
+        category: options.category
+      }).generateFixes({ sourceMapper, registry, stack, lang: options.lang });
+    } else {
+      generator = new FixGenerator(reportPath, {
+        lhr: result,
+        category: options.category,
+        sourceMapper,
+        registry,
+        stack,
+        lang: options.lang
+      });
+      content = generator.generate();
+    }
 
     spinner.stop();
 
-    console.log('\n' + chalk.cyan.bold('🔧 Fix Suggestions\n'));
-    console.log(content);
+    if (format === 'sarif') {
+      // Report the same audits the generator acts on (score below 0.9)
+      const analyzer = new LighthouseAnalyzer(reportPath, {
+        lhr: generator.lhr,
+        category: options.category,
+        minScore: 0.9
+      });
+      content = analyzer.formatSarif(generator.fixes);
+    } else {
+      console.log('\n' + chalk.cyan.bold('🔧 Fix Suggestions\n'));
+      console.log(content);
+    }
 
     // Save to file if output specified or default
+    const ext = format === 'sarif' ? 'sarif' : 'md';
     const outputPath = options.output || path.join(
       process.cwd(),
       '.lighthouse',
       'fixes',
-      `fixes-${new Date().toISOString().split('T')[0]}.md`
+      `fixes-${new Date().toISOString().split('T')[0]}.${ext}`
     );
 
     const outputDir = path.dirname(outputPath);
@@ -11,6 +11,8 @@ const ora = require('ora');
 const path = require('path');
 const fs = require('fs');
 
+const ProjectConfig = require('../lib/project-config');
+
 const IDE_TEMPLATES = {
   claude: {
     name: 'Claude Code',
@@ -113,7 +115,7 @@ function copyTemplates(ide, projectRoot) {
       const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
       pkg.scripts = pkg.scripts || {};
       pkg.scripts['lighthouse'] = 'gl analyze .lighthouse/reports/latest.json';
-      pkg.scripts['lighthouse:audit'] = 'lighthouse http://localhost:3000 --output json --output-path .lighthouse/reports/$(date +%Y%m%d-%H%M%S).json';
+      pkg.scripts['lighthouse:audit'] = 'gl audit';
       pkg.scripts['lighthouse:fixes'] = 'gl fixes .lighthouse/reports/latest.json';
       fs.writeFileSync(pkgPath, JSON.stringify(pkg, null, 2));
     }
@@ -127,6 +129,14 @@ function copyTemplates(ide, projectRoot) {
   }
 }
 
+// Starting point for the `audit` section read by `gl audit`
+const DEFAULT_AUDIT_CONFIG = {
+  baseUrl: 'http://localhost:3000',
+  urls: ['/'],
+  presets: ['mobile'],
+  runs: 1
+};
+
 /**
  * Create .lighthouse directory structure
  */
@@ -173,9 +183,8 @@ function showSuccess(selectedIDEs, projectRoot) {
   console.log('\n' + chalk.bold('Next steps:\n'));
 
   console.log(chalk.cyan('1. Run a Lighthouse audit:'));
-  console.log(chalk.dim('   npm run lighthouse:audit'));
-  console.log(chalk.dim('   # Or manually:'));
-  console.log(chalk.dim('   lighthouse http://localhost:3000 --output json --output-path .lighthouse/reports/latest.json\n'));
+  console.log(chalk.dim('   gl audit    # or: npm run lighthouse:audit'));
+  console.log(chalk.dim('   # URLs and presets are in .lighthouse/config.json (audit)\n'));
 
   console.log(chalk.cyan('2. Analyze the report:'));
   console.log(chalk.dim('   gl analyze .lighthouse/reports/latest.json\n'));
@@ -208,9 +217,17 @@ async function init(options) {
   const projectRoot = process.cwd();
 
   // Check if already initialized
-  const configPath = path.join(projectRoot, '.lighthouse', 'config.json');
-  if (fs.existsSync(configPath)) {
-    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const projectConfig = new ProjectConfig(projectRoot);
+  let previous;
+  try {
+    previous = projectConfig.read();
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}`));
+    console.error(chalk.dim('Fix or delete the file, then run gl init again.\n'));
+    process.exit(1);
+  }
+
+  if (fs.existsSync(projectConfig.path)) {
     if (!options.yes) {
       const { overwrite } = await inquirer.prompt([
         {
@@ -281,14 +298,16 @@ async function init(options) {
     }
   }
 
-  // Update config with selected IDEs
+  // Update config with selected IDEs; a re-init keeps everything else (audit, ignore, thirdParty, ...)
   const config = {
+    ...previous,
     version: '1.0.0',
-    created: new Date().toISOString(),
+    created: previous.created || new Date().toISOString(),
     updated: new Date().toISOString(),
-    ides: selectedIDEs
+    ides: selectedIDEs,
+    audit: previous.audit || DEFAULT_AUDIT_CONFIG
   };
-  writeFile(configPath, JSON.stringify(config, null, 2));
+  projectConfig.write(config);
 
   // Show success message
   showSuccess(selectedIDEs, projectRoot);
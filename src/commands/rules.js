@@ -0,0 +1,100 @@
+/**
+ * gl rules command
+ *
+ * Lists the fix rules (built-in and from .lighthouse/rules/) and, given a
+ * report, which of its failing audits they cover.
+ */
+
+const chalk = require('chalk');
+const path = require('path');
+const fs = require('fs');
+
+const FixGenerator = require('../lib/fix-generator');
+const ReportLoader = require('../lib/report-loader');
+const RuleRegistry = require('../lib/rule-registry');
+
+/**
+ * Print rules and coverage to the terminal
+ */
+function printRules(rules, coverage, reportPath) {
+  console.log('\n' + chalk.cyan.bold('📏 Fix Rules\n'));
+
+  for (const rule of rules) {
+    const threshold = rule.manual
+      ? chalk.dim(' (manual)')
+      : rule.threshold !== RuleRegistry.DEFAULT_THRESHOLD ? chalk.dim(` (below ${rule.threshold})`) : '';
+    const source = rule.source !== 'built-in'
+      ? chalk.magenta(` ${rule.source}`) + (rule.replaces ? chalk.dim(` replaces ${rule.replaces}`) : '')
+      : '';
+    console.log(`  ${chalk.bold(rule.id.padEnd(26))} ${rule.audits.join(', ')}${threshold}${source}`);
+  }
+
+  const custom = rules.filter(rule => rule.source !== 'built-in').length;
+  console.log(chalk.dim(`\n  ${rules.length} rule(s), ${custom} from .lighthouse/rules/`));
+
+  if (!coverage) {
+    console.log(chalk.dim('  Pass a report to see which of its failing audits have no rule.\n'));
+    return;
+  }
+
+  console.log('\n' + chalk.bold(`Coverage for ${ReportLoader.describe(reportPath)}`));
+  console.log(chalk.dim('─'.repeat(40)));
+
+  for (const audit of coverage) {
+    const score = chalk.dim(`(${Math.round(audit.score * 100)})`);
+    if (audit.rules.length > 0) {
+      console.log(`  ${chalk.green('✓')} ${audit.id} ${score} ${chalk.dim('→ ' + audit.rules.join(', '))}`);
+    } else {
+      console.log(`  ${chalk.red('✗')} ${audit.id} ${score} ${chalk.dim(audit.category)}`);
+    }
+  }
+
+  const covered = coverage.filter(audit => audit.rules.length > 0).length;
+  console.log(chalk.bold(`\n  ${covered} of ${coverage.length} failing audit(s) covered\n`));
+}
+
+/**
+ * gl rules list [report]
+ */
+async function list(report, options) {
+  let reportPath = report;
+  if (!reportPath) {
+    const defaultPath = path.join(process.cwd(), '.lighthouse', 'reports', 'latest.json');
+    if (fs.existsSync(defaultPath)) {
+      reportPath = defaultPath;
+    }
+  }
+
+  if (reportPath && !ReportLoader.exists(reportPath)) {
+    console.error(chalk.red(`Error: Lighthouse report not found: ${reportPath}`));
+    process.exit(1);
+  }
+
+  try {
+    const registry = FixGenerator.createRegistry(process.cwd());
+    const rules = registry.getRules();
+    const coverage = reportPath ? registry.getCoverage(ReportLoader.load(reportPath)) : null;
+
+    if (options.format === 'json') {
+      console.log(JSON.stringify({
+        rules: rules.map(rule => ({
+          id: rule.id,
+          audits: rule.audits,
+          threshold: rule.threshold,
+          manual: rule.manual,
+          source: rule.source,
+          replaces: rule.replaces || null
+        })),
+        coverage
+      }, null, 2));
+      return;
+    }
+
+    printRules(rules, coverage, reportPath);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+}
+
+module.exports = { list };
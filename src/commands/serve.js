@@ -0,0 +1,59 @@
+/**
+ * gl serve command
+ *
+ * Serves a local dashboard over `.lighthouse/`: reports with their analysis
+ * and fixes, side-by-side comparisons and per-URL metric history.
+ */
+
+const chalk = require('chalk');
+const path = require('path');
+const fs = require('fs');
+
+const DashboardServer = require('../lib/dashboard');
+
+/**
+ * Main serve function; runs until interrupted
+ */
+async function serve(options) {
+  const projectRoot = process.cwd();
+  const port = parseInt(options.port, 10);
+
+  if (Number.isNaN(port) || port < 0 || port > 65535) {
+    console.error(chalk.red(`Error: Invalid port "${options.port}"`));
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(path.join(projectRoot, '.lighthouse'))) {
+    console.log(chalk.yellow('No .lighthouse directory here yet; the dashboard will be empty until reports are saved.'));
+  }
+
+  const dashboard = new DashboardServer(projectRoot);
+
+  let server;
+  try {
+    server = await dashboard.listen(port, options.host);
+  } catch (error) {
+    const reason = error.code === 'EADDRINUSE' ? `port ${port} is already in use (try --port)` : error.message;
+    console.error(chalk.red(`Error: Could not start the dashboard: ${reason}`));
+    process.exit(1);
+  }
+
+  const address = server.address();
+  const host = ['0.0.0.0', '::'].includes(address.address) ? 'localhost' : address.address;
+  const url = `http://${host.includes(':') ? `[${host}]` : host}:${address.port}/`;
+
+  console.log('\n' + chalk.cyan.bold('📊 Lighthouse Dashboard'));
+  console.log(`  ${chalk.bold(url)}`);
+  console.log(chalk.dim(`  Serving ${path.join(projectRoot, '.lighthouse')}`));
+  if (host !== address.address) {
+    console.log(chalk.yellow(`  Listening on ${address.address}: reachable from other machines on the network`));
+  }
+  console.log(chalk.dim('  Press Ctrl+C to stop\n'));
+
+  process.on('SIGINT', () => {
+    server.close();
+    process.exit(0);
+  });
+}
+
+module.exports = serve;
@@ -0,0 +1,91 @@
+/**
+ * gl trend command
+ *
+ * Shows per-URL score and metric trends from the report history.
+ */
+
+const chalk = require('chalk');
+const path = require('path');
+const fs = require('fs');
+
+const ReportHistory = require('../lib/history');
+
+/**
+ * Print trends to the terminal with sparklines
+ */
+function printTrends(history, series) {
+  console.log('\n' + chalk.cyan.bold('📈 Lighthouse Trends\n'));
+
+  for (const [url, entries] of Object.entries(series)) {
+    const trends = history.getTrends(entries);
+
+    console.log(chalk.bold(url));
+    console.log(chalk.dim('─'.repeat(40)));
+    console.log(chalk.dim(`  ${entries.length} run(s), ${new Date(entries[0].fetchTime).toLocaleDateString()} → ${new Date(entries[entries.length - 1].fetchTime).toLocaleDateString()}`));
+
+    for (const [key, t] of Object.entries(trends.scores)) {
+      // Higher scores are better
+      const color = t.delta > 0 ? 'green' : t.delta < 0 ? 'red' : 'gray';
+      const delta = (t.delta > 0 ? '+' : '') + t.delta;
+      console.log(`  ${key.padEnd(18)} ${chalk.cyan(t.sparkline.padEnd(20))} ${String(t.first).padStart(3)} → ${String(t.last).padStart(3)}  ${chalk[color](delta)}`);
+    }
+
+    for (const [key, t] of Object.entries(trends.metrics)) {
+      // Lower metric values are better
+      const color = t.delta < 0 ? 'green' : t.delta > 0 ? 'red' : 'gray';
+      const label = ReportHistory.METRIC_LABELS[key] || key;
+      const first = history.formatMetric(key, t.first).padStart(8);
+      const last = history.formatMetric(key, t.last).padStart(8);
+      console.log(`  ${label.padEnd(18)} ${chalk.cyan(t.sparkline.padEnd(20))} ${first} → ${last}  ${chalk[color](t.delta > 0 ? '▲' : t.delta < 0 ? '▼' : '=')}`);
+    }
+
+    console.log();
+  }
+}
+
+/**
+ * Main trend function
+ */
+async function trend(options) {
+  const format = options.format || 'terminal';
+  if (!['terminal', 'markdown', 'json'].includes(format)) {
+    console.error(chalk.red(`Error: Unknown format "${format}" (use terminal, markdown or json)`));
+    process.exit(1);
+  }
+
+  const history = new ReportHistory(process.cwd());
+  const series = history.getSeries({
+    url: options.url,
+    since: options.since,
+    limit: options.limit ? parseInt(options.limit, 10) : null
+  });
+
+  if (format === 'terminal') {
+    if (Object.keys(series).length === 0) {
+      console.log(chalk.yellow('\nNo history recorded yet.'));
+      console.log(chalk.dim('Run: gl analyze <report> to start recording\n'));
+      return;
+    }
+    printTrends(history, series);
+    return;
+  }
+
+  const content = format === 'json'
+    ? JSON.stringify(Object.fromEntries(
+      Object.entries(series).map(([url, entries]) => [url, { entries, trends: history.getTrends(entries) }])
+    ), null, 2)
+    : history.formatMarkdown(series);
+
+  if (options.output) {
+    const outputDir = path.dirname(options.output);
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+    fs.writeFileSync(options.output, content);
+    console.log(chalk.dim(`\nTrends saved to: ${options.output}\n`));
+  } else {
+    console.log(content);
+  }
+}
+
+module.exports = trend;
@@ -0,0 +1,37 @@
+/* Lighthouse Dashboard (served by `gl serve`): report filter and compare selection */
+
+(function () {
+  const filter = document.querySelector('[data-filter]');
+  if (filter) {
+    const rows = document.querySelectorAll('#' + filter.dataset.filter + ' tbody tr');
+    filter.addEventListener('input', () => {
+      const query = filter.value.trim().toLowerCase();
+      rows.forEach(row => {
+        row.hidden = query !== '' && !row.dataset.search.includes(query);
+      });
+    });
+  }
+
+  // Two ticked reports fill the compare form, older one as the base
+  const form = document.querySelector('[data-compare]');
+  if (form) {
+    const button = form.querySelector('[data-compare-button]');
+    const boxes = Array.from(document.querySelectorAll('#reports input[type="checkbox"]'));
+
+    const update = () => {
+      const checked = boxes.filter(box => box.checked)
+        .sort((a, b) => a.dataset.fetched.localeCompare(b.dataset.fetched));
+      button.disabled = checked.length !== 2;
+      boxes.forEach(box => {
+        box.disabled = !box.checked && checked.length >= 2;
+      });
+      if (checked.length === 2) {
+        form.elements.base.value = checked[0].value;
+        form.elements.head.value = checked[1].value;
+      }
+    };
+
+    boxes.forEach(box => box.addEventListener('change', update));
+    update();
+  }
+})();
@@ -0,0 +1,358 @@
+/**
+ * Accessibility Fixer
+ *
+ * Rewrites the offending node snippet of an axe-based accessibility audit
+ * into a corrected one: adds the missing name, label or attribute, drops
+ * invalid ARIA, wraps stray list items and adds caption tracks. Only the
+ * opening tag of a snippet is edited; its children are left as they are.
+ */
+
+const HtmlSnippet = require('./html-snippet');
+
+const AUDITS = {
+  'image-alt': { title: 'Add Alt Text to Images', priority: 'high', fix: 'fixImageAlt', impact: 'Accessibility and SEO' },
+  'input-image-alt': { title: 'Add Alt Text to Image Buttons', priority: 'high', fix: 'fixImageAlt' },
+  'label': { title: 'Label Form Fields', priority: 'high', fix: 'fixLabel' },
+  'button-name': { title: 'Give Buttons an Accessible Name', priority: 'high', fix: 'fixAccessibleName' },
+  'link-name': { title: 'Give Links an Accessible Name', priority: 'high', fix: 'fixAccessibleName' },
+  'html-has-lang': { title: 'Set the Page Language', priority: 'medium', fix: 'fixLang', page: true },
+  'html-lang-valid': { title: 'Use a Valid Page Language', priority: 'medium', fix: 'fixLang', page: true },
+  'document-title': { title: 'Add a Document Title', priority: 'high', fix: 'fixDocumentTitle', page: true, impact: 'Accessibility and SEO' },
+  'tabindex': { title: 'Remove Positive tabindex Values', priority: 'medium', fix: 'fixTabindex' },
+  'duplicate-id-aria': { title: 'Make ARIA-Referenced IDs Unique', priority: 'medium', fix: 'fixDuplicateId' },
+  'list': { title: 'Fix List Structure', priority: 'low', fix: 'fixList' },
+  'listitem': { title: 'Wrap List Items in a List', priority: 'low', fix: 'fixListItem' },
+  'target-size': { title: 'Enlarge Touch Targets', priority: 'medium', fix: 'fixTargetSize' },
+  'frame-title': { title: 'Add Titles to Frames', priority: 'medium', fix: 'fixFrameTitle' },
+  'video-caption': { title: 'Add Captions to Videos', priority: 'medium', fix: 'fixVideoCaption' },
+  'aria-allowed-attr': { title: 'Remove ARIA Attributes Not Allowed on the Role', priority: 'medium', fix: 'fixAria' },
+  'aria-conditional-attr': { title: 'Remove Unsupported ARIA Attributes', priority: 'medium', fix: 'fixAria' },
+  'aria-prohibited-attr': { title: 'Remove Prohibited ARIA Attributes', priority: 'medium', fix: 'fixAria' },
+  'aria-valid-attr': { title: 'Fix Misspelled ARIA Attributes', priority: 'medium', fix: 'fixAria' },
+  'aria-valid-attr-value': { title: 'Fix Invalid ARIA Attribute Values', priority: 'medium', fix: 'fixAria' },
+  'aria-required-attr': { title: 'Add Required ARIA Attributes', priority: 'medium', fix: 'fixAria' },
+  'aria-roles': { title: 'Use Valid ARIA Roles', priority: 'medium', fix: 'fixAria' },
+  'aria-allowed-role': { title: 'Remove ARIA Roles Not Allowed on the Element', priority: 'low', fix: 'fixAria' },
+  'aria-deprecated-role': { title: 'Replace Deprecated ARIA Roles', priority: 'low', fix: 'fixAria' },
+  'aria-required-children': { title: 'Add Required Children to ARIA Roles', priority: 'medium', fix: 'fixAria' },
+  'aria-required-parent': { title: 'Place ARIA Roles in Their Required Parent', priority: 'medium', fix: 'fixAria' },
+  'aria-text': { title: 'Remove Focusable Content from role="text"', priority: 'low', fix: 'fixAria' },
+  'aria-hidden-body': { title: 'Remove aria-hidden from <body>', priority: 'high', fix: 'fixAriaHidden' },
+  'aria-hidden-focus': { title: 'Keep Focus Out of aria-hidden Content', priority: 'medium', fix: 'fixAriaHidden' },
+  'aria-command-name': { title: 'Name ARIA Buttons, Links and Menu Items', priority: 'medium', fix: 'fixAccessibleName' },
+  'aria-dialog-name': { title: 'Name ARIA Dialogs', priority: 'medium', fix: 'fixAccessibleName' },
+  'aria-input-field-name': { title: 'Name ARIA Input Fields', priority: 'medium', fix: 'fixAccessibleName' },
+  'aria-meter-name': { title: 'Name ARIA Meters', priority: 'low', fix: 'fixAccessibleName' },
+  'aria-progressbar-name': { title: 'Name ARIA Progress Bars', priority: 'low', fix: 'fixAccessibleName' },
+  'aria-toggle-field-name': { title: 'Name ARIA Toggle Fields', priority: 'medium', fix: 'fixAccessibleName' },
+  'aria-tooltip-name': { title: 'Name ARIA Tooltips', priority: 'low', fix: 'fixAccessibleName' },
+  'aria-treeitem-name': { title: 'Name ARIA Tree Items', priority: 'low', fix: 'fixAccessibleName' }
+};
+
+const ARIA_ATTRIBUTES = [
+  'aria-activedescendant', 'aria-atomic', 'aria-autocomplete', 'aria-braillelabel', 'aria-brailleroledescription',
+  'aria-busy', 'aria-checked', 'aria-colcount', 'aria-colindex', 'aria-colindextext', 'aria-colspan', 'aria-controls',
+  'aria-current', 'aria-describedby', 'aria-description', 'aria-details', 'aria-disabled', 'aria-dropeffect',
+  'aria-errormessage', 'aria-expanded', 'aria-flowto', 'aria-grabbed', 'aria-haspopup', 'aria-hidden', 'aria-invalid',
+  'aria-keyshortcuts', 'aria-label', 'aria-labelledby', 'aria-level', 'aria-live', 'aria-modal', 'aria-multiline',
+  'aria-multiselectable', 'aria-orientation', 'aria-owns', 'aria-placeholder', 'aria-posinset', 'aria-pressed',
+  'aria-readonly', 'aria-relevant', 'aria-required', 'aria-roledescription', 'aria-rowcount', 'aria-rowindex',
+  'aria-rowindextext', 'aria-rowspan', 'aria-selected', 'aria-setsize', 'aria-sort', 'aria-valuemax', 'aria-valuemin',
+  'aria-valuenow', 'aria-valuetext'
+];
+
+const ARIA_ROLES = [
+  'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell', 'checkbox',
+  'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion', 'dialog', 'document',
+  'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link',
+  'list', 'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox',
+  'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio',
+  'radiogroup', 'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider',
+  'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term',
+  'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+];
+
+// Placeholder values for attributes a role requires
+const REQUIRED_DEFAULTS = {
+  'aria-checked': 'false',
+  'aria-controls': 'TODO-id',
+  'aria-expanded': 'false',
+  'aria-level': '2',
+  'aria-selected': 'false',
+  'aria-valuenow': '0',
+  'aria-valuemin': '0',
+  'aria-valuemax': '100'
+};
+
+const BOOLEAN_ATTRIBUTES = [
+  'aria-atomic', 'aria-busy', 'aria-disabled', 'aria-expanded', 'aria-hidden', 'aria-modal', 'aria-multiline',
+  'aria-multiselectable', 'aria-readonly', 'aria-required', 'aria-selected', 'aria-checked', 'aria-pressed'
+];
+
+const FOCUSABLE_TAGS = ['a', 'button', 'input', 'select', 'textarea', 'summary'];
+const MIN_TARGET_PX = 24;
+
+class AccessibilityFixer {
+  constructor(options = {}) {
+    this.lang = options.lang || 'en';
+    this.url = options.url || null;
+    // Occurrences of each duplicate id seen so far, so every copy gets its own suffix
+    this.idOccurrences = new Map();
+  }
+
+  /**
+   * The snippet before and after the fix, plus a note for what can't be automated;
+   * `after` is null when the fix needs a human
+   */
+  fixNode(auditId, node) {
+    const audit = AUDITS[auditId];
+    if (!audit) return null;
+
+    const before = node?.snippet || '';
+    const result = this[audit.fix](before, node || {}, auditId);
+
+    return { before, after: result.after, note: result.note || null };
+  }
+
+  fixImageAlt(snippet, node) {
+    const src = HtmlSnippet.getAttribute(snippet, 'src');
+    const alt = HtmlSnippet.describeUrl(src) || 'TODO: describe the image';
+
+    return {
+      after: HtmlSnippet.setAttribute(snippet, 'alt', alt),
+      note: 'Describe what the image shows; use alt="" if it is purely decorative'
+    };
+  }
+
+  fixLabel(snippet, node) {
+    const text = HtmlSnippet.humanize(HtmlSnippet.getAttribute(snippet, 'placeholder') || HtmlSnippet.getAttribute(snippet, 'name') ||
+      HtmlSnippet.getAttribute(snippet, 'id')) || 'TODO: label';
+    const id = HtmlSnippet.getAttribute(snippet, 'id') || HtmlSnippet.slugify(HtmlSnippet.getAttribute(snippet, 'name'));
+
+    // Without an id or name there is nothing for a <label for> to point at
+    if (!id) {
+      return { after: HtmlSnippet.setAttribute(snippet, 'aria-label', text) };
+    }
+
+    const input = HtmlSnippet.getAttribute(snippet, 'id') ? snippet : HtmlSnippet.setAttribute(snippet, 'id', id);
+    return {
+      after: `<label for="${id}">${text}</label>\n${input}`,
+      note: 'A placeholder is not a label; keep a visible <label> where the design allows'
+    };
+  }
+
+  fixAccessibleName(snippet, node) {
+    const tag = HtmlSnippet.getTagName(snippet);
+    const name = HtmlSnippet.humanize(
+      HtmlSnippet.getAttribute(snippet, 'title') ||
+      HtmlSnippet.lastPathSegment(HtmlSnippet.getAttribute(snippet, 'href')) ||
+      HtmlSnippet.getAttribute(snippet, 'id') ||
+      (HtmlSnippet.getAttribute(snippet, 'class') || '').split(/\s+/)[0]
+    ) || 'TODO: name';
+
+    // An image-only link or button is named through the image's alt text
+    if (/<img\b(?![^>]*\balt=)[^>]*>/i.test(snippet)) {
+      return {
+        after: snippet.replace(/<img\b(?![^>]*\balt=)([^>]*?)(\s*\/?)>/i, `<img$1 alt="${name}"$2>`),
+        note: `Name the ${tag === 'a' ? 'link after where it goes' : 'button after what it does'}, not what the image shows`
+      };
+    }
+
+    return {
+      after: HtmlSnippet.setAttribute(snippet, 'aria-label', name),
+      note: 'Visible text inside the element works too and is preferred when there is room for it'
+    };
+  }
+
+  fixLang(snippet) {
+    const html = snippet || '<html>';
+    return { after: HtmlSnippet.setAttribute(html, 'lang', this.lang) };
+  }
+
+  fixDocumentTitle() {
+    let site = 'Site name';
+    let page = 'Page title';
+    try {
+      const url = new URL(this.url);
+      site = url.hostname.replace(/^www\./, '');
+      page = HtmlSnippet.humanize(HtmlSnippet.lastPathSegment(url.pathname)) || 'Home';
+    } catch (error) {
+      // Keep the placeholders
+    }
+
+    return {
+      after: `<head>\n  <title>${page} | ${site}</title>\n</head>`,
+      note: 'Give each page a unique title that starts with its own topic'
+    };
+  }
+
+  fixTabindex(snippet) {
+    const tag = HtmlSnippet.getTagName(snippet);
+
+    // Natively focusable elements need no tabindex at all
+    if (FOCUSABLE_TAGS.includes(tag)) {
+      return { after: HtmlSnippet.removeAttribute(snippet, 'tabindex') };
+    }
+
+    return {
+      after: HtmlSnippet.setAttribute(snippet, 'tabindex', '0'),
+      note: 'Change the DOM order instead if the element should be reached earlier'
+    };
+  }
+
+  fixDuplicateId(snippet) {
+    const id = HtmlSnippet.getAttribute(snippet, 'id');
+    if (!id) return { after: null, note: 'Give each element referenced by ARIA a unique id' };
+
+    const occurrence = (this.idOccurrences.get(id) || 0) + 1;
+    this.idOccurrences.set(id, occurrence);
+    if (occurrence === 1) {
+      return { after: snippet, note: `Keep id="${id}" here; the other elements with it are renamed` };
+    }
+
+    return {
+      after: HtmlSnippet.setAttribute(snippet, 'id', `${id}-${occurrence}`),
+      note: 'Update the aria-labelledby, aria-describedby or for attributes that should point at this element'
+    };
+  }
+
+  fixList(snippet, node) {
+    const tag = HtmlSnippet.getTagName(snippet) || 'ul';
+    const open = HtmlSnippet.getOpeningTag(snippet) || `<${tag}>`;
+    const match = /not allowed:\s*([\w\s,[\]=-]+)/i.exec(node.explanation || '');
+    const children = match
+      ? match[1].split(',').map(child => child.trim().replace(/\[.*$/, '')).filter(Boolean)
+      : ['div'];
+
+    const items = children.map(child => `  <li><${child}>…</${child}></li>`).join('\n');
+    return {
+      after: `${open}\n${items}\n</${tag}>`,
+      note: `Only <li>, <script> and <template> may be direct children of <${tag}>`
+    };
+  }
+
+  fixListItem(snippet) {
+    return {
+      after: `<ul>\n  ${snippet}\n</ul>`,
+      note: 'Use <ol> instead if the order of the items matters'
+    };
+  }
+
+  fixTargetSize(snippet, node) {
+    const size = /\((\d+(?:\.\d+)?)px by (\d+(?:\.\d+)?)px/.exec(node.explanation || '');
+    const declarations = `min-width: ${MIN_TARGET_PX}px; min-height: ${MIN_TARGET_PX}px`;
+    const style = HtmlSnippet.getAttribute(snippet, 'style');
+
+    return {
+      after: HtmlSnippet.setAttribute(snippet, 'style', style ? style.replace(/;?\s*$/, '; ') + declarations : declarations),
+      note: (size ? `Currently ${size[1]}x${size[2]}px. ` : '') +
+        `Move the rule into your stylesheet, or space targets at least ${MIN_TARGET_PX}px apart`
+    };
+  }
+
+  fixFrameTitle(snippet) {
+    const src = HtmlSnippet.getAttribute(snippet, 'src');
+    let title = 'TODO: describe the frame';
+    try {
+      title = 'Embedded content from ' + new URL(src, this.url || undefined).hostname.replace(/^www\./, '');
+    } catch (error) {
+      // Keep the placeholder
+    }
+
+    return { after: HtmlSnippet.setAttribute(snippet, 'title', title), note: 'Say what the frame contains, e.g. "Store location map"' };
+  }
+
+  fixVideoCaption(snippet) {
+    const track = `<track kind="captions" src="captions.${this.lang}.vtt" srclang="${this.lang}" label="${this.lang.toUpperCase()}" default>`;
+    const open = HtmlSnippet.getOpeningTag(snippet) || '<video>';
+
+    const after = /<\/video>/i.test(snippet)
+      ? snippet.replace(/<\/video>/i, `  ${track}\n</video>`)
+      : `${open}\n  ${track}\n</video>`;
+
+    return { after, note: 'Write the WebVTT file from the video transcript' };
+  }
+
+  fixAriaHidden(snippet, node, auditId) {
+    if (auditId === 'aria-hidden-body') {
+      return { after: HtmlSnippet.removeAttribute(snippet, 'aria-hidden') };
+    }
+
+    return {
+      after: HtmlSnippet.setAttribute(snippet, 'tabindex', '-1'),
+      note: 'Do the same for focusable descendants, or use the inert attribute on the container'
+    };
+  }
+
+  /**
+   * ARIA validity rules, driven by the attribute or role axe names in its explanation
+   */
+  fixAria(snippet, node, auditId) {
+    const explanation = node.explanation || '';
+    const mentioned = (explanation.match(/aria-[a-z]+/g) || []).filter((attr, i, all) => all.indexOf(attr) === i);
+    let after = snippet;
+
+    switch (auditId) {
+      case 'aria-allowed-attr':
+      case 'aria-conditional-attr':
+      case 'aria-prohibited-attr':
+        for (const attr of mentioned) after = HtmlSnippet.removeAttribute(after, attr);
+        break;
+
+      case 'aria-valid-attr':
+        for (const attr of mentioned.filter(a => !ARIA_ATTRIBUTES.includes(a))) {
+          const value = HtmlSnippet.getAttribute(after, attr);
+          const closest = HtmlSnippet.closest(attr, ARIA_ATTRIBUTES);
+          after = HtmlSnippet.removeAttribute(after, attr);
+          if (closest) after = HtmlSnippet.setAttribute(after, closest, value || '');
+        }
+        break;
+
+      case 'aria-valid-attr-value':
+        for (const attr of mentioned.filter(a => BOOLEAN_ATTRIBUTES.includes(a))) {
+          const value = (HtmlSnippet.getAttribute(after, attr) || '').toLowerCase();
+          after = HtmlSnippet.setAttribute(after, attr, ['true', 'yes', '1', 'on', attr].includes(value) ? 'true' : 'false');
+        }
+        break;
+
+      case 'aria-required-attr':
+        for (const attr of mentioned.filter(a => HtmlSnippet.getAttribute(snippet, a) === null)) {
+          after = HtmlSnippet.setAttribute(after, attr, REQUIRED_DEFAULTS[attr] || 'TODO');
+        }
+        break;
+
+      case 'aria-roles': {
+        const role = HtmlSnippet.getAttribute(snippet, 'role');
+        const valid = (role || '').split(/\s+/).find(r => ARIA_ROLES.includes(r)) || HtmlSnippet.closest(role || '', ARIA_ROLES);
+        after = valid ? HtmlSnippet.setAttribute(after, 'role', valid) : HtmlSnippet.removeAttribute(after, 'role');
+        break;
+      }
+
+      case 'aria-allowed-role':
+      case 'aria-deprecated-role':
+        after = HtmlSnippet.removeAttribute(after, 'role');
+        break;
+
+      default:
+        after = null;
+    }
+
+    if (after === snippet) after = null;
+
+    return { after, note: after ? null : this.summarize(explanation) || 'Fix the role structure by hand' };
+  }
+
+  /**
+   * First actionable line of an axe explanation ("Fix any of the following: ...")
+   */
+  summarize(explanation) {
+    return (explanation || '')
+      .split('\n')
+      .map(line => line.trim())
+      .find(line => line && !/^Fix (any|all) of the following/i.test(line)) || null;
+  }
+}
+
+AccessibilityFixer.AUDITS = AUDITS;
+
+module.exports = AccessibilityFixer;
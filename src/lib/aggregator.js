@@ -0,0 +1,219 @@
+/**
+ * Lighthouse Multi-Run Aggregator
+ *
+ * Combines several Lighthouse reports for the same URL into one aggregate.
+ * The representative run is chosen the way Lighthouse CI does it: the run
+ * closest to the median first-contentful-paint and interactive values.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ReportLoader = require('./report-loader');
+
+const METRIC_AUDITS = {
+  performance: null,
+  lcp: 'largest-contentful-paint',
+  fid: 'max-potential-fid',
+  cls: 'cumulative-layout-shift',
+  fcp: 'first-contentful-paint',
+  tbt: 'total-blocking-time',
+  si: 'speed-index'
+};
+
+class ReportAggregator {
+  constructor(reportPaths, options = {}) {
+    this.reportPaths = ReportAggregator.expandPaths(reportPaths);
+    this.options = {
+      // Relative spread ((max - min) / median) above which a metric is flagged
+      varianceThreshold: options.varianceThreshold ?? 0.25
+    };
+
+    this.runs = this.loadRuns();
+  }
+
+  /**
+   * True when the input refers to more than one report (several paths or a directory)
+   */
+  static isMultiRun(reportPath) {
+    if (Array.isArray(reportPath)) {
+      return reportPath.length > 1 || (reportPath.length === 1 && ReportAggregator.isDirectory(reportPath[0]));
+    }
+    return ReportAggregator.isDirectory(reportPath);
+  }
+
+  static isDirectory(filePath) {
+    try {
+      return fs.statSync(filePath).isDirectory();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Expand directories into the JSON reports they contain
+   */
+  static expandPaths(reportPaths) {
+    const paths = Array.isArray(reportPaths) ? reportPaths : [reportPaths];
+    const expanded = [];
+
+    for (const p of paths) {
+      if (ReportAggregator.isDirectory(p)) {
+        fs.readdirSync(p)
+          .filter(f => ReportLoader.isReportFile(f))
+          .sort()
+          .forEach(f => expanded.push(path.join(p, f)));
+      } else {
+        expanded.push(p);
+      }
+    }
+
+    return expanded;
+  }
+
+  loadRuns() {
+    const runs = [];
+    const seen = new Set();
+
+    for (const reportPath of this.reportPaths) {
+      const lhr = ReportLoader.load(reportPath);
+
+      // The same run saved twice (e.g. latest.json next to its timestamped copy)
+      const key = lhr.finalUrl + '|' + lhr.fetchTime;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      runs.push({ path: reportPath, lhr });
+    }
+
+    if (runs.length === 0) {
+      throw new Error('No Lighthouse reports found to aggregate');
+    }
+
+    const urls = new Set(runs.map(run => run.lhr.requestedUrl || run.lhr.finalUrl));
+    if (urls.size > 1) {
+      throw new Error(`Cannot aggregate reports for different URLs: ${[...urls].join(', ')}`);
+    }
+
+    return runs;
+  }
+
+  aggregate() {
+    const medianIndex = this.getMedianRunIndex();
+    const stats = this.getMetricStats();
+
+    return {
+      lhr: this.runs[medianIndex].lhr,
+      medianRunPath: this.runs[medianIndex].path,
+      runCount: this.runs.length,
+      runs: this.runs.map(run => ({
+        path: run.path,
+        fetchTime: run.lhr.fetchTime,
+        performance: this.getMetricValue(run.lhr, 'performance')
+      })),
+      stats,
+      warnings: this.getVarianceWarnings(stats)
+    };
+  }
+
+  /**
+   * Pick the run closest to the median FCP and TTI (Lighthouse CI's computeMedianRun)
+   */
+  getMedianRunIndex() {
+    const fcps = this.runs.map(run => this.getAuditValue(run.lhr, 'first-contentful-paint'));
+    const ttis = this.runs.map(run =>
+      this.getAuditValue(run.lhr, 'interactive') ?? this.getAuditValue(run.lhr, 'largest-contentful-paint')
+    );
+
+    const medianFcp = this.median(fcps.filter(v => v !== null));
+    const medianTti = this.median(ttis.filter(v => v !== null));
+
+    const distance = index => {
+      const fcp = fcps[index];
+      const tti = ttis[index];
+      if (fcp === null || tti === null || !medianFcp || !medianTti) return Infinity;
+      return Math.pow((fcp - medianFcp) / medianFcp, 2) + Math.pow((tti - medianTti) / medianTti, 2);
+    };
+
+    let best = 0;
+    for (let i = 1; i < this.runs.length; i++) {
+      if (distance(i) < distance(best)) best = i;
+    }
+    return best;
+  }
+
+  getMetricStats() {
+    const stats = {};
+
+    for (const key of Object.keys(METRIC_AUDITS)) {
+      const values = this.runs
+        .map(run => this.getMetricValue(run.lhr, key))
+        .filter(v => v !== null)
+        .sort((a, b) => a - b);
+
+      if (values.length === 0) continue;
+
+      const median = this.percentile(values, 50);
+      stats[key] = {
+        min: values[0],
+        median,
+        p75: this.percentile(values, 75),
+        max: values[values.length - 1],
+        spread: median ? (values[values.length - 1] - values[0]) / median : 0,
+        count: values.length
+      };
+    }
+
+    return stats;
+  }
+
+  getVarianceWarnings(stats) {
+    const warnings = [];
+
+    if (this.runs.length < 3) {
+      warnings.push(`Only ${this.runs.length} run(s) aggregated; use at least 3 for a stable median`);
+    }
+
+    for (const [key, stat] of Object.entries(stats)) {
+      if (stat.spread > this.options.varianceThreshold) {
+        warnings.push(`${key} varies by ${Math.round(stat.spread * 100)}% between runs (min ${this.round(stat.min)}, max ${this.round(stat.max)})`);
+      }
+    }
+
+    return warnings;
+  }
+
+  getMetricValue(lhr, key) {
+    if (key === 'performance') {
+      const score = lhr.categories?.performance?.score;
+      return score !== null && score !== undefined ? Math.round(score * 100) : null;
+    }
+    return this.getAuditValue(lhr, METRIC_AUDITS[key]);
+  }
+
+  getAuditValue(lhr, auditId) {
+    const value = lhr.audits?.[auditId]?.numericValue;
+    return typeof value === 'number' ? value : null;
+  }
+
+  median(values) {
+    return this.percentile([...values].sort((a, b) => a - b), 50);
+  }
+
+  /**
+   * Linear-interpolated percentile of an ascending array
+   */
+  percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
+  round(value) {
+    return value < 1 ? Number(value.toFixed(3)) : Math.round(value);
+  }
+}
+
+module.exports = ReportAggregator;
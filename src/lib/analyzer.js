@@ -4,7 +4,14 @@
  * Parses and analyzes Lighthouse JSON reports.
  */
 
-const fs = require('fs');
+const ReportAggregator = require('./aggregator');
+const ReportLoader = require('./report-loader');
+const HtmlReportRenderer = require('./html-report');
+const SarifReporter = require('./sarif');
+const JUnitReporter = require('./junit');
+const ThirdPartyReport = require('./third-party');
+const MainThreadAnalyzer = require('./main-thread');
+const LayoutShiftAnalyzer = require('./layout-shift');
 
 class LighthouseAnalyzer {
   constructor(reportPath, options = {}) {
@@ -12,19 +19,33 @@ class LighthouseAnalyzer {
     this.options = {
       category: options.category || null,
       minScore: options.minScore || 0.5,
-      verbose: options.verbose || false
+      verbose: options.verbose || false,
+      varianceThreshold: options.varianceThreshold,
+      // Vendors (entity names or hosts) the project has accepted the cost of
+      thirdPartyAllowlist: options.thirdPartyAllowlist || [],
+      // Audit IDs the project ignores (see ProjectConfig)
+      ignoredAudits: options.ignoredAudits || []
     };
 
-    this.lhr = this.loadReport();
+    this.aggregate = null;
+    // An already-loaded LHR (e.g. one step of a user flow) skips loading
+    this.lhr = options.lhr || this.loadReport();
   }
 
   loadReport() {
-    try {
-      const content = fs.readFileSync(this.reportPath, 'utf8');
-      return JSON.parse(content);
-    } catch (error) {
-      throw new Error(`Failed to load report: ${error.message}`);
+    // Several runs (or a directory of runs) are reduced to their median run
+    if (ReportAggregator.isMultiRun(this.reportPath)) {
+      this.aggregate = new ReportAggregator(this.reportPath, {
+        varianceThreshold: this.options.varianceThreshold
+      }).aggregate();
+      return this.aggregate.lhr;
     }
+
+    if (Array.isArray(this.reportPath)) {
+      this.reportPath = this.reportPath[0];
+    }
+
+    return ReportLoader.load(this.reportPath);
   }
 
   getSummary() {
@@ -73,6 +94,7 @@ class LighthouseAnalyzer {
     return auditRefs
       .map(ref => this.lhr.audits[ref.id])
       .filter(audit =>
+        !this.options.ignoredAudits.includes(audit.id) &&
         audit.score !== null &&
         audit.score < this.options.minScore &&
         audit.scoreDisplayMode !== 'manual' &&
@@ -84,6 +106,7 @@ class LighthouseAnalyzer {
     const opportunities = [];
 
     for (const audit of Object.values(this.lhr.audits)) {
+      if (this.options.ignoredAudits.includes(audit.id)) continue;
       if (audit.details && audit.details.type === 'opportunity' && audit.score < 1) {
         const wastedMs = audit.details.overallSavingsMs || 0;
         opportunities.push({
@@ -115,7 +138,8 @@ class LighthouseAnalyzer {
 
     for (const id of diagnosticIds) {
       const audit = this.lhr.audits[id];
-      if (audit && audit.score < 1) {
+      // Informative audits (score null) only count when they have something to show
+      if (audit && audit.score < 1 && (audit.score !== null || audit.displayValue)) {
         diagnostics.push({
           id: audit.id,
           title: audit.title,
@@ -129,6 +153,27 @@ class LighthouseAnalyzer {
     return diagnostics;
   }
 
+  /**
+   * Top scripts, task categories and long tasks, each tied back to TBT (see MainThreadAnalyzer)
+   */
+  getMainThreadDiagnostics() {
+    return new MainThreadAnalyzer(this.lhr).analyze();
+  }
+
+  /**
+   * Third-party cost per vendor, with facade candidates (see ThirdPartyReport)
+   */
+  getThirdPartyImpact() {
+    return new ThirdPartyReport(this.lhr, { allowlist: this.options.thirdPartyAllowlist }).analyze();
+  }
+
+  /**
+   * Shifting elements behind CLS, each with its likely cause (see LayoutShiftAnalyzer)
+   */
+  getLayoutShifts() {
+    return new LayoutShiftAnalyzer(this.lhr).analyze();
+  }
+
   getCoreWebVitals() {
     const vitals = {
       lcp: this.lhr.audits['largest-contentful-paint'],
@@ -171,6 +216,10 @@ class LighthouseAnalyzer {
     output += `- **Timestamp**: ${new Date(summary.timestamp).toISOString()}\n`;
     output += `- **Lighthouse Version**: ${summary.version}\n\n`;
 
+    if (this.aggregate) {
+      output += this.formatAggregateMarkdown();
+    }
+
     output += '## Category Scores\n\n';
     for (const [id, score] of Object.entries(summary.scores)) {
       const displayScore = score.score !== null ? score.score : 'N/A';
@@ -197,6 +246,27 @@ class LighthouseAnalyzer {
       }
     }
 
+    const diagnostics = this.getDiagnostics();
+    const mainThread = this.getMainThreadDiagnostics();
+    if (diagnostics.length > 0 || mainThread.scripts.length > 0) {
+      output += '## Diagnostics\n\n';
+      for (const diagnostic of diagnostics) {
+        output += `- **${diagnostic.title}**: ${diagnostic.displayValue || Math.round(diagnostic.score * 100)}\n`;
+      }
+      if (diagnostics.length > 0) output += '\n';
+      output += new MainThreadAnalyzer(this.lhr).formatMarkdown(mainThread);
+    }
+
+    const thirdParty = this.getThirdPartyImpact();
+    if (thirdParty.entities.length > 0) {
+      output += this.formatThirdPartyMarkdown(thirdParty);
+    }
+
+    const layoutShifts = this.getLayoutShifts();
+    if (layoutShifts.elements.length > 0) {
+      output += new LayoutShiftAnalyzer(this.lhr).formatMarkdown(layoutShifts);
+    }
+
     const failedAudits = this.getFailedAudits(this.options.category);
     if (failedAudits.length > 0) {
       output += '## Failed Audits\n\n';
@@ -210,6 +280,59 @@ class LighthouseAnalyzer {
     return output;
   }
 
+  formatHtml() {
+    return new HtmlReportRenderer(this).render();
+  }
+
+  formatSarif(fixes = []) {
+    return new SarifReporter(this, { fixes }).format();
+  }
+
+  formatJUnit() {
+    return new JUnitReporter(this).format();
+  }
+
+  formatAggregateMarkdown() {
+    const { runCount, medianRunPath, stats, warnings } = this.aggregate;
+
+    let output = '## Run Variability\n\n';
+    output += `Aggregated ${runCount} runs; median run: \`${medianRunPath}\`\n\n`;
+    output += '| Metric | Min | Median | p75 | Max |\n';
+    output += '|--------|-----|--------|-----|-----|\n';
+    for (const [key, stat] of Object.entries(stats)) {
+      const fmt = value => key === 'cls' ? value.toFixed(3) : Math.round(value);
+      output += `| ${key} | ${fmt(stat.min)} | ${fmt(stat.median)} | ${fmt(stat.p75)} | ${fmt(stat.max)} |\n`;
+    }
+    output += '\n';
+
+    for (const warning of warnings) {
+      output += `> ⚠️ ${warning}\n`;
+    }
+    if (warnings.length > 0) output += '\n';
+
+    return output;
+  }
+
+  formatThirdPartyMarkdown({ entities, facades, totals }) {
+    let output = '## Third-Party Impact\n\n';
+    output += `${totals.entities} vendors: ${Math.round(totals.transferSize / 1024)} KB, ` +
+      `${totals.mainThreadMs}ms main thread, ${totals.blockingMs}ms blocking` +
+      (totals.accepted > 0 ? ` (excluding ${totals.accepted} accepted)` : '') + '\n\n';
+    output += new ThirdPartyReport(this.lhr).formatTable(entities) + '\n';
+
+    const candidates = facades.filter(facade => !facade.accepted);
+    if (candidates.length > 0) {
+      output += '### Facade Candidates\n\n';
+      for (const facade of candidates) {
+        output += `- **${facade.name}** (${facade.entity}): ${Math.round(facade.transferSize / 1024)} KB, ` +
+          `${facade.blockingMs}ms blocking; replace with ${facade.facade}\n`;
+      }
+      output += '\n';
+    }
+
+    return output;
+  }
+
   getScoreEmoji(score) {
     if (score === null) return '⚪';
     if (score >= 0.9) return '🟢';
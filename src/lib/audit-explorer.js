@@ -0,0 +1,224 @@
+/**
+ * Audit Explorer
+ *
+ * The data behind `gl explore`: categories with their failing audit counts,
+ * the audits of a category in triage order, `details.items` as pages of
+ * plain-text rows, and the FixGenerator fixes for a single audit. Ignored
+ * audits (see ProjectConfig) stay listed but are marked and not counted.
+ */
+
+const FixGenerator = require('./fix-generator');
+const RuleRegistry = require('./rule-registry');
+const StackDetector = require('./stack-detector');
+
+const STATUS_ORDER = { fail: 0, average: 1, info: 2, pass: 3, na: 4 };
+
+class AuditExplorer {
+  constructor(lhr, options = {}) {
+    this.lhr = lhr;
+    this.ignoredAudits = options.ignoredAudits || [];
+    this.registry = options.registry || FixGenerator.createRegistry(process.cwd());
+    this.stack = options.stack || null;
+  }
+
+  getCategories() {
+    return Object.entries(this.lhr.categories).map(([id, category]) => {
+      const audits = this.getAudits(id, { showPassing: true });
+      return {
+        id: id,
+        title: category.title,
+        score: category.score !== null ? Math.round(category.score * 100) : null,
+        failing: audits.filter(audit => !audit.ignored && ['fail', 'average'].includes(audit.status)).length,
+        ignored: audits.filter(audit => audit.ignored).length
+      };
+    });
+  }
+
+  /**
+   * A category's audits: failing first (lowest score, then highest weight),
+   * then informative ones with items; passing and n/a only when asked for
+   */
+  getAudits(categoryId, options = {}) {
+    const category = this.lhr.categories[categoryId];
+    if (!category) return [];
+
+    return category.auditRefs
+      .map(ref => ({ ref, audit: this.lhr.audits[ref.id] }))
+      .filter(({ audit }) => audit)
+      .map(({ ref, audit }) => ({
+        id: audit.id,
+        title: audit.title,
+        score: audit.score,
+        displayValue: audit.displayValue || '',
+        status: this.getStatus(audit),
+        weight: ref.weight || 0,
+        group: ref.group || null,
+        itemCount: this.getItems(audit).length,
+        ignored: this.ignoredAudits.includes(audit.id)
+      }))
+      .filter(audit => options.showPassing || ['fail', 'average'].includes(audit.status) || (audit.status === 'info' && audit.itemCount > 0))
+      .sort((a, b) =>
+        STATUS_ORDER[a.status] - STATUS_ORDER[b.status] ||
+        (a.score ?? 1) - (b.score ?? 1) ||
+        b.weight - a.weight);
+  }
+
+  getStatus(audit) {
+    if (['notApplicable', 'error'].includes(audit.scoreDisplayMode)) return 'na';
+    if (audit.score === null || audit.scoreDisplayMode === 'manual' || audit.scoreDisplayMode === 'informative') return 'info';
+    if (audit.score >= 0.9) return 'pass';
+    if (audit.score >= 0.5) return 'average';
+    return 'fail';
+  }
+
+  /**
+   * Table rows of an audit; list details (insights) hold several tables
+   */
+  getItems(audit) {
+    const details = audit?.details;
+    if (!details) return [];
+    if (details.type === 'list') {
+      return (details.items || []).flatMap(entry => entry.items || []);
+    }
+    return Array.isArray(details.items) ? details.items : [];
+  }
+
+  /**
+   * Columns from details.headings, or from the first item's keys
+   */
+  getColumns(audit) {
+    const details = audit.details || {};
+    const headings = details.type === 'list'
+      ? (details.items || []).find(entry => entry.headings)?.headings || []
+      : details.headings || [];
+
+    const columns = headings
+      .filter(heading => heading.key)
+      .map(heading => ({
+        key: heading.key,
+        label: typeof (heading.label || heading.text) === 'string' ? heading.label || heading.text : heading.key,
+        type: heading.valueType || heading.itemType
+      }));
+    if (columns.length > 0) return columns;
+
+    const first = this.getItems(audit)[0] || {};
+    return Object.keys(first)
+      .filter(key => key !== 'subItems')
+      .map(key => ({ key, label: key, type: this.inferValueType(key) }));
+  }
+
+  /**
+   * One page of items as { index, cells } rows
+   */
+  getPage(audit, page, pageSize) {
+    const items = this.getItems(audit);
+    const pages = Math.max(1, Math.ceil(items.length / pageSize));
+    const current = Math.min(Math.max(0, page), pages - 1);
+    const columns = this.getColumns(audit);
+
+    return {
+      columns: columns,
+      page: current,
+      pages: pages,
+      total: items.length,
+      rows: items.slice(current * pageSize, (current + 1) * pageSize).map((item, offset) => ({
+        index: current * pageSize + offset,
+        cells: columns.map(column => this.formatCell(item[column.key], column.type))
+      }))
+    };
+  }
+
+  formatCell(value, type) {
+    if (value === null || value === undefined) return '';
+
+    if (typeof value === 'object') {
+      if (value.type === 'node') return value.selector || value.nodeLabel || value.snippet || '';
+      if (value.type === 'source-location') return `${value.url}:${value.line + 1}:${value.column}`;
+      if (value.type === 'url' || value.type === 'code') return String(value.value);
+      if (value.type === 'link') return value.text;
+      if (value.type === 'text') return String(value.value);
+      return JSON.stringify(value).substring(0, 80);
+    }
+
+    if (typeof value === 'number') {
+      if (type === 'bytes') return (value / 1024).toFixed(1) + ' KB';
+      if (type === 'ms' || type === 'timespanMs') return Math.round(value) + ' ms';
+      return String(Number.isInteger(value) ? value : value.toFixed(2));
+    }
+
+    return String(value);
+  }
+
+  /**
+   * Every field of one item in full: node snippets, URLs and sub-items
+   */
+  describeItem(audit, index) {
+    const item = this.getItems(audit)[index];
+    if (!item) return [];
+
+    const columns = this.getColumns(audit);
+    const fields = [];
+
+    for (const column of columns) {
+      const value = item[column.key];
+      if (value === null || value === undefined) continue;
+
+      if (value.type === 'node') {
+        if (value.nodeLabel) fields.push({ label: column.label, value: value.nodeLabel });
+        if (value.selector) fields.push({ label: 'Selector', value: value.selector });
+        if (value.snippet) fields.push({ label: 'Snippet', value: value.snippet, code: true });
+        if (value.explanation) fields.push({ label: 'Explanation', value: value.explanation });
+      } else {
+        fields.push({ label: column.label, value: this.formatCell(value, column.type) });
+      }
+    }
+
+    const subItems = item.subItems?.items || [];
+    for (const sub of subItems) {
+      const text = Object.entries(sub)
+        .map(([key, value]) => `${key}: ${this.formatCell(value, this.inferValueType(key))}`)
+        .join(', ');
+      fields.push({ label: 'Sub-item', value: text });
+    }
+
+    return fields;
+  }
+
+  /**
+   * The fixes the registered rules produce for this one audit, plus whether
+   * any rule covers it at all
+   */
+  getFixes(auditId) {
+    const audit = this.lhr.audits[auditId];
+    const rules = this.registry.getRulesForAudit(auditId);
+    if (!audit || rules.length === 0) return { covered: false, failing: false, fixes: [] };
+
+    if (!this.stack) {
+      this.stack = new StackDetector(this.lhr, process.cwd()).detect();
+    }
+
+    // A fresh generator per audit, so rules that run once per report run again
+    const generator = new FixGenerator(null, {
+      lhr: this.lhr,
+      registry: this.registry,
+      stack: this.stack,
+      ignoredAudits: []
+    });
+    generator.applyRules(audit);
+
+    return {
+      covered: true,
+      failing: rules.some(rule => RuleRegistry.isFailing(audit, rule.threshold, rule.manual)),
+      fixes: generator.fixes
+    };
+  }
+
+  inferValueType(key) {
+    if (key === 'url') return 'url';
+    if (/(Bytes|Size)$/.test(key)) return 'bytes';
+    if (/(Ms|Time)$/.test(key) || key === 'duration') return 'ms';
+    return null;
+  }
+}
+
+module.exports = AuditExplorer;
@@ -0,0 +1,345 @@
+/**
+ * Bundle Explorer
+ *
+ * Attributes JavaScript bytes and unused bytes to the original modules and
+ * packages through the source-map nodes of `script-treemap-data`, and joins
+ * them with `duplicated-javascript`, `legacy-javascript` and
+ * `unused-javascript`: which packages are bundled more than once, which
+ * polyfills and transforms modern browsers do not need, and where the
+ * unused code comes from.
+ */
+
+// Well-known heavy spots and what to do about them
+const PACKAGE_ADVICE = [
+  { match: /^moment\/locale/, advice: 'Drop unused moment locales (webpack IgnorePlugin/ContextReplacementPlugin) or move to date-fns/dayjs' },
+  { match: /^moment$/, advice: 'moment is not tree-shakeable; date-fns or dayjs import only what is used' },
+  { match: /^lodash$/, advice: 'Import per method (lodash/debounce) or use lodash-es so unused functions are tree-shaken' },
+  { match: /^core-js/, advice: 'Limit core-js polyfills to your browserslist targets (useBuiltIns: "usage")' },
+  { match: /^@babel\/runtime/, advice: 'Most helpers are not needed for modern targets; raise the browserslist targets' },
+  { match: /^(regenerator-runtime|whatwg-fetch|es6-promise|object-assign)$/, advice: 'Polyfill that every supported browser already has' },
+  { match: /^(rxjs|@mui\/icons-material|@fortawesome|react-icons|antd|date-fns)$/, advice: 'Import individual modules instead of the package root' }
+];
+
+const OTHER = '(other)';
+
+class BundleExplorer {
+  constructor(lhr) {
+    this.lhr = lhr;
+    this.pageHost = this.getHost(lhr.finalUrl);
+  }
+
+  explore() {
+    const scripts = this.getScripts();
+    const packages = this.getPackages(scripts);
+    const duplicates = this.getDuplicates(scripts);
+    const legacy = this.getLegacy();
+    this.markDuplicates(scripts, duplicates);
+
+    return {
+      scripts: scripts,
+      packages: packages,
+      duplicates: duplicates,
+      legacy: legacy,
+      totals: {
+        scripts: scripts.length,
+        bytes: scripts.reduce((sum, script) => sum + script.bytes, 0),
+        unusedBytes: scripts.reduce((sum, script) => sum + script.unusedBytes, 0),
+        duplicatedBytes: duplicates.reduce((sum, duplicate) => sum + duplicate.wastedBytes, 0),
+        legacyBytes: legacy.reduce((sum, entry) => sum + entry.wastedBytes, 0)
+      },
+      sourceMapped: scripts.some(script => script.children.length > 0)
+    };
+  }
+
+  /**
+   * One tree per script from the treemap data, single-child directories
+   * collapsed ("node_modules/moment/locale"); scripts without source maps
+   * fall back to the unused-javascript totals
+   */
+  getScripts() {
+    const nodes = this.lhr.audits['script-treemap-data']?.details?.nodes;
+    const unused = new Map((this.lhr.audits['unused-javascript']?.details?.items || []).map(item => [item.url, item]));
+
+    if (!nodes) {
+      return [...unused.values()].map(item => ({
+        name: item.url,
+        url: item.url,
+        bytes: item.totalBytes || 0,
+        unusedBytes: item.wastedBytes || 0,
+        children: [],
+        thirdParty: this.isThirdParty(item.url)
+      }));
+    }
+
+    return nodes
+      .map(node => {
+        const children = (node.children || []).map(child => this.normalize(child, '')).sort((a, b) => b.bytes - a.bytes);
+        return {
+          name: node.name,
+          url: node.name,
+          bytes: node.resourceBytes || 0,
+          unusedBytes: node.unusedBytes ?? unused.get(node.name)?.wastedBytes ?? children.reduce((sum, child) => sum + child.unusedBytes, 0),
+          children: children,
+          thirdParty: this.isThirdParty(node.name)
+        };
+      })
+      .sort((a, b) => b.bytes - a.bytes);
+  }
+
+  normalize(node, parentPath) {
+    let name = node.name;
+    let current = node;
+
+    // Merge directories with a single child into one path
+    while (current.children?.length === 1 && current.children[0].children?.length) {
+      current = current.children[0];
+      name += '/' + current.name;
+    }
+
+    const fullPath = parentPath ? parentPath + '/' + name : name;
+    const children = (current.children || [])
+      .map(child => this.normalize(child, fullPath))
+      .sort((a, b) => b.bytes - a.bytes);
+
+    return {
+      name: name,
+      path: fullPath,
+      bytes: node.resourceBytes ?? 0,
+      unusedBytes: node.unusedBytes ?? children.reduce((sum, child) => sum + child.unusedBytes, 0),
+      duplicate: current.duplicatedNormalizedModuleName || null,
+      children: children
+    };
+  }
+
+  /**
+   * Bytes per npm package across all scripts, plus its largest sub-path
+   * (e.g. moment/locale) when one part dominates
+   */
+  getPackages(scripts) {
+    const packages = new Map();
+
+    const visit = (node, script) => {
+      const name = this.getPackageName(node.path);
+      if (name && node.children.every(child => this.getPackageName(child.path) === name)) {
+        if (!packages.has(name)) {
+          packages.set(name, { name: name, bytes: 0, unusedBytes: 0, scripts: [], parts: new Map() });
+        }
+        const entry = packages.get(name);
+        entry.bytes += node.bytes;
+        entry.unusedBytes += node.unusedBytes;
+        if (!entry.scripts.includes(script.url)) entry.scripts.push(script.url);
+
+        for (const child of node.children) {
+          const part = this.getPackagePath(child.path);
+          entry.parts.set(part, (entry.parts.get(part) || 0) + child.bytes);
+        }
+        return;
+      }
+      node.children.forEach(child => visit(child, script));
+    };
+
+    for (const script of scripts) {
+      script.children.forEach(child => visit(child, script));
+    }
+
+    return [...packages.values()]
+      .map(entry => {
+        const [part, partBytes] = [...entry.parts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+        const largestPart = part && partBytes >= entry.bytes / 2 && part !== entry.name ? { path: part, bytes: partBytes } : null;
+        return {
+          name: entry.name,
+          bytes: entry.bytes,
+          unusedBytes: entry.unusedBytes,
+          scripts: entry.scripts,
+          largestPart: largestPart,
+          advice: this.getAdvice(largestPart ? largestPart.path : entry.name) || this.getAdvice(entry.name)
+        };
+      })
+      .sort((a, b) => b.bytes - a.bytes);
+  }
+
+  /**
+   * Packages bundled in more than one script: duplicated-javascript, or the
+   * treemap when that audit is missing
+   */
+  getDuplicates(scripts) {
+    const items = this.lhr.audits['duplicated-javascript']?.details?.items;
+    if (items) {
+      return items
+        .map(item => ({
+          name: this.getPackageName(item.source) || item.source,
+          source: item.source,
+          wastedBytes: item.wastedBytes || 0,
+          scripts: (item.subItems?.items || []).map(sub => ({ url: sub.url, bytes: sub.sourceTransferBytes || 0 }))
+        }))
+        .sort((a, b) => b.wastedBytes - a.wastedBytes);
+    }
+
+    return this.getPackages(scripts)
+      .filter(entry => entry.scripts.length > 1)
+      .map(entry => ({
+        name: entry.name,
+        source: 'node_modules/' + entry.name,
+        // Every copy but one is waste
+        wastedBytes: Math.round(entry.bytes * (entry.scripts.length - 1) / entry.scripts.length),
+        scripts: entry.scripts.map(url => ({ url, bytes: Math.round(entry.bytes / entry.scripts.length) }))
+      }));
+  }
+
+  /**
+   * Flag the package nodes of duplicated packages in every script tree
+   */
+  markDuplicates(scripts, duplicates) {
+    const names = new Set(duplicates.map(duplicate => duplicate.name));
+    const visit = node => {
+      const name = this.getPackageName(node.path);
+      if (name && names.has(name) && this.getPackagePath(node.path) === name) node.duplicate = node.duplicate || name;
+      node.children.forEach(visit);
+    };
+    scripts.forEach(script => script.children.forEach(visit));
+  }
+
+  /**
+   * Polyfills and Babel transforms per script that modern browsers do not need
+   */
+  getLegacy() {
+    return (this.lhr.audits['legacy-javascript']?.details?.items || [])
+      .map(item => {
+        const signals = (item.subItems?.items || []).map(sub => sub.signal).filter(Boolean);
+        return {
+          url: item.url,
+          wastedBytes: item.wastedBytes || 0,
+          polyfills: signals.filter(signal => !signal.startsWith('@babel/')),
+          transforms: signals.filter(signal => signal.startsWith('@babel/'))
+        };
+      })
+      .sort((a, b) => b.wastedBytes - a.wastedBytes);
+  }
+
+  /**
+   * "webpack://app/node_modules/@scope/pkg/lib/x.js" -> "@scope/pkg"
+   */
+  getPackageName(modulePath) {
+    const index = (modulePath || '').lastIndexOf('node_modules/');
+    if (index === -1) return null;
+    const [first, second] = modulePath.slice(index + 'node_modules/'.length).split('/');
+    if (!first) return null;
+    return first.startsWith('@') && second ? first + '/' + second : first;
+  }
+
+  /**
+   * Path inside node_modules: "node_modules/moment/locale" -> "moment/locale"
+   */
+  getPackagePath(modulePath) {
+    const index = modulePath.lastIndexOf('node_modules/');
+    return index === -1 ? modulePath : modulePath.slice(index + 'node_modules/'.length);
+  }
+
+  getAdvice(packagePath) {
+    return PACKAGE_ADVICE.find(entry => entry.match.test(packagePath))?.advice || null;
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isThirdParty(url) {
+    const host = this.getHost(url);
+    return Boolean(host && this.pageHost && host !== this.pageHost);
+  }
+
+  shortUrl(url) {
+    try {
+      const parsed = new URL(url);
+      const name = parsed.pathname.split('/').pop() || parsed.hostname;
+      return this.isThirdParty(url) ? parsed.hostname + '/…/' + name : name;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Flattened tree rows for printing: nodes below minBytes are folded into
+   * one "(other)" row per parent, and nothing deeper than maxDepth is shown
+   */
+  getTreeRows(scripts, { maxDepth = 4, minBytes = 5 * 1024 } = {}) {
+    const rows = [];
+
+    const walk = (nodes, depth, prefix) => {
+      const shown = nodes.filter(node => node.bytes >= minBytes);
+      const hidden = nodes.filter(node => node.bytes < minBytes);
+      const entries = hidden.length > 0
+        ? shown.concat({
+          name: OTHER + ' ' + hidden.length + ' module' + (hidden.length === 1 ? '' : 's'),
+          bytes: hidden.reduce((sum, node) => sum + node.bytes, 0),
+          unusedBytes: hidden.reduce((sum, node) => sum + node.unusedBytes, 0),
+          children: []
+        })
+        : shown;
+
+      entries.forEach((node, index) => {
+        const last = index === entries.length - 1;
+        rows.push({
+          prefix: prefix + (last ? '└─ ' : '├─ '),
+          name: node.name,
+          bytes: node.bytes,
+          unusedBytes: node.unusedBytes,
+          duplicate: Boolean(node.duplicate),
+          advice: node.path ? this.getAdvice(this.getPackagePath(node.path)) : null
+        });
+        if (depth < maxDepth) walk(node.children, depth + 1, prefix + (last ? '   ' : '│  '));
+      });
+    };
+
+    for (const script of scripts) {
+      rows.push({ prefix: '', name: this.shortUrl(script.url), bytes: script.bytes, unusedBytes: script.unusedBytes, script: true });
+      walk(script.children, 1, '');
+    }
+
+    return rows;
+  }
+
+  formatMarkdown({ totals, packages, duplicates, legacy }) {
+    const kb = bytes => Math.round(bytes / 1024) + ' KB';
+    let output = `${totals.scripts} scripts, ${kb(totals.bytes)} (${kb(totals.unusedBytes)} unused), ` +
+      `${kb(totals.duplicatedBytes)} duplicated, ${kb(totals.legacyBytes)} legacy\n\n`;
+
+    if (packages.length > 0) {
+      output += '### Packages\n\n';
+      output += '| Package | Size | Unused | Largest part | Scripts | Advice |\n';
+      output += '|---------|------|--------|--------------|---------|--------|\n';
+      for (const entry of packages.slice(0, 15)) {
+        const part = entry.largestPart ? `${entry.largestPart.path} (${kb(entry.largestPart.bytes)})` : '—';
+        output += `| ${entry.name} | ${kb(entry.bytes)} | ${kb(entry.unusedBytes)} | ${part} | ${entry.scripts.length} | ${entry.advice || '—'} |\n`;
+      }
+      output += '\n';
+    }
+
+    if (duplicates.length > 0) {
+      output += '### Duplicated Packages\n\n';
+      for (const duplicate of duplicates) {
+        output += `- **${duplicate.name}**: ${kb(duplicate.wastedBytes)} wasted, in ${duplicate.scripts.map(script => this.shortUrl(script.url)).join(', ')}\n`;
+      }
+      output += '\n';
+    }
+
+    if (legacy.length > 0) {
+      output += '### Legacy JavaScript\n\n';
+      for (const entry of legacy) {
+        output += `- **${this.shortUrl(entry.url)}** (${kb(entry.wastedBytes)})`;
+        if (entry.polyfills.length > 0) output += `: polyfills ${entry.polyfills.join(', ')}`;
+        if (entry.transforms.length > 0) output += `${entry.polyfills.length > 0 ? ';' : ':'} transforms ${entry.transforms.join(', ')}`;
+        output += '\n';
+      }
+      output += '\n';
+    }
+
+    return output;
+  }
+}
+
+module.exports = BundleExplorer;
@@ -0,0 +1,174 @@
+/**
+ * Bundle Treemap Renderer
+ *
+ * Renders a BundleExplorer result as one self-contained HTML file: a
+ * treemap of scripts and their source-mapped modules (area is bytes, colour
+ * is the unused fraction), followed by the package, duplicate and legacy
+ * JavaScript tables. Layout is computed here, so the page needs no script.
+ */
+
+const MAX_DEPTH = 5;
+// Boxes smaller than this share of the map are not drawn
+const MIN_AREA = 0.0004;
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; color: #202124; background: #f8f9fa; }
+  main { max-width: 1200px; margin: 0 auto; padding: 24px; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  h2 { font-size: 18px; margin: 32px 0 12px; border-bottom: 1px solid #dadce0; padding-bottom: 6px; }
+  .meta { color: #5f6368; font-size: 13px; }
+  .treemap { position: relative; width: 100%; height: 600px; background: #fff; border: 1px solid #dadce0; }
+  .box { position: absolute; overflow: hidden; border: 1px solid rgba(255, 255, 255, 0.9); font-size: 11px; padding: 2px 4px; color: #202124; }
+  .box.script { font-weight: 600; }
+  .box.duplicate { outline: 2px dashed #c5221f; outline-offset: -3px; }
+  .legend { font-size: 12px; color: #5f6368; margin: 8px 0; }
+  .legend span { display: inline-block; width: 12px; height: 12px; vertical-align: middle; margin: 0 4px 0 12px; }
+  table { width: 100%; border-collapse: collapse; background: #fff; font-size: 13px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+  th { background: #f1f3f4; font-weight: 600; }
+  td.num { text-align: right; white-space: nowrap; }
+  code { font-family: SFMono-Regular, Menlo, monospace; font-size: 12px; background: #f1f3f4; padding: 1px 4px; border-radius: 3px; }
+`;
+
+class BundleTreemapRenderer {
+  constructor(explorer, result, options = {}) {
+    this.explorer = explorer;
+    this.result = result;
+    this.url = options.url || explorer.lhr.finalUrl || '';
+  }
+
+  render() {
+    const { totals } = this.result;
+
+    let body = '<h1>JavaScript Bundles</h1>\n';
+    body += `<p class="meta">${this.escape(this.url)} · ${totals.scripts} scripts · ${this.kb(totals.bytes)} · ` +
+      `${this.kb(totals.unusedBytes)} unused · ${this.kb(totals.duplicatedBytes)} duplicated · ${this.kb(totals.legacyBytes)} legacy</p>\n`;
+    body += '<p class="legend">Area: bytes. Colour: unused fraction' +
+      `<span style="background:${this.color(0)}"></span>0%<span style="background:${this.color(0.5)}"></span>50%` +
+      `<span style="background:${this.color(1)}"></span>100%<span style="outline:2px dashed #c5221f"></span>duplicated</p>\n`;
+    body += this.renderTreemap();
+    body += this.renderPackages();
+    body += this.renderDuplicates();
+    body += this.renderLegacy();
+
+    return '<!DOCTYPE html>\n' +
+      '<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+      '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+      `<title>JavaScript Bundles - ${this.escape(this.url)}</title>\n` +
+      `<style>${STYLES}</style>\n</head>\n<body>\n<main>\n${body}</main>\n</body>\n</html>\n`;
+  }
+
+  renderTreemap() {
+    const scripts = this.result.scripts.map(script => ({ ...script, name: this.explorer.shortUrl(script.url), script: true }));
+    const boxes = [];
+    this.layout(scripts, { x: 0, y: 0, width: 100, height: 100 }, 0, boxes);
+
+    let output = '<div class="treemap">\n';
+    for (const box of boxes) {
+      const unused = box.node.bytes ? box.node.unusedBytes / box.node.bytes : 0;
+      const classes = ['box', box.node.script ? 'script' : null, box.node.duplicate ? 'duplicate' : null].filter(Boolean).join(' ');
+      const tooltip = `${box.node.path || box.node.name}: ${this.kb(box.node.bytes)}, ${Math.round(unused * 100)}% unused` +
+        (box.node.duplicate ? ', duplicated' : '');
+      output += `<div class="${classes}" style="left:${box.x.toFixed(3)}%;top:${box.y.toFixed(3)}%;width:${box.width.toFixed(3)}%;` +
+        `height:${box.height.toFixed(3)}%;background:${this.color(unused)}" title="${this.escape(tooltip)}">` +
+        `${this.escape(box.node.name)} ${this.kb(box.node.bytes)}</div>\n`;
+    }
+    output += '</div>\n';
+    return output;
+  }
+
+  /**
+   * Slice-and-dice: split the rectangle along its longer side by bytes,
+   * then lay the children out inside each slice below a label strip
+   */
+  layout(nodes, rect, depth, boxes) {
+    const total = nodes.reduce((sum, node) => sum + node.bytes, 0);
+    if (!total) return;
+
+    const horizontal = rect.width >= rect.height;
+    let offset = 0;
+
+    for (const node of nodes) {
+      const share = node.bytes / total;
+      const box = horizontal
+        ? { x: rect.x + offset * rect.width, y: rect.y, width: share * rect.width, height: rect.height }
+        : { x: rect.x, y: rect.y + offset * rect.height, width: rect.width, height: share * rect.height };
+      offset += share;
+
+      if ((box.width * box.height) / 10000 < MIN_AREA) continue;
+      boxes.push({ ...box, node });
+
+      if (depth < MAX_DEPTH && node.children?.length) {
+        // Leave room for the parent's label
+        const label = Math.min(3, box.height * 0.2);
+        this.layout(node.children, { x: box.x, y: box.y + label, width: box.width, height: box.height - label }, depth + 1, boxes);
+      }
+    }
+  }
+
+  renderPackages() {
+    const packages = this.result.packages;
+    if (packages.length === 0) return '';
+
+    let output = '<h2>Packages</h2>\n<table>\n<thead><tr><th>Package</th><th>Size</th><th>Unused</th><th>Largest part</th><th>Scripts</th><th>Advice</th></tr></thead>\n<tbody>\n';
+    for (const entry of packages) {
+      const part = entry.largestPart ? `<code>${this.escape(entry.largestPart.path)}</code> ${this.kb(entry.largestPart.bytes)}` : '';
+      output += `<tr><td><code>${this.escape(entry.name)}</code></td><td class="num">${this.kb(entry.bytes)}</td>` +
+        `<td class="num">${this.kb(entry.unusedBytes)}</td><td>${part}</td><td class="num">${entry.scripts.length}</td>` +
+        `<td>${this.escape(entry.advice || '')}</td></tr>\n`;
+    }
+    output += '</tbody>\n</table>\n';
+    return output;
+  }
+
+  renderDuplicates() {
+    const duplicates = this.result.duplicates;
+    if (duplicates.length === 0) return '';
+
+    let output = '<h2>Duplicated Packages</h2>\n<table>\n<thead><tr><th>Package</th><th>Wasted</th><th>Bundled in</th></tr></thead>\n<tbody>\n';
+    for (const duplicate of duplicates) {
+      const scripts = duplicate.scripts.map(script => `${this.escape(this.explorer.shortUrl(script.url))} (${this.kb(script.bytes)})`).join('<br>');
+      output += `<tr><td><code>${this.escape(duplicate.name)}</code></td><td class="num">${this.kb(duplicate.wastedBytes)}</td><td>${scripts}</td></tr>\n`;
+    }
+    output += '</tbody>\n</table>\n';
+    return output;
+  }
+
+  renderLegacy() {
+    const legacy = this.result.legacy;
+    if (legacy.length === 0) return '';
+
+    let output = '<h2>Legacy JavaScript</h2>\n<table>\n<thead><tr><th>Script</th><th>Wasted</th><th>Polyfills</th><th>Transforms</th></tr></thead>\n<tbody>\n';
+    for (const entry of legacy) {
+      output += `<tr><td>${this.escape(this.explorer.shortUrl(entry.url))}</td><td class="num">${this.kb(entry.wastedBytes)}</td>` +
+        `<td>${entry.polyfills.map(signal => `<code>${this.escape(signal)}</code>`).join(' ')}</td>` +
+        `<td>${entry.transforms.map(signal => `<code>${this.escape(signal)}</code>`).join(' ')}</td></tr>\n`;
+    }
+    output += '</tbody>\n</table>\n';
+    return output;
+  }
+
+  /**
+   * Green (all used) to red (all unused)
+   */
+  color(unusedRatio) {
+    const hue = Math.round(120 * (1 - Math.min(1, Math.max(0, unusedRatio))));
+    return `hsl(${hue}, 55%, 78%)`;
+  }
+
+  kb(bytes) {
+    return (bytes / 1024).toFixed(1) + ' KB';
+  }
+
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = BundleTreemapRenderer;
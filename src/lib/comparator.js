@@ -0,0 +1,280 @@
+/**
+ * Lighthouse Report Comparator
+ *
+ * Diffs two Lighthouse reports (base vs head) and flags regressions.
+ */
+
+const LighthouseAnalyzer = require('./analyzer');
+
+// Core Web Vitals where a lower value is better (all of them)
+const LOWER_IS_BETTER = ['lcp', 'fid', 'cls', 'fcp', 'tbt', 'si'];
+
+// Absolute change a metric with a base of 0 may make before it counts; CLS
+// is unitless, the others are timings and use the savings tolerance in ms
+const ZERO_BASE_FLOOR = { cls: 0.01 };
+
+class ReportComparator {
+  constructor(basePath, headPath, options = {}) {
+    this.options = {
+      category: options.category || null,
+      minScore: options.minScore || 0.5,
+      // Score points a category may drop before it counts as a regression
+      scoreTolerance: options.scoreTolerance !== undefined ? options.scoreTolerance : 2,
+      // Percent a metric may grow before it counts as a regression
+      metricTolerance: options.metricTolerance !== undefined ? options.metricTolerance : 5,
+      // Milliseconds an opportunity's savings may grow before it is reported
+      savingsTolerance: options.savingsTolerance !== undefined ? options.savingsTolerance : 100
+    };
+
+    const analyzerOptions = {
+      category: this.options.category,
+      minScore: this.options.minScore
+    };
+
+    this.base = new LighthouseAnalyzer(basePath, analyzerOptions);
+    this.head = new LighthouseAnalyzer(headPath, analyzerOptions);
+  }
+
+  compare() {
+    const scores = this.getScoreDeltas();
+    const metrics = this.getMetricDeltas();
+    const newlyFailed = this.getNewlyFailedAudits();
+    const fixed = this.getFixedAudits();
+    const grownOpportunities = this.getGrownOpportunities();
+
+    const regressions =
+      scores.filter(s => s.status === 'regressed').length +
+      metrics.filter(m => m.status === 'regressed').length +
+      newlyFailed.length;
+
+    return {
+      base: this.base.getSummary(),
+      head: this.head.getSummary(),
+      tolerances: {
+        score: this.options.scoreTolerance,
+        metric: this.options.metricTolerance,
+        savings: this.options.savingsTolerance
+      },
+      scores,
+      metrics,
+      newlyFailed,
+      fixed,
+      grownOpportunities,
+      regressions
+    };
+  }
+
+  getScoreDeltas() {
+    const baseScores = this.base.getCategoryScores();
+    const headScores = this.head.getCategoryScores();
+    const ids = new Set([...Object.keys(baseScores), ...Object.keys(headScores)]);
+
+    const deltas = [];
+    for (const id of ids) {
+      if (this.options.category && id !== this.options.category) continue;
+
+      const base = baseScores[id] ? baseScores[id].score : null;
+      const head = headScores[id] ? headScores[id].score : null;
+      const delta = base !== null && head !== null ? head - base : null;
+
+      deltas.push({
+        id,
+        title: (headScores[id] || baseScores[id]).title,
+        base,
+        head,
+        delta,
+        status: this.classifyScoreDelta(delta)
+      });
+    }
+
+    return deltas;
+  }
+
+  getMetricDeltas() {
+    const baseVitals = this.base.getCoreWebVitals();
+    const headVitals = this.head.getCoreWebVitals();
+
+    const deltas = [];
+    for (const [key, headVital] of Object.entries(headVitals)) {
+      const baseVital = baseVitals[key];
+      if (!baseVital) continue;
+
+      const delta = headVital.value - baseVital.value;
+      const percent = baseVital.value ? (delta / baseVital.value) * 100 : null;
+
+      deltas.push({
+        id: key,
+        name: headVital.name,
+        unit: headVital.unit,
+        base: baseVital.value,
+        head: headVital.value,
+        baseDisplay: baseVital.displayValue,
+        headDisplay: headVital.displayValue,
+        delta,
+        percent,
+        status: this.classifyMetricDelta(key, delta, percent)
+      });
+    }
+
+    return deltas;
+  }
+
+  getNewlyFailedAudits() {
+    const baseFailed = new Set(this.base.getFailedAudits(this.options.category).map(a => a.id));
+
+    return this.head.getFailedAudits(this.options.category)
+      .filter(audit => !baseFailed.has(audit.id))
+      .map(audit => ({
+        id: audit.id,
+        title: audit.title,
+        baseScore: this.base.lhr.audits[audit.id]?.score ?? null,
+        headScore: audit.score
+      }));
+  }
+
+  getFixedAudits() {
+    const headFailed = new Set(this.head.getFailedAudits(this.options.category).map(a => a.id));
+
+    return this.base.getFailedAudits(this.options.category)
+      .filter(audit => !headFailed.has(audit.id))
+      .map(audit => ({
+        id: audit.id,
+        title: audit.title,
+        baseScore: audit.score,
+        headScore: this.head.lhr.audits[audit.id]?.score ?? null
+      }));
+  }
+
+  getGrownOpportunities() {
+    const baseById = {};
+    for (const opp of this.base.getOpportunities()) {
+      baseById[opp.id] = opp;
+    }
+
+    return this.head.getOpportunities()
+      .map(opp => {
+        const base = baseById[opp.id];
+        const baseMs = base ? base.wastedMs : 0;
+        const baseBytes = base ? base.wastedBytes : 0;
+        return {
+          id: opp.id,
+          title: opp.title,
+          isNew: !base,
+          baseMs,
+          headMs: opp.wastedMs,
+          deltaMs: opp.wastedMs - baseMs,
+          deltaBytes: opp.wastedBytes - baseBytes
+        };
+      })
+      .filter(opp => opp.deltaMs > this.options.savingsTolerance)
+      .sort((a, b) => b.deltaMs - a.deltaMs);
+  }
+
+  classifyScoreDelta(delta) {
+    if (delta === null) return 'unknown';
+    if (delta < -this.options.scoreTolerance) return 'regressed';
+    if (delta > this.options.scoreTolerance) return 'improved';
+    return 'unchanged';
+  }
+
+  classifyMetricDelta(key, delta, percent) {
+    if (percent === null) {
+      const floor = ZERO_BASE_FLOOR[key] ?? this.options.savingsTolerance;
+      if (Math.abs(delta) <= floor) return 'unchanged';
+      return LOWER_IS_BETTER.includes(key) === delta > 0 ? 'regressed' : 'improved';
+    }
+
+    if (Math.abs(percent) <= this.options.metricTolerance) return 'unchanged';
+
+    const worse = LOWER_IS_BETTER.includes(key) ? delta > 0 : delta < 0;
+    return worse ? 'regressed' : 'improved';
+  }
+
+  formatMarkdown(result = this.compare()) {
+    let output = '# Lighthouse Report Comparison\n\n';
+
+    output += '## Reports\n\n';
+    output += `- **Base**: ${result.base.url} (${new Date(result.base.timestamp).toISOString()})\n`;
+    output += `- **Head**: ${result.head.url} (${new Date(result.head.timestamp).toISOString()})\n`;
+    output += `- **Tolerances**: ±${result.tolerances.score} score points, ±${result.tolerances.metric}% metrics, ${result.tolerances.savings}ms savings\n\n`;
+
+    if (result.regressions > 0) {
+      output += `> ❌ **${result.regressions} regression(s) detected**\n\n`;
+    } else {
+      output += '> ✅ **No regressions detected**\n\n';
+    }
+
+    output += '## Category Scores\n\n';
+    output += '| Category | Base | Head | Δ | Status |\n';
+    output += '|----------|------|------|---|--------|\n';
+    for (const score of result.scores) {
+      output += `| ${score.title} | ${this.formatScore(score.base)} | ${this.formatScore(score.head)} | ${this.formatSigned(score.delta)} | ${this.getStatusEmoji(score.status)} |\n`;
+    }
+    output += '\n';
+
+    output += '## Core Web Vitals\n\n';
+    output += '| Metric | Base | Head | Δ | Status |\n';
+    output += '|--------|------|------|---|--------|\n';
+    for (const metric of result.metrics) {
+      const percent = metric.percent !== null ? ` (${this.formatSigned(Math.round(metric.percent))}%)` : '';
+      output += `| ${metric.name} | ${metric.baseDisplay} | ${metric.headDisplay} | ${this.formatMetricDelta(metric)}${percent} | ${this.getStatusEmoji(metric.status)} |\n`;
+    }
+    output += '\n';
+
+    if (result.newlyFailed.length > 0) {
+      output += '## Newly Failed Audits\n\n';
+      for (const audit of result.newlyFailed) {
+        output += `- **${audit.title}** (\`${audit.id}\`): ${this.formatAuditScore(audit.baseScore)} → ${this.formatAuditScore(audit.headScore)}\n`;
+      }
+      output += '\n';
+    }
+
+    if (result.fixed.length > 0) {
+      output += '## Fixed Audits\n\n';
+      for (const audit of result.fixed) {
+        output += `- **${audit.title}** (\`${audit.id}\`): ${this.formatAuditScore(audit.baseScore)} → ${this.formatAuditScore(audit.headScore)}\n`;
+      }
+      output += '\n';
+    }
+
+    if (result.grownOpportunities.length > 0) {
+      output += '## Opportunities With Larger Savings\n\n';
+      for (const opp of result.grownOpportunities) {
+        const label = opp.isNew ? ' (new)' : '';
+        output += `- **${opp.title}**${label}: ${Math.round(opp.baseMs)}ms → ${Math.round(opp.headMs)}ms (+${Math.round(opp.deltaMs)}ms)\n`;
+      }
+      output += '\n';
+    }
+
+    return output;
+  }
+
+  formatScore(score) {
+    return score !== null ? String(score) : 'N/A';
+  }
+
+  formatAuditScore(score) {
+    return score !== null ? String(Math.round(score * 100)) : 'N/A';
+  }
+
+  formatSigned(value) {
+    if (value === null) return 'N/A';
+    return value > 0 ? '+' + value : String(value);
+  }
+
+  formatMetricDelta(metric) {
+    if (metric.unit === 'millisecond') {
+      return this.formatSigned(Math.round(metric.delta)) + 'ms';
+    }
+    return this.formatSigned(Number(metric.delta.toFixed(3)));
+  }
+
+  getStatusEmoji(status) {
+    if (status === 'regressed') return '🔴 Regressed';
+    if (status === 'improved') return '🟢 Improved';
+    if (status === 'unknown') return '⚪ N/A';
+    return '⚪ Unchanged';
+  }
+}
+
+module.exports = ReportComparator;
@@ -0,0 +1,411 @@
+/**
+ * Colour Contrast Analyzer
+ *
+ * Reads the colours, font size and weight axe reports for each failing
+ * color-contrast node, computes the WCAG ratio and threshold, and suggests
+ * the nearest passing colour with the same hue. Colour tokens from a
+ * Tailwind config or CSS custom properties are matched as well.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// WCAG 2.x: large text is >= 18pt, or >= 14pt when bold
+const LARGE_TEXT_PX = 24;
+const LARGE_BOLD_TEXT_PX = 18.66;
+const THRESHOLDS = {
+  normal: { AA: 4.5, AAA: 7 },
+  large: { AA: 3, AAA: 4.5 }
+};
+
+const TAILWIND_CONFIGS = ['tailwind.config.js', 'tailwind.config.cjs', 'tailwind.config.mjs', 'tailwind.config.ts'];
+const STYLE_EXTENSIONS = ['.css', '.scss', '.sass', '.less', '.pcss'];
+const IGNORED_DIRS = ['node_modules', '.git', '.next', '.nuxt', '.svelte-kit', '.output', 'dist', 'build', 'out', 'coverage', '.lighthouse'];
+const MAX_STYLE_FILES = 500;
+
+class ContrastAnalyzer {
+  constructor(projectRoot = process.cwd(), options = {}) {
+    this.projectRoot = projectRoot;
+    this.level = options.level || 'AA';
+    this.tokens = null;
+  }
+
+  /**
+   * One row per failing node: measured ratio, threshold and suggestions
+   */
+  analyzeItems(items) {
+    return items
+      .filter(item => item.node)
+      .map(item => this.analyzeNode(item.node));
+  }
+
+  analyzeNode(node) {
+    const parsed = this.parseExplanation(node.explanation || '');
+    const row = {
+      selector: node.selector || '',
+      label: node.nodeLabel || node.selector || '',
+      foreground: parsed.foreground,
+      background: parsed.background,
+      fontSize: parsed.fontSize,
+      fontWeight: parsed.fontWeight,
+      ratio: null,
+      large: false,
+      required: null,
+      requiredAAA: null,
+      suggestion: null,
+      token: null
+    };
+
+    if (!parsed.foreground || !parsed.background) return row;
+
+    const fg = this.parseColor(parsed.foreground);
+    const bg = this.parseColor(parsed.background);
+    if (!fg || !bg) return row;
+
+    row.large = this.isLargeText(parsed.fontSize, parsed.fontWeight);
+    const thresholds = THRESHOLDS[row.large ? 'large' : 'normal'];
+    row.required = thresholds[this.level];
+    row.requiredAAA = thresholds.AAA;
+    row.ratio = this.getContrastRatio(fg, bg);
+
+    if (row.ratio < row.required) {
+      const suggestion = this.findPassingColor(fg, bg, row.required);
+      if (suggestion) {
+        row.suggestion = { color: this.toHex(suggestion), ratio: this.getContrastRatio(suggestion, bg) };
+      }
+      row.token = this.findPassingToken(fg, bg, row.required);
+    }
+
+    return row;
+  }
+
+  /**
+   * Pull colours and font details out of axe's explanation text
+   */
+  parseExplanation(explanation) {
+    const color = '(#[0-9a-fA-F]{3,8}|rgba?\\([^)]*\\))';
+    const fg = new RegExp(`foreground colou?r:\\s*${color}`).exec(explanation);
+    const bg = new RegExp(`background colou?r:\\s*${color}`).exec(explanation);
+    const size = /font size:\s*[\d.]+pt\s*\(([\d.]+)px\)/.exec(explanation) || /font size:\s*([\d.]+)px/.exec(explanation);
+    const weight = /font weight:\s*(\w+)/.exec(explanation);
+
+    return {
+      foreground: fg ? fg[1] : null,
+      background: bg ? bg[1] : null,
+      fontSize: size ? parseFloat(size[1]) : null,
+      fontWeight: weight ? weight[1] : null
+    };
+  }
+
+  isLargeText(fontSize, fontWeight) {
+    if (!fontSize) return false;
+    const bold = fontWeight === 'bold' || fontWeight === 'bolder' || Number(fontWeight) >= 700;
+    return fontSize >= LARGE_TEXT_PX || (bold && fontSize >= LARGE_BOLD_TEXT_PX);
+  }
+
+  /**
+   * Parse #rgb, #rrggbb(aa) and rgb()/rgba() into { r, g, b } (0-255)
+   */
+  parseColor(value) {
+    const text = value.trim().toLowerCase();
+
+    let match = /^#([0-9a-f]{3,4})$/.exec(text);
+    if (match) {
+      const [r, g, b] = match[1].split('').map(c => parseInt(c + c, 16));
+      return { r, g, b };
+    }
+
+    match = /^#([0-9a-f]{6})(?:[0-9a-f]{2})?$/.exec(text);
+    if (match) {
+      return {
+        r: parseInt(match[1].slice(0, 2), 16),
+        g: parseInt(match[1].slice(2, 4), 16),
+        b: parseInt(match[1].slice(4, 6), 16)
+      };
+    }
+
+    match = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/.exec(text);
+    if (match) {
+      return { r: Math.round(Number(match[1])), g: Math.round(Number(match[2])), b: Math.round(Number(match[3])) };
+    }
+
+    return null;
+  }
+
+  /**
+   * WCAG relative luminance
+   */
+  getLuminance({ r, g, b }) {
+    const channel = value => {
+      const c = value / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  }
+
+  getContrastRatio(fg, bg) {
+    const l1 = this.getLuminance(fg);
+    const l2 = this.getLuminance(bg);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  }
+
+  /**
+   * Keep hue and saturation, move lightness the least distance that reaches the ratio
+   */
+  findPassingColor(fg, bg, required) {
+    const hsl = this.toHsl(fg);
+    const candidates = [];
+
+    // Search darker (towards 0) and lighter (towards 1) separately
+    for (const limit of [0, 1]) {
+      const extreme = this.fromHsl({ ...hsl, l: limit });
+      if (this.getContrastRatio(extreme, bg) < required) continue;
+
+      let passing = limit;
+      let failing = hsl.l;
+      for (let i = 0; i < 20; i++) {
+        const mid = (passing + failing) / 2;
+        if (this.getContrastRatio(this.fromHsl({ ...hsl, l: mid }), bg) >= required) {
+          passing = mid;
+        } else {
+          failing = mid;
+        }
+      }
+
+      // Rounding to 8-bit channels can land just below the threshold
+      let color = this.fromHsl({ ...hsl, l: passing });
+      for (let i = 0; i < 50 && this.getContrastRatio(color, bg) < required; i++) {
+        passing += limit === 0 ? -0.002 : 0.002;
+        color = this.fromHsl({ ...hsl, l: passing });
+      }
+      candidates.push({ color, distance: Math.abs(passing - hsl.l) });
+    }
+
+    candidates.sort((a, b) => a.distance - b.distance);
+    return candidates.length > 0 ? candidates[0].color : null;
+  }
+
+  /**
+   * The project colour token closest to the original that passes
+   */
+  findPassingToken(fg, bg, required) {
+    const original = this.toLab(fg);
+    let best = null;
+
+    for (const token of this.getTokens()) {
+      if (this.getContrastRatio(token.rgb, bg) < required) continue;
+      const distance = this.labDistance(original, this.toLab(token.rgb));
+      if (!best || distance < best.distance) {
+        best = { ...token, ratio: this.getContrastRatio(token.rgb, bg), distance };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Colour tokens from Tailwind configs and CSS custom properties (cached)
+   */
+  getTokens() {
+    if (this.tokens !== null) return this.tokens;
+
+    this.tokens = [];
+    for (const file of TAILWIND_CONFIGS) {
+      const filePath = path.join(this.projectRoot, file);
+      if (fs.existsSync(filePath)) {
+        this.tokens.push(...this.parseTailwindColors(fs.readFileSync(filePath, 'utf8'), file));
+      }
+    }
+
+    let scanned = 0;
+    this.walk(this.projectRoot, filePath => {
+      if (scanned >= MAX_STYLE_FILES || !STYLE_EXTENSIONS.includes(path.extname(filePath))) return;
+      scanned++;
+      this.tokens.push(...this.parseCustomProperties(fs.readFileSync(filePath, 'utf8'), path.relative(this.projectRoot, filePath)));
+    });
+
+    return this.tokens;
+  }
+
+  /**
+   * Colour leaves of a Tailwind config, named by their key path (brand.500 -> brand-500)
+   */
+  parseTailwindColors(source, file) {
+    const tokens = [];
+    const stack = [];
+    const pattern = /(['"]?)([\w-]+)\1\s*:\s*(?:(\{)|(['"])(#[0-9a-fA-F]{3,8}|rgba?\([^'"]*\))\4)|(\{)|(\})/g;
+
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      const [, , key, open, , value, bareOpen, close] = match;
+
+      if (open) {
+        stack.push(key);
+      } else if (bareOpen) {
+        stack.push(null);
+      } else if (close) {
+        stack.pop();
+      } else if (value) {
+        const colorsIndex = stack.lastIndexOf('colors');
+        const rgb = this.parseColor(value);
+        if (colorsIndex === -1 || !rgb) continue;
+
+        const name = stack.slice(colorsIndex + 1).concat(key === 'DEFAULT' ? [] : [key]).filter(Boolean).join('-');
+        tokens.push({ name, value, rgb, source: file, usage: `text-${name}` });
+      }
+    }
+
+    return tokens;
+  }
+
+  parseCustomProperties(source, file) {
+    const tokens = [];
+    const pattern = /(--[\w-]+)\s*:\s*(#[0-9a-fA-F]{3,8}|rgba?\([^)]*\))\s*[;}]/g;
+
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      const rgb = this.parseColor(match[2]);
+      if (rgb) {
+        tokens.push({ name: match[1], value: match[2], rgb, source: file, usage: `color: var(${match[1]})` });
+      }
+    }
+
+    return tokens;
+  }
+
+  walk(dir, callback) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.includes(entry.name)) this.walk(path.join(dir, entry.name), callback);
+      } else if (entry.isFile()) {
+        callback(path.join(dir, entry.name));
+      }
+    }
+  }
+
+  toHsl({ r, g, b }) {
+    const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const l = (max + min) / 2;
+
+    if (max === min) return { h: 0, s: 0, l };
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === rn) h = (gn - bn) / d + (gn < bn ? 6 : 0);
+    else if (max === gn) h = (bn - rn) / d + 2;
+    else h = (rn - gn) / d + 4;
+
+    return { h: h / 6, s, l };
+  }
+
+  fromHsl({ h, s, l }) {
+    l = Math.min(1, Math.max(0, l));
+    if (s === 0) {
+      const v = Math.round(l * 255);
+      return { r: v, g: v, b: v };
+    }
+
+    const hueToRgb = (p, q, t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    return {
+      r: Math.round(hueToRgb(p, q, h + 1 / 3) * 255),
+      g: Math.round(hueToRgb(p, q, h) * 255),
+      b: Math.round(hueToRgb(p, q, h - 1 / 3) * 255)
+    };
+  }
+
+  /**
+   * sRGB to CIELAB (D65), for perceptual distance between colours
+   */
+  toLab({ r, g, b }) {
+    const linear = value => {
+      const c = value / 255;
+      return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    const [rl, gl, bl] = [linear(r), linear(g), linear(b)];
+
+    const x = (rl * 0.4124 + gl * 0.3576 + bl * 0.1805) / 0.95047;
+    const y = (rl * 0.2126 + gl * 0.7152 + bl * 0.0722) / 1.0;
+    const z = (rl * 0.0193 + gl * 0.1192 + bl * 0.9505) / 1.08883;
+
+    const f = t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+    return { l: 116 * f(y) - 16, a: 500 * (f(x) - f(y)), b: 200 * (f(y) - f(z)) };
+  }
+
+  labDistance(a, b) {
+    return Math.sqrt(Math.pow(a.l - b.l, 2) + Math.pow(a.a - b.a, 2) + Math.pow(a.b - b.b, 2));
+  }
+
+  toHex({ r, g, b }) {
+    return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+  }
+
+  formatRatio(ratio) {
+    // Rounded to two decimals like axe reports it
+    return ratio === null ? 'n/a' : (Math.round(ratio * 100) / 100) + ':1';
+  }
+
+  /**
+   * Markdown table with one row per element
+   */
+  formatTable(rows) {
+    let output = '| Element | Foreground | Background | Font | Ratio | Required | Suggested | Token |\n';
+    output += '|---------|------------|------------|------|-------|----------|-----------|-------|\n';
+
+    for (const row of rows) {
+      const label = row.label.replace(/\|/g, '\\|').substring(0, 40);
+      const font = row.fontSize ? `${row.fontSize}px ${row.fontWeight || ''}`.trim() + (row.large ? ' (large)' : '') : 'n/a';
+      const required = row.required ? `${row.required}:1 ${this.level} (${row.requiredAAA}:1 AAA)` : 'n/a';
+      const suggestion = row.suggestion ? `\`${row.suggestion.color}\` (${this.formatRatio(row.suggestion.ratio)})` : '—';
+      const token = row.token ? `\`${row.token.usage}\` ${row.token.value} (${this.formatRatio(row.token.ratio)})` : '—';
+
+      output += `| ${label} | ${row.foreground || 'n/a'} | ${row.background || 'n/a'} | ${font} | ${this.formatRatio(row.ratio)} | ${required} | ${suggestion} | ${token} |\n`;
+    }
+
+    return output;
+  }
+
+  /**
+   * CSS overrides applying the suggested colours, one rule per selector
+   */
+  formatCss(rows) {
+    const seen = new Set();
+    const rules = [];
+
+    for (const row of rows) {
+      if (!row.suggestion || !row.selector || seen.has(row.selector)) continue;
+      seen.add(row.selector);
+
+      // Prefer a CSS custom property when one passes; Tailwind tokens go in the table
+      const useToken = row.token && row.token.name.startsWith('--');
+      const value = useToken ? `var(${row.token.name})` : row.suggestion.color;
+      const ratio = useToken ? row.token.ratio : row.suggestion.ratio;
+      rules.push(`/* ${this.formatRatio(row.ratio)} -> ${this.formatRatio(ratio)} on ${row.background} */\n${row.selector} {\n  color: ${value};\n}`);
+    }
+
+    return rules.join('\n\n');
+  }
+}
+
+ContrastAnalyzer.THRESHOLDS = THRESHOLDS;
+
+module.exports = ContrastAnalyzer;
@@ -0,0 +1,488 @@
+/**
+ * Dashboard Server
+ *
+ * A localhost web UI over the project's `.lighthouse` directory: the reports
+ * in `reports/` with their analysis and fixes rendered on request, saved
+ * files from `analysis/` and `fixes/`, a side-by-side comparison of any two
+ * reports, and per-URL metric charts from the history. Pages are rendered
+ * on the server with inline SVG charts; the only assets are the stylesheet
+ * and script in `src/dashboard/`, so nothing is fetched from the network.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const LighthouseAnalyzer = require('./analyzer');
+const ReportComparator = require('./comparator');
+const FixGenerator = require('./fix-generator');
+const FlowAnalyzer = require('./flow');
+const HtmlReportRenderer = require('./html-report');
+const MarkdownHtmlRenderer = require('./markdown-html');
+const ProjectConfig = require('./project-config');
+const ReportHistory = require('./history');
+const ReportLoader = require('./report-loader');
+const ThirdPartyReport = require('./third-party');
+
+const ASSETS_DIR = path.join(__dirname, '..', 'dashboard');
+const ASSETS = {
+  'dashboard.css': 'text/css; charset=utf-8',
+  'dashboard.js': 'text/javascript; charset=utf-8'
+};
+
+// Saved outputs that can be browsed, and how each extension is served
+const FILE_DIRS = ['analysis', 'fixes'];
+const FILE_TYPES = {
+  '.md': 'markdown',
+  '.html': 'html',
+  '.json': 'text',
+  '.sarif': 'text',
+  '.xml': 'text'
+};
+
+const SCORE_KEYS = ['performance', 'accessibility', 'best-practices', 'seo'];
+const SERIES_COLORS = ['#1a73e8', '#0c7d3a', '#b06000', '#a142f4', '#c5221f', '#12808a'];
+
+class DashboardServer {
+  constructor(projectRoot = process.cwd()) {
+    this.projectRoot = projectRoot;
+    this.lighthouseDir = path.join(projectRoot, '.lighthouse');
+    this.markdown = new MarkdownHtmlRenderer();
+    // Report summaries keyed by path, reused while the file's mtime is unchanged
+    this.summaries = new Map();
+  }
+
+  /**
+   * Start listening; resolves with the http.Server once it is bound
+   */
+  listen(port, host) {
+    const server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => resolve(server));
+    });
+  }
+
+  handle(req, res) {
+    if (!['GET', 'HEAD'].includes(req.method)) {
+      this.send(res, 405, 'text/plain; charset=utf-8', 'Method not allowed');
+      return;
+    }
+
+    let url;
+    let parts;
+    try {
+      url = new URL(req.url, 'http://localhost');
+      parts = url.pathname.split('/').filter(Boolean).map(part => decodeURIComponent(part));
+    } catch (error) {
+      // Malformed escapes such as /reports/%E0
+      this.send(res, 400, 'text/plain; charset=utf-8', 'Bad request');
+      return;
+    }
+
+    try {
+      if (parts.length === 0) return this.sendPage(res, 'Reports', this.renderIndex());
+      if (parts[0] === 'assets' && parts.length === 2) return this.sendAsset(res, parts[1]);
+      if (parts[0] === 'reports' && parts.length >= 2) return this.routeReport(res, parts[1], parts[2] || 'analysis');
+      if (parts[0] === 'files' && parts.length === 3) return this.routeFile(res, parts[1], parts[2]);
+      if (parts[0] === 'compare' && parts.length === 1) {
+        return this.sendPage(res, 'Compare', this.renderCompare(url.searchParams.get('base'), url.searchParams.get('head')));
+      }
+      if (parts[0] === 'history' && parts.length === 1) {
+        return this.sendPage(res, 'History', this.renderHistory(url.searchParams.get('url')));
+      }
+      this.sendNotFound(res);
+    } catch (error) {
+      this.sendPage(res, 'Error', `<h1>Something went wrong</h1>\n<pre>${this.escape(error.message)}</pre>\n`, 500);
+    }
+  }
+
+  routeReport(res, name, view) {
+    const report = this.listReports().find(entry => entry.name === name);
+    if (!report) return this.sendNotFound(res);
+
+    if (view === 'raw') {
+      return this.send(res, 200, 'application/json; charset=utf-8', JSON.stringify(ReportLoader.loadResult(report.path), null, 2));
+    }
+    if (!['analysis', 'fixes'].includes(view)) return this.sendNotFound(res);
+
+    this.sendPage(res, report.name, this.renderReport(report, view));
+  }
+
+  routeFile(res, dir, name) {
+    const file = FILE_DIRS.includes(dir) && this.listFiles(dir).find(entry => entry.name === name);
+    if (!file) return this.sendNotFound(res);
+
+    const content = fs.readFileSync(file.path, 'utf8');
+    if (file.type === 'html') return this.send(res, 200, 'text/html; charset=utf-8', content);
+
+    const body = `<p class="meta"><a href="/">Reports</a> / ${this.escape(dir)} / ${this.escape(name)}</p>\n` +
+      (file.type === 'markdown' ? `<article class="markdown">${this.markdown.render(content)}</article>` : `<pre>${this.escape(content)}</pre>`);
+    this.sendPage(res, name, body);
+  }
+
+  /**
+   * Reports in .lighthouse/reports, newest first, with their scores
+   */
+  listReports() {
+    const dir = path.join(this.lighthouseDir, 'reports');
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+      .filter(name => ReportLoader.isReportFile(name))
+      .map(name => this.getReportSummary(name, path.join(dir, name)))
+      .sort((a, b) => (b.fetchTime || '').localeCompare(a.fetchTime || '') || b.mtime - a.mtime);
+  }
+
+  getReportSummary(name, filePath) {
+    const mtime = fs.statSync(filePath).mtimeMs;
+    const cached = this.summaries.get(filePath);
+    if (cached && cached.mtime === mtime) return cached;
+
+    let summary;
+    try {
+      const result = ReportLoader.loadResult(filePath);
+      if (ReportLoader.isFlowResult(result)) {
+        const first = result.steps[0]?.lhr || {};
+        summary = { flow: true, url: first.finalDisplayedUrl || first.finalUrl || null, fetchTime: first.fetchTime || null, scores: {}, steps: result.steps.length };
+      } else {
+        const scores = {};
+        for (const [id, category] of Object.entries(result.categories || {})) {
+          scores[id] = category.score !== null ? Math.round(category.score * 100) : null;
+        }
+        summary = { flow: false, url: result.finalDisplayedUrl || result.finalUrl || result.requestedUrl, fetchTime: result.fetchTime, scores };
+      }
+    } catch (error) {
+      summary = { flow: false, url: null, fetchTime: null, scores: {}, error: error.message };
+    }
+
+    const entry = { name, path: filePath, mtime, ...summary };
+    this.summaries.set(filePath, entry);
+    return entry;
+  }
+
+  /**
+   * Saved outputs in .lighthouse/analysis or .lighthouse/fixes, newest first
+   */
+  listFiles(dir) {
+    const fullDir = path.join(this.lighthouseDir, dir);
+    if (!fs.existsSync(fullDir)) return [];
+
+    return fs.readdirSync(fullDir)
+      .filter(name => FILE_TYPES[path.extname(name)])
+      .map(name => {
+        const filePath = path.join(fullDir, name);
+        const stat = fs.statSync(filePath);
+        return { name, path: filePath, type: FILE_TYPES[path.extname(name)], size: stat.size, mtime: stat.mtimeMs };
+      })
+      .filter(file => fs.statSync(file.path).isFile())
+      .sort((a, b) => b.mtime - a.mtime);
+  }
+
+  renderIndex() {
+    const reports = this.listReports();
+
+    let body = '<h1>Reports</h1>\n';
+    if (reports.length === 0) {
+      body += '<p class="empty">No reports in .lighthouse/reports yet. Run Lighthouse with ' +
+        '<code>--output json --output-path .lighthouse/reports/latest.json</code>.</p>\n';
+    } else {
+      body += '<form action="/compare" method="get" class="compare-form" data-compare>\n';
+      body += '<input type="search" placeholder="Filter by URL or file" data-filter="reports">\n';
+      body += '<button type="submit" disabled data-compare-button>Compare selected</button>\n';
+      body += '<input type="hidden" name="base"><input type="hidden" name="head">\n</form>\n';
+
+      body += '<table id="reports">\n<thead><tr><th></th><th>Report</th><th>URL</th><th>Fetched</th>' +
+        SCORE_KEYS.map(key => `<th class="num">${this.escape(this.categoryLabel(key))}</th>`).join('') + '</tr></thead>\n<tbody>\n';
+      for (const report of reports) {
+        const link = `/reports/${encodeURIComponent(report.name)}`;
+        const scores = report.flow
+          ? `<td colspan="${SCORE_KEYS.length}" class="meta">user flow, ${report.steps} steps</td>`
+          : SCORE_KEYS.map(key => `<td class="num">${this.renderScore(report.scores[key])}</td>`).join('');
+        body += `<tr data-search="${this.escape((report.name + ' ' + (report.url || '')).toLowerCase())}">` +
+          `<td>${report.flow ? '' : `<input type="checkbox" value="${this.escape(report.name)}" data-fetched="${this.escape(report.fetchTime || '')}" aria-label="Select for comparison">`}</td>` +
+          `<td><a href="${link}">${this.escape(report.name)}</a>${report.error ? ` <span class="fail">${this.escape(report.error)}</span>` : ''}</td>` +
+          `<td class="url">${this.escape(report.url || '')}</td><td>${this.formatDate(report.fetchTime)}</td>${scores}</tr>\n`;
+      }
+      body += '</tbody>\n</table>\n';
+    }
+
+    for (const dir of FILE_DIRS) {
+      const files = this.listFiles(dir);
+      if (files.length === 0) continue;
+
+      body += `<h2>Saved ${dir === 'fixes' ? 'Fixes' : 'Analyses'}</h2>\n<ul class="files">\n`;
+      for (const file of files.slice(0, 50)) {
+        body += `<li><a href="/files/${dir}/${encodeURIComponent(file.name)}">${this.escape(file.name)}</a> ` +
+          `<span class="meta">${this.formatDate(new Date(file.mtime).toISOString())} · ${Math.max(1, Math.round(file.size / 1024))} KB</span></li>\n`;
+      }
+      body += '</ul>\n';
+      if (files.length > 50) body += `<p class="meta">… and ${files.length - 50} older files</p>\n`;
+    }
+
+    return body;
+  }
+
+  renderReport(report, view) {
+    const link = `/reports/${encodeURIComponent(report.name)}`;
+    const others = this.listReports().filter(entry => entry.name !== report.name && !entry.flow);
+
+    let body = `<p class="meta"><a href="/">Reports</a> / ${this.escape(report.name)}</p>\n`;
+    body += '<nav class="tabs">' +
+      `<a href="${link}"${view === 'analysis' ? ' class="active"' : ''}>Analysis</a>` +
+      `<a href="${link}/fixes"${view === 'fixes' ? ' class="active"' : ''}>Fixes</a>` +
+      `<a href="${link}/raw">JSON</a></nav>\n`;
+
+    if (!report.flow && others.length > 0) {
+      body += '<form action="/compare" method="get" class="inline-form">' +
+        `<input type="hidden" name="head" value="${this.escape(report.name)}">` +
+        '<label>Compare with <select name="base">' +
+        others.map(entry => `<option value="${this.escape(entry.name)}">${this.escape(entry.name)} (${this.formatDate(entry.fetchTime)})</option>`).join('') +
+        '</select></label> <button type="submit">Compare</button></form>\n';
+    }
+
+    const result = ReportLoader.loadResult(report.path);
+    const config = new ProjectConfig(this.projectRoot);
+
+    if (ReportLoader.isFlowResult(result)) {
+      const flow = new FlowAnalyzer(report.path, { flow: result, ignoredAudits: config.getIgnoredAudits() });
+      const markdown = view === 'fixes'
+        ? flow.generateFixes({ registry: FixGenerator.createRegistry(this.projectRoot) })
+        : flow.formatMarkdown();
+      return body + `<article class="markdown">${this.markdown.render(markdown)}</article>\n`;
+    }
+
+    if (view === 'fixes') {
+      const generator = new FixGenerator(report.path, {
+        lhr: result,
+        registry: FixGenerator.createRegistry(this.projectRoot),
+        ignoredAudits: config.getIgnoredAudits()
+      });
+      return body + `<article class="markdown">${this.markdown.render(generator.generate())}</article>\n`;
+    }
+
+    const analyzer = new LighthouseAnalyzer(report.path, {
+      lhr: result,
+      thirdPartyAllowlist: ThirdPartyReport.loadAllowlist(this.projectRoot),
+      ignoredAudits: config.getIgnoredAudits()
+    });
+    return body + `<article class="report">${new HtmlReportRenderer(analyzer).renderBody()}</article>\n`;
+  }
+
+  /**
+   * Pickers for two reports, then both summaries side by side above the diff
+   */
+  renderCompare(baseName, headName) {
+    const reports = this.listReports().filter(entry => !entry.flow);
+    const options = selected => reports
+      .map(entry => `<option value="${this.escape(entry.name)}"${entry.name === selected ? ' selected' : ''}>` +
+        `${this.escape(entry.name)} (${this.formatDate(entry.fetchTime)})</option>`)
+      .join('');
+
+    let body = '<h1>Compare Reports</h1>\n';
+    if (reports.length < 2) {
+      return body + '<p class="empty">Comparing needs at least two single-page reports in .lighthouse/reports.</p>\n';
+    }
+
+    body += '<form action="/compare" method="get" class="inline-form">' +
+      `<label>Base <select name="base">${options(baseName || reports[1].name)}</select></label> ` +
+      `<label>Head <select name="head">${options(headName || reports[0].name)}</select></label> ` +
+      '<button type="submit">Compare</button></form>\n';
+
+    const base = reports.find(entry => entry.name === baseName);
+    const head = reports.find(entry => entry.name === headName);
+    if (!base || !head) return body;
+
+    const comparator = new ReportComparator(base.path, head.path);
+    const result = comparator.compare();
+
+    body += '<div class="side-by-side">\n';
+    for (const [label, report, analyzer] of [['Base', base, comparator.base], ['Head', head, comparator.head]]) {
+      const renderer = new HtmlReportRenderer(analyzer);
+      body += `<section><h2>${label}: <a href="/reports/${encodeURIComponent(report.name)}">${this.escape(report.name)}</a></h2>\n` +
+        `<p class="meta url">${this.escape(report.url || '')} · ${this.formatDate(report.fetchTime)}</p>\n` +
+        renderer.renderGauges(analyzer.getSummary().scores) + renderer.renderVitals() + '</section>\n';
+    }
+    body += '</div>\n';
+
+    // The comparison markdown repeats the report list this page already shows
+    const markdown = comparator.formatMarkdown(result).replace(/^## Reports\n\n(?:- .*\n)+\n/m, '');
+    return body + `<article class="markdown">${this.markdown.render(markdown)}</article>\n`;
+  }
+
+  /**
+   * One chart of category scores and one per metric, for each URL in the history
+   */
+  renderHistory(urlFilter) {
+    const history = new ReportHistory(this.projectRoot);
+    const all = history.getSeries();
+    const urls = Object.keys(all);
+
+    let body = '<h1>History</h1>\n';
+    if (urls.length === 0) {
+      return body + '<p class="empty">No history recorded yet. Every <code>gl analyze</code> run adds an entry.</p>\n';
+    }
+
+    if (urls.length > 1) {
+      body += '<form action="/history" method="get" class="inline-form"><label>URL <select name="url">' +
+        '<option value="">All URLs</option>' +
+        urls.map(url => `<option value="${this.escape(url)}"${url === urlFilter ? ' selected' : ''}>${this.escape(url)}</option>`).join('') +
+        '</select></label> <button type="submit">Show</button></form>\n';
+    }
+
+    for (const url of urls.filter(candidate => !urlFilter || candidate === urlFilter)) {
+      const entries = all[url];
+      const trends = history.getTrends(entries);
+
+      body += `<section class="history">\n<h2 class="url">${this.escape(url)}</h2>\n`;
+      body += `<p class="meta">${entries.length} run(s), ${this.formatDate(entries[0].fetchTime)} to ${this.formatDate(entries[entries.length - 1].fetchTime)}</p>\n`;
+
+      const scoreSeries = Object.keys(trends.scores)
+        .map((key, index) => ({
+          name: this.categoryLabel(key),
+          color: SERIES_COLORS[index % SERIES_COLORS.length],
+          points: this.getPoints(entries, entry => entry.scores?.[key])
+        }));
+      body += '<div class="charts">\n';
+      body += this.renderChart('Category scores', scoreSeries, { min: 0, max: 100, format: value => String(value) });
+
+      for (const key of Object.keys(trends.metrics)) {
+        const series = [{ name: ReportHistory.METRIC_LABELS[key] || key, color: SERIES_COLORS[0], points: this.getPoints(entries, entry => entry.metrics?.[key]) }];
+        body += this.renderChart(ReportHistory.METRIC_LABELS[key] || key, series, { min: 0, format: value => history.formatMetric(key, value) });
+      }
+      body += '</div>\n';
+
+      body += '<table>\n<thead><tr><th>Fetched</th><th>Commit</th>' +
+        Object.keys(trends.scores).map(key => `<th class="num">${this.escape(this.categoryLabel(key))}</th>`).join('') +
+        Object.keys(trends.metrics).map(key => `<th class="num">${this.escape(ReportHistory.METRIC_LABELS[key] || key)}</th>`).join('') +
+        '</tr></thead>\n<tbody>\n';
+      for (const entry of entries.slice().reverse()) {
+        const report = this.findReport(entry.reportPath);
+        const fetched = report ? `<a href="/reports/${encodeURIComponent(report.name)}">${this.formatDate(entry.fetchTime)}</a>` : this.formatDate(entry.fetchTime);
+        body += `<tr><td>${fetched}</td><td><code>${this.escape(entry.commit ? entry.commit.substring(0, 7) : '-')}</code></td>` +
+          Object.keys(trends.scores).map(key => `<td class="num">${this.renderScore(entry.scores?.[key] ?? null)}</td>`).join('') +
+          Object.keys(trends.metrics).map(key => `<td class="num">${this.escape(history.formatMetric(key, entry.metrics?.[key]))}</td>`).join('') +
+          '</tr>\n';
+      }
+      body += '</tbody>\n</table>\n</section>\n';
+    }
+
+    return body;
+  }
+
+  getPoints(entries, pick) {
+    return entries
+      .map(entry => ({ time: new Date(entry.fetchTime).getTime(), value: pick(entry), commit: entry.commit }))
+      .filter(point => typeof point.value === 'number' && !Number.isNaN(point.time));
+  }
+
+  /**
+   * Line chart as inline SVG; every point has a tooltip with its date and value
+   */
+  renderChart(title, series, options = {}) {
+    const width = 480;
+    const height = 180;
+    const pad = { top: 12, right: 12, bottom: 24, left: 56 };
+    const points = series.flatMap(entry => entry.points);
+    if (points.length === 0) return '';
+
+    const minTime = Math.min(...points.map(point => point.time));
+    const maxTime = Math.max(...points.map(point => point.time));
+    const min = options.min ?? Math.min(...points.map(point => point.value));
+    const max = Math.max(options.max ?? -Infinity, ...points.map(point => point.value), min + 1e-9);
+    const x = time => pad.left + (maxTime === minTime ? (width - pad.left - pad.right) / 2 : (time - minTime) / (maxTime - minTime) * (width - pad.left - pad.right));
+    const y = value => height - pad.bottom - (value - min) / (max - min) * (height - pad.top - pad.bottom);
+    const format = options.format || (value => String(value));
+
+    let svg = `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${this.escape(title)}">`;
+    svg += `<line x1="${pad.left}" y1="${y(min)}" x2="${width - pad.right}" y2="${y(min)}" class="axis"/>`;
+    svg += `<line x1="${pad.left}" y1="${y(max)}" x2="${width - pad.right}" y2="${y(max)}" class="grid"/>`;
+    svg += `<text x="${pad.left - 6}" y="${y(max) + 4}" text-anchor="end">${this.escape(format(max))}</text>`;
+    svg += `<text x="${pad.left - 6}" y="${y(min) + 4}" text-anchor="end">${this.escape(format(min))}</text>`;
+    svg += `<text x="${pad.left}" y="${height - 6}">${this.formatDate(new Date(minTime).toISOString())}</text>`;
+    if (maxTime !== minTime) {
+      svg += `<text x="${width - pad.right}" y="${height - 6}" text-anchor="end">${this.formatDate(new Date(maxTime).toISOString())}</text>`;
+    }
+
+    for (const entry of series) {
+      if (entry.points.length === 0) continue;
+      const coordinates = entry.points.map(point => `${x(point.time).toFixed(1)},${y(point.value).toFixed(1)}`);
+      svg += `<polyline points="${coordinates.join(' ')}" fill="none" stroke="${entry.color}" stroke-width="2"/>`;
+      for (const point of entry.points) {
+        const tooltip = `${entry.name}: ${format(point.value)}, ${this.formatDate(new Date(point.time).toISOString())}` +
+          (point.commit ? ` (${point.commit.substring(0, 7)})` : '');
+        svg += `<circle cx="${x(point.time).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="3" fill="${entry.color}"><title>${this.escape(tooltip)}</title></circle>`;
+      }
+    }
+    svg += '</svg>';
+
+    const legend = series.length > 1
+      ? '<p class="legend">' + series.map(entry => `<span style="background:${entry.color}"></span>${this.escape(entry.name)}`).join(' ') + '</p>'
+      : '';
+    return `<figure class="chart"><figcaption>${this.escape(title)}</figcaption>${svg}${legend}</figure>\n`;
+  }
+
+  findReport(reportPath) {
+    if (!reportPath) return null;
+    return this.listReports().find(report => path.resolve(report.path) === path.resolve(reportPath)) || null;
+  }
+
+  renderScore(score) {
+    if (score === null || score === undefined) return '<span class="meta">–</span>';
+    const cls = score >= 90 ? 'pass' : score >= 50 ? 'average' : 'fail';
+    return `<span class="score ${cls}">${score}</span>`;
+  }
+
+  categoryLabel(key) {
+    return { performance: 'Performance', accessibility: 'Accessibility', 'best-practices': 'Best Practices', seo: 'SEO' }[key] || key;
+  }
+
+  formatDate(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return Number.isNaN(date.getTime()) ? this.escape(iso) : date.toISOString().replace('T', ' ').slice(0, 16);
+  }
+
+  sendPage(res, title, body, status = 200) {
+    const html = '<!DOCTYPE html>\n' +
+      '<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+      '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+      `<title>${this.escape(title)} · Lighthouse Dashboard</title>\n` +
+      '<link rel="stylesheet" href="/assets/dashboard.css">\n' +
+      '<script src="/assets/dashboard.js" defer></script>\n</head>\n<body>\n' +
+      '<header><a href="/" class="brand">Lighthouse Dashboard</a>' +
+      '<nav><a href="/">Reports</a><a href="/compare">Compare</a><a href="/history">History</a></nav>' +
+      `<span class="meta">${this.escape(path.basename(this.projectRoot))}</span></header>\n` +
+      `<main>\n${body}</main>\n</body>\n</html>\n`;
+    this.send(res, status, 'text/html; charset=utf-8', html);
+  }
+
+  sendAsset(res, name) {
+    if (!ASSETS[name]) return this.sendNotFound(res);
+    this.send(res, 200, ASSETS[name], fs.readFileSync(path.join(ASSETS_DIR, name)));
+  }
+
+  sendNotFound(res) {
+    this.sendPage(res, 'Not found', '<h1>Not found</h1>\n<p><a href="/">Back to the reports</a></p>\n', 404);
+  }
+
+  send(res, status, type, content) {
+    res.writeHead(status, {
+      'Content-Type': type,
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.end(res.req?.method === 'HEAD' ? undefined : content);
+  }
+
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = DashboardServer;
@@ -4,128 +4,245 @@
  * Generates code fix suggestions based on failed Lighthouse audits.
  */
 
-const fs = require('fs');
+const path = require('path');
+
+const ReportAggregator = require('./aggregator');
+const ReportLoader = require('./report-loader');
+const RuleRegistry = require('./rule-registry');
+const StackDetector = require('./stack-detector');
+const ContrastAnalyzer = require('./contrast');
+const AccessibilityFixer = require('./accessibility-fixer');
+const SeoFixer = require('./seo-fixer');
+const SecurityHeaders = require('./security-headers');
+const HtmlSnippet = require('./html-snippet');
+const ImagePlanner = require('./image-planner');
+const RenderBlockingAnalyzer = require('./render-blocking');
+const ThirdPartyReport = require('./third-party');
+const MainThreadAnalyzer = require('./main-thread');
+const BundleExplorer = require('./bundle-explorer');
+const LayoutShiftAnalyzer = require('./layout-shift');
+const ProjectConfig = require('./project-config');
+const STACK_SNIPPETS = require('./stack-snippets');
+
+const CATEGORY_ORDER = ['performance', 'accessibility', 'seo', 'best-practices'];
+
+// Built-in rules: each maps audit IDs to the generator method that handles them
+const BUILT_IN_RULES = [
+  { id: 'server-response-time', audits: ['server-response-time'], method: 'addServerResponseTimeFixes' },
+  { id: 'unused-javascript', audits: ['unused-javascript'], method: 'addUnusedJavaScriptFixes' },
+  { id: 'speed-index', audits: ['speed-index'], method: 'addSpeedIndexFixes' },
+  { id: 'lcp-breakdown-insight', audits: ['lcp-breakdown-insight'], method: 'addLCPBreakdownFixes' },
+  { id: 'document-latency-insight', audits: ['document-latency-insight'], method: 'addDocumentLatencyFixes' },
+  { id: 'max-potential-fid', audits: ['max-potential-fid'], method: 'addFIDFixes' },
+  { id: 'framework-bundle', audits: ['unused-javascript'], method: 'addFrameworkBundleFixes' },
+  { id: 'color-contrast', audits: ['color-contrast'], method: 'addColorContrastFixes' },
+  { id: 'heading-order', audits: ['heading-order'], method: 'addHeadingOrderFixes' },
+  { id: 'meta-description', audits: ['meta-description'], method: 'addMetaDescriptionFixes' },
+  { id: 'canonical', audits: ['canonical'], method: 'addCanonicalFixes' },
+  { id: 'is-crawlable', audits: ['is-crawlable'], method: 'addCrawlableFixes' },
+  { id: 'robots-txt', audits: ['robots-txt'], method: 'addRobotsTxtFixes' },
+  { id: 'hreflang', audits: ['hreflang'], method: 'addHreflangFixes' },
+  { id: 'http-status-code', audits: ['http-status-code'], method: 'addHttpStatusFixes' },
+  { id: 'link-text', audits: ['link-text'], method: 'addLinkTextFixes' },
+  { id: 'crawlable-anchors', audits: ['crawlable-anchors'], method: 'addCrawlableAnchorsFixes' },
+  // Manual in Lighthouse, so it never fails on its own
+  { id: 'structured-data', audits: ['structured-data'], method: 'addStructuredDataFixes', manual: true },
+  { id: 'errors-in-console', audits: ['errors-in-console'], method: 'addConsoleErrorsFixes' },
+  { id: 'valid-source-maps', audits: ['valid-source-maps'], method: 'addSourceMapsFixes' },
+  { id: 'bf-cache', audits: ['bf-cache'], method: 'addBFCacheFixes' },
+  { id: 'csp-xss', audits: ['csp-xss'], method: 'addSecurityHeaderFixes' },
+  { id: 'has-hsts', audits: ['has-hsts'], method: 'addSecurityHeaderFixes' },
+  { id: 'origin-isolation', audits: ['origin-isolation'], method: 'addSecurityHeaderFixes' },
+  { id: 'clickjacking-mitigation', audits: ['clickjacking-mitigation'], method: 'addSecurityHeaderFixes' },
+  { id: 'is-on-https', audits: ['is-on-https'], method: 'addHttpsFixes' },
+  { id: 'redirects-http', audits: ['redirects-http'], method: 'addHttpRedirectFixes' },
+  { id: 'deprecations', audits: ['deprecations'], method: 'addDeprecationsFixes' },
+  { id: 'third-party-cookies', audits: ['third-party-cookies'], method: 'addThirdPartyCookiesFixes' },
+  { id: 'image-aspect-ratio', audits: ['image-aspect-ratio'], method: 'addImageAspectRatioFixes' },
+  { id: 'image-size-responsive', audits: ['image-size-responsive'], method: 'addImageSizeResponsiveFixes' },
+  { id: 'inspector-issues', audits: ['inspector-issues'], method: 'addInspectorIssuesFixes' },
+  { id: 'paste-preventing-inputs', audits: ['paste-preventing-inputs'], method: 'addPastePreventingFixes' },
+  // One plan for all image audits, merged per image URL
+  { id: 'image-plan', audits: ImagePlanner.AUDITS, method: 'addImagePlanFixes' },
+  { id: 'render-blocking', audits: RenderBlockingAnalyzer.AUDITS, method: 'addRenderBlockingFixes' },
+  { id: 'third-party', audits: ['third-party-summary', 'third-party-facades'], method: 'addThirdPartyFixes' },
+  { id: 'layout-shift', audits: ['cumulative-layout-shift', ...LayoutShiftAnalyzer.SHIFT_AUDITS], method: 'addLayoutShiftFixes' },
+  // One rule per axe audit so a project rule can replace any of them
+  ...Object.keys(AccessibilityFixer.AUDITS).map(id => ({ id, audits: [id], method: 'addAccessibilityFixes' }))
+];
+
+// Items shown with a before/after snippet per fix; the rest are listed
+const MAX_SNIPPET_FIXES = 5;
+
+const SECURITY_HEADER_FIXES = {
+  'csp-xss': { title: 'Add a Content Security Policy', priority: 'high' },
+  'has-hsts': { title: 'Send a Strong HSTS Header', priority: 'medium' },
+  'origin-isolation': { title: 'Isolate the Browsing Context with COOP', priority: 'low' },
+  'clickjacking-mitigation': { title: 'Prevent Framing by Other Sites', priority: 'medium' }
+};
+
+// What to do about each kind of DevTools issue
+const INSPECTOR_ISSUE_ADVICE = {
+  mixedContent: 'Load every subresource over HTTPS',
+  cookie: 'Set SameSite and Secure on the cookies involved',
+  blockedByResponse: 'Send Cross-Origin-Resource-Policy on the blocked cross-origin resources (or drop COEP)',
+  heavyAds: 'An ad used too much CPU or network and was unloaded; raise it with the ad network',
+  contentSecurityPolicy: 'Allow the source in the CSP or stop loading it',
+  sharedArrayBuffer: 'SharedArrayBuffer needs cross-origin isolation (COOP same-origin + COEP require-corp)',
+  cors: 'The cross-origin request failed; check Access-Control-Allow-Origin on the responding server',
+  quirksMode: 'Start the document with <!DOCTYPE html>',
+  navigatorUserAgent: 'Use feature detection or User-Agent Client Hints instead of navigator.userAgent',
+  deprecation: 'See the deprecations audit',
+  genericIssue: 'See the DevTools Issues panel for details'
+};
 
 class FixGenerator {
   constructor(reportPath, options = {}) {
     this.reportPath = reportPath;
     this.options = {
-      category: options.category || null
+      category: options.category || null,
+      lang: options.lang || 'en'
     };
 
-    this.lhr = this.loadReport();
+    // Optional SourceMapper; when set, each fix lists candidate source locations
+    this.sourceMapper = options.sourceMapper || null;
+    this.registry = options.registry || FixGenerator.createRegistry(process.cwd());
+    // Audits the project ignores get no fixes (`ignore` in .lighthouse/config.json)
+    this.ignoredAudits = options.ignoredAudits || new ProjectConfig(process.cwd()).getIgnoredAudits();
+
+    this.aggregate = null;
+    // An already-loaded LHR (e.g. one step of a user flow) skips loading
+    this.lhr = options.lhr || this.loadReport();
+    // Picks framework-specific snippets; pass `stack` to skip detection
+    this.stack = options.stack || new StackDetector(this.lhr, process.cwd()).detect();
     this.fixes = [];
+    this.uncovered = [];
+    this.imagesPlanned = false;
+    this.renderBlocking = null;
+    this.renderBlockingReported = false;
+    this.thirdPartyReported = false;
+    this.layoutShiftsReported = false;
+  }
+
+  /**
+   * Registry with the built-in rules plus the project's `.lighthouse/rules/`
+   */
+  static createRegistry(projectRoot) {
+    const registry = new RuleRegistry();
+
+    for (const rule of BUILT_IN_RULES) {
+      registry.register({
+        id: rule.id,
+        audits: rule.audits,
+        manual: rule.manual,
+        generate: (audit, context) => context.generator[rule.method](audit)
+      });
+    }
+
+    if (projectRoot) {
+      registry.loadDirectory(path.join(projectRoot, '.lighthouse', 'rules'));
+    }
+
+    return registry;
   }
 
   loadReport() {
-    try {
-      const content = fs.readFileSync(this.reportPath, 'utf8');
-      return JSON.parse(content);
-    } catch (error) {
-      throw new Error(`Failed to load report: ${error.message}`);
+    // Several runs (or a directory of runs) are reduced to their median run
+    if (ReportAggregator.isMultiRun(this.reportPath)) {
+      this.aggregate = new ReportAggregator(this.reportPath).aggregate();
+      return this.aggregate.lhr;
+    }
+
+    if (Array.isArray(this.reportPath)) {
+      this.reportPath = this.reportPath[0];
     }
+
+    return ReportLoader.load(this.reportPath);
   }
 
+  /**
+   * Run every matching rule against the failing audits of each category
+   */
   generate() {
-    this.analyzePerformanceIssues();
-    this.analyzeAccessibilityIssues();
-    this.analyzeSeoIssues();
-    this.analyzeBestPracticesIssues();
+    const handled = new Set();
 
-    return this.formatOutput();
-  }
+    for (const categoryId of this.getCategoryIds()) {
+      for (const ref of this.lhr.categories[categoryId].auditRefs || []) {
+        const audit = this.lhr.audits[ref.id];
+        if (!audit || handled.has(audit.id)) continue;
+        handled.add(audit.id);
+        if (this.ignoredAudits.includes(audit.id)) continue;
 
-  analyzePerformanceIssues() {
-    const performanceAudits = this.lhr.categories.performance?.auditRefs || [];
-
-    for (const ref of performanceAudits) {
-      const audit = this.lhr.audits[ref.id];
-      if (!audit || audit.score >= 0.9) continue;
-
-      switch (audit.id) {
-        case 'server-response-time':
-          this.addServerResponseTimeFixes(audit);
-          break;
-        case 'unused-javascript':
-          this.addUnusedJavaScriptFixes(audit);
-          break;
-        case 'speed-index':
-          this.addSpeedIndexFixes(audit);
-          break;
-        case 'lcp-breakdown-insight':
-          this.addLCPBreakdownFixes(audit);
-          break;
-        case 'document-latency-insight':
-          this.addDocumentLatencyFixes(audit);
-          break;
-        case 'max-potential-fid':
-          this.addFIDFixes(audit);
-          break;
+        this.applyRules(audit);
       }
     }
 
-    // Check for Next.js specific issues
-    this.checkFrameworkSpecificIssues();
+    return this.formatOutput();
   }
 
-  analyzeAccessibilityIssues() {
-    const a11yAudits = this.lhr.categories.accessibility?.auditRefs || [];
+  getCategoryIds() {
+    if (this.options.category) {
+      return this.lhr.categories[this.options.category] ? [this.options.category] : [];
+    }
+
+    // Known categories first, in their usual order, then anything else the report has
+    const ids = Object.keys(this.lhr.categories);
+    return CATEGORY_ORDER.filter(id => ids.includes(id))
+      .concat(ids.filter(id => !CATEGORY_ORDER.includes(id)));
+  }
 
-    for (const ref of a11yAudits) {
-      const audit = this.lhr.audits[ref.id];
-      if (!audit || audit.score >= 0.9) continue;
+  applyRules(audit) {
+    const rules = this.registry.getRulesForAudit(audit.id)
+      .filter(rule => RuleRegistry.isFailing(audit, rule.threshold, rule.manual));
 
-      switch (audit.id) {
-        case 'color-contrast':
-          this.addColorContrastFixes(audit);
-          break;
-        case 'heading-order':
-          this.addHeadingOrderFixes(audit);
-          break;
+    if (rules.length === 0) {
+      if (typeof audit.score === 'number' && RuleRegistry.isFailing(audit)) {
+        this.uncovered.push(audit.id);
       }
+      return;
     }
-  }
 
-  analyzeSeoIssues() {
-    const seoAudits = this.lhr.categories.seo?.auditRefs || [];
-
-    for (const ref of seoAudits) {
-      const audit = this.lhr.audits[ref.id];
-      if (!audit || audit.score >= 0.9) continue;
+    for (const rule of rules) {
+      let result;
+      try {
+        result = rule.generate(audit, { lhr: this.lhr, generator: this });
+      } catch (error) {
+        throw new Error(`Fix rule "${rule.id}" (${rule.source}) failed on ${audit.id}: ${error.message}`);
+      }
 
-      switch (audit.id) {
-        case 'meta-description':
-          this.addMetaDescriptionFixes(audit);
-          break;
-        case 'canonical':
-          this.addCanonicalFixes(audit);
-          break;
+      // Built-in rules call addFix() themselves; custom rules return their fixes
+      for (const fix of [].concat(result || [])) {
+        this.addFix(this.normalizeFix(fix, audit, rule));
       }
     }
   }
 
-  analyzeBestPracticesIssues() {
-    const bpAudits = this.lhr.categories['best-practices']?.auditRefs || [];
+  normalizeFix(fix, audit, rule) {
+    if (!fix || typeof fix.title !== 'string') {
+      throw new Error(`Fix rule "${rule.id}" (${rule.source}) returned a fix without a title`);
+    }
 
-    for (const ref of bpAudits) {
-      const audit = this.lhr.audits[ref.id];
-      if (!audit || audit.score >= 0.9) continue;
+    const normalized = {
+      auditId: audit.id,
+      priority: 'medium',
+      impact: audit.title,
+      description: audit.description,
+      ...fix,
+      fixes: fix.fixes || []
+    };
 
-      switch (audit.id) {
-        case 'errors-in-console':
-          this.addConsoleErrorsFixes(audit);
-          break;
-        case 'valid-source-maps':
-          this.addSourceMapsFixes(audit);
-          break;
-        case 'bf-cache':
-          this.addBFCacheFixes(audit);
-          break;
-      }
+    if (!RuleRegistry.PRIORITIES.includes(normalized.priority)) {
+      throw new Error(`Fix rule "${rule.id}" (${rule.source}) returned an unknown priority "${normalized.priority}"`);
     }
+
+    return normalized;
   }
 
   addFix(fix) {
+    if (this.sourceMapper && fix.auditId && !fix.locations) {
+      const items = this.lhr.audits[fix.auditId]?.details?.items || [];
+      fix.locations = this.sourceMapper.locateItems(items);
+    }
     this.fixes.push(fix);
   }
 
@@ -133,6 +250,7 @@ class FixGenerator {
     const ttfbMs = audit.numericValue || 0;
 
     this.addFix({
+      auditId: audit.id,
       title: 'Reduce Server Response Time (TTFB: ' + Math.round(ttfbMs) + 'ms)',
       priority: 'high',
       impact: 'All Core Web Vitals - TTFB affects LCP, FCP, and SI',
@@ -160,11 +278,7 @@ class FixGenerator {
         code: this.getUnusedJsAnalysis(firstParty, totalWastedBytes, totalWastedMs)
       });
 
-      fixes.push({
-        type: 'javascript',
-        title: 'Dynamic Imports for Code Splitting',
-        code: '// pages/index.js or app/page.js\nimport dynamic from \'next/dynamic\';\n\n// Lazy load heavy components\nconst HeavyChart = dynamic(() => import(\'../components/HeavyChart\'), {\n  loading: () => <div>Loading chart...</div>,\n  ssr: false\n});'
-      });
+      fixes.push(this.snippet('code-splitting'));
     }
 
     if (extensions.length > 0) {
@@ -176,6 +290,7 @@ class FixGenerator {
     }
 
     this.addFix({
+      auditId: audit.id,
       title: 'Reduce Unused JavaScript (~' + Math.round(totalWastedBytes / 1024) + 'KB wasted, ' + totalWastedMs + 'ms savings)',
       priority: 'high',
       impact: 'FCP, LCP, and TBT',
@@ -205,24 +320,57 @@ class FixGenerator {
       output += '   - Wasted: ' + wastedKb + 'KB / ' + totalKb + 'KB\n\n';
     });
 
+    // Source maps let the waste be pinned on packages rather than chunk names
+    const packages = new BundleExplorer(this.lhr).explore().packages
+      .filter(entry => entry.unusedBytes > 0)
+      .sort((a, b) => b.unusedBytes - a.unusedBytes)
+      .slice(0, 5);
+
+    if (packages.length > 0) {
+      output += '### Top Wasting Packages:\n\n';
+      packages.forEach(entry => {
+        const part = entry.largestPart ? ' (mostly ' + entry.largestPart.path + ')' : '';
+        output += '- **' + entry.name + '**' + part + ': ' + Math.round(entry.unusedBytes / 1024) + 'KB unused of ' +
+          Math.round(entry.bytes / 1024) + 'KB' + (entry.advice ? '. ' + entry.advice : '') + '\n';
+      });
+      output += '\nRun `gl bundles` for the full module tree.\n';
+    }
+
     return output;
   }
 
   addColorContrastFixes(audit) {
     const items = audit.details?.items || [];
+    const contrast = new ContrastAnalyzer(process.cwd());
+    const rows = contrast.analyzeItems(items);
+
+    const measured = rows.filter(row => row.ratio !== null).sort((a, b) => a.ratio - b.ratio);
+    const worst = measured[0];
 
-    let fixes = [{
-      type: 'css',
-      title: 'Fix contrast with darker text',
-      code: '/* Current issue: text-white/40 = 40% opacity = insufficient contrast */\n\n/* GOOD - Fix Option 1: Increase opacity */\n.text-white\\/60 {\n  color: rgba(255, 255, 255, 0.6); /* 7:1 ratio - PASS */\n}\n\n/* GOOD - Fix Option 2: Use lighter gray */\n.text-gray-300 {\n  color: rgb(209, 213, 219); /* 12.6:1 ratio - PASS */\n}'
+    const fixes = [{
+      type: 'markdown',
+      title: 'Contrast per element',
+      code: contrast.formatTable(rows)
     }];
 
+    const css = contrast.formatCss(rows);
+    if (css) {
+      fixes.push({
+        type: 'css',
+        title: 'Nearest passing colours (same hue)',
+        code: css
+      });
+    }
+
     this.addFix({
+      auditId: audit.id,
       title: 'Fix Color Contrast (' + items.length + ' elements affected)',
       priority: 'high',
       impact: 'Accessibility (WCAG AA compliance)',
       description: audit.description,
-      diagnosis: 'Elements like "' + items[0]?.node?.nodeLabel + '" have insufficient contrast (3.65:1, need 4.5:1)',
+      diagnosis: worst
+        ? 'Lowest contrast: "' + worst.label + '" at ' + contrast.formatRatio(worst.ratio) + ' (' + worst.foreground + ' on ' + worst.background + '), needs ' + worst.required + ':1'
+        : 'Could not read colours from the audit details',
       fixes: fixes
     });
   }
@@ -231,6 +379,7 @@ class FixGenerator {
     const items = audit.details?.items || [];
 
     this.addFix({
+      auditId: audit.id,
       title: 'Fix Heading Order Hierarchy',
       priority: 'medium',
       impact: 'Accessibility and SEO',
@@ -244,6 +393,36 @@ class FixGenerator {
     });
   }
 
+  /**
+   * Node-level fixes for axe audits: each offending snippet next to a corrected one
+   */
+  addAccessibilityFixes(audit) {
+    const { title, priority, page, impact } = AccessibilityFixer.AUDITS[audit.id];
+    const fixer = new AccessibilityFixer({ lang: this.options.lang, url: this.lhr.finalUrl });
+
+    let nodes = (audit.details?.items || []).map(item => item.node).filter(Boolean);
+    // Page-level audits (lang, title) may report no node at all
+    if (nodes.length === 0 && page) nodes = [null];
+    if (nodes.length === 0) return;
+
+    const fixes = this.snippetFixes(nodes, node => ({
+      title: node ? '`' + (node.selector || node.nodeLabel || 'element') + '`' : title,
+      ...fixer.fixNode(audit.id, node)
+    }));
+
+    const count = nodes[0] ? ' (' + nodes.length + ' element' + (nodes.length === 1 ? '' : 's') + ')' : '';
+
+    this.addFix({
+      auditId: audit.id,
+      title: title + count,
+      priority: priority,
+      impact: impact || 'Accessibility',
+      description: audit.description,
+      diagnosis: fixer.summarize(nodes[0]?.explanation) || audit.title,
+      fixes: fixes
+    });
+  }
+
   addConsoleErrorsFixes(audit) {
     const items = audit.details?.items || [];
 
@@ -254,6 +433,7 @@ class FixGenerator {
     }));
 
     this.addFix({
+      auditId: audit.id,
       title: 'Fix Console Errors (' + items.length + ' errors)',
       priority: 'medium',
       impact: 'User experience',
@@ -271,16 +451,13 @@ class FixGenerator {
     const items = audit.details?.items || [];
 
     this.addFix({
+      auditId: audit.id,
       title: 'Fix Missing Source Maps (' + items.length + ' files)',
       priority: 'low',
       impact: 'Debugging (not production)',
       description: audit.description,
       diagnosis: items.length + ' JavaScript files missing source maps',
-      fixes: [{
-        type: 'bash',
-        title: 'Enable source maps in Next.js',
-        code: '# next.config.js\nmodule.exports = {\n  productionBrowserSourceMaps: true\n};\n\nnpm run build'
-      }]
+      fixes: [this.snippet('source-maps')]
     });
   }
 
@@ -306,6 +483,7 @@ class FixGenerator {
     }
 
     this.addFix({
+      auditId: audit.id,
       title: 'Optimize LCP Breakdown',
       priority: 'high',
       impact: 'LCP metric',
@@ -319,6 +497,7 @@ class FixGenerator {
     const wastedMs = audit.details?.overallSavingsMs || 570;
 
     this.addFix({
+      auditId: audit.id,
       title: 'Reduce Document Request Latency (~' + wastedMs + 'ms savings)',
       priority: 'high',
       impact: 'All page metrics',
@@ -334,59 +513,323 @@ class FixGenerator {
 
   addFIDFixes(audit) {
     const value = audit.numericValue || 0;
+    const analyzer = new MainThreadAnalyzer(this.lhr);
+    const mainThread = analyzer.analyze();
+    const worst = mainThread.scripts.find(script => script.tbtMs > 0);
+
+    const fixes = [];
+
+    // Start with the scripts behind most of the blocking time
+    if (mainThread.scripts.length > 0) {
+      fixes.push({
+        type: 'markdown',
+        title: 'Where the main thread goes',
+        code: analyzer.formatMarkdown({ ...mainThread, scripts: mainThread.scripts.slice(0, 5), longTasks: mainThread.longTasks.slice(0, 5) })
+      });
+    }
+
+    fixes.push({
+      type: 'text',
+      title: 'Break up long JavaScript tasks',
+      code: '- Use requestIdleCallback or setTimeout for chunking\n- Use Web Workers for CPU-intensive tasks\n- Defer non-critical JavaScript with dynamic imports'
+    });
 
     this.addFix({
+      auditId: audit.id,
       title: 'Reduce First Input Delay (FID: ' + Math.round(value) + 'ms)',
       priority: value > 100 ? 'high' : 'medium',
       impact: 'Interactivity',
       description: audit.description,
-      diagnosis: this.diagnoseFID(value),
-      fixes: [{
-        type: 'text',
-        title: 'Break up long JavaScript tasks',
-        code: '- Use requestIdleCallback or setTimeout for chunking\n- Use Web Workers for CPU-intensive tasks\n- Defer non-critical JavaScript with dynamic imports'
-      }]
+      diagnosis: this.diagnoseFID(value) +
+        (worst ? '; ' + analyzer.shortUrl(worst.url) + ' accounts for ~' + worst.tbtMs + 'ms of TBT (' + worst.tbtShare + '%)' : ''),
+      fixes: fixes
     });
   }
 
   addSpeedIndexFixes(audit) {
+    const analyzer = new RenderBlockingAnalyzer(this.lhr, { stack: this.stack });
+    const blocking = this.getRenderBlockingAnalysis().resources.filter(resource => resource.blocking);
+
+    // The page's own blocking resources; the per-resource markup is in "Unblock First Paint"
+    const fix = blocking.length > 0
+      ? {
+        type: 'text',
+        title: 'Resources holding back the first paint',
+        code: blocking
+          .map(resource => '- ' + analyzer.shortName(resource.url) + ' (' + Math.round(resource.bytes / 1024) + ' KB, ~' +
+            resource.blockingMs + 'ms): ' + RenderBlockingAnalyzer.ACTION_LABELS[resource.action])
+          .join('\n')
+      }
+      : {
+        type: 'text',
+        title: 'Paint the first screen sooner',
+        code: '1. Send the above-the-fold content in the HTML instead of rendering it with JavaScript\n' +
+          '2. Keep web fonts from hiding text (font-display: swap or optional)\n' +
+          '3. Shorten long main-thread tasks during load (see Total Blocking Time)'
+      };
+
     this.addFix({
+      auditId: audit.id,
       title: 'Improve Speed Index',
       priority: 'medium',
       impact: 'Perceived performance',
       description: audit.description,
-      fixes: [{
-        type: 'html',
-        title: 'Add critical CSS inline',
-        code: '<head>\n  <style>body { margin: 0; font-family: system-ui; }</style>\n  <link rel="preload" href="styles.css" as="style" onload="this.onload=null;this.rel=\'stylesheet\'">\n</head>'
-      }]
+      diagnosis: blocking.length > 0
+        ? blocking.length + ' render-blocking resource' + (blocking.length === 1 ? '' : 's') + ' delay first paint (see "Unblock First Paint")'
+        : null,
+      fixes: [fix]
     });
   }
 
   addMetaDescriptionFixes(audit) {
     this.addFix({
+      auditId: audit.id,
       title: 'Add Meta Description',
       priority: 'high',
       impact: 'SEO',
       description: audit.description,
-      fixes: [{
-        type: 'html',
-        title: 'Add meta description in head',
-        code: '<head>\n  <meta name="description" content="A clear, compelling description between 50-160 characters.">\n</head>'
-      }]
+      fixes: [this.snippet('meta-description')]
     });
   }
 
   addCanonicalFixes(audit) {
+    // Tracking parameters and fragments don't belong in a canonical URL
+    const url = this.getPageUrl();
+    const canonical = url ? url.split(/[?#]/)[0] : 'https://example.com/page';
+
     this.addFix({
-      title: 'Add Canonical Link',
+      auditId: audit.id,
+      title: audit.explanation ? 'Fix Canonical Link' : 'Add Canonical Link',
       priority: 'medium',
       impact: 'SEO',
       description: audit.description,
+      diagnosis: audit.explanation || null,
+      fixes: [this.snippet('canonical', { url: canonical })]
+    });
+  }
+
+  /**
+   * Tells a robots meta tag, an X-Robots-Tag header and a robots.txt rule apart
+   */
+  addCrawlableFixes(audit) {
+    const seo = new SeoFixer(this.lhr);
+    const path = seo.getPagePath();
+    const blockers = (audit.details?.items || []).map(item => seo.classifyBlocker(item));
+    const fixes = [];
+
+    for (const blocker of blockers) {
+      if (blocker.kind === 'meta') {
+        fixes.push({
+          type: 'html',
+          title: 'Drop noindex from the robots meta tag',
+          code: '<!-- PROBLEM -->\n' + blocker.snippet + '\n\n<!-- SOLUTION -->\n' + seo.fixMetaRobots(blocker.snippet) +
+            '\n\n<!-- Often left over from a staging build; check environment-dependent head code -->'
+        });
+      } else if (blocker.kind === 'header') {
+        fixes.push({
+          type: 'bash',
+          title: 'Remove the X-Robots-Tag response header',
+          code: '# ' + this.getPageUrl() + ' responds with "' + blocker.source + '"\n' +
+            'curl -sI "' + this.getPageUrl() + '" | grep -i x-robots-tag\n\n' +
+            '# Find where it is set (nginx add_header, Apache Header set, vercel.json,\n' +
+            '# netlify.toml, _headers, next.config.js headers(), server middleware)\n' +
+            'grep -rni "x-robots-tag" . --exclude-dir=node_modules --exclude-dir=.git'
+        });
+      } else if (blocker.kind === 'robots-txt') {
+        fixes.push({
+          type: 'text',
+          title: 'Allow the page in robots.txt',
+          code: '# ' + blocker.url + ' line ' + blocker.line + ' disallows ' + path + '\n' +
+            '# Remove that rule, or allow this path in the same group:\n' +
+            'User-agent: *\nAllow: ' + path
+        });
+      } else {
+        fixes.push({ type: 'text', title: 'Unrecognized blocker', code: blocker.source });
+      }
+    }
+
+    const labels = { meta: 'a robots meta tag', header: 'the X-Robots-Tag header', 'robots-txt': 'robots.txt', unknown: 'an unknown directive' };
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Allow Search Engines to Index ' + path,
+      priority: 'high',
+      impact: 'SEO (page is excluded from search results)',
+      description: audit.description,
+      diagnosis: blockers.length > 0
+        ? this.getPageUrl() + ' is blocked by ' + [...new Set(blockers.map(b => labels[b.kind]))].join(', ')
+        : audit.explanation || null,
+      fixes: fixes
+    });
+  }
+
+  addRobotsTxtFixes(audit) {
+    const seo = new SeoFixer(this.lhr);
+    const robotsUrl = seo.getOrigin() + '/robots.txt';
+    const items = audit.details?.items || [];
+
+    // No parse errors means the file could not be fetched at all
+    if (items.length === 0) {
+      this.addFix({
+        auditId: audit.id,
+        title: 'Serve a Valid robots.txt',
+        priority: 'medium',
+        impact: 'SEO (crawling)',
+        description: audit.description,
+        diagnosis: audit.explanation || robotsUrl + ' could not be read',
+        fixes: [{
+          type: 'text',
+          title: 'Minimal robots.txt at ' + robotsUrl,
+          code: 'User-agent: *\nAllow: /\n\nSitemap: ' + seo.getOrigin() + '/sitemap.xml'
+        }]
+      });
+      return;
+    }
+
+    const code = items.map(item => {
+      const fixed = seo.fixRobotsLine(item);
+      return '# line ' + item.index + ': ' + item.message + '\n- ' + item.line + '\n' +
+        (fixed ? fixed.split('\n').map(line => '+ ' + line).join('\n') : '# (remove the line)');
+    }).join('\n\n');
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Fix robots.txt (' + items.length + ' invalid line' + (items.length === 1 ? '' : 's') + ')',
+      priority: 'medium',
+      impact: 'SEO (crawling)',
+      description: audit.description,
+      diagnosis: 'Line ' + items[0].index + ' of ' + robotsUrl + ': ' + items[0].message,
+      fixes: [{ type: 'diff', title: 'Corrected lines', code: code }]
+    });
+  }
+
+  addHreflangFixes(audit) {
+    const seo = new SeoFixer(this.lhr);
+    const items = audit.details?.items || [];
+    if (items.length === 0) return;
+
+    const fixes = this.snippetFixes(items, item => {
+      const reasons = (item.subItems?.items || []).map(sub => sub.reason).filter(Boolean);
+      const snippet = typeof item.source === 'string' ? item.source : item.source?.snippet || '';
+      const isTag = snippet.startsWith('<');
+
+      return {
+        title: reasons.join(', ') || 'Invalid hreflang',
+        before: snippet,
+        after: isTag ? seo.fixHreflang(snippet) : null,
+        note: isTag ? 'Use ISO 639-1 language codes with optional ISO 3166-1 regions, and absolute URLs' : 'Fix the hreflang value in the Link response header'
+      };
+    }, item => typeof item.source === 'string' ? item.source : item.source?.snippet);
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Fix hreflang Links (' + items.length + ')',
+      priority: 'medium',
+      impact: 'SEO (international targeting)',
+      description: audit.description,
+      fixes: fixes
+    });
+  }
+
+  addHttpStatusFixes(audit) {
+    const seo = new SeoFixer(this.lhr);
+    const url = this.getPageUrl();
+    const status = seo.getStatusCode();
+
+    let advice;
+    if (status >= 500) {
+      advice = '- The server failed; check its logs for this request\n- Make sure the page does not depend on a service that is down at crawl time';
+    } else if (status === 404 || status === 410) {
+      advice = '- If the page moved, redirect the old URL with a 301\n- If it should exist, check that the route is included in the build\n- Remove links and sitemap entries that point here';
+    } else {
+      advice = '- Return 200 for pages that should be indexed\n- Use a 301 redirect instead of an error status for moved content';
+    }
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Fix HTTP Status' + (status ? ' ' + status : '') + ' for ' + seo.getPagePath(),
+      priority: 'high',
+      impact: 'SEO (error pages are not indexed)',
+      description: audit.description,
+      diagnosis: url + ' responded with ' + (status ? 'HTTP ' + status : 'an unsuccessful status'),
+      fixes: [{
+        type: 'bash',
+        title: 'Check the response',
+        code: 'curl -sI "' + url + '" | head -1'
+      }, {
+        type: 'text',
+        title: 'What to change',
+        code: advice
+      }]
+    });
+  }
+
+  addLinkTextFixes(audit) {
+    const seo = new SeoFixer(this.lhr);
+    const items = audit.details?.items || [];
+    if (items.length === 0) return;
+
+    const fixes = this.snippetFixes(items, item => {
+      const before = '<a href="' + item.href + '">' + item.text + '</a>';
+      const text = seo.suggestLinkText(item.href);
+      return {
+        title: '"' + item.text + '" → ' + item.href,
+        before: before,
+        after: text ? '<a href="' + item.href + '">' + text + '</a>' : null,
+        note: 'Say where the link goes; keep "' + item.text + '" out of the text'
+      };
+    }, item => '"' + item.text + '" → ' + item.href);
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Use Descriptive Link Text (' + items.length + ' link' + (items.length === 1 ? '' : 's') + ')',
+      priority: 'medium',
+      impact: 'SEO and Accessibility',
+      description: audit.description,
+      fixes: fixes
+    });
+  }
+
+  addCrawlableAnchorsFixes(audit) {
+    const seo = new SeoFixer(this.lhr);
+    const nodes = (audit.details?.items || []).map(item => item.node).filter(Boolean);
+    if (nodes.length === 0) return;
+
+    const fixes = this.snippetFixes(nodes, node => ({
+      title: '`' + (node.selector || node.nodeLabel || 'a') + '`',
+      before: node.snippet,
+      ...seo.fixAnchor(node.snippet)
+    }));
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Make Links Crawlable (' + nodes.length + ' anchor' + (nodes.length === 1 ? '' : 's') + ')',
+      priority: 'medium',
+      impact: 'SEO (crawlers only follow real hrefs)',
+      description: audit.description,
+      fixes: fixes
+    });
+  }
+
+  addStructuredDataFixes(audit) {
+    const seo = new SeoFixer(this.lhr);
+    const url = encodeURIComponent(this.getPageUrl() || '');
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Add and Validate Structured Data',
+      priority: 'low',
+      impact: 'SEO (rich results)',
+      description: audit.description,
+      diagnosis: 'Lighthouse does not check structured data; validate it by hand',
       fixes: [{
         type: 'html',
-        title: 'Add canonical link element',
-        code: '<head>\n  <link rel="canonical" href="https://example.com/page">\n</head>'
+        title: 'JSON-LD starter for ' + seo.getPagePath(),
+        code: seo.buildStructuredData()
+      }, {
+        type: 'text',
+        title: 'Validate',
+        code: 'https://search.google.com/test/rich-results?url=' + url + '\nhttps://validator.schema.org/#url=' + url
       }]
     });
   }
@@ -395,6 +838,7 @@ class FixGenerator {
     const items = audit.details?.items || [];
 
     this.addFix({
+      auditId: audit.id,
       title: 'Enable Back/Forward Cache',
       priority: 'medium',
       impact: 'Navigation performance',
@@ -408,6 +852,541 @@ class FixGenerator {
     });
   }
 
+  /**
+   * Header audits (CSP, HSTS, COOP, frame protection) as config for the project's server or host
+   */
+  addSecurityHeaderFixes(audit) {
+    // These audits are informative: no findings means nothing to fix
+    const items = audit.details?.items || [];
+    if (items.length === 0) return;
+
+    const security = new SecurityHeaders(this.lhr, process.cwd(), { stack: this.stack });
+    const headers = security.getHeadersFor(audit.id);
+    const { title, priority } = SECURITY_HEADER_FIXES[audit.id];
+
+    const fixes = [{
+      type: 'http',
+      title: 'Headers',
+      code: Object.entries(headers).map(([name, value]) => name + ': ' + value).join('\n')
+    }];
+
+    if (audit.id === 'csp-xss') {
+      fixes.push({
+        type: 'text',
+        title: 'Rolling out the policy',
+        code: '1. Ship it as Content-Security-Policy-Report-Only and watch the console for violations\n' +
+          '2. Inline <script> blocks need a nonce or hash (script-src \'nonce-...\' \'strict-dynamic\')\n' +
+          '3. Rename the header to Content-Security-Policy once the page runs clean'
+      });
+    }
+
+    if (audit.id === 'has-hsts') {
+      fixes.push({
+        type: 'text',
+        title: 'Opting in to preload',
+        code: '1. Ship the header above and check every subdomain serves HTTPS\n' +
+          '2. Only then add "; preload" and submit the domain at https://hstspreload.org\n' +
+          '3. Browsers hard-code preloaded domains, so removal takes months'
+      });
+    }
+
+    this.addFix({
+      auditId: audit.id,
+      title: title,
+      priority: priority,
+      impact: 'Security',
+      description: audit.description,
+      diagnosis: items.map(item => this.itemText(item.description)).filter(Boolean).slice(0, 3).join('; ') || null,
+      fixes: fixes.concat(security.formatHeaders(headers))
+    });
+  }
+
+  addHttpsFixes(audit) {
+    const items = audit.details?.items || [];
+    const security = new SecurityHeaders(this.lhr, process.cwd(), { stack: this.stack });
+    const insecure = items.filter(item => item.url && item.url.startsWith('http:'));
+
+    const fixes = [];
+    if (insecure.length > 0) {
+      fixes.push({
+        type: 'text',
+        title: 'Insecure requests (' + insecure.length + ')',
+        code: insecure.slice(0, 20).map(item => '- ' + item.url + ' → ' + item.url.replace(/^http:/, 'https:') +
+          (item.resolution ? ' (' + item.resolution + ')' : '')).join('\n')
+      });
+    }
+
+    // Upgrades whatever is left while the URLs are being fixed
+    fixes.push(...security.formatHeaders({ 'Content-Security-Policy': 'upgrade-insecure-requests' }));
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Serve Everything over HTTPS' + (insecure.length ? ' (' + insecure.length + ' insecure request' + (insecure.length === 1 ? '' : 's') + ')' : ''),
+      priority: 'high',
+      impact: 'Security',
+      description: audit.description,
+      diagnosis: insecure[0] ? 'First insecure request: ' + insecure[0].url : audit.explanation || null,
+      fixes: fixes
+    });
+  }
+
+  addHttpRedirectFixes(audit) {
+    const security = new SecurityHeaders(this.lhr, process.cwd(), { stack: this.stack });
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Redirect HTTP to HTTPS',
+      priority: 'high',
+      impact: 'Security',
+      description: audit.description,
+      diagnosis: 'http://' + (security.getOrigin() || '').replace(/^https?:\/\//, '') + ' does not redirect to HTTPS',
+      fixes: security.formatHttpsRedirect()
+    });
+  }
+
+  addDeprecationsFixes(audit) {
+    const items = audit.details?.items || [];
+    if (items.length === 0) return;
+
+    // One entry per deprecation, with every place it was hit
+    const grouped = new Map();
+    for (const item of items) {
+      const message = this.itemText(item.value) || 'Deprecated API';
+      if (!grouped.has(message)) grouped.set(message, []);
+      if (item.source?.url) grouped.get(message).push(item.source.url + ':' + ((item.source.line || 0) + 1));
+    }
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Replace Deprecated APIs (' + grouped.size + ')',
+      priority: 'medium',
+      impact: 'Future browser compatibility',
+      description: audit.description,
+      diagnosis: [...grouped.keys()][0],
+      fixes: [{
+        type: 'text',
+        title: 'Deprecations and where they are used',
+        code: [...grouped.entries()].map(([message, sources]) =>
+          '- ' + message + sources.slice(0, 5).map(source => '\n  ' + source).join('')).join('\n')
+      }]
+    });
+  }
+
+  addThirdPartyCookiesFixes(audit) {
+    const items = audit.details?.items || [];
+    if (items.length === 0) return;
+
+    const byDomain = new Map();
+    for (const item of items) {
+      let domain = item.url || 'unknown';
+      try {
+        domain = new URL(item.url).hostname;
+      } catch (error) {
+        // Keep the raw value
+      }
+      if (!byDomain.has(domain)) byDomain.set(domain, new Set());
+      byDomain.get(domain).add(item.name);
+    }
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Prepare for Third-Party Cookie Restrictions (' + items.length + ' cookies)',
+      priority: 'low',
+      impact: 'Features that rely on cross-site cookies will break',
+      description: audit.description,
+      diagnosis: byDomain.size + ' domain(s) set cross-site cookies: ' + [...byDomain.keys()].slice(0, 3).join(', '),
+      fixes: [{
+        type: 'text',
+        title: 'Cookies by domain',
+        code: [...byDomain.entries()].map(([domain, names]) => '- ' + domain + ': ' + [...names].join(', ')).join('\n')
+      }, {
+        type: 'http',
+        title: 'Cookies you own on another site: partition them (CHIPS)',
+        code: 'Set-Cookie: __Host-session=abc123; Secure; Path=/; SameSite=None; Partitioned'
+      }, {
+        type: 'text',
+        title: 'Vendor cookies',
+        code: '- Update the vendor SDK or ask the vendor about its third-party cookie plans\n- Drop embeds that only need the cookie for tracking'
+      }]
+    });
+  }
+
+  addImageAspectRatioFixes(audit) {
+    const items = audit.details?.items || [];
+    if (items.length === 0) return;
+
+    const fixes = this.snippetFixes(items, item => {
+      const before = item.node?.snippet || '<img src="' + item.url + '">';
+      const displayed = this.parseSize(item.displayedAspectRatio);
+      const actual = this.parseSize(item.actualAspectRatio);
+
+      let after = null;
+      if (displayed && actual) {
+        after = HtmlSnippet.setAttribute(before, 'width', displayed.width);
+        after = HtmlSnippet.setAttribute(after, 'height', Math.round(displayed.width * actual.height / actual.width));
+      }
+
+      return {
+        title: '`' + (item.node?.selector || this.shortUrl(item.url)) + '` (' + item.displayedAspectRatio + ' shown, ' + item.actualAspectRatio + ' actual)',
+        before: before,
+        after: after,
+        note: 'Or keep the box and add object-fit: cover to crop instead of stretch'
+      };
+    }, item => item.url);
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Fix Stretched Images (' + items.length + ')',
+      priority: 'low',
+      impact: 'Visual quality',
+      description: audit.description,
+      fixes: fixes
+    });
+  }
+
+  addImageSizeResponsiveFixes(audit) {
+    const items = audit.details?.items || [];
+    if (items.length === 0) return;
+
+    const fixes = this.snippetFixes(items, item => {
+      const before = item.node?.snippet || '<img src="' + item.url + '">';
+      const displayed = this.parseSize(item.displayedSize);
+      const actual = this.parseSize(item.actualSize);
+      const expected = this.parseSize(item.expectedSize);
+      const src = HtmlSnippet.getAttribute(before, 'src') || item.url;
+
+      let after = null;
+      if (displayed && actual && expected) {
+        const larger = src.replace(/(\.[a-z0-9]+)?(\?.*)?$/i, '-' + expected.width + 'w$1');
+        after = HtmlSnippet.setAttribute(before, 'srcset', src + ' ' + actual.width + 'w, ' + larger + ' ' + expected.width + 'w');
+        after = HtmlSnippet.setAttribute(after, 'sizes', displayed.width + 'px');
+      }
+
+      return {
+        title: '`' + (item.node?.selector || this.shortUrl(item.url)) + '` (' + item.actualSize + ', needs ' + item.expectedSize + ')',
+        before: before,
+        after: after,
+        note: 'Export a ' + item.expectedSize + ' version for high-density screens'
+      };
+    }, item => item.url);
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Serve Sharper Images on High-Density Screens (' + items.length + ')',
+      priority: 'low',
+      impact: 'Visual quality',
+      description: audit.description,
+      fixes: fixes
+    });
+  }
+
+  addInspectorIssuesFixes(audit) {
+    const items = audit.details?.items || [];
+    if (items.length === 0) return;
+
+    const code = items.map(item => {
+      const sources = (item.subItems?.items || []).map(sub => sub.url || this.itemText(sub.value)).filter(Boolean);
+      const advice = INSPECTOR_ISSUE_ADVICE[item.issueType] || INSPECTOR_ISSUE_ADVICE.genericIssue;
+      return '- ' + item.issueType + ' (' + (sources.length || 1) + '): ' + advice +
+        sources.slice(0, 5).map(source => '\n  ' + source).join('');
+    }).join('\n');
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Resolve DevTools Issues (' + items.length + ' types)',
+      priority: 'medium',
+      impact: 'Reliability and security',
+      description: audit.description,
+      diagnosis: items.map(item => item.issueType).join(', '),
+      fixes: [{ type: 'text', title: 'Issues by type', code: code }]
+    });
+  }
+
+  addPastePreventingFixes(audit) {
+    const nodes = (audit.details?.items || []).map(item => item.node).filter(Boolean);
+    if (nodes.length === 0) return;
+
+    const fixes = this.snippetFixes(nodes, node => {
+      const inline = HtmlSnippet.getAttribute(node.snippet, 'onpaste') !== null;
+      return {
+        title: '`' + (node.selector || node.nodeLabel || 'input') + '`',
+        before: node.snippet,
+        after: inline ? HtmlSnippet.removeAttribute(node.snippet, 'onpaste') : null,
+        note: inline ? null : 'Remove the paste listener that calls preventDefault()'
+      };
+    });
+
+    fixes.push({
+      type: 'bash',
+      title: 'Find paste handlers',
+      code: 'grep -rnE "onpaste|onPaste|[\'\\"]paste[\'\\"]" src --include=*.{js,jsx,ts,tsx,vue,svelte,html}'
+    });
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Allow Pasting into Inputs (' + nodes.length + ')',
+      priority: 'medium',
+      impact: 'Accessibility and password-manager support',
+      description: audit.description,
+      fixes: fixes
+    });
+  }
+
+  /**
+   * Per-image plan (format, widths, loading) with ready markup; runs once for
+   * whichever image audit fails first
+   */
+  addImagePlanFixes(audit) {
+    if (this.imagesPlanned) return;
+    this.imagesPlanned = true;
+
+    const planner = new ImagePlanner(this.lhr, process.cwd(), { stack: this.stack });
+    const plans = planner.plan();
+    if (plans.length === 0) return;
+
+    const totalSavings = plans.reduce((sum, plan) => sum + plan.savingsBytes, 0);
+
+    const fixes = [{
+      type: 'markdown',
+      title: 'Image plan',
+      code: planner.formatTable(plans)
+    }];
+
+    for (const plan of plans.slice(0, MAX_SNIPPET_FIXES)) {
+      fixes.push({ title: planner.shortName(plan.url), ...planner.formatMarkup(plan) });
+    }
+
+    if (plans.length > MAX_SNIPPET_FIXES) {
+      fixes.push({
+        type: 'text',
+        title: (plans.length - MAX_SNIPPET_FIXES) + ' more',
+        code: plans.slice(MAX_SNIPPET_FIXES).map(plan => '- ' + plan.url).join('\n')
+      });
+    }
+
+    // next/image converts and resizes on request; elsewhere the variants are built ahead of time
+    const origin = this.getOrigin(this.getPageUrl());
+    const remote = plans.map(plan => this.getOrigin(plan.url)).find(imageOrigin => imageOrigin && imageOrigin !== origin);
+    const build = this.stack.id === 'next'
+      ? this.snippet('image-formats', { imageHost: remote ? new URL(remote).hostname : 'cdn.example.com' })
+      : planner.formatVariantScript(plans);
+    if (build) fixes.push({ title: 'Generate the variants', ...build });
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Optimize Images (' + plans.length + ' image' + (plans.length === 1 ? '' : 's') + ', ~' + Math.round(totalSavings / 1024) + 'KB)',
+      priority: totalSavings > 100 * 1024 || plans.some(plan => plan.loading === 'priority') ? 'high' : 'medium',
+      impact: 'LCP and page weight',
+      description: 'Format, size and loading plan per image, merged from ' + ImagePlanner.AUDITS.filter(id => this.lhr.audits[id]).join(', '),
+      diagnosis: plans[0].savingsBytes
+        ? 'Largest saving: ' + planner.shortName(plans[0].url) + ' (~' + Math.round(plans[0].savingsBytes / 1024) + 'KB of ' + Math.round(plans[0].bytes / 1024) + 'KB)'
+        : null,
+      fixes: fixes
+    });
+  }
+
+  getRenderBlockingAnalysis() {
+    if (!this.renderBlocking) {
+      this.renderBlocking = new RenderBlockingAnalyzer(this.lhr, { stack: this.stack }).analyze();
+    }
+    return this.renderBlocking;
+  }
+
+  /**
+   * Render-blocking stylesheets/scripts from the critical chain, with a
+   * recommendation per resource; runs once for whichever related audit fails first
+   */
+  addRenderBlockingFixes(audit) {
+    if (this.renderBlockingReported) return;
+    this.renderBlockingReported = true;
+
+    const analyzer = new RenderBlockingAnalyzer(this.lhr, { stack: this.stack });
+    const { resources, chains, longestChain, savingsMs } = this.getRenderBlockingAnalysis();
+    if (resources.length === 0) return;
+
+    const blocking = resources.filter(resource => resource.blocking);
+    const withCoverage = resources.filter(resource => resource.unusedPercent !== null);
+
+    const fixes = [{
+      type: 'markdown',
+      title: 'Render-blocking analysis',
+      code: analyzer.formatTable(resources)
+    }];
+
+    if (chains.length > 0) {
+      fixes.push({
+        type: 'text',
+        title: 'Critical request chain' + (longestChain ? ' (longest: ' + longestChain.duration + 'ms)' : ''),
+        code: analyzer.formatChains(chains, resources)
+      });
+    }
+
+    fixes.push(...this.snippetFixes(
+      resources.filter(resource => resource.action !== 'purge'),
+      resource => analyzer.formatChange(resource),
+      resource => resource.url
+    ));
+
+    // The generic critical-CSS snippet would repeat the markup above
+    if (resources.some(resource => resource.action === 'inline-critical') && STACK_SNIPPETS['critical-css'][this.stack.id]) {
+      fixes.push(this.snippet('critical-css'));
+    }
+
+    if (withCoverage.length > 0) {
+      fixes.push({
+        type: 'text',
+        title: 'Unused CSS (coverage)',
+        code: withCoverage
+          .map(resource => '- ' + analyzer.shortName(resource.url) + ': ' + resource.unusedPercent + '% unused (' +
+            Math.round(resource.unusedBytes / 1024) + 'KB of ' + Math.round(resource.bytes / 1024) + 'KB)')
+          .join('\n')
+      });
+    }
+
+    const worst = blocking[0];
+    const title = blocking.length > 0
+      ? 'Unblock First Paint (' + blocking.length + ' render-blocking resource' + (blocking.length === 1 ? '' : 's') + ', ~' + savingsMs + 'ms)'
+      : 'Trim Critical CSS and Requests';
+
+    this.addFix({
+      auditId: audit.id,
+      title: title,
+      priority: savingsMs >= 300 ? 'high' : 'medium',
+      impact: 'FCP, LCP, and Speed Index',
+      description: 'Stylesheets and scripts on the critical path, merged from ' + RenderBlockingAnalyzer.AUDITS.filter(id => this.lhr.audits[id]).join(', '),
+      diagnosis: worst
+        ? analyzer.shortName(worst.url) + ' blocks longest (~' + worst.blockingMs + 'ms, ' + worst.share + '% of the blocking time)' +
+          (longestChain?.length ? '; longest chain is ' + longestChain.length + ' requests' : '')
+        : null,
+      fixes: fixes.filter(Boolean)
+    });
+  }
+
+  /**
+   * Vendor cost table and facades for heavy embeds; vendors on the project's
+   * allowlist are left out. Runs once for either third-party audit.
+   */
+  addThirdPartyFixes(audit) {
+    if (this.thirdPartyReported) return;
+    this.thirdPartyReported = true;
+
+    const report = new ThirdPartyReport(this.lhr, { allowlist: ThirdPartyReport.loadAllowlist(process.cwd()) });
+    const { entities, facades, totals } = report.analyze();
+    const costly = entities.filter(entity => !entity.accepted && (entity.blockingMs > 0 || entity.mainThreadMs > 0 || entity.transferSize > 0));
+    if (costly.length === 0) return;
+
+    const candidates = facades.filter(facade => !facade.accepted);
+
+    const fixes = [{
+      type: 'markdown',
+      title: 'Third-party cost by vendor',
+      code: report.formatTable(entities)
+    }];
+
+    fixes.push(...candidates.map(facade => facade.snippet));
+
+    const blocking = costly.filter(entity => entity.blockingMs > 0 && !entity.facade);
+    if (blocking.length > 0) {
+      fixes.push({
+        type: 'text',
+        title: 'Load the rest later',
+        code: blocking
+          .map(entity => '- ' + entity.name + ' (' + entity.blockingMs + 'ms blocking): load it after the page is interactive, ' +
+            'or remove it if nobody uses its data')
+          .join('\n') +
+          '\n\nAccepted vendors can be listed in .lighthouse/config.json: { "thirdParty": { "allowlist": ["' + blocking[0].name + '"] } }'
+      });
+    }
+
+    this.addFix({
+      auditId: audit.id,
+      title: 'Reduce Third-Party Impact (' + costly.length + ' vendor' + (costly.length === 1 ? '' : 's') + ', ' + totals.blockingMs + 'ms blocking)',
+      priority: totals.blockingMs >= 250 || candidates.length > 0 ? 'high' : 'medium',
+      impact: 'TBT, INP, and page weight',
+      description: this.lhr.audits['third-party-summary']?.description || audit.description,
+      diagnosis: costly[0].name + ' costs the most (' + costly[0].blockingMs + 'ms blocking, ' + costly[0].mainThreadMs + 'ms main thread)' +
+        (candidates.length > 0 ? '; ' + candidates.length + ' embed' + (candidates.length === 1 ? '' : 's') + ' can use a facade' : ''),
+      fixes: fixes
+    });
+  }
+
+  /**
+   * Shifting elements with their share of CLS and a fix per root cause;
+   * runs once for CLS or whichever layout-shift audit comes first
+   */
+  addLayoutShiftFixes(audit) {
+    if (this.layoutShiftsReported) return;
+    this.layoutShiftsReported = true;
+
+    // The element audits are informative, so they only count while CLS itself fails
+    const clsAudit = this.lhr.audits['cumulative-layout-shift'];
+    if (clsAudit && !RuleRegistry.isFailing(clsAudit)) return;
+
+    const analyzer = new LayoutShiftAnalyzer(this.lhr, { stack: this.stack });
+    const { cls, source, elements } = analyzer.analyze();
+    if (elements.length === 0) return;
+
+    const fixes = [{
+      type: 'markdown',
+      title: 'Shifting elements',
+      code: analyzer.formatTable(elements)
+    }];
+
+    fixes.push(...elements.slice(0, MAX_SNIPPET_FIXES).map(element => analyzer.formatFix(element)));
+
+    if (elements.length > MAX_SNIPPET_FIXES) {
+      fixes.push({
+        type: 'text',
+        title: (elements.length - MAX_SNIPPET_FIXES) + ' more',
+        code: elements.slice(MAX_SNIPPET_FIXES)
+          .map(element => '- ' + (element.selector || 'unknown') + ': ' + LayoutShiftAnalyzer.CAUSE_LABELS[element.cause])
+          .join('\n')
+      });
+    }
+
+    const worst = elements[0];
+
+    this.addFix({
+      auditId: source || audit.id,
+      title: 'Stop Layout Shifts (' + elements.length + ' element' + (elements.length === 1 ? '' : 's') +
+        (cls !== null ? ', CLS ' + cls.toFixed(3) : '') + ')',
+      priority: cls === null || cls > 0.25 ? 'high' : 'medium',
+      impact: 'CLS',
+      description: 'Shifting elements and their likely causes, merged from ' + LayoutShiftAnalyzer.AUDITS.filter(id => this.lhr.audits[id]).join(', '),
+      diagnosis: '`' + (worst.selector || 'unknown') + '` ' +
+        (worst.share !== null ? 'accounts for ' + worst.share + '% of the shift score' : 'shifts (the report has no per-element scores)') +
+        '; likely cause: ' + LayoutShiftAnalyzer.CAUSE_LABELS[worst.cause],
+      fixes: fixes
+    });
+  }
+
+  /**
+   * "100 x 50 (2.00)" -> { width: 100, height: 50 }
+   */
+  parseSize(text) {
+    const match = /(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)/.exec(text || '');
+    return match ? { width: Math.round(Number(match[1])), height: Math.round(Number(match[2])) } : null;
+  }
+
+  /**
+   * Table cells may be plain strings or typed values ({ type: 'code', value })
+   */
+  itemText(value) {
+    if (typeof value === 'string') return value;
+    if (value && typeof value.value === 'string') return value.value;
+    if (value && typeof value.formattedDefault === 'string') return value.formattedDefault;
+    return null;
+  }
+
+  shortUrl(url) {
+    try {
+      const { pathname } = new URL(url);
+      return pathname.split('/').pop() || pathname;
+    } catch (error) {
+      return url;
+    }
+  }
+
   diagnoseTTFB(ttfbMs) {
     if (ttfbMs > 1000) {
       return 'TTFB is critically high (> 1s)';
@@ -441,54 +1420,115 @@ class FixGenerator {
       });
     }
 
-    fixes.push({
-      type: 'bash',
-      title: 'Add Cache Headers',
-      code: '# Apache .htaccess\n<IfModule mod_expires.c>\n  ExpiresActive On\n  ExpiresByType text/html "access plus 1 hour"\n</IfModule>'
-    });
+    fixes.push(this.snippet('cache-headers'));
 
     return fixes;
   }
 
-  checkFrameworkSpecificIssues() {
-    const unusedJs = this.lhr.audits['unused-javascript'];
-    if (unusedJs && unusedJs.score < 0.9 && unusedJs.details?.items) {
-      const nextJsChunks = unusedJs.details.items.filter(item =>
-        item.url && item.url.includes('/_next/static/chunks/')
-      );
-
-      if (nextJsChunks.length > 0) {
-        this.addNextJsOptimizationFixes(nextJsChunks);
-      }
-    }
-  }
+  /**
+   * Bundle-size fixes for the detected framework, from its first-party scripts
+   */
+  addFrameworkBundleFixes(audit) {
+    if (this.stack.id === 'static') return;
+
+    const origin = this.getOrigin(this.lhr.finalUrl);
+    const chunks = (audit.details?.items || []).filter(item => {
+      if (!item.url) return false;
+      if (this.stack.id === 'next') return item.url.includes('/_next/static/chunks/');
+      return this.getOrigin(item.url) === origin;
+    });
+    if (chunks.length === 0) return;
 
-  addNextJsOptimizationFixes(chunks) {
     const totalWastedBytes = chunks.reduce((sum, c) => sum + (c.wastedBytes || 0), 0);
 
     this.addFix({
-      title: 'Optimize Next.js Bundle Size (~' + Math.round(totalWastedBytes / 1024) + 'KB wasted)',
+      auditId: audit.id,
+      title: 'Optimize ' + this.stack.name + ' Bundle Size (~' + Math.round(totalWastedBytes / 1024) + 'KB wasted)',
       priority: 'high',
       impact: 'FCP, LCP, and TBT',
-      description: 'Reduce unused JavaScript in Next.js chunks',
-      fixes: [
-        {
-          type: 'bash',
-          title: 'Analyze Bundle Size',
-          code: 'npm install @next/bundle-analyzer\nANALYZE=true npm run build'
-        },
-        {
-          type: 'javascript',
-          title: 'Optimize next.config.js',
-          code: 'module.exports = {\n  swcMinify: true,\n  compiler: {\n    removeConsole: process.env.NODE_ENV === \'production\'\n  }\n};'
-        }
-      ]
+      description: 'Reduce unused JavaScript in ' + this.stack.name + ' bundles',
+      fixes: [this.snippet('bundle-analysis'), this.snippet('build-config')].filter(Boolean)
+    });
+  }
+
+  /**
+   * The snippet for a topic in the detected stack, falling back to the generic
+   * one; `{{name}}` placeholders are filled from values
+   */
+  snippet(topic, values = {}) {
+    const variants = STACK_SNIPPETS[topic];
+    const snippet = variants[this.stack.id] || variants.default || null;
+    if (!snippet) return null;
+
+    return {
+      ...snippet,
+      code: snippet.code.replace(/\{\{(\w+)\}\}/g, (match, name) => values[name] ?? match)
+    };
+  }
+
+  /**
+   * Before/after html blocks for the first items, then a list of the rest
+   */
+  snippetFixes(items, toResult, describe = item => item?.selector || item?.nodeLabel) {
+    const fixes = items.slice(0, MAX_SNIPPET_FIXES).map(item => {
+      const result = toResult(item);
+      let code = '';
+      if (result.before) code += '<!-- PROBLEM -->\n' + result.before + '\n\n';
+      code += result.after ? '<!-- SOLUTION -->\n' + result.after : '<!-- Needs a manual fix -->';
+      if (result.note) code += '\n\n<!-- ' + result.note.replace(/--/g, '-') + ' -->';
+
+      return { type: 'html', title: result.title, code: code };
     });
+
+    if (items.length > MAX_SNIPPET_FIXES) {
+      fixes.push({
+        type: 'text',
+        title: (items.length - MAX_SNIPPET_FIXES) + ' more',
+        code: items.slice(MAX_SNIPPET_FIXES).map(item => '- ' + describe(item)).join('\n')
+      });
+    }
+
+    return fixes;
+  }
+
+  getPageUrl() {
+    return this.lhr.finalDisplayedUrl || this.lhr.finalUrl || null;
+  }
+
+  getOrigin(url) {
+    try {
+      return new URL(url).origin;
+    } catch (error) {
+      return null;
+    }
   }
 
   formatOutput() {
     let output = '# Lighthouse Fix Suggestions\n\n';
 
+    if (this.aggregate) {
+      output += '> Based on the median of ' + this.aggregate.runCount + ' runs (' + this.aggregate.medianRunPath + ')\n\n';
+    }
+
+    output += '> Stack: ' + this.stack.name + ' (' + this.stack.confidence + ' confidence; ' + this.stack.signals.join(', ') + ')\n\n';
+
+    output += this.formatFixes();
+
+    if (this.uncovered.length > 0) {
+      output += '\n> ' + this.uncovered.length + ' failing audit(s) have no fix rule: ' + this.uncovered.join(', ') +
+        '. Add your own in `.lighthouse/rules/` (see `gl rules list`).\n';
+    }
+
+    return output;
+  }
+
+  /**
+   * Fixes grouped by priority; headingDepth nests the headings (e.g. under a user-flow step)
+   */
+  formatFixes(headingDepth = 0) {
+    const h = level => '#'.repeat(level + headingDepth) + ' ';
+    let output = '';
+
     if (this.fixes.length === 0) {
       output += 'No issues found! Great job!\n';
       return output;
@@ -507,10 +1547,10 @@ class FixGenerator {
       if (items.length === 0) continue;
 
       const emoji = priority === 'high' ? '🔴' : priority === 'medium' ? '🟡' : '🟢';
-      output += '## ' + emoji + ' ' + priority.charAt(0).toUpperCase() + priority.slice(1) + ' Priority\n\n';
+      output += h(2) + emoji + ' ' + priority.charAt(0).toUpperCase() + priority.slice(1) + ' Priority\n\n';
 
       for (const fix of items) {
-        output += '### ' + fix.title + '\n\n';
+        output += h(3) + fix.title + '\n\n';
         output += '**Impact**: ' + fix.impact + '\n\n';
         output += fix.description + '\n\n';
 
@@ -518,8 +1558,16 @@ class FixGenerator {
           output += '**🔍 Diagnosis**: ' + fix.diagnosis + '\n\n';
         }
 
+        if (fix.locations && fix.locations.length > 0) {
+          output += '**📍 Candidate locations**:\n\n';
+          for (const location of fix.locations) {
+            output += '- `' + location.file + ':' + location.line + '` — ' + location.reason + '\n';
+          }
+          output += '\n';
+        }
+
         for (const solution of fix.fixes) {
-          output += '#### ' + solution.title + '\n\n';
+          output += h(4) + solution.title + '\n\n';
           output += '```' + solution.type + '\n' + solution.code + '\n```\n\n';
         }
 
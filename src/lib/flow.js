@@ -0,0 +1,295 @@
+/**
+ * Lighthouse User-Flow Analyzer
+ *
+ * Analyzes a FlowResult (from Lighthouse's user-flow API) step by step.
+ * Each step is an LHR with a gatherMode of navigation, timespan or snapshot;
+ * the metrics and findings that make sense differ per mode.
+ */
+
+const LighthouseAnalyzer = require('./analyzer');
+const FixGenerator = require('./fix-generator');
+const ReportLoader = require('./report-loader');
+
+// Metrics reported by timespan steps (no page load, so no LCP/FCP/SI)
+const TIMESPAN_METRICS = {
+  inp: 'interaction-to-next-paint',
+  cls: 'cumulative-layout-shift',
+  tbt: 'total-blocking-time'
+};
+
+// Snapshot steps only capture the current DOM state
+const SNAPSHOT_CATEGORIES = ['accessibility', 'seo', 'best-practices'];
+
+const MODE_LABELS = {
+  navigation: 'Navigation',
+  timespan: 'Timespan',
+  snapshot: 'Snapshot'
+};
+
+class FlowAnalyzer {
+  constructor(reportPath, options = {}) {
+    this.reportPath = reportPath;
+    this.options = {
+      category: options.category || null,
+      minScore: options.minScore || 0.5,
+      verbose: options.verbose || false,
+      ignoredAudits: options.ignoredAudits || []
+    };
+
+    this.flow = options.flow || ReportLoader.loadResult(reportPath);
+    if (!ReportLoader.isFlowResult(this.flow)) {
+      throw new Error('Not a user-flow report: expected a FlowResult with "steps"');
+    }
+
+    this.steps = this.flow.steps.map((step, index) => ({
+      index,
+      name: step.name || step.lhr.finalDisplayedUrl || step.lhr.finalUrl || `Step ${index + 1}`,
+      mode: step.lhr.gatherMode || 'navigation',
+      lhr: step.lhr,
+      analyzer: new LighthouseAnalyzer(reportPath, {
+        lhr: step.lhr,
+        category: this.options.category,
+        minScore: this.options.minScore,
+        verbose: this.options.verbose,
+        ignoredAudits: this.options.ignoredAudits
+      })
+    }));
+  }
+
+  getName() {
+    return this.flow.name || 'User flow';
+  }
+
+  getStepLabel(step) {
+    return `Step ${step.index + 1}: ${step.name} (${MODE_LABELS[step.mode] || step.mode})`;
+  }
+
+  /**
+   * Category scores for a step. Timespan and snapshot steps have no overall
+   * score in the flow report, so the fraction of passing audits is given too.
+   */
+  getStepScores(step) {
+    const scores = {};
+
+    for (const [id, category] of Object.entries(step.lhr.categories)) {
+      if (this.options.category && id !== this.options.category) continue;
+
+      const audits = category.auditRefs
+        .filter(ref => ref.weight > 0)
+        .map(ref => step.lhr.audits[ref.id])
+        .filter(audit => audit && audit.score !== null &&
+          !['manual', 'notApplicable', 'informative'].includes(audit.scoreDisplayMode));
+      const passed = audits.filter(audit => audit.score >= 0.9).length;
+
+      scores[id] = {
+        title: category.title,
+        score: category.score !== null && category.score !== undefined ? Math.round(category.score * 100) : null,
+        passed,
+        total: audits.length
+      };
+    }
+
+    return scores;
+  }
+
+  /**
+   * Metrics relevant to the step's mode
+   */
+  getStepMetrics(step) {
+    if (step.mode === 'navigation') {
+      return step.analyzer.getCoreWebVitals();
+    }
+
+    if (step.mode === 'timespan') {
+      const metrics = {};
+      for (const [key, auditId] of Object.entries(TIMESPAN_METRICS)) {
+        const audit = step.lhr.audits[auditId];
+        if (!audit || audit.numericValue === undefined) continue;
+        metrics[key] = {
+          name: audit.title,
+          value: audit.numericValue,
+          unit: audit.numericUnit,
+          displayValue: audit.displayValue,
+          rating: audit.score === null ? null : audit.score >= 0.9 ? 'pass' : audit.score >= 0.5 ? 'average' : 'fail',
+          passed: audit.score !== null && audit.score >= 0.9
+        };
+      }
+      return metrics;
+    }
+
+    return {};
+  }
+
+  /**
+   * Failed audits for a step; snapshot steps focus on a11y/SEO/best-practices findings
+   */
+  getStepFailedAudits(step) {
+    if (step.mode === 'snapshot' && !this.options.category) {
+      const failed = [];
+      const seen = new Set();
+      for (const categoryId of SNAPSHOT_CATEGORIES) {
+        for (const audit of step.analyzer.getFailedAudits(categoryId)) {
+          if (seen.has(audit.id)) continue;
+          seen.add(audit.id);
+          failed.push(audit);
+        }
+      }
+      return failed;
+    }
+
+    return step.analyzer.getFailedAudits(this.options.category);
+  }
+
+  getStepSummaries() {
+    return this.steps.map(step => ({
+      index: step.index,
+      name: step.name,
+      mode: step.mode,
+      url: step.lhr.finalDisplayedUrl || step.lhr.finalUrl || step.lhr.requestedUrl,
+      scores: this.getStepScores(step),
+      metrics: this.getStepMetrics(step),
+      opportunities: step.mode === 'snapshot' ? [] : step.analyzer.getOpportunities(),
+      failedAudits: this.getStepFailedAudits(step).map(audit => ({
+        id: audit.id,
+        title: audit.title,
+        score: audit.score
+      }))
+    }));
+  }
+
+  /**
+   * The worst step for each category, by score or else by fraction of passing audits
+   */
+  getWorstSteps(summaries = this.getStepSummaries()) {
+    const worst = {};
+
+    for (const summary of summaries) {
+      for (const [id, score] of Object.entries(summary.scores)) {
+        const value = this.getComparableScore(score);
+        if (value === null) continue;
+
+        if (!worst[id] || value < worst[id].value) {
+          worst[id] = {
+            title: score.title,
+            step: summary.index,
+            name: summary.name,
+            mode: summary.mode,
+            value,
+            display: this.formatStepScore(score)
+          };
+        }
+      }
+    }
+
+    return worst;
+  }
+
+  getComparableScore(score) {
+    if (score.score !== null) return score.score;
+    if (score.total > 0) return Math.round((score.passed / score.total) * 100);
+    return null;
+  }
+
+  formatStepScore(score) {
+    if (score.score !== null) return `${score.score}/100`;
+    if (score.total > 0) return `${score.passed}/${score.total} passed`;
+    return 'N/A';
+  }
+
+  toJSON() {
+    const steps = this.getStepSummaries();
+    return {
+      name: this.getName(),
+      steps,
+      worstSteps: this.getWorstSteps(steps)
+    };
+  }
+
+  formatMarkdown() {
+    const steps = this.getStepSummaries();
+    const worst = this.getWorstSteps(steps);
+
+    let output = `# Lighthouse User Flow Analysis: ${this.getName()}\n\n`;
+
+    output += '## Flow Summary\n\n';
+    output += '| Category | Worst Step | Score |\n';
+    output += '|----------|------------|-------|\n';
+    for (const entry of Object.values(worst)) {
+      output += `| ${entry.title} | ${entry.step + 1}. ${entry.name} (${MODE_LABELS[entry.mode] || entry.mode}) | ${entry.display} |\n`;
+    }
+    output += '\n';
+
+    for (const summary of steps) {
+      const step = this.steps[summary.index];
+      output += `## ${this.getStepLabel(step)}\n\n`;
+      output += `- **URL**: ${summary.url}\n\n`;
+
+      output += '### Category Scores\n\n';
+      for (const score of Object.values(summary.scores)) {
+        const emoji = step.analyzer.getScoreEmoji(this.getComparableScore(score) === null ? null : this.getComparableScore(score) / 100);
+        output += `- **${score.title}**: ${emoji} ${this.formatStepScore(score)}\n`;
+      }
+      output += '\n';
+
+      if (Object.keys(summary.metrics).length > 0) {
+        output += '### Metrics\n\n';
+        output += '| Metric | Value | Rating |\n';
+        output += '|--------|-------|--------|\n';
+        for (const metric of Object.values(summary.metrics)) {
+          const status = metric.passed ? '✅ Pass' : '❌ Fail';
+          output += `| ${metric.name} | ${metric.displayValue} | ${status} |\n`;
+        }
+        output += '\n';
+      }
+
+      if (summary.opportunities.length > 0) {
+        output += '### Opportunities\n\n';
+        for (const opp of summary.opportunities) {
+          const timeStr = opp.wastedMs > 0 ? ` - **${Math.round(opp.wastedMs)}ms saved**` : '';
+          output += `- ${opp.title}${timeStr}\n`;
+        }
+        output += '\n';
+      }
+
+      if (summary.failedAudits.length > 0) {
+        output += '### Failed Audits\n\n';
+        for (const audit of summary.failedAudits) {
+          output += `- **${audit.title}** (score ${Math.round(audit.score * 100)})\n`;
+        }
+        output += '\n';
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Fix suggestions per step, nested under a heading for each step
+   */
+  generateFixes(options = {}) {
+    let output = `# Lighthouse Fix Suggestions: ${this.getName()}\n\n`;
+    const registry = options.registry || FixGenerator.createRegistry(process.cwd());
+
+    for (const step of this.steps) {
+      const generator = new FixGenerator(this.reportPath, {
+        lhr: step.lhr,
+        category: this.options.category,
+        sourceMapper: options.sourceMapper,
+        registry,
+        stack: options.stack,
+        lang: options.lang
+      });
+      generator.generate();
+
+      output += `## ${this.getStepLabel(step)}\n\n`;
+      output += generator.formatFixes(1);
+      output += '\n';
+    }
+
+    return output;
+  }
+}
+
+FlowAnalyzer.MODE_LABELS = MODE_LABELS;
+
+module.exports = FlowAnalyzer;
@@ -0,0 +1,238 @@
+/**
+ * Lighthouse Report History
+ *
+ * Append-only store of analyzed report summaries, used for trend reporting.
+ * Entries are kept one JSON object per line in .lighthouse/history/history.jsonl.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const ReportLoader = require('./report-loader');
+
+const SPARK_CHARS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+const METRIC_LABELS = {
+  lcp: 'LCP',
+  fid: 'Max Potential FID',
+  cls: 'CLS',
+  fcp: 'FCP',
+  tbt: 'TBT',
+  si: 'Speed Index'
+};
+
+class ReportHistory {
+  constructor(projectRoot = process.cwd()) {
+    this.historyDir = path.join(projectRoot, '.lighthouse', 'history');
+    this.historyPath = path.join(this.historyDir, 'history.jsonl');
+    this.projectRoot = projectRoot;
+  }
+
+  /**
+   * Build a history entry from an analyzer instance
+   */
+  createEntry(analyzer) {
+    const summary = analyzer.getSummary();
+    const vitals = analyzer.getCoreWebVitals();
+
+    const scores = {};
+    for (const [id, score] of Object.entries(summary.scores)) {
+      scores[id] = score.score;
+    }
+
+    const metrics = {};
+    for (const [key, vital] of Object.entries(vitals)) {
+      metrics[key] = vital.value;
+    }
+
+    return {
+      url: summary.finalUrl || summary.url,
+      fetchTime: summary.timestamp,
+      recordedAt: new Date().toISOString(),
+      lighthouseVersion: summary.version,
+      commit: this.getGitCommit(),
+      reportPath: this.getReportPath(analyzer),
+      scores,
+      metrics
+    };
+  }
+
+  /**
+   * Append an entry unless the same report (url + fetchTime) is already recorded
+   */
+  append(entry) {
+    const exists = this.load().some(e => e.url === entry.url && e.fetchTime === entry.fetchTime);
+    if (exists) return false;
+
+    if (!fs.existsSync(this.historyDir)) {
+      fs.mkdirSync(this.historyDir, { recursive: true });
+    }
+
+    fs.appendFileSync(this.historyPath, JSON.stringify(entry) + '\n');
+    return true;
+  }
+
+  record(analyzer) {
+    return this.append(this.createEntry(analyzer));
+  }
+
+  load() {
+    if (!fs.existsSync(this.historyPath)) return [];
+
+    return fs.readFileSync(this.historyPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Group entries per URL, oldest first
+   */
+  getSeries(options = {}) {
+    const series = {};
+
+    for (const entry of this.load()) {
+      if (options.url && !entry.url.includes(options.url)) continue;
+      if (options.since && new Date(entry.fetchTime) < new Date(options.since)) continue;
+
+      if (!series[entry.url]) series[entry.url] = [];
+      series[entry.url].push(entry);
+    }
+
+    for (const url of Object.keys(series)) {
+      series[url].sort((a, b) => new Date(a.fetchTime) - new Date(b.fetchTime));
+      if (options.limit) {
+        series[url] = series[url].slice(-options.limit);
+      }
+    }
+
+    return series;
+  }
+
+  /**
+   * Summarize each score and metric of a URL series (first, last, delta, sparkline)
+   */
+  getTrends(entries) {
+    const trends = { scores: {}, metrics: {} };
+
+    for (const group of ['scores', 'metrics']) {
+      const keys = new Set();
+      entries.forEach(entry => Object.keys(entry[group] || {}).forEach(key => keys.add(key)));
+
+      for (const key of keys) {
+        const values = entries.map(entry => entry[group]?.[key] ?? null);
+        const present = values.filter(v => v !== null);
+        if (present.length === 0) continue;
+
+        const first = present[0];
+        const last = present[present.length - 1];
+        trends[group][key] = {
+          values,
+          first,
+          last,
+          delta: last - first,
+          sparkline: this.sparkline(values)
+        };
+      }
+    }
+
+    return trends;
+  }
+
+  getReportPath(analyzer) {
+    const reportPath = analyzer.aggregate ? analyzer.aggregate.medianRunPath : analyzer.reportPath;
+    return ReportLoader.isStdin(reportPath) ? null : path.resolve(reportPath);
+  }
+
+  getGitCommit() {
+    const fromEnv = process.env.LHCI_BUILD_CONTEXT__CURRENT_HASH || process.env.GITHUB_SHA;
+    if (fromEnv) return fromEnv;
+
+    try {
+      return execSync('git rev-parse HEAD', {
+        cwd: this.projectRoot,
+        stdio: ['ignore', 'pipe', 'ignore']
+      }).toString().trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  sparkline(values) {
+    const present = values.filter(v => v !== null);
+    if (present.length === 0) return '';
+
+    const min = Math.min(...present);
+    const max = Math.max(...present);
+    const range = max - min;
+
+    return values.map(value => {
+      if (value === null) return ' ';
+      if (range === 0) return SPARK_CHARS[3];
+      const index = Math.round(((value - min) / range) * (SPARK_CHARS.length - 1));
+      return SPARK_CHARS[index];
+    }).join('');
+  }
+
+  formatMetric(key, value) {
+    if (value === null || value === undefined) return 'N/A';
+    if (key === 'cls') return value.toFixed(3);
+    if (value >= 1000) return (value / 1000).toFixed(1) + ' s';
+    return Math.round(value) + ' ms';
+  }
+
+  formatMarkdown(series) {
+    let output = '# Lighthouse Trends\n\n';
+
+    if (Object.keys(series).length === 0) {
+      output += 'No history recorded yet. Run `gl analyze` to start recording.\n';
+      return output;
+    }
+
+    for (const [url, entries] of Object.entries(series)) {
+      const trends = this.getTrends(entries);
+      const scoreKeys = Object.keys(trends.scores);
+      const metricKeys = Object.keys(trends.metrics);
+
+      output += `## ${url}\n\n`;
+      output += `${entries.length} run(s) from ${entries[0].fetchTime} to ${entries[entries.length - 1].fetchTime}\n\n`;
+
+      output += '| Series | Trend | First | Last | Δ |\n';
+      output += '|--------|-------|-------|------|---|\n';
+      for (const key of scoreKeys) {
+        const t = trends.scores[key];
+        output += `| ${key} | \`${t.sparkline}\` | ${t.first} | ${t.last} | ${t.delta > 0 ? '+' : ''}${t.delta} |\n`;
+      }
+      for (const key of metricKeys) {
+        const t = trends.metrics[key];
+        const delta = key === 'cls' ? t.delta.toFixed(3) : Math.round(t.delta) + ' ms';
+        output += `| ${METRIC_LABELS[key] || key} | \`${t.sparkline}\` | ${this.formatMetric(key, t.first)} | ${this.formatMetric(key, t.last)} | ${t.delta > 0 ? '+' : ''}${delta} |\n`;
+      }
+      output += '\n';
+
+      output += '| Date | Commit | ' + scoreKeys.join(' | ') + ' | ' + metricKeys.map(k => METRIC_LABELS[k] || k).join(' | ') + ' |\n';
+      output += '|' + '---|'.repeat(2 + scoreKeys.length + metricKeys.length) + '\n';
+      for (const entry of entries) {
+        const commit = entry.commit ? entry.commit.substring(0, 7) : '-';
+        const scores = scoreKeys.map(k => entry.scores?.[k] ?? 'N/A');
+        const metrics = metricKeys.map(k => this.formatMetric(k, entry.metrics?.[k]));
+        output += `| ${entry.fetchTime} | ${commit} | ${scores.join(' | ')} | ${metrics.join(' | ')} |\n`;
+      }
+      output += '\n';
+    }
+
+    return output;
+  }
+}
+
+ReportHistory.METRIC_LABELS = METRIC_LABELS;
+
+module.exports = ReportHistory;
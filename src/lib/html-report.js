@@ -0,0 +1,291 @@
+/**
+ * Lighthouse HTML Report Renderer
+ *
+ * Renders an analyzer's results as one self-contained HTML file
+ * (inline CSS and SVG only, no external assets) that works offline.
+ */
+
+const CATEGORY_ORDER = ['performance', 'accessibility', 'best-practices', 'seo', 'pwa'];
+const MAX_ITEM_ROWS = 50;
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; color: #202124; background: #f8f9fa; }
+  main { max-width: 1000px; margin: 0 auto; padding: 24px; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  h2 { font-size: 18px; margin: 32px 0 12px; border-bottom: 1px solid #dadce0; padding-bottom: 6px; }
+  h3 { font-size: 15px; margin: 20px 0 8px; }
+  .meta { color: #5f6368; font-size: 13px; }
+  .gauges { display: flex; flex-wrap: wrap; gap: 24px; margin-top: 16px; }
+  .gauge { text-align: center; width: 110px; }
+  .gauge svg { width: 96px; height: 96px; }
+  .gauge .label { font-size: 13px; margin-top: 4px; }
+  table { width: 100%; border-collapse: collapse; background: #fff; font-size: 13px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+  th { background: #f1f3f4; font-weight: 600; }
+  td.num { text-align: right; white-space: nowrap; }
+  .pass { color: #0c7d3a; }
+  .average { color: #b06000; }
+  .fail { color: #c5221f; }
+  details { background: #fff; border: 1px solid #dadce0; border-radius: 6px; margin: 8px 0; }
+  summary { cursor: pointer; padding: 10px 12px; font-weight: 500; }
+  summary .savings { float: right; color: #b06000; font-weight: 400; }
+  details .body { padding: 0 12px 12px; }
+  details .desc { color: #5f6368; font-size: 13px; margin: 0 0 8px; }
+  code { font-family: SFMono-Regular, Menlo, monospace; font-size: 12px; background: #f1f3f4; padding: 1px 4px; border-radius: 3px; word-break: break-all; }
+  .url { word-break: break-all; }
+  .more { color: #5f6368; font-size: 12px; margin-top: 6px; }
+`;
+
+class HtmlReportRenderer {
+  constructor(analyzer) {
+    this.analyzer = analyzer;
+    this.lhr = analyzer.lhr;
+  }
+
+  render() {
+    const summary = this.analyzer.getSummary();
+    const body = this.renderBody();
+
+    return '<!DOCTYPE html>\n' +
+      '<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+      '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+      `<title>Lighthouse Analysis - ${this.escape(summary.url)}</title>\n` +
+      `<style>${STYLES}</style>\n</head>\n<body>\n<main>\n${body}</main>\n</body>\n</html>\n`;
+  }
+
+  /**
+   * The report without the document around it (the dashboard embeds it)
+   */
+  renderBody() {
+    const summary = this.analyzer.getSummary();
+
+    let body = '';
+    body += '<h1>Lighthouse Report Analysis</h1>\n';
+    body += `<p class="meta">${this.escape(summary.url)} · ${this.escape(new Date(summary.timestamp).toISOString())} · Lighthouse ${this.escape(summary.version)}</p>\n`;
+    body += this.renderGauges(summary.scores);
+    body += this.renderVitals();
+    body += this.renderOpportunities();
+    body += this.renderFailedAudits();
+    return body;
+  }
+
+  renderGauges(scores) {
+    let output = '<div class="gauges">\n';
+    for (const [, score] of Object.entries(scores)) {
+      output += `<div class="gauge">${this.renderGauge(score.score)}<div class="label">${this.escape(score.title)}</div></div>\n`;
+    }
+    output += '</div>\n';
+    return output;
+  }
+
+  /**
+   * SVG ring gauge for a 0-100 score
+   */
+  renderGauge(score) {
+    const radius = 42;
+    const circumference = 2 * Math.PI * radius;
+    const value = score !== null ? score : 0;
+    const dash = (value / 100) * circumference;
+    const color = this.getScoreColor(score);
+    const label = score !== null ? score : 'N/A';
+
+    return `<svg viewBox="0 0 100 100" role="img" aria-label="Score ${label}">` +
+      `<circle cx="50" cy="50" r="${radius}" fill="none" stroke="#e8eaed" stroke-width="8"/>` +
+      `<circle cx="50" cy="50" r="${radius}" fill="none" stroke="${color}" stroke-width="8" stroke-linecap="round" ` +
+      `stroke-dasharray="${dash.toFixed(1)} ${circumference.toFixed(1)}" transform="rotate(-90 50 50)"/>` +
+      `<text x="50" y="57" text-anchor="middle" font-size="22" font-weight="600" fill="${color}">${label}</text>` +
+      '</svg>';
+  }
+
+  renderVitals() {
+    const vitals = this.analyzer.getCoreWebVitals();
+
+    let output = '<h2>Core Web Vitals</h2>\n';
+    output += '<table>\n<thead><tr><th>Metric</th><th>Value</th><th>Rating</th></tr></thead>\n<tbody>\n';
+    for (const vital of Object.values(vitals)) {
+      const cls = vital.passed ? 'pass' : vital.rating === 'average' ? 'average' : 'fail';
+      const status = vital.passed ? '✅ Pass' : '❌ Fail';
+      output += `<tr><td>${this.escape(vital.name)}</td><td class="num ${cls}">${this.escape(vital.displayValue || '')}</td><td class="${cls}">${status}</td></tr>\n`;
+    }
+    output += '</tbody>\n</table>\n';
+    return output;
+  }
+
+  renderOpportunities() {
+    const opportunities = this.analyzer.getOpportunities();
+    if (opportunities.length === 0) return '';
+
+    let output = '<h2>Opportunities (Sorted by Impact)</h2>\n';
+    for (const opp of opportunities) {
+      const audit = this.lhr.audits[opp.id];
+      const savings = [];
+      if (opp.wastedMs > 0) savings.push(`~${Math.round(opp.wastedMs)} ms`);
+      if (opp.wastedBytes > 0) savings.push(`${Math.round(opp.wastedBytes / 1024)} KB`);
+
+      output += '<details>\n';
+      output += `<summary>${this.escape(opp.title)}<span class="savings">${savings.join(' · ')}</span></summary>\n`;
+      output += `<div class="body"><p class="desc">${this.renderDescription(opp.description)}</p>\n`;
+      output += this.renderItemsTable(audit.details);
+      output += '</div>\n</details>\n';
+    }
+    return output;
+  }
+
+  renderFailedAudits() {
+    const failedAudits = this.analyzer.getFailedAudits(this.analyzer.options.category);
+    if (failedAudits.length === 0) return '';
+
+    // Group by the first category that references each audit
+    const groups = {};
+    for (const audit of failedAudits) {
+      const categoryId = this.getCategoryForAudit(audit.id);
+      if (!groups[categoryId]) groups[categoryId] = [];
+      groups[categoryId].push(audit);
+    }
+
+    const orderedIds = Object.keys(groups).sort((a, b) => this.categoryRank(a) - this.categoryRank(b));
+
+    let output = '<h2>Failed Audits</h2>\n';
+    for (const categoryId of orderedIds) {
+      const title = this.lhr.categories[categoryId]?.title || categoryId;
+      output += `<h3>${this.escape(title)} (${groups[categoryId].length})</h3>\n`;
+
+      for (const audit of groups[categoryId]) {
+        output += '<details>\n';
+        output += `<summary>${this.escape(audit.title)}<span class="savings fail">Score: ${Math.round(audit.score * 100)}</span></summary>\n`;
+        output += `<div class="body"><p class="desc">${this.renderDescription(audit.description)}</p>\n`;
+        output += this.renderItemsTable(audit.details);
+        output += '</div>\n</details>\n';
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Render details.items as a table, using details.headings when present
+   */
+  renderItemsTable(details) {
+    const items = details?.items || [];
+    if (items.length === 0) return '';
+
+    let headings = (details.headings || [])
+      .filter(h => h.key)
+      .map(h => ({
+        key: h.key,
+        label: this.getHeadingLabel(h),
+        type: h.valueType || h.itemType
+      }));
+
+    if (headings.length === 0) {
+      headings = Object.keys(items[0])
+        .filter(key => key !== 'subItems')
+        .map(key => ({ key, label: key, type: this.inferValueType(key) }));
+    }
+
+    let output = '<table>\n<thead><tr>';
+    output += headings.map(h => `<th>${this.escape(h.label)}</th>`).join('');
+    output += '</tr></thead>\n<tbody>\n';
+
+    for (const item of items.slice(0, MAX_ITEM_ROWS)) {
+      output += '<tr>' + headings.map(h => this.renderCell(item[h.key], h.type)).join('') + '</tr>\n';
+    }
+
+    output += '</tbody>\n</table>\n';
+
+    if (items.length > MAX_ITEM_ROWS) {
+      output += `<p class="more">… and ${items.length - MAX_ITEM_ROWS} more items</p>\n`;
+    }
+
+    return output;
+  }
+
+  renderCell(value, type) {
+    if (value === null || value === undefined) return '<td></td>';
+
+    if (typeof value === 'object') {
+      if (value.type === 'node') {
+        const label = value.nodeLabel ? `<div>${this.escape(value.nodeLabel)}</div>` : '';
+        return `<td>${label}<code>${this.escape(value.snippet || value.selector || '')}</code></td>`;
+      }
+      if (value.type === 'source-location') {
+        return `<td class="url">${this.escape(value.url)}:${value.line + 1}:${value.column}</td>`;
+      }
+      if (value.type === 'url') {
+        return `<td class="url">${this.escape(value.value)}</td>`;
+      }
+      if (value.type === 'code') {
+        return `<td><code>${this.escape(value.value)}</code></td>`;
+      }
+      if (value.type === 'link') {
+        return `<td>${this.escape(value.text)}</td>`;
+      }
+      return `<td><code>${this.escape(JSON.stringify(value).substring(0, 200))}</code></td>`;
+    }
+
+    if (typeof value === 'number') {
+      if (type === 'bytes') return `<td class="num">${(value / 1024).toFixed(1)} KB</td>`;
+      if (type === 'ms' || type === 'timespanMs') return `<td class="num">${Math.round(value)} ms</td>`;
+      return `<td class="num">${Number.isInteger(value) ? value : value.toFixed(2)}</td>`;
+    }
+
+    if (type === 'url') return `<td class="url">${this.escape(value)}</td>`;
+    if (type === 'code') return `<td><code>${this.escape(value)}</code></td>`;
+    return `<td>${this.escape(String(value))}</td>`;
+  }
+
+  /**
+   * Guess a value type from the item key when the audit has no headings
+   */
+  inferValueType(key) {
+    if (key === 'url') return 'url';
+    if (/(Bytes|Size)$/.test(key)) return 'bytes';
+    if (/(Ms|Time)$/.test(key) || key === 'duration') return 'ms';
+    return null;
+  }
+
+  getHeadingLabel(heading) {
+    const label = heading.label || heading.text || heading.key;
+    // Localized labels may be ICU message objects in older reports
+    return typeof label === 'string' ? label : heading.key;
+  }
+
+  /**
+   * Render a description, turning markdown links into anchors and `code` into <code>
+   */
+  renderDescription(text) {
+    return this.escape(text || '')
+      .replace(/\[([^\]]+)\]\((https?:[^)]+)\)/g, '<a href="$2">$1</a>')
+      .replace(/`([^`]+)`/g, '<code>$1</code>');
+  }
+
+  getCategoryForAudit(auditId) {
+    for (const [id, category] of Object.entries(this.lhr.categories)) {
+      if (category.auditRefs.some(ref => ref.id === auditId)) return id;
+    }
+    return 'other';
+  }
+
+  categoryRank(categoryId) {
+    const index = CATEGORY_ORDER.indexOf(categoryId);
+    return index === -1 ? CATEGORY_ORDER.length : index;
+  }
+
+  getScoreColor(score) {
+    if (score === null) return '#9aa0a6';
+    if (score >= 90) return '#0c7d3a';
+    if (score >= 50) return '#b06000';
+    return '#c5221f';
+  }
+
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = HtmlReportRenderer;
@@ -0,0 +1,112 @@
+/**
+ * HTML Snippet helpers
+ *
+ * Small edits on the node snippets Lighthouse reports (usually just the
+ * opening tag, sometimes truncated), plus helpers for drafting names from
+ * URLs. Only the opening tag is ever rewritten.
+ */
+
+class HtmlSnippet {
+  static getOpeningTag(snippet) {
+    const match = /^\s*<[a-zA-Z][\w:-]*(?:\s+[^\s=>]+(?:=(?:"[^"]*"|'[^']*'|[^\s>]+))?)*\s*\/?>/.exec(snippet || '');
+    return match ? match[0].trim() : null;
+  }
+
+  static getTagName(snippet) {
+    const match = /^\s*<([a-zA-Z][\w:-]*)/.exec(snippet || '');
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  static getAttribute(snippet, name) {
+    const open = HtmlSnippet.getOpeningTag(snippet);
+    if (!open) return null;
+
+    const match = new RegExp(`\\s${HtmlSnippet.escape(name)}(?:=(?:"([^"]*)"|'([^']*)'|([^\\s>]+)))?(?=[\\s/>])`, 'i').exec(open);
+    if (!match) return null;
+    return match[1] ?? match[2] ?? match[3] ?? '';
+  }
+
+  static setAttribute(snippet, name, value) {
+    const open = HtmlSnippet.getOpeningTag(snippet);
+    if (!open) return snippet;
+
+    const escaped = String(value).replace(/"/g, '&quot;');
+    const pattern = new RegExp(`(\\s)${HtmlSnippet.escape(name)}(?:=(?:"[^"]*"|'[^']*'|[^\\s>]+))?(?=[\\s/>])`, 'i');
+    const updated = pattern.test(open)
+      ? open.replace(pattern, (match, space) => `${space}${name}="${escaped}"`)
+      : open.replace(/\s*(\/?)>$/, (end, slash) => ` ${name}="${escaped}"` + (slash ? ' />' : '>'));
+
+    // Replacer functions, so `$&` or `$1` in values and markup stay literal
+    return snippet.replace(open, () => updated);
+  }
+
+  static removeAttribute(snippet, name) {
+    const open = HtmlSnippet.getOpeningTag(snippet);
+    if (!open) return snippet;
+
+    const pattern = new RegExp(`\\s+${HtmlSnippet.escape(name)}(?:=(?:"[^"]*"|'[^']*'|[^\\s>]+))?(?=[\\s/>])`, 'i');
+    const updated = open.replace(pattern, '');
+    return snippet.replace(open, () => updated);
+  }
+
+  /**
+   * A readable name from an image or page URL: "/img/team-photo@2x.jpg" -> "Team photo"
+   */
+  static describeUrl(url) {
+    return HtmlSnippet.humanize(HtmlSnippet.lastPathSegment(url));
+  }
+
+  static lastPathSegment(url) {
+    if (!url || url.startsWith('#') || url.startsWith('data:')) return null;
+    const segment = url.split(/[?#]/)[0].split('/').filter(Boolean).pop();
+    return segment ? segment.replace(/\.[a-z0-9]+$/i, '').replace(/@\dx$/, '') : null;
+  }
+
+  static humanize(text) {
+    if (!text) return null;
+    const words = text.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[-_.]+/g, ' ').replace(/\d+x\d+|\s\d+$/g, '').trim().toLowerCase();
+    return words ? words.charAt(0).toUpperCase() + words.slice(1) : null;
+  }
+
+  static slugify(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || null;
+  }
+
+  /**
+   * The closest known name within two edits (e.g. aria-labeledby -> aria-labelledby)
+   */
+  static closest(name, candidates) {
+    let best = null;
+    let bestDistance = 3;
+
+    for (const candidate of candidates) {
+      const distance = HtmlSnippet.editDistance(name, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  }
+
+  static editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  static escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = HtmlSnippet;
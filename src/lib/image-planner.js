@@ -0,0 +1,409 @@
+/**
+ * Image Planner
+ *
+ * Merges the image audits (format, compression, responsive sizing, offscreen,
+ * unsized, LCP discovery) per image URL into one plan per image: current
+ * bytes, displayed vs intrinsic size, the format and widths to serve, and
+ * whether to lazy-load or prioritise it. Each plan renders as
+ * <picture>/srcset/sizes markup, or next/image props on Next.js.
+ */
+
+const path = require('path');
+
+const HtmlSnippet = require('./html-snippet');
+const FixPatcher = require('./patcher');
+
+const AUDITS = [
+  'modern-image-formats',
+  'uses-optimized-images',
+  'uses-responsive-images',
+  'offscreen-images',
+  'unsized-images',
+  'prioritize-lcp-image',
+  'lcp-discovery-insight',
+  'image-delivery-insight'
+];
+
+// Which saving each audit's wastedBytes stands for
+const SAVING_KEYS = {
+  'modern-image-formats': 'format',
+  'uses-optimized-images': 'compression',
+  'uses-responsive-images': 'resize',
+  'offscreen-images': 'offscreen',
+  'image-delivery-insight': 'delivery'
+};
+
+const FORMATS = {
+  jpg: 'jpeg', jpeg: 'jpeg', png: 'png', gif: 'gif', webp: 'webp', avif: 'avif', svg: 'svg'
+};
+
+const DEFAULT_WIDTHS = [640, 960, 1280, 1920];
+const FULL_WIDTH_RATIO = 0.9;
+
+class ImagePlanner {
+  constructor(lhr, projectRoot = process.cwd(), options = {}) {
+    this.lhr = lhr;
+    this.projectRoot = projectRoot;
+    this.stack = options.stack || null;
+    this.url = lhr.finalDisplayedUrl || lhr.finalUrl || null;
+  }
+
+  /**
+   * One plan per image, biggest potential saving first
+   */
+  plan() {
+    const images = this.collect();
+
+    return [...images.values()]
+      .map(image => this.recommend(image))
+      .sort((a, b) => b.savingsBytes - a.savingsBytes || b.bytes - a.bytes);
+  }
+
+  collect() {
+    const images = new Map();
+    const entry = (url, node) => {
+      const key = this.resolveUrl(url);
+      if (!key) return null;
+      if (!images.has(key)) {
+        images.set(key, { url: key, node: null, bytes: 0, savings: {}, displayed: null, intrinsic: null, unsized: false, lcp: false, lcpChecks: {} });
+      }
+      const image = images.get(key);
+      if (node?.snippet && !image.node) image.node = node;
+      return image;
+    };
+
+    for (const auditId of AUDITS) {
+      const audit = this.lhr.audits[auditId];
+      if (!audit || audit.score === 1) continue;
+
+      for (const item of audit.details?.items || []) {
+        if (auditId === 'lcp-discovery-insight') {
+          this.collectLcpDiscovery(audit, entry);
+          break;
+        }
+
+        const image = entry(item.url || HtmlSnippet.getAttribute(item.node?.snippet, 'src'), item.node);
+        if (!image) continue;
+
+        image.bytes = Math.max(image.bytes, item.totalBytes || 0);
+        if (SAVING_KEYS[auditId] && item.wastedBytes) {
+          image.savings[SAVING_KEYS[auditId]] = item.wastedBytes;
+        }
+        if (auditId === 'unsized-images') image.unsized = true;
+        if (auditId === 'prioritize-lcp-image') image.lcp = true;
+
+        // "larger than it needs to be (1200x800) for its displayed dimensions (600x400)"
+        for (const sub of item.subItems?.items || []) {
+          const sizes = /\((\d+)x(\d+)\)[^(]*\((\d+)x(\d+)\)/.exec(sub.reason || '');
+          if (sizes) {
+            image.intrinsic = image.intrinsic || { width: Number(sizes[1]), height: Number(sizes[2]) };
+            image.displayed = image.displayed || { width: Number(sizes[3]), height: Number(sizes[4]) };
+          }
+        }
+      }
+    }
+
+    this.collectSizes(images);
+    return images;
+  }
+
+  /**
+   * The LCP image and the checklist (fetchpriority, not lazy, discoverable) from the insight
+   */
+  collectLcpDiscovery(audit, entry) {
+    let node = null;
+    let checks = null;
+
+    for (const item of audit.details.items) {
+      if (item.type === 'node') node = item;
+      if (item.type === 'checklist') checks = item.items;
+    }
+
+    const image = node && entry(HtmlSnippet.getAttribute(node.snippet, 'src'), node);
+    if (!image) return;
+
+    image.lcp = true;
+    for (const [name, check] of Object.entries(checks || {})) {
+      image.lcpChecks[name] = check.value;
+    }
+  }
+
+  /**
+   * Displayed size from the node's bounding box or sizing audits, intrinsic size
+   * from the audits or the image file in the project
+   */
+  collectSizes(images) {
+    const sized = {};
+    for (const auditId of ['image-size-responsive', 'image-aspect-ratio']) {
+      for (const item of this.lhr.audits[auditId]?.details?.items || []) {
+        const key = this.resolveUrl(item.url);
+        if (key) sized[key] = { ...sized[key], ...item };
+      }
+    }
+
+    for (const image of images.values()) {
+      const extra = sized[image.url] || {};
+      const rect = image.node?.boundingRect;
+
+      image.displayed = image.displayed ||
+        (rect?.width ? { width: Math.round(rect.width), height: Math.round(rect.height) } : null) ||
+        this.parseSize(extra.displayedSize) || this.parseSize(extra.displayedAspectRatio);
+
+      image.intrinsic = image.intrinsic ||
+        this.parseSize(extra.actualSize) || this.parseSize(extra.actualAspectRatio) ||
+        this.readLocalSize(image.url);
+    }
+  }
+
+  readLocalSize(url) {
+    try {
+      const imageUrl = new URL(url);
+      if (imageUrl.origin !== new URL(this.url).origin) return null;
+      return FixPatcher.findImageSize(this.projectRoot, decodeURIComponent(imageUrl.pathname));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  recommend(image) {
+    const current = this.getFormat(image.url);
+    const savingsBytes = Math.max(0, ...Object.values(image.savings));
+
+    let format = current;
+    if (['jpeg', 'png', 'gif'].includes(current) && (image.savings.format || image.savings.compression || image.savings.delivery)) {
+      format = 'avif';
+    }
+
+    let loading = 'auto';
+    if (image.lcp) loading = 'priority';
+    else if (image.savings.offscreen) loading = 'lazy';
+
+    return {
+      ...image,
+      format: current,
+      targetFormat: format,
+      widths: this.getTargetWidths(image),
+      sizes: this.getSizes(image),
+      loading,
+      savingsBytes
+    };
+  }
+
+  /**
+   * 1x, 1.5x and 2x the displayed width, never beyond the original
+   */
+  getTargetWidths(image) {
+    const max = image.intrinsic?.width || Infinity;
+    const widths = image.displayed
+      ? [1, 1.5, 2].map(factor => Math.round(image.displayed.width * factor))
+      : DEFAULT_WIDTHS.slice();
+
+    const capped = widths.map(width => Math.min(width, max));
+    return [...new Set(capped)].filter(width => width > 0 && width !== Infinity).sort((a, b) => a - b);
+  }
+
+  getSizes(image) {
+    const viewport = this.lhr.configSettings?.screenEmulation?.width;
+    if (!image.displayed) return '100vw';
+    if (viewport && image.displayed.width / viewport >= FULL_WIDTH_RATIO) return '100vw';
+
+    if (viewport && this.lhr.configSettings?.formFactor === 'mobile') {
+      return `(max-width: ${viewport}px) ${Math.round(image.displayed.width / viewport * 100)}vw, ${image.displayed.width}px`;
+    }
+    return `${image.displayed.width}px`;
+  }
+
+  getFormat(url) {
+    try {
+      const extension = path.extname(new URL(url).pathname).slice(1).toLowerCase();
+      return FORMATS[extension] || extension || 'unknown';
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * Width and height to put on the element: displayed width with the original's ratio
+   */
+  getDimensions(image) {
+    const ratio = image.intrinsic || image.displayed;
+    if (!ratio) return null;
+
+    const width = image.displayed?.width || image.intrinsic.width;
+    return { width, height: Math.round(width * ratio.height / ratio.width) };
+  }
+
+  /**
+   * "/img/hero.jpg" at 640 wide as avif -> "/img/hero-640.avif"
+   */
+  variantUrl(src, width, format) {
+    const [pathname, query = ''] = src.split('?');
+    const extension = format === 'jpeg' ? 'jpg' : format;
+    const base = pathname.replace(/\.[a-z0-9]+$/i, '');
+    return `${base}-${width}.${extension}` + (query ? '?' + query : '');
+  }
+
+  formatMarkup(image) {
+    return this.stack?.id === 'next' ? this.formatNextImage(image) : this.formatPicture(image);
+  }
+
+  formatPicture(image) {
+    const src = this.getSrc(image);
+    const srcset = format => image.widths.map(width => `${this.variantUrl(src, width, format)} ${width}w`).join(', ');
+    const dimensions = this.getDimensions(image);
+
+    let img = image.node?.snippet ? HtmlSnippet.getOpeningTag(image.node.snippet) : null;
+    img = img && HtmlSnippet.getTagName(img) === 'img' ? img : `<img src="${src}" alt="">`;
+    img = HtmlSnippet.setAttribute(img, 'srcset', srcset(image.format === 'unknown' ? 'jpeg' : image.format));
+    img = HtmlSnippet.setAttribute(img, 'sizes', image.sizes);
+    if (dimensions) {
+      img = HtmlSnippet.setAttribute(img, 'width', dimensions.width);
+      img = HtmlSnippet.setAttribute(img, 'height', dimensions.height);
+    }
+
+    if (image.loading === 'priority') {
+      img = HtmlSnippet.removeAttribute(img, 'loading');
+      img = HtmlSnippet.setAttribute(img, 'fetchpriority', 'high');
+    } else if (image.loading === 'lazy') {
+      img = HtmlSnippet.setAttribute(img, 'loading', 'lazy');
+      img = HtmlSnippet.setAttribute(img, 'decoding', 'async');
+    }
+
+    const lines = [];
+    if (image.loading === 'priority' && image.lcpChecks.requestDiscoverable === false) {
+      lines.push(`<!-- in <head>: let the preload scanner find it -->`);
+      lines.push(`<link rel="preload" as="image" imagesrcset="${srcset(image.targetFormat)}" imagesizes="${image.sizes}" fetchpriority="high">`);
+      lines.push('');
+    }
+
+    if (image.targetFormat === image.format || image.format === 'svg') {
+      lines.push(img);
+    } else {
+      lines.push('<picture>');
+      lines.push(`  <source type="image/avif" srcset="${srcset('avif')}" sizes="${image.sizes}">`);
+      lines.push(`  <source type="image/webp" srcset="${srcset('webp')}" sizes="${image.sizes}">`);
+      lines.push('  ' + img);
+      lines.push('</picture>');
+    }
+
+    return { type: 'html', code: lines.join('\n') };
+  }
+
+  formatNextImage(image) {
+    const src = this.getSrc(image);
+    const dimensions = this.getDimensions(image);
+    const alt = HtmlSnippet.getAttribute(image.node?.snippet, 'alt');
+
+    const props = [
+      `src="${src}"`,
+      `alt="${alt !== null ? alt : 'TODO: describe the image'}"`
+    ];
+    if (dimensions) props.push(`width={${dimensions.width}}`, `height={${dimensions.height}}`);
+    props.push(`sizes="${image.sizes}"`);
+    // next/image lazy-loads by default; the LCP image must not be
+    if (image.loading === 'priority') props.push('priority');
+
+    return {
+      type: 'jsx',
+      code: `import Image from 'next/image';\n\n<Image\n  ${props.join('\n  ')}\n/>`
+    };
+  }
+
+  /**
+   * A sharp script that writes the srcset variants of same-origin images
+   */
+  formatVariantScript(plans) {
+    const local = plans.filter(plan => plan.format !== 'svg' && this.getSrc(plan).startsWith('/'));
+    if (local.length === 0) return null;
+
+    const jobs = local.map(plan => {
+      const src = this.getSrc(plan).split('?')[0];
+      const formats = plan.targetFormat === plan.format ? [plan.format] : ['avif', 'webp', plan.format];
+      return `  ['${src}', [${plan.widths.join(', ')}], [${formats.map(f => `'${f}'`).join(', ')}]]`;
+    });
+
+    const script = [
+      '// scripts/image-variants.mjs (npm install -D sharp), run from the project root',
+      "import sharp from 'sharp';",
+      '',
+      "const dir = 'public';",
+      'const images = [',
+      jobs.join(',\n'),
+      '];',
+      '',
+      'for (const [src, widths, formats] of images) {',
+      '  for (const width of widths) {',
+      '    for (const format of formats) {',
+      "      const out = src.replace(/\\.[a-z0-9]+$/i, `-${width}.${format === 'jpeg' ? 'jpg' : format}`);",
+      '      await sharp(dir + src).resize({ width, withoutEnlargement: true }).toFormat(format).toFile(dir + out);',
+      '    }',
+      '  }',
+      '}'
+    ];
+
+    return { type: 'javascript', code: script.join('\n') };
+  }
+
+  getSrc(image) {
+    const src = HtmlSnippet.getAttribute(image.node?.snippet, 'src');
+    if (src && !src.startsWith('data:')) return src;
+
+    try {
+      const url = new URL(image.url);
+      return url.origin === new URL(this.url).origin ? url.pathname + url.search : image.url;
+    } catch (error) {
+      return image.url;
+    }
+  }
+
+  resolveUrl(url) {
+    if (!url || url.startsWith('data:')) return null;
+    try {
+      return new URL(url, this.url || undefined).href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  parseSize(text) {
+    const match = /(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)/.exec(text || '');
+    return match ? { width: Math.round(Number(match[1])), height: Math.round(Number(match[2])) } : null;
+  }
+
+  /**
+   * Markdown table of every planned image
+   */
+  formatTable(plans) {
+    const kb = bytes => bytes ? Math.round(bytes / 1024) + ' KB' : '—';
+    const size = value => value ? value.width + '×' + value.height : '?';
+    const loading = { priority: 'priority (LCP)', lazy: 'lazy', auto: '—' };
+
+    const rows = plans.map(plan => [
+      this.shortName(plan.url),
+      kb(plan.bytes),
+      size(plan.displayed) + ' / ' + size(plan.intrinsic),
+      plan.format === plan.targetFormat ? plan.format : plan.format + ' → ' + plan.targetFormat + ' (webp fallback)',
+      plan.widths.join(', '),
+      loading[plan.loading] + (plan.unsized ? ', set width/height' : ''),
+      kb(plan.savingsBytes)
+    ]);
+
+    return '| Image | Bytes | Displayed / intrinsic | Format | Widths | Loading | Savings |\n' +
+      '|-------|-------|-----------------------|--------|--------|---------|---------|\n' +
+      rows.map(row => '| ' + row.join(' | ') + ' |').join('\n') + '\n';
+  }
+
+  shortName(url) {
+    try {
+      const { pathname } = new URL(url);
+      const name = pathname.split('/').pop() || pathname;
+      return name.length > 40 ? name.substring(0, 37) + '...' : name;
+    } catch (error) {
+      return url;
+    }
+  }
+}
+
+ImagePlanner.AUDITS = AUDITS;
+
+module.exports = ImagePlanner;
@@ -0,0 +1,182 @@
+/**
+ * Lighthouse JUnit Reporter
+ *
+ * Converts a report into JUnit XML for CI test reporters: one testsuite per
+ * category, one testcase per audit, plus a Core Web Vitals testsuite.
+ */
+
+const MAX_FAILURE_ITEMS = 5;
+
+class JUnitReporter {
+  constructor(analyzer) {
+    this.analyzer = analyzer;
+    this.lhr = analyzer.lhr;
+    this.minScore = analyzer.options.minScore;
+  }
+
+  format() {
+    const suites = [];
+
+    for (const [id, category] of Object.entries(this.lhr.categories)) {
+      if (this.analyzer.options.category && id !== this.analyzer.options.category) continue;
+      suites.push(this.buildCategorySuite(id, category));
+    }
+
+    if (!this.analyzer.options.category || this.analyzer.options.category === 'performance') {
+      suites.push(this.buildVitalsSuite());
+    }
+
+    const totals = suites.reduce((sum, suite) => ({
+      tests: sum.tests + suite.tests,
+      failures: sum.failures + suite.failures,
+      skipped: sum.skipped + suite.skipped
+    }), { tests: 0, failures: 0, skipped: 0 });
+
+    let output = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    output += `<testsuites name="${this.attr('Lighthouse ' + (this.lhr.finalUrl || this.lhr.requestedUrl))}" tests="${totals.tests}" failures="${totals.failures}" skipped="${totals.skipped}">\n`;
+    for (const suite of suites) {
+      output += suite.xml;
+    }
+    output += '</testsuites>\n';
+
+    return output;
+  }
+
+  buildCategorySuite(id, category) {
+    const seen = new Set();
+    const cases = [];
+
+    for (const ref of category.auditRefs) {
+      if (seen.has(ref.id)) continue;
+      seen.add(ref.id);
+
+      const audit = this.lhr.audits[ref.id];
+      if (audit) cases.push(this.buildAuditCase(id, audit));
+    }
+
+    return this.wrapSuite(id, category.title, cases, [
+      { name: 'score', value: category.score !== null ? Math.round(category.score * 100) : 'N/A' }
+    ]);
+  }
+
+  buildAuditCase(categoryId, audit) {
+    const name = this.attr(audit.title.replace(/`/g, ''));
+    const open = `    <testcase classname="lighthouse.${this.attr(categoryId)}" name="${name}" id="${this.attr(audit.id)}">\n`;
+
+    // Manual and informative audits have no pass/fail state
+    if (audit.scoreDisplayMode === 'manual' || audit.scoreDisplayMode === 'informative' || audit.scoreDisplayMode === 'error') {
+      const reason = audit.scoreDisplayMode === 'error' ? audit.errorMessage || 'Audit errored' : audit.scoreDisplayMode;
+      return { status: 'skipped', xml: open + `      <skipped message="${this.attr(reason)}"/>\n    </testcase>\n` };
+    }
+
+    if (audit.scoreDisplayMode === 'notApplicable' || audit.score === null || audit.score >= this.minScore) {
+      return { status: 'passed', xml: `    <testcase classname="lighthouse.${this.attr(categoryId)}" name="${name}" id="${this.attr(audit.id)}"/>\n` };
+    }
+
+    const message = `Score ${Math.round(audit.score * 100)} is below ${Math.round(this.minScore * 100)}` +
+      (audit.displayValue ? ` (${audit.displayValue})` : '');
+
+    let body = this.stripMarkdown(audit.description);
+    const items = this.describeItems(audit.details?.items || []);
+    if (items.length > 0) {
+      body += '\n\nTop offending items:\n' + items.map(item => '- ' + item).join('\n');
+      const total = audit.details.items.length;
+      if (total > MAX_FAILURE_ITEMS) body += `\n... and ${total - MAX_FAILURE_ITEMS} more`;
+    }
+
+    return {
+      status: 'failed',
+      xml: open +
+        `      <failure message="${this.attr(message)}" type="${this.attr(audit.id)}">${this.text(body)}</failure>\n` +
+        '    </testcase>\n'
+    };
+  }
+
+  buildVitalsSuite() {
+    const vitals = this.analyzer.getCoreWebVitals();
+    const cases = [];
+
+    for (const [key, vital] of Object.entries(vitals)) {
+      const name = this.attr(vital.name);
+      let xml = `    <testcase classname="lighthouse.core-web-vitals" name="${name}" id="${key}">\n`;
+      xml += '      <properties>\n';
+      xml += `        <property name="value" value="${this.attr(vital.value)}"/>\n`;
+      xml += `        <property name="unit" value="${this.attr(vital.unit || '')}"/>\n`;
+      xml += `        <property name="displayValue" value="${this.attr(vital.displayValue || '')}"/>\n`;
+      xml += `        <property name="rating" value="${this.attr(vital.rating || '')}"/>\n`;
+      xml += '      </properties>\n';
+
+      if (!vital.passed) {
+        xml += `      <failure message="${this.attr(vital.name + ' is ' + (vital.displayValue || vital.value) + ' (' + (vital.rating || 'not passing') + ')')}" type="${key}"/>\n`;
+      }
+      xml += '    </testcase>\n';
+
+      cases.push({ status: vital.passed ? 'passed' : 'failed', xml });
+    }
+
+    return this.wrapSuite('core-web-vitals', 'Core Web Vitals', cases, []);
+  }
+
+  wrapSuite(id, title, cases, properties) {
+    const failures = cases.filter(c => c.status === 'failed').length;
+    const skipped = cases.filter(c => c.status === 'skipped').length;
+
+    let xml = `  <testsuite name="${this.attr(title)}" id="${this.attr(id)}" tests="${cases.length}" failures="${failures}" skipped="${skipped}" timestamp="${this.attr(this.lhr.fetchTime || '')}">\n`;
+    if (properties.length > 0) {
+      xml += '    <properties>\n';
+      for (const prop of properties) {
+        xml += `      <property name="${this.attr(prop.name)}" value="${this.attr(prop.value)}"/>\n`;
+      }
+      xml += '    </properties>\n';
+    }
+    xml += cases.map(c => c.xml).join('');
+    xml += '  </testsuite>\n';
+
+    return { tests: cases.length, failures, skipped, xml };
+  }
+
+  /**
+   * Short one-line descriptions of the first offending items
+   */
+  describeItems(items) {
+    return items.slice(0, MAX_FAILURE_ITEMS).map(item => {
+      const node = item.node?.type === 'node' ? item.node : null;
+      const parts = [];
+
+      if (node) {
+        parts.push(node.selector || node.nodeLabel);
+        if (node.snippet) parts.push(node.snippet);
+      } else if (typeof item.url === 'string') {
+        parts.push(item.url);
+      } else if (item.source?.url) {
+        parts.push(item.source.url);
+      } else if (item.description) {
+        parts.push(item.description);
+      }
+
+      if (item.wastedBytes) parts.push(Math.round(item.wastedBytes / 1024) + 'KB wasted');
+      if (item.wastedMs) parts.push(Math.round(item.wastedMs) + 'ms');
+
+      return parts.filter(Boolean).join(' — ') || JSON.stringify(item).substring(0, 120);
+    });
+  }
+
+  stripMarkdown(text) {
+    return String(text || '').replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)').replace(/`/g, '');
+  }
+
+  text(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  attr(value) {
+    return this.text(value)
+      .replace(/"/g, '&quot;')
+      .replace(/\n/g, '&#10;');
+  }
+}
+
+module.exports = JUnitReporter;
@@ -0,0 +1,429 @@
+/**
+ * Layout Shift Analyzer
+ *
+ * Explains a CLS value: the elements that shifted (layout-shifts, or
+ * layout-shift-elements on older reports), each one's share of the shift
+ * score, and the likely root cause, joined from the cause Lighthouse
+ * attributes and from unsized-images, non-composited-animations and the
+ * font-display audits. Each cause gets a fix built on the element's snippet.
+ */
+
+const HtmlSnippet = require('./html-snippet');
+
+// Audits that list shifting elements; the first one present is used
+const SHIFT_AUDITS = ['layout-shifts', 'layout-shift-elements', 'cls-culprits-insight'];
+
+const AUDITS = [
+  'cumulative-layout-shift',
+  ...SHIFT_AUDITS,
+  'unsized-images',
+  'non-composited-animations',
+  'font-display',
+  'font-display-insight'
+];
+
+const MEDIA_TAGS = ['img', 'video', 'iframe', 'embed', 'object', 'canvas'];
+
+const CAUSE_LABELS = {
+  'unsized-media': 'unsized media',
+  'web-font': 'late-loading web font',
+  'injected': 'injected content',
+  'animation': 'animation',
+  'unknown': 'unknown'
+};
+
+// Root causes as Lighthouse words them in layout-shifts sub-items
+const CAUSE_PATTERNS = [
+  { cause: 'unsized-media', pattern: /unsized|explicit size/i },
+  { cause: 'web-font', pattern: /font/i },
+  { cause: 'injected', pattern: /inject|iframe|late network request/i }
+];
+
+// Properties that move layout, and the transform that replaces them
+const TRANSFORM_FOR = {
+  top: 'translateY',
+  bottom: 'translateY',
+  'margin-top': 'translateY',
+  left: 'translateX',
+  right: 'translateX',
+  'margin-left': 'translateX',
+  width: 'scaleX',
+  height: 'scaleY'
+};
+
+class LayoutShiftAnalyzer {
+  constructor(lhr, options = {}) {
+    this.lhr = lhr;
+    this.stack = options.stack || null;
+  }
+
+  /**
+   * Shifting elements, largest share first, with the cause of each
+   */
+  analyze() {
+    const cls = this.lhr.audits['cumulative-layout-shift']?.numericValue ?? null;
+    const source = SHIFT_AUDITS.find(id => this.getShiftItems(id).length > 0) || null;
+    const elements = new Map();
+
+    for (const item of source ? this.getShiftItems(source) : []) {
+      const key = item.node.path || item.node.selector || item.node.snippet;
+      if (!elements.has(key)) {
+        elements.set(key, { node: item.node, score: 0, shifts: 0, reportedCauses: [] });
+      }
+      const element = elements.get(key);
+      element.score += item.score || 0;
+      element.shifts += 1;
+      element.reportedCauses.push(...this.getReportedCauses(item));
+    }
+
+    const unsized = this.getNodes('unsized-images');
+    const animations = this.getAnimations();
+    const fonts = this.getLateFonts();
+    // Older items carry no score; their share is then unknown rather than 0%
+    const totalScore = [...elements.values()].reduce((sum, element) => sum + element.score, 0);
+
+    const list = [...elements.values()].map(element => {
+      const { cause, culprit, fontUrl } = this.diagnose(element, unsized, animations, fonts);
+      return {
+        selector: element.node.selector || element.node.nodeLabel || null,
+        snippet: element.node.snippet || null,
+        node: element.node,
+        score: totalScore ? Math.round(element.score * 10000) / 10000 : null,
+        share: totalScore ? Math.round(100 * element.score / totalScore) : null,
+        shifts: element.shifts,
+        cause: cause,
+        culprit: culprit,
+        fontUrl: fontUrl,
+        animation: cause === 'animation' ? animations.get(this.nodeKey(element.node)) : null
+      };
+    });
+
+    return {
+      cls: cls,
+      source: source,
+      elements: list.sort((a, b) => (b.score || 0) - (a.score || 0)),
+      unsized: unsized.length,
+      animations: animations.size,
+      fonts: fonts
+    };
+  }
+
+  /**
+   * The cause Lighthouse reports wins; otherwise the element is matched
+   * against the cause audits, and without a match the cause is unknown
+   */
+  diagnose(element, unsized, animations, fonts) {
+    const reported = element.reportedCauses[0];
+    if (reported) {
+      return {
+        cause: reported.cause,
+        culprit: reported.node || (reported.cause === 'unsized-media' ? element.node : null),
+        fontUrl: reported.url || (reported.cause === 'web-font' ? fonts[0] || null : null)
+      };
+    }
+
+    const key = this.nodeKey(element.node);
+    if (unsized.some(node => this.nodeKey(node) === key) || this.isUnsizedMedia(element.node.snippet)) {
+      return { cause: 'unsized-media', culprit: element.node, fontUrl: null };
+    }
+    if (animations.has(key)) {
+      return { cause: 'animation', culprit: element.node, fontUrl: null };
+    }
+    if (fonts.length > 0 && !MEDIA_TAGS.includes(HtmlSnippet.getTagName(element.node.snippet))) {
+      return { cause: 'web-font', culprit: null, fontUrl: fonts[0] };
+    }
+    return { cause: 'unknown', culprit: null, fontUrl: null };
+  }
+
+  /**
+   * Items with a DOM node; cls-culprits-insight nests its tables in a list
+   */
+  getShiftItems(auditId) {
+    const details = this.lhr.audits[auditId]?.details;
+    if (!details) return [];
+
+    const items = details.type === 'list'
+      ? (details.items || []).flatMap(table => table.items || [])
+      : details.items || [];
+    return items.filter(item => item.node?.type === 'node' || item.node?.selector || item.node?.snippet);
+  }
+
+  getReportedCauses(item) {
+    return (item.subItems?.items || [])
+      .map(sub => {
+        const text = sub.cause || sub.reason || '';
+        const match = CAUSE_PATTERNS.find(entry => entry.pattern.test(text));
+        if (!match) return null;
+        return {
+          cause: match.cause,
+          node: sub.extra?.type === 'node' ? sub.extra : null,
+          url: sub.extra?.type === 'url' ? sub.extra.value : null
+        };
+      })
+      .filter(Boolean);
+  }
+
+  getNodes(auditId) {
+    const audit = this.lhr.audits[auditId];
+    if (!audit || audit.score === 1) return [];
+    return (audit.details?.items || []).map(item => item.node).filter(Boolean);
+  }
+
+  /**
+   * Non-composited animations by element: animation names and the properties involved
+   */
+  getAnimations() {
+    const animations = new Map();
+    const audit = this.lhr.audits['non-composited-animations'];
+    if (!audit || audit.score === 1) return animations;
+
+    for (const item of audit.details?.items || []) {
+      if (!item.node) continue;
+      const entries = (item.subItems?.items || []).map(sub => ({
+        name: sub.animation || null,
+        properties: this.getProperties(sub.failureReason || '')
+      }));
+      animations.set(this.nodeKey(item.node), {
+        names: [...new Set(entries.map(entry => entry.name).filter(Boolean))],
+        properties: [...new Set(entries.flatMap(entry => entry.properties))]
+      });
+    }
+
+    return animations;
+  }
+
+  /**
+   * "Unsupported CSS Properties: top, margin-left" -> ['top', 'margin-left']
+   */
+  getProperties(reason) {
+    const match = /Propert(?:y|ies):\s*(.+)$/i.exec(reason);
+    return match ? match[1].split(/,\s*/).map(property => property.trim()).filter(Boolean) : [];
+  }
+
+  /**
+   * Web fonts that render late: shown with fallback text that is then swapped
+   */
+  getLateFonts() {
+    for (const auditId of ['font-display', 'font-display-insight']) {
+      const audit = this.lhr.audits[auditId];
+      if (audit && audit.score !== 1 && audit.details?.items?.length) {
+        return audit.details.items.map(item => item.url).filter(Boolean);
+      }
+    }
+
+    // No failing font audit: any font requested after first paint can still swap
+    const fcp = this.lhr.audits['first-contentful-paint']?.numericValue;
+    const requests = this.lhr.audits['network-requests']?.details?.items || [];
+    return requests
+      .filter(request => (request.resourceType || '').toLowerCase() === 'font' && fcp && request.networkEndTime > fcp)
+      .map(request => request.url);
+  }
+
+  isUnsizedMedia(snippet) {
+    if (!MEDIA_TAGS.includes(HtmlSnippet.getTagName(snippet))) return false;
+    const style = HtmlSnippet.getAttribute(snippet, 'style') || '';
+    return (HtmlSnippet.getAttribute(snippet, 'width') === null || HtmlSnippet.getAttribute(snippet, 'height') === null) &&
+      !/aspect-ratio/.test(style);
+  }
+
+  nodeKey(node) {
+    return node?.path || node?.selector || node?.snippet || null;
+  }
+
+  /**
+   * Fix for one element's cause, built on its snippet: { type, title, code }
+   */
+  formatFix(element) {
+    const name = '`' + (element.selector || 'element') + '`';
+    const title = name + (element.share !== null ? ' (' + element.share + '% of shifts)' : '') + ': ' + CAUSE_LABELS[element.cause];
+
+    switch (element.cause) {
+      case 'unsized-media':
+        return { type: 'html', title: title, code: this.formatUnsizedMedia(element.culprit || element.node) };
+      case 'web-font':
+        return { type: 'css', title: title, code: this.formatWebFont(element) };
+      case 'animation':
+        return { type: 'css', title: title, code: this.formatAnimation(element) };
+      case 'unknown':
+        return { type: 'text', title: title, code: this.formatUnknownCause(element) };
+      default:
+        return { type: 'html', title: title, code: this.formatReservedSpace(element) };
+    }
+  }
+
+  formatUnsizedMedia(node) {
+    const before = HtmlSnippet.getOpeningTag(node.snippet) || node.snippet || '<img src="…">';
+    const rect = node.boundingRect;
+    let code = '<!-- PROBLEM: no size, so the box is 0px tall until the file arrives -->\n' + before + '\n\n';
+
+    if (rect?.width && rect?.height) {
+      let after = HtmlSnippet.setAttribute(before, 'width', Math.round(rect.width));
+      after = HtmlSnippet.setAttribute(after, 'height', Math.round(rect.height));
+      code += '<!-- SOLUTION: reserve the box; CSS can still scale it (height: auto keeps the ratio) -->\n' + after;
+    } else {
+      code += '<!-- SOLUTION: set the intrinsic width and height, or aspect-ratio in CSS -->\n' +
+        HtmlSnippet.setAttribute(before, 'style', 'aspect-ratio: 16 / 9; width: 100%; height: auto');
+    }
+
+    if (this.stack?.id === 'next' && HtmlSnippet.getTagName(before) === 'img') {
+      code += '\n\n<!-- With next/image, pass width and height (or fill inside a sized parent) -->';
+    }
+
+    return code;
+  }
+
+  formatWebFont(element) {
+    const fontUrl = element.fontUrl;
+    const family = HtmlSnippet.humanize(HtmlSnippet.lastPathSegment(fontUrl))?.split(' ')[0] || 'Brand';
+    const selector = element.selector || 'body';
+    const lines = [
+      '/* PROBLEM: ' + (element.snippet ? HtmlSnippet.getOpeningTag(element.snippet) || element.snippet : selector) +
+        ' re-flows when ' + (fontUrl ? this.shortUrl(fontUrl) : 'the web font') + ' replaces the fallback font */',
+      '',
+      '@font-face {',
+      `  font-family: '${family}';`,
+      fontUrl ? `  src: url('${this.getHref(fontUrl)}') format('${/\.woff2/i.test(fontUrl) ? 'woff2' : 'woff'}');` : `  src: url('/fonts/${family.toLowerCase()}.woff2') format('woff2');`,
+      '  /* optional: use the font only if it is ready for first render, never swap later */',
+      '  font-display: optional;',
+      '}',
+      '',
+      '/* Or keep swap, with a fallback sized to match so the swap does not move text */',
+      '@font-face {',
+      `  font-family: '${family} Fallback';`,
+      "  src: local('Arial');",
+      '  size-adjust: 105%;',
+      '  ascent-override: 92%;',
+      '  descent-override: 24%;',
+      '}',
+      '',
+      `${selector} {`,
+      `  font-family: '${family}', '${family} Fallback', sans-serif;`,
+      '}'
+    ];
+
+    if (fontUrl && !this.isThirdParty(fontUrl)) {
+      lines.push('', `/* And preload it in <head>: <link rel="preload" href="${this.getHref(fontUrl)}" as="font" type="font/woff2" crossorigin> */`);
+    }
+    if (this.stack?.id === 'next') {
+      lines.push('', '/* With next/font, the size-adjusted fallback is generated for you */');
+    }
+
+    return lines.join('\n');
+  }
+
+  formatAnimation(element) {
+    const { names = [], properties = [] } = element.animation || {};
+    const name = names[0] || 'enter';
+    const layoutProperties = properties.filter(property => TRANSFORM_FOR[property]);
+    const transform = TRANSFORM_FOR[layoutProperties[0]] || 'translateY';
+    const from = transform.startsWith('scale') ? transform + '(0)' : transform + '(-20px)';
+
+    return [
+      '/* PROBLEM: ' + (HtmlSnippet.getOpeningTag(element.snippet) || element.selector) + ' animates ' +
+        (properties.length ? properties.join(', ') : 'layout properties') + ', which moves the elements around it on every frame */',
+      '',
+      `@keyframes ${name} {`,
+      `  from { transform: ${from}; opacity: 0; }`,
+      '  to { transform: none; opacity: 1; }',
+      '}',
+      '',
+      '/* transform and opacity run on the compositor and never change layout */',
+      `${element.selector || '.animated'} {`,
+      `  animation: ${name} 300ms ease-out;`,
+      '}'
+    ].join('\n');
+  }
+
+  /**
+   * Size the injected element when Lighthouse names it; otherwise reserve a
+   * slot above the element that was pushed down
+   */
+  formatReservedSpace(element) {
+    const alternatives = '<!-- Or insert it below the viewport, overlay it with position: fixed, or add it only after user input -->';
+    const shifted = HtmlSnippet.getOpeningTag(element.snippet) || element.snippet || '<div>';
+
+    if (element.culprit) {
+      const before = HtmlSnippet.getOpeningTag(element.culprit.snippet) || element.culprit.snippet;
+      const height = Math.round(element.culprit.boundingRect?.height || 0) || 250;
+      const style = HtmlSnippet.getAttribute(before, 'style');
+      const after = HtmlSnippet.setAttribute(before, 'style', (style ? style.replace(/;?\s*$/, '; ') : '') + `min-height: ${height}px`);
+
+      return '<!-- PROBLEM: inserted after first render, pushing ' + (element.selector || 'the page') + ' down -->\n' + before + '\n\n' +
+        '<!-- SOLUTION: reserve its space up front -->\n' + after + '\n\n' + alternatives;
+    }
+
+    return '<!-- PROBLEM: content inserted above this element after it rendered pushes it down -->\n' + shifted + '\n\n' +
+      '<!-- SOLUTION: render a placeholder of the final size where the late content goes (banner, ad, embed, consent bar) -->\n' +
+      '<div style="min-height: 250px"><!-- late content renders here --></div>\n' + shifted + '\n\n' + alternatives;
+  }
+
+  /**
+   * No audit points at a cause, so say how to find it instead of guessing
+   */
+  formatUnknownCause(element) {
+    return [
+      'The report has no cause for shifts of ' + (element.selector || 'this element') + '. To find it:',
+      '1. Open DevTools > Rendering and tick "Layout Shift Regions", then reload the page',
+      '2. Or record a Performance trace and select each Layout Shift to see what moved and why',
+      '3. Common causes: images or embeds without a size, web fonts swapping in, content inserted above it, animated top/left/height'
+    ].join('\n');
+  }
+
+  getHref(url) {
+    if (this.isThirdParty(url)) return url;
+    try {
+      const parsed = new URL(url);
+      return parsed.pathname + parsed.search;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  isThirdParty(url) {
+    try {
+      const host = hostname => hostname.replace(/^www\./, '');
+      return host(new URL(url).hostname) !== host(new URL(this.lhr.finalDisplayedUrl || this.lhr.finalUrl).hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  shortUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.pathname.split('/').pop() || parsed.hostname;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  formatTable(elements) {
+    let output = '| Element | Share | Score | Shifts | Likely cause |\n';
+    output += '|---------|-------|-------|--------|--------------|\n';
+
+    for (const element of elements) {
+      const cause = CAUSE_LABELS[element.cause] +
+        (element.cause === 'web-font' && element.fontUrl ? ' (' + this.shortUrl(element.fontUrl) + ')' : '') +
+        (element.culprit && element.culprit !== element.node ? ' in `' + (element.culprit.selector || element.culprit.nodeLabel) + '`' : '');
+      const share = element.share !== null ? element.share + '%' : '—';
+      const score = element.score !== null ? element.score.toFixed(3) : '—';
+      output += `| \`${element.selector || 'unknown'}\` | ${share} | ${score} | ${element.shifts} | ${cause} |\n`;
+    }
+
+    return output;
+  }
+
+  formatMarkdown({ cls, elements }) {
+    let output = '## Layout Shifts\n\n';
+    output += `Cumulative Layout Shift: ${cls !== null ? cls.toFixed(3) : 'n/a'}; ${elements.length} shifting element` +
+      (elements.length === 1 ? '' : 's') + '\n\n';
+    output += this.formatTable(elements) + '\n';
+    return output;
+  }
+}
+
+LayoutShiftAnalyzer.AUDITS = AUDITS;
+LayoutShiftAnalyzer.SHIFT_AUDITS = SHIFT_AUDITS;
+LayoutShiftAnalyzer.CAUSE_LABELS = CAUSE_LABELS;
+
+module.exports = LayoutShiftAnalyzer;
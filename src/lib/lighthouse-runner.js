@@ -0,0 +1,268 @@
+/**
+ * Lighthouse Runner
+ *
+ * Runs the project's Lighthouse CLI for `gl audit`. URLs, presets and runs
+ * come from the `audit` section of `.lighthouse/config.json`; each run is
+ * written to `.lighthouse/reports/<page>-<preset>-<timestamp>[-<run>].json`.
+ * The binary is `--lighthouse`, `audit.lighthouse`, the project's
+ * node_modules/.bin/lighthouse or `lighthouse` on the PATH, in that order,
+ * so a stand-in script can take its place in tests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ReportAggregator = require('./aggregator');
+const ReportLoader = require('./report-loader');
+
+// Lighthouse's own defaults are mobile with simulated throttling
+const BUILT_IN_PRESETS = {
+  mobile: { formFactor: 'mobile', throttling: 'simulate' },
+  desktop: { formFactor: 'desktop', throttling: 'simulate' }
+};
+
+const FORM_FACTORS = ['mobile', 'desktop'];
+const THROTTLING_METHODS = ['simulate', 'devtools', 'provided'];
+const CATEGORIES = ['performance', 'accessibility', 'best-practices', 'seo', 'pwa'];
+const DEFAULT_CHROME_FLAGS = ['--headless=new'];
+
+class LighthouseRunner {
+  constructor(projectRoot, config = {}, options = {}) {
+    this.projectRoot = projectRoot;
+    this.config = config;
+    this.reportsDir = path.join(projectRoot, '.lighthouse', 'reports');
+    this.binary = options.lighthouse || config.lighthouse || null;
+    this.env = options.env || process.env;
+  }
+
+  /**
+   * Absolute URLs to audit: the given ones, else `audit.urls`; paths are
+   * resolved against `audit.baseUrl`
+   */
+  getUrls(urls = []) {
+    const list = urls.length > 0 ? urls : [].concat(this.config.urls || []);
+    if (list.length === 0) {
+      throw new Error('No URLs to audit: pass them as arguments or set audit.urls in .lighthouse/config.json');
+    }
+
+    return list.map(url => {
+      if (/^https?:\/\//i.test(url)) return url;
+      if (!this.config.baseUrl) {
+        throw new Error(`"${url}" is not an absolute URL; set audit.baseUrl in .lighthouse/config.json to use paths`);
+      }
+      return new URL(url, this.config.baseUrl).href;
+    });
+  }
+
+  /**
+   * Presets to run: a comma-separated list, else `audit.presets`, else mobile
+   */
+  getPresets(names) {
+    const list = names
+      ? String(names).split(',').map(name => name.trim()).filter(Boolean)
+      : [].concat(this.config.presets || ['mobile']);
+
+    return list.map(name => this.getPreset(name));
+  }
+
+  /**
+   * A built-in preset, or one from `audit.customPresets`; custom presets may
+   * `extend` another and override or add to its settings
+   */
+  getPreset(name, seen = []) {
+    const custom = this.config.customPresets?.[name];
+    const builtIn = BUILT_IN_PRESETS[name];
+    if (!custom && !builtIn) {
+      throw new Error(`Unknown preset "${name}" (built-in: ${Object.keys(BUILT_IN_PRESETS).join(', ')}; add others under audit.customPresets)`);
+    }
+    if (seen.includes(name)) {
+      throw new Error(`Preset "${name}" extends itself (${[...seen, name].join(' → ')})`);
+    }
+
+    let base = builtIn || {};
+    if (custom?.extends) base = this.getPreset(custom.extends, [...seen, name]);
+
+    const settings = { ...custom };
+    delete settings.extends;
+    const preset = {
+      ...base,
+      ...settings,
+      name,
+      headers: { ...base.headers, ...settings.headers },
+      cookies: { ...base.cookies, ...settings.cookies }
+    };
+
+    if (preset.formFactor && !FORM_FACTORS.includes(preset.formFactor)) {
+      throw new Error(`Preset "${name}": formFactor must be one of ${FORM_FACTORS.join(', ')}`);
+    }
+    if (preset.throttling && !THROTTLING_METHODS.includes(preset.throttling)) {
+      throw new Error(`Preset "${name}": throttling must be one of ${THROTTLING_METHODS.join(', ')}`);
+    }
+    const unknown = [].concat(preset.categories || []).filter(category => !CATEGORIES.includes(category));
+    if (unknown.length > 0) {
+      throw new Error(`Preset "${name}": unknown categories ${unknown.join(', ')} (use ${CATEGORIES.join(', ')})`);
+    }
+
+    return preset;
+  }
+
+  getRuns(runs) {
+    const count = parseInt(runs ?? this.config.runs ?? 1, 10);
+    if (Number.isNaN(count) || count < 1) {
+      throw new Error(`Invalid number of runs "${runs ?? this.config.runs}"`);
+    }
+    return count;
+  }
+
+  /**
+   * Request headers for a preset: `audit.headers` plus the preset's, with
+   * cookies folded into one Cookie header and ${VAR} taken from the environment
+   */
+  getHeaders(preset) {
+    const headers = { ...this.config.headers, ...preset.headers };
+    const cookies = { ...this.config.cookies, ...preset.cookies };
+
+    const pairs = Object.entries(cookies).map(([name, value]) => `${name}=${value}`);
+    if (pairs.length > 0) {
+      headers.Cookie = [headers.Cookie, ...pairs].filter(Boolean).join('; ');
+    }
+
+    for (const [name, value] of Object.entries(headers)) {
+      headers[name] = this.expandEnv(String(value), `header ${name}`);
+    }
+    return headers;
+  }
+
+  /**
+   * Keeps tokens and session cookies out of the committed config
+   */
+  expandEnv(value, label) {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+      if (this.env[name] === undefined) {
+        throw new Error(`Environment variable ${name} used in ${label} is not set`);
+      }
+      return this.env[name];
+    });
+  }
+
+  /**
+   * Lighthouse CLI arguments for one run
+   */
+  buildArgs(url, preset, outputPath) {
+    const args = [url, '--output=json', `--output-path=${outputPath}`, '--quiet'];
+
+    const chromeFlags = [].concat(preset.chromeFlags || this.config.chromeFlags || DEFAULT_CHROME_FLAGS);
+    if (chromeFlags.length > 0) args.push(`--chrome-flags=${chromeFlags.join(' ')}`);
+
+    if (preset.formFactor === 'desktop') args.push('--preset=desktop');
+    if (preset.throttling) args.push(`--throttling-method=${preset.throttling}`);
+    if (preset.categories?.length) args.push(`--only-categories=${[].concat(preset.categories).join(',')}`);
+
+    const headers = this.getHeaders(preset);
+    if (Object.keys(headers).length > 0) args.push(`--extra-headers=${JSON.stringify(headers)}`);
+
+    return args.concat(this.config.flags || [], preset.flags || []);
+  }
+
+  /**
+   * The command to spawn; JavaScript files run with the current node
+   */
+  getCommand() {
+    let binary = this.binary;
+    if (binary) {
+      // Paths are relative to the project; bare names are looked up on the PATH
+      if (/[\\/]/.test(binary)) binary = path.resolve(this.projectRoot, binary);
+    } else {
+      const local = path.join(this.projectRoot, 'node_modules', '.bin', process.platform === 'win32' ? 'lighthouse.cmd' : 'lighthouse');
+      binary = fs.existsSync(local) ? local : 'lighthouse';
+    }
+
+    return /\.[cm]?js$/.test(binary)
+      ? { command: process.execPath, args: [binary], label: binary }
+      : { command: binary, args: [], label: binary };
+  }
+
+  /**
+   * `localhost-3000-pricing-mobile-2025-03-01T10-00-00-2.json`
+   */
+  getReportPath(url, preset, timestamp, run, runs) {
+    const parsed = new URL(url);
+    const page = `${parsed.host}${parsed.pathname}`
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '')
+      .substring(0, 60);
+
+    return path.join(this.reportsDir, `${page}-${preset.name}-${timestamp}${runs > 1 ? `-${run}` : ''}.json`);
+  }
+
+  /**
+   * Run Lighthouse once; resolves with the loaded LHR
+   */
+  run(url, preset, outputPath) {
+    const { command, args, label } = this.getCommand();
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, [...args, ...this.buildArgs(url, preset, outputPath)], {
+        cwd: this.projectRoot,
+        stdio: ['ignore', 'ignore', 'pipe']
+      });
+
+      let stderr = '';
+      child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-4000);
+      });
+
+      child.on('error', error => {
+        const failure = error.code === 'ENOENT'
+          ? new Error(`Lighthouse CLI not found (${label}). Install it with npm install --save-dev lighthouse, or set audit.lighthouse in .lighthouse/config.json`)
+          : error;
+        failure.code = error.code;
+        reject(failure);
+      });
+
+      child.on('close', code => {
+        if (code !== 0) {
+          const lastLine = stderr.trim().split('\n').pop();
+          reject(new Error(`Lighthouse exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+          return;
+        }
+
+        try {
+          const lhr = ReportLoader.load(outputPath);
+          if (lhr.runtimeError?.code && lhr.runtimeError.code !== 'NO_ERROR') {
+            throw new Error(`Lighthouse could not audit the page: ${lhr.runtimeError.message || lhr.runtimeError.code}`);
+          }
+          resolve(lhr);
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * The run to keep from several of the same URL and preset: the median one
+   */
+  pickRepresentative(reportPaths) {
+    if (reportPaths.length === 1) return reportPaths[0];
+    // The index is into the aggregator's runs, which skip duplicate reports
+    const aggregator = new ReportAggregator(reportPaths);
+    return aggregator.runs[aggregator.getMedianRunIndex()].path;
+  }
+
+  /**
+   * Copy a report to latest.json, the default input of analyze, fixes and explore
+   */
+  updateLatest(reportPath) {
+    const latestPath = path.join(this.reportsDir, 'latest.json');
+    fs.copyFileSync(reportPath, latestPath);
+    return latestPath;
+  }
+}
+
+LighthouseRunner.BUILT_IN_PRESETS = BUILT_IN_PRESETS;
+
+module.exports = LighthouseRunner;
@@ -0,0 +1,157 @@
+/**
+ * Main-Thread Analyzer
+ *
+ * Breaks main-thread work down from bootup-time, mainthread-work-breakdown
+ * and long-tasks: the scripts that cost the most to run and parse, time per
+ * task category, and the longest tasks with the URL they are attributed to.
+ * Each entry gets its estimated share of Total Blocking Time, so the script
+ * to tackle first is the one at the top.
+ */
+
+// Only the part of a task beyond 50ms counts towards TBT
+const LONG_TASK_MS = 50;
+
+class MainThreadAnalyzer {
+  constructor(lhr) {
+    this.lhr = lhr;
+  }
+
+  analyze() {
+    const tbt = Math.round(this.lhr.audits['total-blocking-time']?.numericValue || 0);
+    const longTasks = this.getLongTasks(tbt);
+    const scripts = this.getScripts(tbt, longTasks);
+    const categories = this.getCategories(tbt);
+
+    return {
+      tbt: tbt,
+      mainThreadMs: Math.round(categories.reduce((sum, category) => sum + category.duration, 0)),
+      scripts: scripts,
+      categories: categories,
+      longTasks: longTasks,
+      domSize: this.lhr.audits['dom-size']?.numericValue ?? null
+    };
+  }
+
+  /**
+   * Scripts by execution and parse time, ranked by their estimated TBT.
+   * TBT is split by each script's blocking time in long tasks, or by its
+   * execution time when the report has no long tasks.
+   */
+  getScripts(tbt, longTasks) {
+    const items = (this.lhr.audits['bootup-time']?.details?.items || []).filter(item => item.url);
+    const blockingByUrl = new Map();
+    for (const task of longTasks) {
+      blockingByUrl.set(task.url, (blockingByUrl.get(task.url) || 0) + task.blockingMs);
+    }
+
+    const totalBlocking = [...blockingByUrl.values()].reduce((sum, ms) => sum + ms, 0);
+    const totalScripting = items.reduce((sum, item) => sum + (item.scripting || 0), 0);
+    const byLongTasks = totalBlocking > 0;
+
+    return items
+      .map(item => {
+        const weight = byLongTasks
+          ? (blockingByUrl.get(item.url) || 0) / totalBlocking
+          : totalScripting ? (item.scripting || 0) / totalScripting : 0;
+        return {
+          url: item.url,
+          total: Math.round(item.total || 0),
+          scripting: Math.round(item.scripting || 0),
+          parseCompile: Math.round(item.scriptParseCompile || 0),
+          longTasks: longTasks.filter(task => task.url === item.url).length,
+          tbtMs: Math.round(tbt * weight),
+          tbtShare: Math.round(100 * weight),
+          attribution: byLongTasks ? 'long tasks' : 'execution time'
+        };
+      })
+      .sort((a, b) => b.tbtMs - a.tbtMs || b.total - a.total);
+  }
+
+  /**
+   * Time per task category (script evaluation, style & layout, GC, ...)
+   */
+  getCategories(tbt) {
+    const items = this.lhr.audits['mainthread-work-breakdown']?.details?.items || [];
+    const total = items.reduce((sum, item) => sum + (item.duration || 0), 0);
+
+    return items
+      .map(item => ({
+        group: item.group,
+        label: item.groupLabel || item.group,
+        duration: Math.round(item.duration || 0),
+        share: total ? Math.round(100 * item.duration / total) : 0,
+        // Rough: TBT split in proportion to main-thread time
+        tbtMs: total ? Math.round(tbt * item.duration / total) : 0
+      }))
+      .sort((a, b) => b.duration - a.duration);
+  }
+
+  /**
+   * Long tasks, longest first, with the blocking part each one adds to TBT
+   */
+  getLongTasks(tbt) {
+    const items = this.lhr.audits['long-tasks']?.details?.items || [];
+
+    return items
+      .map(item => {
+        const blockingMs = Math.max(0, Math.round((item.duration || 0) - LONG_TASK_MS));
+        return {
+          url: item.url || 'Unattributable',
+          startTime: Math.round(item.startTime || 0),
+          duration: Math.round(item.duration || 0),
+          blockingMs: blockingMs,
+          tbtShare: tbt ? Math.min(100, Math.round(100 * blockingMs / tbt)) : 0
+        };
+      })
+      .sort((a, b) => b.duration - a.duration);
+  }
+
+  shortUrl(url) {
+    try {
+      const parsed = new URL(url);
+      const name = parsed.pathname.split('/').pop();
+      return name ? (parsed.hostname === new URL(this.lhr.finalUrl).hostname ? name : parsed.hostname + '/…/' + name) : parsed.hostname;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  formatMarkdown({ tbt, mainThreadMs, scripts, categories, longTasks }) {
+    let output = `Total Blocking Time: ${tbt}ms; main-thread work: ${mainThreadMs}ms\n\n`;
+
+    if (scripts.length > 0) {
+      output += '### Scripts by Blocking Time\n\n';
+      output += '| Script | Total | Evaluation | Parse & compile | Long tasks | Est. TBT |\n';
+      output += '|--------|-------|------------|-----------------|------------|----------|\n';
+      for (const script of scripts.slice(0, 10)) {
+        output += `| ${this.shortUrl(script.url)} | ${script.total}ms | ${script.scripting}ms | ${script.parseCompile}ms | ` +
+          `${script.longTasks} | ${script.tbtMs}ms (${script.tbtShare}%) |\n`;
+      }
+      output += `\nTBT is split by ${scripts[0].attribution}.\n\n`;
+    }
+
+    if (categories.length > 0) {
+      output += '### Main-Thread Work by Category\n\n';
+      output += '| Category | Time | Share | Est. TBT |\n';
+      output += '|----------|------|-------|----------|\n';
+      for (const category of categories) {
+        output += `| ${category.label} | ${category.duration}ms | ${category.share}% | ${category.tbtMs}ms |\n`;
+      }
+      output += '\n';
+    }
+
+    if (longTasks.length > 0) {
+      output += '### Longest Tasks\n\n';
+      output += '| Attributed to | Start | Duration | Blocking |\n';
+      output += '|---------------|-------|----------|----------|\n';
+      for (const task of longTasks.slice(0, 10)) {
+        output += `| ${this.shortUrl(task.url)} | ${task.startTime}ms | ${task.duration}ms | ${task.blockingMs}ms (${task.tbtShare}% of TBT) |\n`;
+      }
+      output += '\n';
+    }
+
+    return output;
+  }
+}
+
+module.exports = MainThreadAnalyzer;
@@ -0,0 +1,135 @@
+/**
+ * Markdown to HTML
+ *
+ * Renders the markdown this tool writes (analyses, fixes, comparisons,
+ * trends) as HTML for the dashboard: headings, paragraphs, lists, tables,
+ * blockquotes, rules and fenced code, plus inline code, bold and links.
+ * Not a general-purpose parser; raw HTML in the input is escaped.
+ */
+
+class MarkdownHtmlRenderer {
+  render(markdown) {
+    const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
+    const output = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      const fence = /^```\s*([\w-]*)\s*$/.exec(line);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !/^```\s*$/.test(lines[i])) code.push(lines[i++]);
+        i++;
+        const language = fence[1] ? ` class="language-${fence[1]}"` : '';
+        output.push(`<pre><code${language}>${this.escape(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+      if (heading) {
+        const level = heading[1].length;
+        output.push(`<h${level} id="${this.slug(heading[2])}">${this.inline(heading[2])}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      if (/^(-{3,}|\*{3,})\s*$/.test(line)) {
+        output.push('<hr>');
+        i++;
+        continue;
+      }
+
+      if (/^\s*\|/.test(line) && i + 1 < lines.length && /^\s*\|?\s*:?-{3,}/.test(lines[i + 1])) {
+        const rows = [];
+        while (i < lines.length && /^\s*\|/.test(lines[i])) rows.push(lines[i++]);
+        output.push(this.table(rows));
+        continue;
+      }
+
+      if (/^>/.test(line)) {
+        const quote = [];
+        while (i < lines.length && /^>/.test(lines[i])) quote.push(lines[i++].replace(/^>\s?/, ''));
+        output.push(`<blockquote>${this.render(quote.join('\n'))}</blockquote>`);
+        continue;
+      }
+
+      const bullet = /^(\s*)([-*]|\d+\.)\s+/.exec(line);
+      if (bullet) {
+        const ordered = /\d/.test(bullet[2]);
+        const items = [];
+        while (i < lines.length && (/^\s*([-*]|\d+\.)\s+/.test(lines[i]) || (/^\s{2,}\S/.test(lines[i]) && items.length))) {
+          const item = /^\s*(?:[-*]|\d+\.)\s+(.*)$/.exec(lines[i]);
+          if (item) {
+            items.push(item[1]);
+          } else {
+            // Indented continuation of the previous item
+            items[items.length - 1] += '\n' + lines[i].trim();
+          }
+          i++;
+        }
+        const tag = ordered ? 'ol' : 'ul';
+        output.push(`<${tag}>` + items.map(item => `<li>${this.inline(item).replace(/\n/g, '<br>')}</li>`).join('') + `</${tag}>`);
+        continue;
+      }
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && !/^(```|#{1,6}\s|>|\s*\||\s*([-*]|\d+\.)\s)/.test(lines[i])) {
+        paragraph.push(lines[i++]);
+      }
+      if (paragraph.length === 0) paragraph.push(lines[i++]);
+      output.push(`<p>${this.inline(paragraph.join(' '))}</p>`);
+    }
+
+    return output.join('\n') + '\n';
+  }
+
+  table(rows) {
+    const cells = row => row.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+    const [head, , ...body] = rows;
+
+    let html = '<table>\n<thead><tr>' + cells(head).map(cell => `<th>${this.inline(cell)}</th>`).join('') + '</tr></thead>\n<tbody>\n';
+    for (const row of body) {
+      html += '<tr>' + cells(row).map(cell => `<td>${this.inline(cell)}</td>`).join('') + '</tr>\n';
+    }
+    return html + '</tbody>\n</table>';
+  }
+
+  /**
+   * Inline code first, so its contents are not formatted further
+   */
+  inline(text) {
+    const codes = [];
+    let html = this.escape(text).replace(/`([^`]+)`/g, (match, code) => {
+      codes.push(`<code>${code}</code>`);
+      return `\u0000${codes.length - 1}\u0000`;
+    });
+
+    html = html
+      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/\[([^\]]+)\]\(((?:https?:\/\/|\/|#)[^)\s]*)\)/g, '<a href="$2">$1</a>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codes[index]);
+  }
+
+  slug(text) {
+    return text.toLowerCase().replace(/<[^>]+>|[`*]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = MarkdownHtmlRenderer;
@@ -0,0 +1,701 @@
+/**
+ * Lighthouse Fix Patcher
+ *
+ * Turns mechanical fixes (meta description, canonical link, lang, viewport,
+ * unsized images) into edits of the project's own files and unified diffs.
+ * The document head is found in the Next.js app/layout, pages/_document or
+ * an index.html, in that order.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SourceMapper = require('./source-mapper');
+
+const CODE_EXTENSIONS = ['.tsx', '.jsx', '.ts', '.js'];
+const JSX_EXTENSIONS = ['.tsx', '.jsx', '.ts', '.js', '.mdx'];
+const HTML_FILES = ['index.html', 'public/index.html', 'src/index.html'];
+const STATIC_DIRS = ['public', 'static', 'src/assets', 'assets', ''];
+const DIFF_CONTEXT = 3;
+
+const VIEWPORT_CONTENT = 'width=device-width, initial-scale=1';
+const NO_DESCRIPTION = 'no description text to use; pass --description "..." (50-160 characters)';
+
+class FixPatcher {
+  constructor(lhr, projectRoot = process.cwd(), options = {}) {
+    this.lhr = lhr;
+    this.projectRoot = projectRoot;
+    this.options = {
+      lang: options.lang || 'en',
+      // Copy for a missing meta description; the patch is skipped without it
+      description: options.description || null
+    };
+
+    this.sourceMapper = options.sourceMapper || new SourceMapper(projectRoot);
+    this.target = this.findDocumentHead();
+
+    // Original and patched contents, keyed by project-relative path
+    this.originals = {};
+    this.contents = {};
+    this.changes = [];
+    this.skipped = [];
+  }
+
+  /**
+   * Work out every patch for the failing mechanical audits
+   */
+  plan() {
+    if (this.isFailing('html-has-lang')) this.patchLang();
+    if (this.isFailing('meta-description')) this.patchDescription();
+    if (this.isFailing('canonical')) this.patchCanonical();
+    if (this.isFailing('viewport')) this.patchViewport();
+    if (this.isFailing('unsized-images')) this.patchUnsizedImages();
+
+    return {
+      target: this.target,
+      changes: this.changes,
+      skipped: this.skipped,
+      files: this.getChangedFiles().map(file => ({
+        file,
+        diff: this.createUnifiedDiff(file, this.originals[file], this.contents[file])
+      }))
+    };
+  }
+
+  /**
+   * Write every patched file back to disk
+   */
+  apply() {
+    const files = this.getChangedFiles();
+    for (const file of files) {
+      fs.writeFileSync(path.join(this.projectRoot, file), this.contents[file]);
+    }
+    return files;
+  }
+
+  isFailing(auditId) {
+    const audit = this.lhr.audits[auditId];
+    return Boolean(audit && audit.score !== null && audit.score < 0.9);
+  }
+
+  /**
+   * Locate the file that renders <head>: app router layout, pages/_document or index.html
+   */
+  findDocumentHead() {
+    const candidates = [
+      { type: 'next-app', bases: ['app/layout', 'src/app/layout'], extensions: CODE_EXTENSIONS },
+      { type: 'next-document', bases: ['pages/_document', 'src/pages/_document'], extensions: CODE_EXTENSIONS },
+      { type: 'html', bases: HTML_FILES, extensions: [''] }
+    ];
+
+    for (const candidate of candidates) {
+      for (const base of candidate.bases) {
+        for (const ext of candidate.extensions) {
+          const file = base + ext;
+          if (fs.existsSync(path.join(this.projectRoot, file))) {
+            return { type: candidate.type, file };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  read(file) {
+    if (!(file in this.contents)) {
+      const content = fs.readFileSync(path.join(this.projectRoot, file), 'utf8');
+      this.originals[file] = content;
+      this.contents[file] = content;
+    }
+    return this.contents[file];
+  }
+
+  /**
+   * Record an edit; the callback returns the new content or { skip: reason }
+   */
+  edit(auditId, title, file, edit) {
+    const before = this.read(file);
+    const result = edit(before);
+
+    if (result && typeof result === 'object' && result.skip) {
+      this.skip(auditId, result.skip);
+      return;
+    }
+    if (result === before) {
+      this.skip(auditId, `${file} did not change`);
+      return;
+    }
+
+    this.contents[file] = result;
+    this.changes.push({ auditId, title, file });
+  }
+
+  skip(auditId, reason) {
+    this.skipped.push({ auditId, reason });
+  }
+
+  requireTarget(auditId) {
+    if (this.target) return true;
+    this.skip(auditId, `no document head found (looked for app/layout, pages/_document and ${HTML_FILES.join(', ')})`);
+    return false;
+  }
+
+  patchLang() {
+    if (!this.requireTarget('html-has-lang')) return;
+
+    const lang = this.options.lang;
+    const tag = this.target.type === 'next-document' ? 'Html' : 'html';
+
+    this.edit('html-has-lang', `Add lang="${lang}" to <${tag}>`, this.target.file, content => {
+      const pattern = new RegExp(`<${tag}(?=[\\s>/])(?![^>]*\\blang=)`);
+      if (!pattern.test(content)) {
+        return { skip: `no <${tag}> element without lang found in ${this.target.file}` };
+      }
+      return content.replace(pattern, `<${tag} lang="${lang}"`);
+    });
+  }
+
+  /**
+   * Only with real copy: --description, or the page's own Open Graph / Twitter description
+   */
+  patchDescription() {
+    if (!this.requireTarget('meta-description')) return;
+
+    const { type, file } = this.target;
+    const title = 'Add meta description';
+
+    if (type === 'next-app') {
+      this.edit('meta-description', title, file, content => {
+        const text = this.options.description || this.getMetadataDescription(content);
+        if (!text) return { skip: NO_DESCRIPTION };
+        return this.addMetadataProperty(content, 'description', `description: ${this.quoteJs(text)},`);
+      });
+      return;
+    }
+
+    this.edit('meta-description', title, file, content => {
+      const text = this.options.description || this.getSocialDescription(content);
+      if (!text) return { skip: NO_DESCRIPTION };
+      const tag = `<meta name="description" content="${this.escapeAttribute(text)}"${this.selfClose(type)}>`;
+      return this.insertIntoHead(content, type, tag);
+    });
+  }
+
+  patchCanonical() {
+    if (!this.requireTarget('canonical')) return;
+
+    const url = this.lhr.finalDisplayedUrl || this.lhr.finalUrl;
+    if (!url) {
+      this.skip('canonical', 'the report has no final URL');
+      return;
+    }
+
+    const { type } = this.target;
+    const title = `Add canonical link to ${url}`;
+
+    if (type === 'next-document') {
+      this.skip('canonical', 'pages/_document is shared by every page; add <link rel="canonical"> to the page with next/head');
+      return;
+    }
+
+    if (type === 'next-app') {
+      // Only the route's own page: metadata in a layout is inherited by every route below it
+      const pathname = new URL(url).pathname;
+      const page = this.sourceMapper.resolveAppPage(pathname);
+      if (!page) {
+        this.skip('canonical', `no app router page found for ${pathname}; set alternates.canonical in that route's metadata`);
+        return;
+      }
+      if (page.dynamic) {
+        this.skip('canonical', `${page.file} serves every value of its dynamic segments; build alternates.canonical from params in generateMetadata`);
+        return;
+      }
+      if (this.isClientComponent(page.file)) {
+        this.skip('canonical', `${page.file} is a client component; export the metadata from a server layout or page of that route`);
+        return;
+      }
+
+      this.edit('canonical', title, page.file, content =>
+        this.addMetadataProperty(content, 'alternates', `alternates: { canonical: ${this.quoteJs(url)} },`)
+      );
+      return;
+    }
+
+    // An index.html is the home page, or the shell of every route of a single-page app
+    const pathname = new URL(url).pathname;
+    if (!['/', '/index.html'].includes(pathname)) {
+      this.skip('canonical', `${this.target.file} is not the page for ${pathname}; add <link rel="canonical"> to that page`);
+      return;
+    }
+
+    this.edit('canonical', title, this.target.file, content =>
+      this.insertIntoHead(content, type, `<link rel="canonical" href="${this.escapeAttribute(url)}">`)
+    );
+  }
+
+  patchViewport() {
+    if (!this.requireTarget('viewport')) return;
+
+    const { type, file } = this.target;
+    const title = 'Add viewport meta tag';
+
+    if (type === 'next-document') {
+      this.skip('viewport', 'Next.js adds a viewport tag by default and warns about it in pages/_document; check for an override in pages/_app');
+      return;
+    }
+
+    if (type === 'next-app') {
+      this.edit('viewport', title, file, content => {
+        if (/export\s+(const|async\s+function|function)\s+(viewport|generateViewport)\b/.test(content)) {
+          return { skip: `${file} already exports a viewport` };
+        }
+        return this.insertAfterImports(content, "export const viewport = {\n  width: 'device-width',\n  initialScale: 1\n};");
+      });
+      return;
+    }
+
+    this.edit('viewport', title, file, content => {
+      if (/<meta[^>]+name=["']viewport["']/.test(content)) {
+        return { skip: `${file} already has a viewport meta tag` };
+      }
+      return this.insertIntoHead(content, type, `<meta name="viewport" content="${VIEWPORT_CONTENT}">`);
+    });
+  }
+
+  /**
+   * Add width/height to <img>/<Image> tags whose local file can be measured
+   */
+  patchUnsizedImages() {
+    const items = this.lhr.audits['unsized-images'].details?.items || [];
+    const origin = this.getOrigin(this.lhr.finalUrl);
+
+    for (const item of items) {
+      const url = item.url || this.getSnippetAttribute(item.node?.snippet, 'src');
+      if (!url) continue;
+
+      let imageUrl;
+      let pathname;
+      try {
+        imageUrl = new URL(url, this.lhr.finalUrl);
+        pathname = decodeURIComponent(imageUrl.pathname);
+      } catch (error) {
+        this.skip('unsized-images', `${url} is not a valid image URL`);
+        continue;
+      }
+      if (imageUrl.origin !== origin) {
+        this.skip('unsized-images', `${url} is served from another origin`);
+        continue;
+      }
+
+      const size = FixPatcher.findImageSize(this.projectRoot, pathname);
+      if (!size) {
+        this.skip('unsized-images', `could not read the dimensions of ${pathname} from the project`);
+        continue;
+      }
+
+      const location = this.findImageTag(pathname);
+      if (!location) {
+        this.skip('unsized-images', `no <img> with src "${pathname}" found in the project`);
+        continue;
+      }
+
+      const isJsx = JSX_EXTENSIONS.includes(path.extname(location.file));
+      const attributes = isJsx
+        ? ` width={${size.width}} height={${size.height}}`
+        : ` width="${size.width}" height="${size.height}"`;
+
+      this.edit('unsized-images', `Set ${size.width}×${size.height} on ${pathname}`, location.file, content => {
+        const lines = content.split('\n');
+        lines[location.line] = lines[location.line].replace(location.srcPattern, match => match + attributes);
+        return lines.join('\n');
+      });
+    }
+  }
+
+  /**
+   * Dimensions of a same-origin image path, read from the project's static directories
+   */
+  static findImageSize(projectRoot, pathname) {
+    for (const dir of STATIC_DIRS) {
+      const filePath = path.join(projectRoot, dir, pathname);
+      if (!filePath.startsWith(projectRoot) || !fs.existsSync(filePath)) continue;
+
+      try {
+        const size = FixPatcher.readImageSize(fs.readFileSync(filePath));
+        if (size) return size;
+      } catch (error) {
+        // Unreadable images are treated as unknown
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The first template line that sets src to the image path without a width
+   */
+  findImageTag(pathname) {
+    const escaped = pathname.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const srcPattern = new RegExp(`src=(?:"${escaped}"|'${escaped}'|\\{["'\`]${escaped}["'\`]\\})`);
+
+    for (const file of this.sourceMapper.getTemplateFiles()) {
+      // Files already edited in this run are searched in their patched form
+      const lines = file.relativePath in this.contents
+        ? this.contents[file.relativePath].split('\n')
+        : file.lines;
+
+      const index = lines.findIndex(line => srcPattern.test(line) && !/\bwidth=/.test(line));
+      if (index === -1) continue;
+
+      return { file: file.relativePath, line: index, srcPattern };
+    }
+
+    return null;
+  }
+
+  /**
+   * Width and height from PNG, GIF, JPEG, WebP or SVG file contents
+   */
+  static readImageSize(buffer) {
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+      return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+
+    if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) {
+          offset++;
+          continue;
+        }
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) {
+          offset++;
+          continue;
+        }
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+      return null;
+    }
+
+    if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+      const chunk = buffer.toString('ascii', 12, 16);
+      if (chunk === 'VP8X') {
+        return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+      }
+      if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+      }
+      if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      return null;
+    }
+
+    const text = buffer.toString('utf8', 0, Math.min(buffer.length, 2048));
+    const svg = /<svg\b[^>]*>/.exec(text);
+    if (svg) {
+      const width = /\bwidth=["'](\d+(?:\.\d+)?)(?:px)?["']/.exec(svg[0]);
+      const height = /\bheight=["'](\d+(?:\.\d+)?)(?:px)?["']/.exec(svg[0]);
+      if (width && height) {
+        return { width: Math.round(Number(width[1])), height: Math.round(Number(height[1])) };
+      }
+      const viewBox = /\bviewBox=["'][\d.-]+[\s,]+[\d.-]+[\s,]+([\d.]+)[\s,]+([\d.]+)["']/.exec(svg[0]);
+      if (viewBox) {
+        return { width: Math.round(Number(viewBox[1])), height: Math.round(Number(viewBox[2])) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Insert a tag on its own line inside <head> (or next/document's <Head>)
+   */
+  insertIntoHead(content, type, tag) {
+    if (type === 'next-document') {
+      const selfClosing = /^([ \t]*)<Head\s*\/>/m.exec(content);
+      if (selfClosing) {
+        const indent = selfClosing[1];
+        return content.replace(selfClosing[0], `${indent}<Head>\n${indent}  ${tag}\n${indent}</Head>`);
+      }
+
+      const open = /^([ \t]*)<Head(\s[^>]*)?>[ \t]*\n/m.exec(content);
+      if (!open) return { skip: 'no <Head> element found in ' + this.target.file };
+      const at = open.index + open[0].length;
+      return content.slice(0, at) + `${open[1]}  ${tag}\n` + content.slice(at);
+    }
+
+    const close = /^([ \t]*)<\/head>/im.exec(content);
+    if (!close) return { skip: 'no </head> found in ' + this.target.file };
+
+    const previous = content.slice(0, close.index).split('\n').reverse().find(line => line.trim());
+    const indent = previous && /^[ \t]*<(meta|link|title|script|style)/i.test(previous)
+      ? /^[ \t]*/.exec(previous)[0]
+      : close[1] + '  ';
+
+    return content.slice(0, close.index) + `${indent}${tag}\n` + content.slice(close.index);
+  }
+
+  /**
+   * Add a property to the `metadata` export of an app router layout or page
+   */
+  addMetadataProperty(content, name, line) {
+    if (/^['"]use client['"]/m.test(content)) {
+      return { skip: 'client components cannot export metadata' };
+    }
+    if (/export\s+(async\s+)?function\s+generateMetadata\b/.test(content)) {
+      return { skip: `generateMetadata is used; add ${name} there` };
+    }
+
+    const open = /export\s+const\s+metadata(\s*:\s*[\w.]+)?\s*=\s*\{/.exec(content);
+    if (!open) {
+      return this.insertAfterImports(content, `export const metadata = {\n  ${line.replace(/,$/, '')}\n};`);
+    }
+
+    const start = open.index + open[0].length;
+    const body = content.slice(start);
+    if (new RegExp(`^\\s*['"]?${name}['"]?\\s*:`, 'm').test(this.getTopLevel(body))) {
+      return { skip: `metadata already sets ${name}` };
+    }
+
+    if (/^\s*\}/.test(body)) {
+      return content.slice(0, start) + `\n  ${line.replace(/,$/, '')}\n` + content.slice(start + body.indexOf('}'));
+    }
+    if (!/^[ \t]*\n/.test(body)) {
+      return { skip: `the metadata object is written on one line; add ${name} by hand` };
+    }
+
+    // Append after the last property, before the closing brace
+    const close = body.search(/^\}/m);
+    if (close === -1) {
+      return { skip: 'could not find the end of the metadata object' };
+    }
+
+    let properties = body.slice(0, close).replace(/\s*$/, '');
+    const indent = (/\n([ \t]+)\S/.exec(properties) || [null, '  '])[1];
+    if (!properties.endsWith(',')) properties += ',';
+
+    return content.slice(0, start) + properties + `\n${indent}${line}\n` + content.slice(start + close);
+  }
+
+  /**
+   * The object body up to its closing brace, with nested objects, arrays and
+   * calls blanked out, so `openGraph: { description }` is not a top-level key
+   */
+  getTopLevel(body) {
+    let output = '';
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < body.length; i++) {
+      const char = body[i];
+
+      if (quote) {
+        if (char === '\\') {
+          output += depth === 0 ? char + (body[i + 1] || '') : '  ';
+          i++;
+          continue;
+        }
+        if (char === quote) quote = null;
+      } else if (char === '/' && body[i + 1] === '/') {
+        const end = body.indexOf('\n', i);
+        i = (end === -1 ? body.length : end) - 1;
+        continue;
+      } else if (char === '/' && body[i + 1] === '*') {
+        const end = body.indexOf('*/', i + 2);
+        i = (end === -1 ? body.length : end + 2) - 1;
+        continue;
+      } else if (char === '"' || char === "'" || char === '`') {
+        quote = char;
+      } else if ('{[('.includes(char)) {
+        depth++;
+      } else if ('}])'.includes(char)) {
+        if (depth === 0) break;
+        depth--;
+        if (depth === 0) {
+          output += char;
+          continue;
+        }
+      }
+
+      output += depth === 0 || char === '\n' ? char : ' ';
+    }
+
+    return output;
+  }
+
+  insertAfterImports(content, block) {
+    const imports = [...content.matchAll(/^import[^;]*?['"][^'"\n]+['"];?[ \t]*$/gm)];
+    if (imports.length === 0) {
+      const directive = /^['"]use \w+['"];?[ \t]*\n/.exec(content);
+      const at = directive ? directive[0].length : 0;
+      return content.slice(0, at) + block + '\n\n' + content.slice(at);
+    }
+
+    const last = imports[imports.length - 1];
+    const at = last.index + last[0].length;
+    return content.slice(0, at) + '\n\n' + block + content.slice(at);
+  }
+
+  /**
+   * `description` inside the metadata's openGraph or twitter object
+   */
+  getMetadataDescription(content) {
+    const match = /\b(?:openGraph|twitter)\s*:\s*\{[^}]*?\bdescription\s*:\s*(['"`])(.+?)\1/s.exec(content);
+    return match ? match[2].trim() : null;
+  }
+
+  getSocialDescription(content) {
+    const tag = /<meta\b[^>]*\b(?:property|name)=["'](?:og|twitter):description["'][^>]*>/i.exec(content);
+    const value = tag ? /\bcontent=(["'])(.*?)\1/i.exec(tag[0]) : null;
+    if (!value || !value[2].trim()) return null;
+
+    // Attribute values are escaped again when the new tag is written
+    return value[2].trim()
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  isClientComponent(file) {
+    try {
+      return /^['"]use client['"]/m.test(fs.readFileSync(path.join(this.projectRoot, file), 'utf8'));
+    } catch (error) {
+      return true;
+    }
+  }
+
+  getSnippetAttribute(snippet, name) {
+    const match = snippet ? new RegExp(`\\b${name}="([^"]*)"`).exec(snippet) : null;
+    return match ? match[1] : null;
+  }
+
+  getOrigin(url) {
+    try {
+      return new URL(url).origin;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  selfClose(type) {
+    return type === 'html' ? '' : ' /';
+  }
+
+  quoteJs(text) {
+    return "'" + text.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+  }
+
+  escapeAttribute(text) {
+    return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
+  getChangedFiles() {
+    return Object.keys(this.contents).filter(file => this.contents[file] !== this.originals[file]);
+  }
+
+  /**
+   * Unified diff (git style, 3 lines of context) between two versions of a file
+   */
+  createUnifiedDiff(file, before, after) {
+    const ops = this.diffLines(this.splitLines(before), this.splitLines(after));
+
+    let oldNumber = 1;
+    let newNumber = 1;
+    for (const op of ops) {
+      op.oldNumber = oldNumber;
+      op.newNumber = newNumber;
+      if (op.type !== '+') oldNumber++;
+      if (op.type !== '-') newNumber++;
+    }
+
+    // Group changed lines whose context overlaps into hunks
+    const ranges = [];
+    ops.forEach((op, index) => {
+      if (op.type === ' ') return;
+      const last = ranges[ranges.length - 1];
+      if (last && index - last.end <= DIFF_CONTEXT * 2) {
+        last.end = index;
+      } else {
+        ranges.push({ start: index, end: index });
+      }
+    });
+
+    let output = `--- a/${file}\n+++ b/${file}\n`;
+    for (const range of ranges) {
+      const hunk = ops.slice(Math.max(0, range.start - DIFF_CONTEXT), Math.min(ops.length, range.end + DIFF_CONTEXT + 1));
+      const oldCount = hunk.filter(op => op.type !== '+').length;
+      const newCount = hunk.filter(op => op.type !== '-').length;
+      const oldStart = oldCount === 0 ? hunk[0].oldNumber - 1 : hunk[0].oldNumber;
+      const newStart = newCount === 0 ? hunk[0].newNumber - 1 : hunk[0].newNumber;
+
+      output += `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`;
+      output += hunk.map(op => op.type + op.line).join('\n') + '\n';
+    }
+
+    return output;
+  }
+
+  splitLines(text) {
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  /**
+   * Line diff via LCS on the region between the common prefix and suffix
+   */
+  diffLines(a, b) {
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+      a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const midA = a.slice(prefix, a.length - suffix);
+    const midB = b.slice(prefix, b.length - suffix);
+    const n = midA.length;
+    const m = midB.length;
+
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const ops = a.slice(0, prefix).map(line => ({ type: ' ', line }));
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && midA[i] === midB[j]) {
+        ops.push({ type: ' ', line: midA[i] });
+        i++;
+        j++;
+      } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push({ type: '-', line: midA[i] });
+        i++;
+      } else {
+        ops.push({ type: '+', line: midB[j] });
+        j++;
+      }
+    }
+
+    return ops.concat(a.slice(a.length - suffix).map(line => ({ type: ' ', line })));
+  }
+}
+
+module.exports = FixPatcher;
@@ -0,0 +1,79 @@
+/**
+ * Project Config
+ *
+ * Reads and updates `.lighthouse/config.json` (created by `gl init`).
+ * Unknown keys are kept as they are when the file is written back.
+ *
+ *   {
+ *     "ignore": ["uses-long-cache-ttl"],
+ *     "thirdParty": { "allowlist": ["Google Tag Manager"] },
+ *     "audit": { "baseUrl": "http://localhost:3000", "urls": ["/"], "presets": ["mobile"] }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class ProjectConfig {
+  constructor(projectRoot) {
+    this.path = path.join(projectRoot, '.lighthouse', 'config.json');
+  }
+
+  /**
+   * The parsed config, or {} when there is none; invalid JSON throws so it is never overwritten
+   */
+  read() {
+    if (!fs.existsSync(this.path)) return {};
+
+    try {
+      return JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${this.path}: ${error.message}`);
+    }
+  }
+
+  write(config) {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.writeFileSync(this.path, JSON.stringify(config, null, 2) + '\n');
+  }
+
+  /**
+   * Audit IDs the project has chosen to ignore; left out of failed audits,
+   * opportunities and fixes
+   */
+  getIgnoredAudits() {
+    try {
+      const ignore = this.read().ignore;
+      return Array.isArray(ignore) ? ignore.filter(id => typeof id === 'string') : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * The `audit` section used by `gl audit` (URLs, presets, runs, headers);
+   * unlike the other getters this throws on invalid JSON, since running
+   * Lighthouse against the wrong URLs is worse than stopping
+   */
+  getAuditConfig() {
+    const audit = this.read().audit;
+    return audit && typeof audit === 'object' && !Array.isArray(audit) ? audit : {};
+  }
+
+  /**
+   * Add or remove one audit from the ignore list; returns the new list
+   */
+  setIgnored(auditId, ignored) {
+    const config = this.read();
+    const current = Array.isArray(config.ignore) ? config.ignore : [];
+    const next = ignored
+      ? [...new Set([...current, auditId])]
+      : current.filter(id => id !== auditId);
+
+    config.ignore = next;
+    this.write(config);
+    return next;
+  }
+}
+
+module.exports = ProjectConfig;
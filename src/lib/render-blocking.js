@@ -0,0 +1,415 @@
+/**
+ * Render-Blocking Analyzer
+ *
+ * Walks the critical request chain tree and joins it with the render-blocking,
+ * unused-CSS and unminified-CSS audits: which stylesheets and scripts hold up
+ * first paint, roughly how much each one costs, how much of each stylesheet
+ * goes unused, and what to do per resource (defer/async, inline the critical
+ * CSS, split by media query, preload late discoveries).
+ */
+
+const AUDITS = [
+  'render-blocking-resources',
+  'render-blocking-insight',
+  'critical-request-chains',
+  'network-dependency-tree-insight',
+  'unused-css-rules',
+  'unminified-css'
+];
+
+// Stylesheets this small cost less inlined than as an extra request
+const INLINE_MAX_BYTES = 14 * 1024;
+const SPLIT_MIN_BYTES = 20 * 1024;
+const CRITICAL_UNUSED_PERCENT = 50;
+const SPLIT_UNUSED_PERCENT = 20;
+
+const PRELOAD_AS = {
+  stylesheet: 'style',
+  script: 'script',
+  font: 'font',
+  image: 'image',
+  fetch: 'fetch'
+};
+
+const ACTION_LABELS = {
+  'defer': 'add defer',
+  'async': 'add async',
+  'async-css': 'load without blocking',
+  'inline': 'inline it',
+  'inline-critical': 'inline critical CSS, load the rest async',
+  'split-media': 'split by media query',
+  'preload': 'preload',
+  'purge': 'remove unused rules'
+};
+
+class RenderBlockingAnalyzer {
+  constructor(lhr, options = {}) {
+    this.lhr = lhr;
+    this.stack = options.stack || null;
+    this.url = lhr.finalDisplayedUrl || lhr.finalUrl || null;
+  }
+
+  /**
+   * Resources worth acting on, most blocking first, plus the chain tree
+   */
+  analyze() {
+    const chains = this.getChains();
+    const resources = new Map();
+    const entry = url => {
+      if (!resources.has(url)) {
+        resources.set(url, {
+          url: url,
+          type: this.getResourceType(url),
+          bytes: 0,
+          blocking: false,
+          blockingMs: 0,
+          share: 0,
+          depth: null,
+          endMs: null,
+          unusedBytes: 0,
+          unusedPercent: null,
+          minifyBytes: 0,
+          thirdParty: this.isThirdParty(url)
+        });
+      }
+      return resources.get(url);
+    };
+
+    this.walk(chains, (node, depth) => {
+      if (depth === 0) return;
+      const resource = entry(node.url);
+      resource.depth = depth;
+      resource.endMs = node.endMs;
+      resource.bytes = resource.bytes || node.bytes;
+    });
+
+    for (const item of this.getItems('render-blocking-resources', 'render-blocking-insight')) {
+      if (!item.url) continue;
+      const resource = entry(item.url);
+      resource.blocking = true;
+      resource.blockingMs = Math.round(item.wastedMs || 0);
+      resource.bytes = item.totalBytes || resource.bytes;
+    }
+
+    for (const item of this.getItems('unused-css-rules')) {
+      if (!item.url) continue;
+      const resource = entry(item.url);
+      resource.type = 'stylesheet';
+      resource.unusedBytes = item.wastedBytes || 0;
+      resource.bytes = item.totalBytes || resource.bytes;
+      resource.unusedPercent = Math.round(item.wastedPercent ?? (item.totalBytes ? 100 * item.wastedBytes / item.totalBytes : 0));
+    }
+
+    for (const item of this.getItems('unminified-css')) {
+      if (!item.url || !resources.has(item.url)) continue;
+      resources.get(item.url).minifyBytes = item.wastedBytes || 0;
+    }
+
+    const totalBlockingMs = [...resources.values()].reduce((sum, resource) => sum + resource.blockingMs, 0);
+
+    const list = [...resources.values()]
+      .map(resource => {
+        resource.share = totalBlockingMs ? Math.round(100 * resource.blockingMs / totalBlockingMs) : 0;
+        resource.action = this.recommend(resource);
+        return resource;
+      })
+      .filter(resource => resource.action)
+      .sort((a, b) => b.blockingMs - a.blockingMs || b.unusedBytes - a.unusedBytes || (a.depth ?? 99) - (b.depth ?? 99));
+
+    return {
+      resources: list,
+      chains: chains,
+      longestChain: this.getLongestChain(),
+      savingsMs: this.getSavingsMs(totalBlockingMs)
+    };
+  }
+
+  /**
+   * What to do about one resource, or null when it needs nothing
+   */
+  recommend(resource) {
+    if (resource.blocking && resource.type === 'script') {
+      // Independent third-party tags can run whenever; first-party code keeps its order with defer
+      return resource.thirdParty ? 'async' : 'defer';
+    }
+
+    if (resource.blocking && resource.type === 'stylesheet') {
+      if (resource.thirdParty) return 'async-css';
+      if (resource.unusedPercent !== null && resource.unusedPercent >= CRITICAL_UNUSED_PERCENT) return 'inline-critical';
+      if (resource.bytes && resource.bytes <= INLINE_MAX_BYTES) return 'inline';
+      if (resource.bytes >= SPLIT_MIN_BYTES && (resource.unusedPercent ?? 100) >= SPLIT_UNUSED_PERCENT) return 'split-media';
+      return 'inline-critical';
+    }
+
+    // Only found once another critical request finished
+    if (resource.depth !== null && resource.depth >= 2 && PRELOAD_AS[resource.type]) return 'preload';
+
+    if (resource.unusedBytes > 0) return 'purge';
+
+    return null;
+  }
+
+  /**
+   * Critical chains as { url, endMs, bytes, children } trees, from either
+   * critical-request-chains or the newer network dependency tree insight
+   */
+  getChains() {
+    const classic = this.lhr.audits['critical-request-chains']?.details?.chains;
+    if (classic) {
+      // Request times are monotonic seconds; measure from the document's start like longestChain does
+      const convert = (chain, startTime) => Object.values(chain || {}).map(node => {
+        const start = startTime ?? node.request.startTime ?? 0;
+        return {
+          url: node.request.url,
+          endMs: Math.max(0, Math.round(((node.request.endTime || start) - start) * 1000)),
+          bytes: node.request.transferSize || 0,
+          children: convert(node.children, start)
+        };
+      });
+      return convert(classic);
+    }
+
+    const tree = (this.lhr.audits['network-dependency-tree-insight']?.details?.items || [])
+      .find(item => item.type === 'network-tree');
+    if (tree) {
+      const convert = chain => Object.values(chain || {}).map(node => ({
+        url: node.url,
+        endMs: Math.round(node.navStartToEndTime || 0),
+        bytes: node.transferSize || 0,
+        children: convert(node.children)
+      }));
+      return convert(tree.chains);
+    }
+
+    return [];
+  }
+
+  walk(nodes, visit, depth = 0) {
+    for (const node of nodes) {
+      visit(node, depth);
+      this.walk(node.children, visit, depth + 1);
+    }
+  }
+
+  getLongestChain() {
+    const classic = this.lhr.audits['critical-request-chains']?.details?.longestChain;
+    if (classic) return { duration: Math.round(classic.duration), length: classic.length };
+
+    const tree = (this.lhr.audits['network-dependency-tree-insight']?.details?.items || [])
+      .find(item => item.type === 'network-tree');
+    return tree?.longestChain ? { duration: Math.round(tree.longestChain.duration), length: null } : null;
+  }
+
+  /**
+   * Lighthouse's own estimate when it has one; the per-resource numbers overlap
+   */
+  getSavingsMs(totalBlockingMs) {
+    const audit = this.lhr.audits['render-blocking-resources'] || this.lhr.audits['render-blocking-insight'];
+    const overall = audit?.details?.overallSavingsMs ?? audit?.metricSavings?.FCP;
+    return Math.round(overall ?? totalBlockingMs);
+  }
+
+  getItems(...auditIds) {
+    for (const auditId of auditIds) {
+      const audit = this.lhr.audits[auditId];
+      if (audit && audit.score !== 1 && audit.details?.items) return audit.details.items;
+    }
+    return [];
+  }
+
+  getResourceType(url) {
+    const requests = this.lhr.audits['network-requests']?.details?.items || [];
+    const request = requests.find(candidate => candidate.url === url);
+    const type = (request?.resourceType || '').toLowerCase();
+    if (type) return type === 'xhr' ? 'fetch' : type;
+
+    const pathname = this.getPathname(url);
+    if (/\.css$/i.test(pathname)) return 'stylesheet';
+    if (/\.m?js$/i.test(pathname)) return 'script';
+    if (/\.(woff2?|ttf|otf|eot)$/i.test(pathname)) return 'font';
+    if (/\.(png|jpe?g|gif|webp|avif|svg)$/i.test(pathname)) return 'image';
+    return 'other';
+  }
+
+  getPathname(url) {
+    try {
+      return new URL(url).pathname;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  isThirdParty(url) {
+    try {
+      const host = hostname => hostname.replace(/^www\./, '');
+      return host(new URL(url).hostname) !== host(new URL(this.url).hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Same-origin URLs as root-relative paths, the way they appear in the HTML
+   */
+  getHref(url) {
+    if (this.isThirdParty(url)) return url;
+    try {
+      const parsed = new URL(url);
+      return parsed.pathname + parsed.search;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  shortName(url) {
+    try {
+      const parsed = new URL(url);
+      const name = parsed.pathname.split('/').pop();
+      return this.isThirdParty(url) ? parsed.hostname + (name ? '/…/' + name : '') : (name || parsed.pathname);
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Before/after markup for one resource (see FixGenerator#snippetFixes)
+   */
+  formatChange(resource) {
+    const href = this.getHref(resource.url);
+    const name = this.shortName(resource.url);
+    const title = name + ': ' + ACTION_LABELS[resource.action];
+    const link = `<link rel="stylesheet" href="${href}">`;
+    const noscript = `<noscript>${link}</noscript>`;
+
+    switch (resource.action) {
+      case 'defer':
+      case 'async':
+        if (this.stack?.id === 'next') {
+          return {
+            title: title,
+            before: `<script src="${href}"></script>`,
+            after: `<Script src="${href}" strategy="${resource.action === 'async' ? 'lazyOnload' : 'afterInteractive'}" />`,
+            note: 'next/script loads it after hydration instead of blocking the HTML'
+          };
+        }
+        return {
+          title: title,
+          before: `<script src="${href}"></script>`,
+          after: `<script src="${href}" ${resource.action}></script>`,
+          note: resource.action === 'defer'
+            ? 'defer keeps execution order and runs after parsing; check nothing inline depends on it earlier'
+            : 'async runs as soon as it arrives, independent of the page scripts'
+        };
+      case 'async-css': {
+        // Font stylesheets should also swap in the web font instead of hiding text
+        const swapHref = /fonts\.googleapis\.com/.test(resource.url) && !/display=/.test(href)
+          ? href + (href.includes('?') ? '&' : '?') + 'display=swap'
+          : href;
+        return {
+          title: title,
+          before: link,
+          after: `<link rel="preconnect" href="${new URL(resource.url).origin}">\n` +
+            `<link rel="stylesheet" href="${swapHref}" media="print" onload="this.media='all'">\n` +
+            `<noscript><link rel="stylesheet" href="${swapHref}"></noscript>`,
+          note: 'A print stylesheet does not block rendering; onload switches it to all media'
+        };
+      }
+      case 'inline':
+        return {
+          title: title,
+          before: link,
+          after: `<style>\n  /* contents of ${name} (${Math.round(resource.bytes / 1024)} KB) */\n</style>`,
+          note: 'Small enough that inlining costs less than the extra round trip'
+        };
+      case 'inline-critical':
+        return {
+          title: title,
+          before: link,
+          after: `<style>\n  /* above-the-fold rules from ${name} */\n</style>\n` +
+            `<link rel="preload" href="${href}" as="style" onload="this.onload=null;this.rel='stylesheet'">\n${noscript}`,
+          note: resource.unusedPercent !== null
+            ? resource.unusedPercent + '% of ' + name + ' is unused on this page; only the rules for the first viewport need to block'
+            : 'Only the rules for the first viewport need to block'
+        };
+      case 'split-media': {
+        const base = href.replace(/\.css(\?.*)?$/i, '');
+        return {
+          title: title,
+          before: link,
+          after: `<link rel="stylesheet" href="${base}.core.css">\n` +
+            `<link rel="stylesheet" href="${base}.wide.css" media="(min-width: 1024px)">\n` +
+            `<link rel="stylesheet" href="${base}.print.css" media="print">`,
+          note: 'Stylesheets whose media query does not match are downloaded without blocking rendering'
+        };
+      }
+      case 'preload': {
+        const as = PRELOAD_AS[resource.type];
+        const type = resource.type === 'font' && /\.woff2$/i.test(this.getPathname(resource.url)) ? ' type="font/woff2"' : '';
+        const crossorigin = resource.type === 'font' || (resource.thirdParty && resource.type !== 'image') ? ' crossorigin' : '';
+        return {
+          title: title,
+          before: null,
+          after: `<link rel="preload" href="${href}" as="${as}"${type}${crossorigin}>`,
+          note: 'Only requested once another critical request finished; preloading starts it with the HTML'
+        };
+      }
+      default:
+        return { title: title, before: null, after: null, note: null };
+    }
+  }
+
+  formatTable(resources) {
+    const kb = bytes => bytes ? Math.round(bytes / 1024) + ' KB' : '—';
+    let output = '| Resource | Type | Size | Blocks | Share | Chain depth | Unused | Recommendation |\n';
+    output += '|----------|------|------|--------|-------|-------------|--------|----------------|\n';
+
+    for (const resource of resources) {
+      const unused = resource.unusedPercent !== null ? resource.unusedPercent + '% (' + kb(resource.unusedBytes) + ')' : '—';
+      const action = ACTION_LABELS[resource.action] + (resource.minifyBytes ? ', minify (-' + kb(resource.minifyBytes) + ')' : '');
+      output += '| ' + [
+        this.shortName(resource.url),
+        resource.type,
+        kb(resource.bytes),
+        resource.blocking ? resource.blockingMs + 'ms' : '—',
+        resource.blocking ? resource.share + '%' : '—',
+        resource.depth ?? '—',
+        unused,
+        action
+      ].join(' | ') + ' |\n';
+    }
+
+    return output;
+  }
+
+  /**
+   * The chain tree as text, marking the resources that block rendering
+   */
+  formatChains(chains, resources) {
+    const blocking = new Set(resources.filter(resource => resource.blocking).map(resource => resource.url));
+    const lines = [];
+    const render = (nodes, prefix) => {
+      nodes.forEach((node, index) => {
+        const last = index === nodes.length - 1;
+        lines.push(prefix + (last ? '└─ ' : '├─ ') + this.describeNode(node, blocking));
+        render(node.children, prefix + (last ? '   ' : '│  '));
+      });
+    };
+
+    for (const root of chains) {
+      lines.push(this.describeNode(root, blocking));
+      render(root.children, '');
+    }
+
+    return lines.join('\n');
+  }
+
+  describeNode(node, blocking) {
+    return this.shortName(node.url) + ' (' + Math.round(node.bytes / 1024) + ' KB, done at ' + node.endMs + 'ms)' +
+      (blocking.has(node.url) ? ' [blocks render]' : '');
+  }
+}
+
+RenderBlockingAnalyzer.AUDITS = AUDITS;
+RenderBlockingAnalyzer.ACTION_LABELS = ACTION_LABELS;
+
+module.exports = RenderBlockingAnalyzer;
@@ -0,0 +1,174 @@
+/**
+ * Lighthouse Report Loader
+ *
+ * Reads a Lighthouse result (LHR) from any of the formats teams usually keep:
+ * plain JSON, `.report.html` files, PageSpeed Insights API responses and
+ * gzipped artifacts. A source of `-` reads from stdin. User-flow reports
+ * (FlowResult) are recognised by loadResult().
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const STDIN = '-';
+const REPORT_EXTENSIONS = ['.json', '.json.gz', '.html', '.html.gz'];
+const HTML_JSON_PATTERN = /window\.__LIGHTHOUSE_(?:FLOW_)?JSON__\s*=\s*([\s\S]*?);?\s*<\/script>/;
+
+// stdin can only be consumed once per process, so it is cached for later loaders
+let stdinBuffer = null;
+
+class ReportLoader {
+  /**
+   * Load and validate an LHR from a file path or `-`
+   */
+  static load(source) {
+    const result = ReportLoader.loadResult(source);
+    if (ReportLoader.isFlowResult(result)) {
+      throw new Error(`Failed to load report: ${ReportLoader.describe(source)} is a user-flow report with ${result.steps.length} steps, not a single Lighthouse result`);
+    }
+    return result;
+  }
+
+  /**
+   * Load either an LHR or a user-flow FlowResult from a file path or `-`
+   */
+  static loadResult(source) {
+    let buffer;
+    try {
+      buffer = ReportLoader.read(source);
+    } catch (error) {
+      throw new Error(`Failed to load report: ${error.message}`);
+    }
+
+    return ReportLoader.parse(buffer, ReportLoader.describe(source));
+  }
+
+  static read(source) {
+    if (ReportLoader.isStdin(source)) {
+      if (stdinBuffer === null) {
+        stdinBuffer = fs.readFileSync(0);
+      }
+      return stdinBuffer;
+    }
+    return fs.readFileSync(source);
+  }
+
+  /**
+   * Detect the input format of a buffer and extract the LHR from it
+   */
+  static parse(buffer, label = 'input') {
+    if (ReportLoader.isGzip(buffer)) {
+      try {
+        buffer = zlib.gunzipSync(buffer);
+      } catch (error) {
+        throw new Error(`Failed to load report: ${label} looks gzipped but could not be decompressed (${error.message})`);
+      }
+    }
+
+    const content = buffer.toString('utf8').replace(/^\uFEFF/, '').trim();
+    if (!content) {
+      throw new Error(`Failed to load report: ${label} is empty`);
+    }
+
+    let data;
+    if (content.startsWith('<')) {
+      data = ReportLoader.extractFromHtml(content, label);
+    } else {
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Failed to load report: ${label} is not valid JSON or a Lighthouse HTML report (${error.message})`);
+      }
+    }
+
+    return ReportLoader.extractLhr(data, label);
+  }
+
+  /**
+   * Pull the embedded LHR (or FlowResult) out of a Lighthouse `.report.html` file
+   */
+  static extractFromHtml(html, label) {
+    const match = HTML_JSON_PATTERN.exec(html);
+    if (!match) {
+      throw new Error(`Failed to load report: ${label} is HTML but contains no embedded Lighthouse result (expected window.__LIGHTHOUSE_JSON__ or window.__LIGHTHOUSE_FLOW_JSON__)`);
+    }
+
+    try {
+      return JSON.parse(match[1]);
+    } catch (error) {
+      throw new Error(`Failed to load report: the Lighthouse result embedded in ${label} is not valid JSON (${error.message})`);
+    }
+  }
+
+  /**
+   * Unwrap API responses and check that the result looks like an LHR or FlowResult
+   */
+  static extractLhr(data, label) {
+    if (ReportLoader.isFlowResult(data)) {
+      const invalid = data.steps.findIndex(step => !ReportLoader.isLhr(step.lhr));
+      if (invalid !== -1) {
+        throw new Error(`Failed to load report: step ${invalid + 1} of the user flow in ${label} is not a Lighthouse result`);
+      }
+      return data;
+    }
+
+    // PageSpeed Insights API v5 response
+    if (data && data.lighthouseResult) {
+      data = data.lighthouseResult;
+    }
+
+    if (!ReportLoader.isLhr(data)) {
+      if (data && data.error && data.error.message) {
+        throw new Error(`Failed to load report: ${label} is an API error response: ${data.error.message}`);
+      }
+      throw new Error(`Failed to load report: ${label} is not a Lighthouse result (expected "audits" and "categories")`);
+    }
+
+    if (data.runtimeError && data.runtimeError.code && data.runtimeError.code !== 'NO_ERROR') {
+      throw new Error(`Failed to load report: Lighthouse run failed with ${data.runtimeError.code}: ${data.runtimeError.message}`);
+    }
+
+    return data;
+  }
+
+  static isLhr(data) {
+    return Boolean(
+      data &&
+      typeof data === 'object' &&
+      data.audits && typeof data.audits === 'object' &&
+      data.categories && typeof data.categories === 'object'
+    );
+  }
+
+  static isFlowResult(data) {
+    return Boolean(data && Array.isArray(data.steps) && data.steps.length > 0 && data.steps.every(step => step && step.lhr));
+  }
+
+  static isGzip(buffer) {
+    return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+  }
+
+  static isStdin(source) {
+    return source === STDIN;
+  }
+
+  /**
+   * True when a report source can be read (stdin always counts)
+   */
+  static exists(source) {
+    return ReportLoader.isStdin(source) || fs.existsSync(source);
+  }
+
+  /**
+   * True for file names the loader understands when scanning directories
+   */
+  static isReportFile(fileName) {
+    return REPORT_EXTENSIONS.some(ext => fileName.endsWith(ext));
+  }
+
+  static describe(source) {
+    return ReportLoader.isStdin(source) ? 'stdin' : source;
+  }
+}
+
+module.exports = ReportLoader;
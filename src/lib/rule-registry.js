@@ -0,0 +1,154 @@
+/**
+ * Fix Rule Registry
+ *
+ * Holds the rules FixGenerator runs against failing audits. A rule declares
+ * the audit IDs it handles, the score below which it applies and a generator
+ * function. Project-local rules are loaded from `.lighthouse/rules/`; a
+ * project rule with the same id as a built-in one replaces it. Manual
+ * audits (e.g. structured-data) never fail on their own; a rule opts in to
+ * them with `manual: true`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_THRESHOLD = 0.9;
+const RULE_EXTENSIONS = ['.js', '.cjs'];
+const PRIORITIES = ['high', 'medium', 'low'];
+
+class RuleRegistry {
+  constructor() {
+    this.rules = [];
+  }
+
+  /**
+   * Add a rule, replacing any existing rule with the same id
+   */
+  register(rule, source = 'built-in') {
+    const normalized = RuleRegistry.validate(rule, source);
+
+    const existing = this.rules.findIndex(r => r.id === normalized.id);
+    if (existing !== -1) {
+      normalized.replaces = this.rules[existing].source;
+      this.rules[existing] = normalized;
+    } else {
+      this.rules.push(normalized);
+    }
+
+    return normalized;
+  }
+
+  static validate(rule, source) {
+    const fail = message => {
+      throw new Error(`Invalid fix rule in ${source}: ${message}`);
+    };
+
+    if (!rule || typeof rule !== 'object') fail('expected a rule object');
+    if (typeof rule.id !== 'string' || !rule.id) fail('"id" must be a non-empty string');
+
+    const audits = typeof rule.audits === 'string' ? [rule.audits] : rule.audits;
+    if (!Array.isArray(audits) || audits.length === 0 || audits.some(a => typeof a !== 'string')) {
+      fail(`rule "${rule.id}" must list the audit IDs it handles in "audits"`);
+    }
+
+    const threshold = rule.threshold === undefined ? DEFAULT_THRESHOLD : rule.threshold;
+    if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+      fail(`rule "${rule.id}" has a threshold outside 0-1`);
+    }
+
+    if (typeof rule.generate !== 'function') fail(`rule "${rule.id}" has no generate() function`);
+
+    return {
+      id: rule.id,
+      title: rule.title || null,
+      audits,
+      threshold,
+      manual: rule.manual === true,
+      generate: rule.generate,
+      source
+    };
+  }
+
+  /**
+   * Load every rule module (.js or .cjs) in a directory; missing directories are fine
+   */
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const loaded = [];
+    const files = fs.readdirSync(dir)
+      .filter(f => RULE_EXTENSIONS.includes(path.extname(f)))
+      .sort();
+
+    for (const file of files) {
+      const filePath = path.resolve(dir, file);
+      let exported;
+
+      try {
+        exported = require(filePath);
+      } catch (error) {
+        const hint = error.code === 'ERR_REQUIRE_ESM' ? ' (rule modules are CommonJS; rename it to .cjs)' : '';
+        throw new Error(`Failed to load fix rule ${filePath}: ${error.message}${hint}`);
+      }
+
+      for (const rule of [].concat(exported)) {
+        loaded.push(this.register(rule, path.relative(process.cwd(), filePath)));
+      }
+    }
+
+    return loaded;
+  }
+
+  getRules() {
+    return this.rules;
+  }
+
+  getRulesForAudit(auditId) {
+    return this.rules.filter(rule => rule.audits.includes(auditId));
+  }
+
+  /**
+   * Failing, scored audits of a report, each with the ids of the rules that cover it
+   */
+  getCoverage(lhr) {
+    const coverage = [];
+    const seen = new Set();
+
+    for (const [categoryId, category] of Object.entries(lhr.categories)) {
+      for (const ref of category.auditRefs || []) {
+        const audit = lhr.audits[ref.id];
+        if (!audit || seen.has(audit.id)) continue;
+        if (audit.score === null || audit.score === undefined || !RuleRegistry.isFailing(audit)) continue;
+        seen.add(audit.id);
+
+        coverage.push({
+          id: audit.id,
+          title: audit.title,
+          category: categoryId,
+          score: audit.score,
+          rules: this.getRulesForAudit(audit.id)
+            .filter(rule => RuleRegistry.isFailing(audit, rule.threshold))
+            .map(rule => rule.id)
+        });
+      }
+    }
+
+    return coverage;
+  }
+
+  /**
+   * True when an audit scores below the threshold; unscored audits count as
+   * failing unless they are not applicable, manual (without includeManual)
+   * or errored
+   */
+  static isFailing(audit, threshold = DEFAULT_THRESHOLD, includeManual = false) {
+    if (audit.scoreDisplayMode === 'manual') return includeManual;
+    if (['notApplicable', 'error'].includes(audit.scoreDisplayMode)) return false;
+    return audit.score === null || audit.score === undefined || audit.score < threshold;
+  }
+}
+
+RuleRegistry.DEFAULT_THRESHOLD = DEFAULT_THRESHOLD;
+RuleRegistry.PRIORITIES = PRIORITIES;
+
+module.exports = RuleRegistry;
@@ -0,0 +1,253 @@
+/**
+ * Lighthouse SARIF Reporter
+ *
+ * Converts failed audits and opportunities into a SARIF 2.1.0 log so they
+ * show up in code scanning next to other static-analysis findings.
+ */
+
+const crypto = require('crypto');
+
+const packageJson = require('../../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+class SarifReporter {
+  /**
+   * @param {LighthouseAnalyzer} analyzer - Analyzer for the report
+   * @param {Object} options
+   * @param {Array} options.fixes - Fix suggestions from FixGenerator, attached to rule help
+   */
+  constructor(analyzer, options = {}) {
+    this.analyzer = analyzer;
+    this.lhr = analyzer.lhr;
+    this.options = {
+      fixes: options.fixes || []
+    };
+  }
+
+  build() {
+    const audits = this.getReportedAudits();
+
+    const rules = audits.map(audit => this.buildRule(audit));
+    const results = [];
+    audits.forEach((audit, ruleIndex) => {
+      results.push(...this.buildResults(audit, ruleIndex));
+    });
+
+    return {
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'gl',
+            fullName: 'Google Lighthouse CLI',
+            version: packageJson.version,
+            informationUri: 'https://developer.chrome.com/docs/lighthouse',
+            rules
+          }
+        },
+        results,
+        properties: {
+          url: this.lhr.finalUrl || this.lhr.requestedUrl,
+          fetchTime: this.lhr.fetchTime,
+          lighthouseVersion: this.lhr.lighthouseVersion
+        }
+      }]
+    };
+  }
+
+  format() {
+    return JSON.stringify(this.build(), null, 2);
+  }
+
+  /**
+   * Failed audits plus opportunities, deduplicated by audit id
+   */
+  getReportedAudits() {
+    const audits = [];
+    const seen = new Set();
+
+    for (const audit of this.analyzer.getFailedAudits(this.analyzer.options.category)) {
+      seen.add(audit.id);
+      audits.push(audit);
+    }
+
+    for (const opp of this.analyzer.getOpportunities()) {
+      if (seen.has(opp.id)) continue;
+      if (this.analyzer.options.category && this.getCategoryForAudit(opp.id) !== this.analyzer.options.category) continue;
+      seen.add(opp.id);
+      audits.push(this.lhr.audits[opp.id]);
+    }
+
+    return audits;
+  }
+
+  buildRule(audit) {
+    const category = this.getCategoryForAudit(audit.id);
+    const helpUri = this.getHelpUri(audit.description);
+    const fixes = this.options.fixes.filter(fix => fix.auditId === audit.id);
+
+    let markdown = audit.description || '';
+    for (const fix of fixes) {
+      markdown += '\n\n### ' + fix.title;
+      for (const solution of fix.fixes) {
+        markdown += '\n\n**' + solution.title + '**\n\n```' + solution.type + '\n' + solution.code + '\n```';
+      }
+    }
+
+    const rule = {
+      id: audit.id,
+      name: this.toRuleName(audit.id),
+      shortDescription: { text: this.stripMarkdown(audit.title) },
+      fullDescription: { text: this.stripMarkdown(audit.description || audit.title) },
+      help: {
+        text: this.stripMarkdown(audit.description || audit.title),
+        markdown
+      },
+      defaultConfiguration: { level: this.getLevel(audit.score) },
+      properties: {
+        category,
+        tags: ['lighthouse', category]
+      }
+    };
+
+    if (helpUri) rule.helpUri = helpUri;
+
+    return rule;
+  }
+
+  /**
+   * One result per details.items entry, or one page-level result when there are none
+   */
+  buildResults(audit, ruleIndex) {
+    const items = audit.details?.items || [];
+    const level = this.getLevel(audit.score);
+    const pageUrl = this.lhr.finalUrl || this.lhr.requestedUrl;
+    const title = this.stripMarkdown(audit.title).replace(/\.$/, '');
+
+    if (items.length === 0) {
+      return [{
+        ruleId: audit.id,
+        ruleIndex,
+        level,
+        message: { text: title + (audit.displayValue ? ' (' + audit.displayValue + ')' : '') },
+        locations: [this.buildPhysicalLocation(pageUrl)],
+        partialFingerprints: { lighthouseItem: this.fingerprint(audit.id, pageUrl) }
+      }];
+    }
+
+    return items.map(item => {
+      const node = this.findNode(item);
+      const sourceLocation = this.findSourceLocation(item);
+      const url = sourceLocation?.url || this.findUrl(item) || pageUrl;
+
+      const location = this.buildPhysicalLocation(url, sourceLocation);
+      if (node?.selector) {
+        location.logicalLocations = [{
+          name: node.selector,
+          fullyQualifiedName: node.selector,
+          kind: 'element'
+        }];
+      }
+
+      let text = title;
+      if (node?.nodeLabel || node?.selector) text += ': ' + (node.nodeLabel || node.selector);
+      else if (url !== pageUrl) text += ': ' + url;
+      if (node?.snippet) text += '\n' + node.snippet;
+
+      const result = {
+        ruleId: audit.id,
+        ruleIndex,
+        level,
+        message: { text },
+        locations: [location],
+        partialFingerprints: {
+          lighthouseItem: this.fingerprint(audit.id, url, node?.selector, sourceLocation?.line)
+        }
+      };
+
+      const properties = {};
+      if (item.wastedBytes) properties.wastedBytes = item.wastedBytes;
+      if (item.wastedMs) properties.wastedMs = item.wastedMs;
+      if (Object.keys(properties).length > 0) result.properties = properties;
+
+      return result;
+    });
+  }
+
+  buildPhysicalLocation(uri, sourceLocation = null) {
+    const physicalLocation = { artifactLocation: { uri } };
+
+    if (sourceLocation && typeof sourceLocation.line === 'number') {
+      // Lighthouse lines and columns are zero-based, SARIF's are one-based
+      physicalLocation.region = {
+        startLine: sourceLocation.line + 1,
+        startColumn: (sourceLocation.column || 0) + 1
+      };
+    }
+
+    return { physicalLocation };
+  }
+
+  findNode(item) {
+    if (item.node?.type === 'node') return item.node;
+    if (item.type === 'node') return item;
+    for (const value of Object.values(item)) {
+      if (value && value.type === 'node') return value;
+    }
+    return null;
+  }
+
+  findSourceLocation(item) {
+    if (item.sourceLocation?.url) return item.sourceLocation;
+    for (const value of Object.values(item)) {
+      if (value && value.type === 'source-location' && value.url) return value;
+    }
+    return null;
+  }
+
+  findUrl(item) {
+    if (typeof item.url === 'string' && item.url) return item.url;
+    if (item.source?.type === 'url') return item.source.value;
+    return null;
+  }
+
+  getLevel(score) {
+    if (score === null || score === undefined || score < 0.5) return 'error';
+    if (score < 0.9) return 'warning';
+    return 'note';
+  }
+
+  getCategoryForAudit(auditId) {
+    for (const [id, category] of Object.entries(this.lhr.categories)) {
+      if (category.auditRefs.some(ref => ref.id === auditId)) return id;
+    }
+    return 'other';
+  }
+
+  getHelpUri(description) {
+    const match = /\((https?:\/\/[^)]+)\)/.exec(description || '');
+    return match ? match[1] : null;
+  }
+
+  toRuleName(auditId) {
+    return auditId.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+  }
+
+  stripMarkdown(text) {
+    return String(text || '')
+      .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+      .replace(/`([^`]+)`/g, '$1')
+      .trim();
+  }
+
+  fingerprint(...parts) {
+    return crypto.createHash('sha256')
+      .update(parts.filter(p => p !== undefined && p !== null).join('|'))
+      .digest('hex')
+      .substring(0, 32);
+  }
+}
+
+module.exports = SarifReporter;
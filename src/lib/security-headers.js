@@ -0,0 +1,234 @@
+/**
+ * Security Headers
+ *
+ * Builds concrete header values for the best-practices header audits (a
+ * starter CSP from the origins in the report's network requests, HSTS,
+ * COOP, frame protection) and renders them as config for the servers and
+ * hosts the project appears to use: nginx, Apache, Express, Vercel,
+ * Netlify or Next.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// CSP directive per network resource type
+const RESOURCE_DIRECTIVES = {
+  Script: 'script-src',
+  Stylesheet: 'style-src',
+  Image: 'img-src',
+  Font: 'font-src',
+  Media: 'media-src',
+  TextTrack: 'media-src',
+  XHR: 'connect-src',
+  Fetch: 'connect-src',
+  EventSource: 'connect-src',
+  WebSocket: 'connect-src',
+  Ping: 'connect-src',
+  Manifest: 'manifest-src',
+  Document: 'frame-src'
+};
+
+const DIRECTIVE_ORDER = ['default-src', 'script-src', 'style-src', 'img-src', 'font-src', 'connect-src', 'media-src',
+  'frame-src', 'manifest-src', 'object-src', 'base-uri', 'form-action', 'frame-ancestors'];
+
+const PLATFORMS = {
+  nginx: 'nginx',
+  apache: 'Apache (.htaccess)',
+  express: 'Express',
+  vercel: 'Vercel (vercel.json)',
+  netlify: 'Netlify (_headers)',
+  next: 'Next.js (next.config.js)'
+};
+
+// `preload` is left out: once hstspreload.org lists the domain, leaving takes months
+const HSTS_VALUE = 'max-age=63072000; includeSubDomains';
+
+class SecurityHeaders {
+  constructor(lhr, projectRoot = process.cwd(), options = {}) {
+    this.lhr = lhr;
+    this.projectRoot = projectRoot;
+    this.stack = options.stack || null;
+    this.url = lhr.finalDisplayedUrl || lhr.finalUrl || null;
+  }
+
+  getOrigin() {
+    try {
+      return new URL(this.url).origin;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Sources per CSP directive from the network requests; the page's own origin is 'self'
+   */
+  getCspSources() {
+    const origin = this.getOrigin();
+    const requests = this.lhr.audits['network-requests']?.details?.items || [];
+    const sources = {};
+
+    for (const request of requests) {
+      const directive = RESOURCE_DIRECTIVES[request.resourceType];
+      if (!directive || request.url === this.lhr.finalUrl) continue;
+
+      let source;
+      try {
+        const url = new URL(request.url);
+        if (url.protocol === 'data:' || url.protocol === 'blob:') {
+          source = url.protocol;
+        } else {
+          source = url.origin === origin ? "'self'" : url.origin;
+        }
+      } catch (error) {
+        continue;
+      }
+
+      sources[directive] = sources[directive] || new Set(["'self'"]);
+      sources[directive].add(source);
+    }
+
+    return sources;
+  }
+
+  /**
+   * A host-allowlist CSP covering what the page loaded during the run
+   */
+  buildCsp() {
+    const directives = {
+      'default-src': ["'self'"],
+      'object-src': ["'none'"],
+      'base-uri': ["'self'"],
+      'form-action': ["'self'"],
+      'frame-ancestors': ["'self'"]
+    };
+
+    for (const [directive, sources] of Object.entries(this.getCspSources())) {
+      // Keywords ('self') before hosts
+      directives[directive] = [...sources].sort((a, b) => Number(!a.startsWith("'")) - Number(!b.startsWith("'")) || a.localeCompare(b));
+    }
+
+    if (this.url && this.url.startsWith('https:')) {
+      directives['upgrade-insecure-requests'] = [];
+    }
+
+    return Object.keys(directives)
+      .sort((a, b) => this.directiveRank(a) - this.directiveRank(b))
+      .map(directive => [directive, ...directives[directive]].join(' '))
+      .join('; ');
+  }
+
+  directiveRank(directive) {
+    const index = DIRECTIVE_ORDER.indexOf(directive);
+    return index === -1 ? DIRECTIVE_ORDER.length : index;
+  }
+
+  /**
+   * Headers to add for an audit, as { name: value }
+   */
+  getHeadersFor(auditId) {
+    switch (auditId) {
+      case 'csp-xss':
+        // Report-Only first: violations show up in the console without breaking the page
+        return { 'Content-Security-Policy-Report-Only': this.buildCsp() };
+      case 'has-hsts':
+        return { 'Strict-Transport-Security': HSTS_VALUE };
+      case 'origin-isolation':
+        return { 'Cross-Origin-Opener-Policy': 'same-origin' };
+      case 'clickjacking-mitigation':
+        return { 'X-Frame-Options': 'SAMEORIGIN', 'Content-Security-Policy': "frame-ancestors 'self'" };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Platforms the project is deployed with, judged from its files; all of them when unsure
+   */
+  detectPlatforms() {
+    const exists = file => fs.existsSync(path.join(this.projectRoot, file));
+    const platforms = [];
+
+    if (exists('nginx.conf') || exists('nginx') || exists('conf.d')) platforms.push('nginx');
+    if (exists('.htaccess') || exists('public/.htaccess')) platforms.push('apache');
+    if (this.getDependencies().includes('express')) platforms.push('express');
+    if (exists('vercel.json') || exists('.vercel')) platforms.push('vercel');
+    if (exists('netlify.toml') || exists('_headers') || exists('public/_headers')) platforms.push('netlify');
+
+    // Next.js can set headers itself, but still runs behind some server or host
+    const found = platforms.length > 0 ? platforms : ['nginx', 'apache', 'express', 'vercel', 'netlify'];
+    return this.stack?.id === 'next' ? found.concat('next') : found;
+  }
+
+  getDependencies() {
+    try {
+      const pkg = JSON.parse(fs.readFileSync(path.join(this.projectRoot, 'package.json'), 'utf8'));
+      return Object.keys({ ...pkg.dependencies, ...pkg.devDependencies });
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * One snippet per platform that sets the headers on every response
+   */
+  formatHeaders(headers, platforms = this.detectPlatforms()) {
+    const entries = Object.entries(headers);
+    const quote = value => value.replace(/"/g, '\\"');
+
+    const formats = {
+      nginx: () => ({
+        type: 'nginx',
+        code: '# server { ... }\n' + entries.map(([name, value]) => `add_header ${name} "${quote(value)}" always;`).join('\n')
+      }),
+      apache: () => ({
+        type: 'apache',
+        code: '<IfModule mod_headers.c>\n' + entries.map(([name, value]) => `  Header always set ${name} "${quote(value)}"`).join('\n') + '\n</IfModule>'
+      }),
+      express: () => ({
+        type: 'javascript',
+        code: 'app.use((req, res, next) => {\n' +
+          entries.map(([name, value]) => `  res.setHeader('${name}', ${JSON.stringify(value)});`).join('\n') +
+          '\n  next();\n});'
+      }),
+      vercel: () => ({
+        type: 'json',
+        code: JSON.stringify({ headers: [{ source: '/(.*)', headers: entries.map(([key, value]) => ({ key, value })) }] }, null, 2)
+      }),
+      netlify: () => ({
+        type: 'text',
+        code: '/*\n' + entries.map(([name, value]) => `  ${name}: ${value}`).join('\n')
+      }),
+      next: () => ({
+        type: 'javascript',
+        code: '// next.config.js\nmodule.exports = {\n  async headers() {\n    return [{\n      source: \'/(.*)\',\n      headers: [\n' +
+          entries.map(([key, value]) => `        { key: '${key}', value: ${JSON.stringify(value)} }`).join(',\n') +
+          '\n      ]\n    }];\n  }\n};'
+      })
+    };
+
+    return platforms.map(platform => ({ title: PLATFORMS[platform], ...formats[platform]() }));
+  }
+
+  /**
+   * HTTP -> HTTPS redirect per platform; hosted platforms do it themselves
+   */
+  formatHttpsRedirect(platforms = this.detectPlatforms()) {
+    const formats = {
+      nginx: { type: 'nginx', code: 'server {\n  listen 80;\n  server_name _;\n  return 301 https://$host$request_uri;\n}' },
+      apache: { type: 'apache', code: 'RewriteEngine On\nRewriteCond %{HTTPS} off\nRewriteRule ^ https://%{HTTP_HOST}%{REQUEST_URI} [L,R=301]' },
+      express: {
+        type: 'javascript',
+        code: "app.set('trust proxy', 1);\napp.use((req, res, next) => {\n  if (req.secure) return next();\n  res.redirect(301, 'https://' + req.headers.host + req.originalUrl);\n});"
+      },
+      vercel: { type: 'text', code: 'Vercel redirects HTTP to HTTPS for every deployment; check that the domain is not proxied over plain HTTP by a CDN in front of it.' },
+      netlify: { type: 'text', code: 'Netlify redirects HTTP to HTTPS once a certificate is provisioned (Domain management > HTTPS).' },
+      next: { type: 'text', code: 'Next.js does not handle HTTP; redirect at the host, load balancer or reverse proxy.' }
+    };
+
+    return platforms.map(platform => ({ title: PLATFORMS[platform].replace(/ \(.*\)$/, ''), ...formats[platform] }));
+  }
+}
+
+SecurityHeaders.PLATFORMS = PLATFORMS;
+
+module.exports = SecurityHeaders;
@@ -0,0 +1,262 @@
+/**
+ * SEO Fixer
+ *
+ * Works out concrete corrections from the items of Lighthouse's SEO audits:
+ * where a noindex comes from (meta tag, X-Robots-Tag header or robots.txt),
+ * corrected robots.txt lines, normalized hreflang values, descriptive link
+ * text, crawlable anchors and a JSON-LD starter for the page.
+ */
+
+const HtmlSnippet = require('./html-snippet');
+
+// Directives Lighthouse's robots.txt parser accepts
+const ROBOTS_DIRECTIVES = {
+  'user-agent': 'User-agent',
+  'disallow': 'Disallow',
+  'allow': 'Allow',
+  'sitemap': 'Sitemap',
+  'crawl-delay': 'Crawl-delay',
+  'clean-param': 'Clean-param',
+  'host': 'Host',
+  'request-rate': 'Request-rate',
+  'visit-time': 'Visit-time',
+  'noindex': 'Noindex'
+};
+
+const BLOCKING_ROBOTS = ['noindex', 'none'];
+
+class SeoFixer {
+  constructor(lhr) {
+    this.lhr = lhr;
+    this.url = lhr.finalDisplayedUrl || lhr.finalUrl || null;
+  }
+
+  /**
+   * What blocks indexing: a robots meta tag, an X-Robots-Tag header or a robots.txt rule
+   */
+  classifyBlocker(item) {
+    const source = item.source;
+
+    if (typeof source === 'string') {
+      const header = /^x-robots-tag\s*:\s*(.*)$/i.exec(source);
+      return header
+        ? { kind: 'header', value: header[1], source }
+        : { kind: 'unknown', source };
+    }
+
+    if (source?.type === 'source-location') {
+      return { kind: 'robots-txt', url: source.url, line: source.line + 1, source: source.url };
+    }
+
+    if (source?.snippet) {
+      return { kind: 'meta', snippet: source.snippet, source: source.snippet };
+    }
+
+    return { kind: 'unknown', source: JSON.stringify(source) };
+  }
+
+  /**
+   * The robots meta tag with its blocking directives dropped
+   */
+  fixMetaRobots(snippet) {
+    const content = HtmlSnippet.getAttribute(snippet, 'content') || '';
+    const kept = content.split(',')
+      .map(directive => directive.trim())
+      .filter(directive => directive && !BLOCKING_ROBOTS.includes(directive.toLowerCase()));
+
+    return HtmlSnippet.setAttribute(snippet, 'content', kept.length > 0 ? kept.join(', ') : 'index, follow');
+  }
+
+  /**
+   * The path of the page, for an Allow rule that overrides a robots.txt Disallow
+   */
+  getPagePath() {
+    try {
+      return new URL(this.url).pathname;
+    } catch (error) {
+      return '/';
+    }
+  }
+
+  getOrigin() {
+    try {
+      return new URL(this.url).origin;
+    } catch (error) {
+      return 'https://example.com';
+    }
+  }
+
+  /**
+   * A corrected robots.txt line for a Lighthouse parse error, or null when it
+   * should just be removed
+   */
+  fixRobotsLine(item) {
+    const line = String(item.line || '').trim();
+    const message = item.message || '';
+    const colon = line.indexOf(':');
+    const directive = colon === -1 ? line.split(/\s+/)[0] : line.substring(0, colon).trim();
+    const value = colon === -1 ? line.substring(directive.length).trim() : line.substring(colon + 1).trim();
+
+    if (/no user-agent/i.test(message)) {
+      return 'User-agent: *\n' + line;
+    }
+
+    if (/unknown directive|syntax not understood/i.test(message)) {
+      const known = ROBOTS_DIRECTIVES[directive.toLowerCase()] ||
+        ROBOTS_DIRECTIVES[HtmlSnippet.closest(directive.toLowerCase(), Object.keys(ROBOTS_DIRECTIVES))];
+      return known ? known + ': ' + value : null;
+    }
+
+    if (/should either be empty, start with/i.test(message)) {
+      return directive + ': /' + value.replace(/^\/*/, '');
+    }
+
+    if (/"\$" should only be used at the end/i.test(message)) {
+      return directive + ': ' + value.replace(/\$(?!$)/g, '');
+    }
+
+    if (/sitemap/i.test(message)) {
+      try {
+        const sitemap = new URL(value, this.getOrigin());
+        if (!['http:', 'https:'].includes(sitemap.protocol)) sitemap.protocol = 'https:';
+        return 'Sitemap: ' + sitemap.href;
+      } catch (error) {
+        return 'Sitemap: ' + this.getOrigin() + '/sitemap.xml';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * A hreflang link with a well-formed language code and an absolute href
+   */
+  fixHreflang(snippet) {
+    let fixed = snippet;
+
+    const code = HtmlSnippet.getAttribute(snippet, 'hreflang');
+    if (code !== null) {
+      fixed = HtmlSnippet.setAttribute(fixed, 'hreflang', this.normalizeLanguage(code));
+    }
+
+    const href = HtmlSnippet.getAttribute(snippet, 'href');
+    if (href !== null && this.url) {
+      try {
+        fixed = HtmlSnippet.setAttribute(fixed, 'href', new URL(href, this.url).href);
+      } catch (error) {
+        // Leave the href as it is
+      }
+    }
+
+    return fixed;
+  }
+
+  /**
+   * "EN_us" -> "en-US", "english" stays for a human to fix; x-default is kept
+   */
+  normalizeLanguage(code) {
+    if (code.toLowerCase() === 'x-default') return 'x-default';
+
+    const [language, ...rest] = code.trim().split(/[-_]/);
+    const region = rest.find(part => /^[a-z]{2}$|^\d{3}$/i.test(part));
+    const script = rest.find(part => /^[a-z]{4}$/i.test(part));
+
+    return [
+      language.toLowerCase(),
+      script ? script.charAt(0).toUpperCase() + script.slice(1).toLowerCase() : null,
+      region ? region.toUpperCase() : null
+    ].filter(Boolean).join('-');
+  }
+
+  /**
+   * Link text drawn from where the link goes
+   */
+  suggestLinkText(href) {
+    if (!href) return null;
+
+    try {
+      const url = new URL(href, this.url || undefined);
+      const segment = HtmlSnippet.lastPathSegment(url.pathname);
+      if (segment) return HtmlSnippet.humanize(segment);
+      return url.origin === this.getOrigin() ? 'Home' : url.hostname.replace(/^www\./, '');
+    } catch (error) {
+      return HtmlSnippet.humanize(HtmlSnippet.lastPathSegment(href));
+    }
+  }
+
+  /**
+   * An anchor crawlers can follow: a real href, or a button when it only runs script
+   */
+  fixAnchor(snippet) {
+    const href = HtmlSnippet.getAttribute(snippet, 'href');
+    const scriptOnly = href === null || href === '' || /^\s*javascript:/i.test(href);
+
+    if (!scriptOnly) {
+      return { after: null, note: `"${href}" is not a URL crawlers can follow; link to the page it opens` };
+    }
+
+    if (HtmlSnippet.getAttribute(snippet, 'onclick') !== null || /^\s*javascript:/i.test(href || '')) {
+      const button = HtmlSnippet.removeAttribute(snippet, 'href')
+        .replace(/^(\s*)<a\b/i, '$1<button type="button"')
+        .replace(/<\/a>\s*$/i, '</button>');
+      return { after: button, note: 'Actions that do not navigate should be buttons' };
+    }
+
+    return {
+      after: HtmlSnippet.setAttribute(snippet, 'href', '/TODO-target-page'),
+      note: 'Point the href at the page the link opens'
+    };
+  }
+
+  /**
+   * Main document status from the network requests, when the report has them
+   */
+  getStatusCode() {
+    const requests = this.lhr.audits['network-requests']?.details?.items || [];
+    const document = requests.find(request => request.url === this.lhr.finalUrl) ||
+      requests.find(request => request.resourceType === 'Document');
+    return document?.statusCode || null;
+  }
+
+  /**
+   * A starter JSON-LD block for the page: Organization, WebSite and WebPage
+   */
+  buildStructuredData() {
+    const origin = this.getOrigin();
+    const host = origin.replace(/^https?:\/\/(www\.)?/, '');
+    const page = this.getPagePath();
+    const title = HtmlSnippet.humanize(HtmlSnippet.lastPathSegment(page)) || host;
+    const pageUrl = this.url ? this.url.split(/[?#]/)[0] : origin + '/';
+
+    const data = {
+      '@context': 'https://schema.org',
+      '@graph': [
+        {
+          '@type': 'Organization',
+          '@id': origin + '/#organization',
+          name: host,
+          url: origin + '/',
+          logo: origin + '/logo.png'
+        },
+        {
+          '@type': 'WebSite',
+          '@id': origin + '/#website',
+          name: host,
+          url: origin + '/',
+          publisher: { '@id': origin + '/#organization' }
+        },
+        {
+          '@type': 'WebPage',
+          '@id': pageUrl,
+          url: pageUrl,
+          name: title,
+          isPartOf: { '@id': origin + '/#website' }
+        }
+      ]
+    };
+
+    return '<script type="application/ld+json">\n' + JSON.stringify(data, null, 2) + '\n</script>';
+  }
+}
+
+module.exports = SeoFixer;
@@ -0,0 +1,539 @@
+/**
+ * Lighthouse Source Mapper
+ *
+ * Maps failing audit items (DOM nodes, script URLs, source locations) back to
+ * candidate files in the local project:
+ * - DOM snippets and text are matched against JSX/HTML/Vue/Svelte/Astro templates
+ * - /_next/static/chunks/ URLs are mapped to pages via Next.js build manifests
+ * - Built scripts with a local .map file are resolved through the source map
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.html', '.htm', '.vue', '.svelte', '.astro', '.mdx', '.hbs', '.ejs', '.njk', '.liquid', '.php'];
+const IGNORED_DIRS = [
+  'node_modules', '.git', '.lighthouse', 'coverage',
+  // Build output and caches
+  '.next', '.nuxt', '.svelte-kit', '.output', '.vercel', '.netlify', '.astro', '.angular', '.turbo', '.parcel-cache',
+  '.docusaurus', '.expo', '.cache', '.vite', 'dist', 'build', 'out', 'storybook-static'
+];
+const BUILD_DIRS = ['.next', 'dist', 'build', 'out', '.output', 'public'];
+// Inside a build dir only the emitted chunks are searched for source maps
+const IGNORED_BUILD_DIRS = ['cache', 'node_modules', '.lighthouse'];
+const PAGE_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js', '.mdx'];
+const SEARCHED_ATTRIBUTES = ['id', 'src', 'href', 'alt', 'name', 'for', 'aria-label', 'placeholder', 'title', 'data-testid', 'action'];
+
+const MAX_FILES = 5000;
+const MAX_FILE_BYTES = 512 * 1024;
+const MAX_ITEMS = 10;
+const MAX_LOCATIONS = 5;
+const MIN_NODE_SCORE = 5;
+
+const LIGHTHOUSE_REPORT_PATTERN = /window\.__LIGHTHOUSE_(?:FLOW_)?JSON__/;
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+class SourceMapper {
+  constructor(projectRoot = process.cwd(), options = {}) {
+    this.projectRoot = projectRoot;
+    this.options = {
+      maxFiles: options.maxFiles || MAX_FILES
+    };
+
+    // Lazily built indexes
+    this.templateFiles = null;
+    this.sourceMapFiles = null;
+    this.chunkRoutes = null;
+    this.sourceMaps = {};
+  }
+
+  /**
+   * Candidate locations for a list of audit items, best first
+   */
+  locateItems(items) {
+    const locations = [];
+    const seen = new Set();
+
+    for (const item of items.slice(0, MAX_ITEMS)) {
+      for (const location of this.locateItem(item)) {
+        const key = location.file + ':' + location.line;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        locations.push(location);
+      }
+    }
+
+    return locations
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_LOCATIONS);
+  }
+
+  locateItem(item) {
+    const locations = [];
+
+    const node = item.node?.type === 'node' ? item.node : item.type === 'node' ? item : null;
+    if (node) {
+      locations.push(...this.locateNode(node));
+    }
+
+    const sourceLocation = item.sourceLocation?.url ? item.sourceLocation
+      : item.source?.type === 'source-location' ? item.source : null;
+    if (sourceLocation) {
+      locations.push(...this.locateSourceLocation(sourceLocation));
+    }
+
+    const url = typeof item.url === 'string' ? item.url : null;
+    if (url && /\.m?js(\?|$)/.test(url) && !sourceLocation) {
+      locations.push(...this.locateScript(url));
+    }
+
+    return locations;
+  }
+
+  /**
+   * Match a DOM node's snippet, attributes and text against template files
+   */
+  locateNode(node) {
+    const terms = this.getNodeSearchTerms(node);
+    if (terms.length === 0) return [];
+
+    const candidates = [];
+    for (const file of this.getTemplateFiles()) {
+      file.lines.forEach((line, index) => {
+        let score = 0;
+        const reasons = [];
+
+        for (const term of terms) {
+          if (!line.includes(term.value)) continue;
+          if (term.requires && !term.requires.some(r => line.includes(r))) continue;
+          score += term.weight;
+          reasons.push(term.label);
+        }
+
+        if (score >= MIN_NODE_SCORE) {
+          candidates.push({
+            file: file.relativePath,
+            line: index + 1,
+            score,
+            reason: 'matches ' + reasons.join(', ')
+          });
+        }
+      });
+    }
+
+    return candidates.sort((a, b) => b.score - a.score).slice(0, 3);
+  }
+
+  getNodeSearchTerms(node) {
+    const terms = [];
+    const snippet = node.snippet || '';
+
+    const tagMatch = /^<([a-zA-Z][\w-]*)/.exec(snippet);
+    if (tagMatch) {
+      terms.push({ value: '<' + tagMatch[1], weight: 1, label: `<${tagMatch[1]}>` });
+    }
+
+    const attrPattern = /([\w:-]+)="([^"]*)"/g;
+    let match;
+    while ((match = attrPattern.exec(snippet)) !== null) {
+      const [, name, value] = match;
+
+      if (name === 'class') {
+        const classes = value.split(/\s+/).filter(c => c.length > 2);
+        for (const cls of classes) {
+          terms.push({ value: cls, weight: classes.length === 1 ? 4 : 2, label: `class "${cls}"`, requires: ['class'] });
+        }
+      } else if (SEARCHED_ATTRIBUTES.includes(name) && value.length > 2 && value !== '/' && value !== '#') {
+        const weight = name === 'id' || name === 'data-testid' ? 10 : 6;
+        terms.push({ value, weight, label: `${name}="${value}"` });
+      }
+    }
+
+    // Visible text, unless the label is just a selector fallback
+    const label = (node.nodeLabel || '').trim();
+    if (label.length >= 4 && label !== node.selector && !/^[\w-]+(\.|#|\s*>)/.test(label)) {
+      terms.push({ value: label.substring(0, 60), weight: 5, label: `text "${label.substring(0, 30)}"` });
+    }
+
+    return terms;
+  }
+
+  /**
+   * Map a script URL to source files (Next.js chunks, then local source maps)
+   */
+  locateScript(url) {
+    const locations = [];
+
+    const nextPath = this.getNextChunkPath(url);
+    if (nextPath) {
+      for (const route of this.getRoutesForChunk(nextPath)) {
+        const file = this.resolveRouteFile(route.route, route.router);
+        if (file) {
+          locations.push({ file, line: 1, score: 8, reason: `Next.js ${route.router} route ${route.route}` });
+        }
+      }
+    }
+
+    if (locations.length === 0) {
+      const map = this.findSourceMap(url);
+      if (map) {
+        this.getFirstPartySources(map).slice(0, 3).forEach(file => {
+          locations.push({ file, line: 1, score: 4, reason: 'listed in source map of ' + path.basename(map.file) });
+        });
+      }
+    }
+
+    return locations;
+  }
+
+  /**
+   * Resolve a zero-based line/column in a built script through its source map
+   */
+  locateSourceLocation(sourceLocation) {
+    const map = this.findSourceMap(sourceLocation.url);
+    if (!map) {
+      return this.locateScript(sourceLocation.url);
+    }
+
+    const original = this.getOriginalPosition(map, sourceLocation.line, sourceLocation.column || 0);
+    if (!original) return [];
+
+    const file = this.resolveSourcePath(map, original.source);
+    if (!file) return [];
+
+    return [{
+      file,
+      line: original.line + 1,
+      score: 10,
+      reason: 'source map of ' + path.basename(map.file)
+    }];
+  }
+
+  getNextChunkPath(url) {
+    const match = /\/_next\/(static\/chunks\/[^?#]+)/.exec(url);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Routes whose chunks include the given path, from build manifests or the chunk name
+   */
+  getRoutesForChunk(chunkPath) {
+    if (this.chunkRoutes === null) {
+      this.chunkRoutes = this.loadNextManifests();
+    }
+
+    const routes = this.chunkRoutes[chunkPath];
+    // Chunks shared by many routes (framework, main, commons) say nothing about a page
+    if (routes && routes.length > 0 && routes.length <= 3) {
+      return routes;
+    }
+
+    const pagesMatch = /^static\/chunks\/pages\/(.+?)-[0-9a-f]{8,}\.js$/.exec(chunkPath);
+    if (pagesMatch) {
+      return [{ route: '/' + pagesMatch[1].replace(/^index$/, ''), router: 'pages' }];
+    }
+
+    const appMatch = /^static\/chunks\/app\/(.*?)\/?(page|layout)-[0-9a-f]{8,}\.js$/.exec(chunkPath);
+    if (appMatch) {
+      return [{ route: '/' + appMatch[1] + (appMatch[1] ? '/' : '') + appMatch[2], router: 'app' }];
+    }
+
+    return [];
+  }
+
+  loadNextManifests() {
+    const chunkRoutes = {};
+    const manifests = [
+      { file: 'build-manifest.json', router: 'pages' },
+      { file: 'app-build-manifest.json', router: 'app' }
+    ];
+
+    for (const manifest of manifests) {
+      const manifestPath = path.join(this.projectRoot, '.next', manifest.file);
+      if (!fs.existsSync(manifestPath)) continue;
+
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      } catch (error) {
+        continue;
+      }
+
+      for (const [route, chunks] of Object.entries(data.pages || {})) {
+        for (const chunk of chunks) {
+          if (!chunkRoutes[chunk]) chunkRoutes[chunk] = [];
+          chunkRoutes[chunk].push({ route, router: manifest.router });
+        }
+      }
+    }
+
+    return chunkRoutes;
+  }
+
+  /**
+   * The app router page that serves a URL path, following route groups,
+   * dynamic, catch-all and optional catch-all segments; static folders win
+   * over dynamic ones, as in Next.js. Returns { file, dynamic } or null
+   */
+  resolveAppPage(pathname) {
+    const segments = pathname.split('/').filter(Boolean).map(segment => {
+      try {
+        return decodeURIComponent(segment);
+      } catch (error) {
+        return segment;
+      }
+    });
+
+    for (const root of ['app', 'src/app']) {
+      const match = this.matchAppSegments(path.join(this.projectRoot, root), segments, false);
+      if (match) return { file: path.relative(this.projectRoot, match.file), dynamic: match.dynamic };
+    }
+    return null;
+  }
+
+  matchAppSegments(dir, segments, dynamic) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return null;
+    }
+
+    if (segments.length === 0) {
+      const page = PAGE_EXTENSIONS.map(ext => 'page' + ext).find(name => entries.some(entry => entry.isFile() && entry.name === name));
+      if (page) return { file: path.join(dir, page), dynamic };
+    }
+
+    const dirs = entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    const [first, ...rest] = segments;
+    const attempts = [
+      ...dirs.filter(name => first !== undefined && name === first).map(name => [name, rest, dynamic]),
+      // Route groups add no segment
+      ...dirs.filter(name => /^\(.+\)$/.test(name)).map(name => [name, segments, dynamic]),
+      ...dirs.filter(name => first !== undefined && /^\[[^.[\]]+\]$/.test(name)).map(name => [name, rest, true]),
+      ...dirs.filter(name => first !== undefined && /^\[\.\.\.[^\]]+\]$/.test(name)).map(name => [name, [], true]),
+      ...dirs.filter(name => /^\[\[\.\.\.[^\]]+\]\]$/.test(name)).map(name => [name, [], true])
+    ];
+
+    for (const [name, remaining, isDynamic] of attempts) {
+      const match = this.matchAppSegments(path.join(dir, name), remaining, isDynamic);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  /**
+   * Find the page file for a Next.js route in pages/, src/pages/, app/ or src/app/
+   */
+  resolveRouteFile(route, router) {
+    const roots = router === 'app' ? ['app', 'src/app'] : ['pages', 'src/pages'];
+    const routePath = route === '/' ? '/index' : route.replace(/\/$/, '');
+    const bases = router === 'app' ? [routePath] : [routePath, routePath + '/index'];
+
+    for (const root of roots) {
+      for (const base of bases) {
+        for (const ext of PAGE_EXTENSIONS) {
+          const relativePath = path.join(root, base + ext);
+          if (fs.existsSync(path.join(this.projectRoot, relativePath))) {
+            return relativePath;
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Load the local .map file for a built script URL, matched by file name
+   */
+  findSourceMap(url) {
+    let fileName;
+    try {
+      fileName = path.basename(new URL(url).pathname);
+    } catch (error) {
+      return null;
+    }
+    if (!fileName) return null;
+
+    if (this.sourceMapFiles === null) {
+      this.sourceMapFiles = this.indexSourceMaps();
+    }
+
+    const mapPath = this.sourceMapFiles[fileName + '.map'];
+    if (!mapPath) return null;
+
+    if (!this.sourceMaps[mapPath]) {
+      try {
+        const map = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+        map.file = mapPath;
+        this.sourceMaps[mapPath] = map;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return this.sourceMaps[mapPath];
+  }
+
+  indexSourceMaps() {
+    const index = {};
+    let count = 0;
+    for (const dir of BUILD_DIRS) {
+      this.walk(path.join(this.projectRoot, dir), IGNORED_BUILD_DIRS, filePath => {
+        if (filePath.endsWith('.js.map') || filePath.endsWith('.mjs.map')) {
+          index[path.basename(filePath)] = filePath;
+          count++;
+        }
+        return count < this.options.maxFiles;
+      });
+    }
+    return index;
+  }
+
+  getFirstPartySources(map) {
+    return (map.sources || [])
+      .filter(source => !/node_modules|webpack\/(runtime|bootstrap)|^\(webpack\)/.test(source))
+      .map(source => this.resolveSourcePath(map, source))
+      .filter(Boolean);
+  }
+
+  /**
+   * Turn a source map "sources" entry into a project-relative path, if the file exists
+   */
+  resolveSourcePath(map, source) {
+    let cleaned = source
+      .replace(/^webpack:\/\/[^/]*\//, '')
+      .replace(/^webpack:\/\/\//, '')
+      .replace(/^\/@fs\//, '/')
+      .replace(/\?.*$/, '')
+      .replace(/^(\.\/)+/, '');
+
+    const candidates = [];
+    if (map.sourceRoot) {
+      candidates.push(path.resolve(path.dirname(map.file), map.sourceRoot, cleaned));
+    }
+    candidates.push(path.resolve(path.dirname(map.file), cleaned));
+    candidates.push(path.resolve(this.projectRoot, cleaned.replace(/^(\.\.\/)+/, '')));
+
+    for (const candidate of candidates) {
+      if (candidate.startsWith(this.projectRoot) && fs.existsSync(candidate)) {
+        return path.relative(this.projectRoot, candidate);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Decode the VLQ mappings up to a generated line and find the closest segment
+   */
+  getOriginalPosition(map, line, column) {
+    if (typeof map.mappings !== 'string') return null;
+
+    const lines = map.mappings.split(';');
+    if (line >= lines.length) return null;
+
+    let sourceIndex = 0;
+    let originalLine = 0;
+    let originalColumn = 0;
+    let best = null;
+
+    for (let l = 0; l <= line; l++) {
+      let generatedColumn = 0;
+      if (!lines[l]) continue;
+
+      for (const segment of lines[l].split(',')) {
+        const values = this.decodeVlq(segment);
+        if (values.length === 0) continue;
+
+        generatedColumn += values[0];
+        if (values.length < 4) continue;
+
+        sourceIndex += values[1];
+        originalLine += values[2];
+        originalColumn += values[3];
+
+        if (l === line && generatedColumn <= column) {
+          best = { source: map.sources[sourceIndex], line: originalLine, column: originalColumn };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  decodeVlq(segment) {
+    const values = [];
+    let shift = 0;
+    let value = 0;
+
+    for (const char of segment) {
+      const digit = BASE64.indexOf(char);
+      if (digit === -1) return [];
+
+      value += (digit & 31) << shift;
+      if (digit & 32) {
+        shift += 5;
+      } else {
+        values.push(value & 1 ? -(value >> 1) : value >> 1);
+        shift = 0;
+        value = 0;
+      }
+    }
+
+    return values;
+  }
+
+  getTemplateFiles() {
+    if (this.templateFiles !== null) return this.templateFiles;
+
+    this.templateFiles = [];
+    this.walk(this.projectRoot, IGNORED_DIRS, filePath => {
+      if (!TEMPLATE_EXTENSIONS.includes(path.extname(filePath))) return true;
+
+      try {
+        const content = fs.statSync(filePath).size <= MAX_FILE_BYTES ? fs.readFileSync(filePath, 'utf8') : null;
+        // Saved Lighthouse HTML reports contain the audited page's snippets
+        if (content !== null && !LIGHTHOUSE_REPORT_PATTERN.test(content)) {
+          this.templateFiles.push({
+            relativePath: path.relative(this.projectRoot, filePath),
+            lines: content.split('\n')
+          });
+        }
+      } catch (error) {
+        // Unreadable files are skipped
+      }
+      return this.templateFiles.length < this.options.maxFiles;
+    });
+
+    return this.templateFiles;
+  }
+
+  /**
+   * Depth-first walk; the callback returns false to stop the whole walk.
+   * Returns false once stopped
+   */
+  walk(dir, ignoredDirs, callback) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return true;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (ignoredDirs.includes(entry.name)) continue;
+        if (this.walk(fullPath, ignoredDirs, callback) === false) return false;
+      } else if (entry.isFile()) {
+        if (callback(fullPath) === false) return false;
+      }
+    }
+    return true;
+  }
+}
+
+module.exports = SourceMapper;
@@ -0,0 +1,274 @@
+/**
+ * Stack Detector
+ *
+ * Works out which framework a site is built with by combining signals from
+ * the Lighthouse report (script and request URLs, stackPacks, generator meta
+ * tags) with the local project (package.json dependencies, config files).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Signal weights: a dependency or generator tag is near-certain, URL patterns less so
+const WEIGHTS = {
+  package: 5,
+  generator: 5,
+  stackPack: 4,
+  config: 3,
+  url: 3
+};
+
+// React meta-frameworks with their own stack; plain React stacks step aside for them
+const REACT_FRAMEWORKS = ['@remix-run/react', '@react-router/dev', '@sveltejs/kit', 'astro', 'nuxt', 'next', 'gatsby'];
+
+const STACKS = {
+  next: {
+    name: 'Next.js',
+    packages: ['next'],
+    configs: ['next.config.js', 'next.config.mjs', 'next.config.ts'],
+    urls: [/\/_next\/(static|data|image)/],
+    stackPacks: ['next.js']
+  },
+  nuxt: {
+    name: 'Nuxt',
+    packages: ['nuxt', 'nuxt3'],
+    configs: ['nuxt.config.ts', 'nuxt.config.js', 'nuxt.config.mjs'],
+    urls: [/\/_nuxt\//],
+    stackPacks: ['nuxt']
+  },
+  sveltekit: {
+    name: 'SvelteKit',
+    packages: ['@sveltejs/kit'],
+    configs: ['svelte.config.js'],
+    urls: [/\/_app\/immutable\//, /\/__data\.json/]
+  },
+  remix: {
+    name: 'Remix',
+    packages: ['@remix-run/react', '@remix-run/node', '@remix-run/dev', '@react-router/dev'],
+    configs: ['remix.config.js', 'react-router.config.ts'],
+    urls: [/\/build\/(_shared\/|entry\.client-|root-)/, /[?&]_data=/]
+  },
+  gatsby: {
+    name: 'Gatsby',
+    packages: ['gatsby'],
+    configs: ['gatsby-config.js', 'gatsby-config.ts', 'gatsby-config.mjs'],
+    urls: [/\/page-data\//, /\/webpack-runtime-\w+\.js/],
+    stackPacks: ['gatsby'],
+    generator: /^Gatsby/i
+  },
+  astro: {
+    name: 'Astro',
+    packages: ['astro'],
+    configs: ['astro.config.mjs', 'astro.config.ts', 'astro.config.js'],
+    urls: [/\/_astro\//],
+    generator: /^Astro/i
+  },
+  angular: {
+    name: 'Angular',
+    packages: ['@angular/core'],
+    configs: ['angular.json'],
+    // Angular CLI names its chunks `polyfills-<HASH>.js`/`runtime.<hash>.js`; `runtime-main.<hash>.js` is webpack/CRA
+    urls: [/\/(polyfills|runtime)(-es20\d\d)?[.-][A-Za-z0-9]{8,}\.js(\?|$)/],
+    stackPacks: ['angular']
+  },
+  'vite-react': {
+    name: 'Vite/React',
+    packages: ['vite', '@vitejs/plugin-react', '@vitejs/plugin-react-swc'],
+    // Only when React is present and no meta-framework that also uses Vite
+    requires: ['react'],
+    excludes: REACT_FRAMEWORKS,
+    configs: ['vite.config.js', 'vite.config.ts', 'vite.config.mjs'],
+    urls: [/\/assets\/index-[\w-]{8,}\.js/, /\/@vite\/client/],
+    // The react stack pack only says React: it counts once a Vite signal matched
+    stackPacks: ['react'],
+    packNeedsSignal: true
+  },
+  react: {
+    name: 'React',
+    packages: ['react-scripts', 'react-dom'],
+    excludes: REACT_FRAMEWORKS,
+    stackPacks: ['react']
+  },
+  wordpress: {
+    name: 'WordPress',
+    packages: [],
+    configs: ['wp-config.php', 'wp-content'],
+    urls: [/\/wp-(content|includes)\//, /\/wp-json\//],
+    stackPacks: ['wordpress'],
+    generator: /^WordPress/i
+  },
+  static: {
+    name: 'Static site'
+  }
+};
+
+const MIN_SCORE = 3;
+const MAX_URLS = 500;
+
+class StackDetector {
+  constructor(lhr, projectRoot = process.cwd()) {
+    this.lhr = lhr;
+    this.projectRoot = projectRoot;
+    this.packageJson = undefined;
+  }
+
+  /**
+   * A stack chosen by the user (e.g. `--stack nuxt`) instead of detected
+   */
+  static fromId(id) {
+    if (!STACKS[id]) {
+      throw new Error(`Unknown stack "${id}" (use ${Object.keys(STACKS).join(', ')})`);
+    }
+    return { id, name: STACKS[id].name, confidence: 'forced', signals: ['--stack ' + id], candidates: [] };
+  }
+
+  /**
+   * The most likely stack with its confidence and the signals behind it
+   */
+  detect() {
+    const candidates = this.getCandidates();
+    const best = candidates[0];
+
+    if (!best || best.score < MIN_SCORE) {
+      return {
+        id: 'static',
+        name: STACKS.static.name,
+        confidence: this.readPackageJson() ? 'low' : 'medium',
+        signals: ['no framework signals in the report or package.json'],
+        candidates
+      };
+    }
+
+    return {
+      id: best.id,
+      name: STACKS[best.id].name,
+      confidence: best.score >= 8 ? 'high' : best.score >= 4 ? 'medium' : 'low',
+      signals: best.signals,
+      candidates
+    };
+  }
+
+  /**
+   * Every stack with at least one signal, best first
+   */
+  getCandidates() {
+    const deps = this.getDependencies();
+    const urls = this.getUrls();
+    const stackPacks = (this.lhr.stackPacks || []).map(pack => pack.id);
+    const generators = this.getGenerators();
+
+    const candidates = [];
+
+    for (const [id, stack] of Object.entries(STACKS)) {
+      if (id === 'static') continue;
+
+      let score = 0;
+      const signals = [];
+
+      const dependency = (stack.packages || []).find(pkg => deps.includes(pkg));
+      // Without a package.json, Lighthouse's stack pack of the same name shows the package is in use
+      const requiresMet = (stack.requires || []).every(pkg => deps.includes(pkg) || stackPacks.includes(pkg));
+      const excluded = (stack.excludes || []).some(pkg => deps.includes(pkg));
+      if (dependency && requiresMet && !excluded) {
+        score += WEIGHTS.package;
+        signals.push(`package.json depends on ${dependency}`);
+      }
+
+      const config = (stack.configs || []).find(file => fs.existsSync(path.join(this.projectRoot, file)));
+      if (config && requiresMet && !excluded) {
+        score += WEIGHTS.config;
+        signals.push(`${config} found`);
+      }
+
+      const pattern = (stack.urls || []).find(regex => urls.some(url => regex.test(url)));
+      if (pattern && requiresMet && !excluded) {
+        const example = urls.find(url => pattern.test(url));
+        score += WEIGHTS.url;
+        signals.push(`requests like ${this.shortenUrl(example)}`);
+      }
+
+      const pack = (stack.stackPacks || []).find(packId => stackPacks.includes(packId));
+      if (pack && requiresMet && !excluded && (!stack.packNeedsSignal || score > 0)) {
+        score += WEIGHTS.stackPack;
+        signals.push(`Lighthouse stack pack "${pack}"`);
+      }
+
+      const generator = stack.generator && generators.find(content => stack.generator.test(content));
+      if (generator) {
+        score += WEIGHTS.generator;
+        signals.push(`<meta name="generator" content="${generator}">`);
+      }
+
+      if (score > 0) {
+        candidates.push({ id, score, signals });
+      }
+    }
+
+    return candidates.sort((a, b) => b.score - a.score);
+  }
+
+  readPackageJson() {
+    if (this.packageJson === undefined) {
+      try {
+        this.packageJson = JSON.parse(fs.readFileSync(path.join(this.projectRoot, 'package.json'), 'utf8'));
+      } catch (error) {
+        this.packageJson = null;
+      }
+    }
+    return this.packageJson;
+  }
+
+  getDependencies() {
+    const pkg = this.readPackageJson();
+    if (!pkg) return [];
+    return Object.keys({ ...pkg.dependencies, ...pkg.devDependencies, ...pkg.peerDependencies });
+  }
+
+  /**
+   * Request and resource URLs mentioned anywhere in the report's audit items
+   */
+  getUrls() {
+    const urls = new Set();
+
+    for (const audit of Object.values(this.lhr.audits || {})) {
+      for (const item of audit.details?.items || []) {
+        if (urls.size >= MAX_URLS) return [...urls];
+        if (typeof item.url === 'string') urls.add(item.url);
+        if (typeof item.sourceLocation?.url === 'string') urls.add(item.sourceLocation.url);
+      }
+    }
+
+    return [...urls];
+  }
+
+  /**
+   * Contents of generator meta tags found in node snippets
+   */
+  getGenerators() {
+    const generators = [];
+    const pattern = /<meta[^>]*name=["']generator["'][^>]*content=["']([^"']+)["']/i;
+
+    for (const audit of Object.values(this.lhr.audits || {})) {
+      for (const item of audit.details?.items || []) {
+        const snippet = item.node?.snippet || item.source?.snippet;
+        const match = snippet && pattern.exec(snippet);
+        if (match) generators.push(match[1]);
+      }
+    }
+
+    return generators;
+  }
+
+  shortenUrl(url) {
+    try {
+      const { pathname } = new URL(url);
+      return pathname.length > 50 ? pathname.substring(0, 47) + '...' : pathname;
+    } catch (error) {
+      return url;
+    }
+  }
+}
+
+StackDetector.STACKS = STACKS;
+
+module.exports = StackDetector;
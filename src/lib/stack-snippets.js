@@ -0,0 +1,378 @@
+/**
+ * Framework-specific fix snippets
+ *
+ * Keyed by topic, then by stack id (see StackDetector). `default` is used
+ * for plain static sites and any stack without its own variant.
+ * `{{url}}` is filled in with the page URL from the report.
+ */
+
+const VITE_SOURCE_MAPS = {
+  type: 'javascript',
+  title: 'Enable source maps in vite.config',
+  code: '// vite.config.js\nexport default defineConfig({\n  build: {\n    sourcemap: true\n  }\n});'
+};
+
+const VITE_BUNDLE_ANALYSIS = {
+  type: 'bash',
+  title: 'Analyze Bundle Size',
+  code: 'npx vite-bundle-visualizer'
+};
+
+const VITE_BUILD_CONFIG = {
+  type: 'javascript',
+  title: 'Optimize vite.config',
+  code: '// vite.config.js\nexport default defineConfig({\n  esbuild: {\n    drop: process.env.NODE_ENV === \'production\' ? [\'console\', \'debugger\'] : []\n  },\n  build: {\n    rollupOptions: {\n      output: {\n        // Keep rarely-changing vendor code in its own cacheable chunk\n        manualChunks: { vendor: [\'react\', \'react-dom\'] }\n      }\n    }\n  }\n});'
+};
+
+const REACT_LAZY = {
+  type: 'javascript',
+  title: 'Lazy load heavy components with React.lazy',
+  code: 'import { lazy, Suspense } from \'react\';\n\nconst HeavyChart = lazy(() => import(\'./components/HeavyChart\'));\n\nexport function Dashboard() {\n  return (\n    <Suspense fallback={<div>Loading chart...</div>}>\n      <HeavyChart />\n    </Suspense>\n  );\n}'
+};
+
+const REACT_DESCRIPTION = {
+  type: 'javascript',
+  title: 'Render the description from the component (React 19 hoists it to <head>)',
+  code: 'export function ProductPage() {\n  return (\n    <>\n      <meta name="description" content="A clear, compelling description between 50-160 characters." />\n      <main>...</main>\n    </>\n  );\n}'
+};
+
+const REACT_CANONICAL = {
+  type: 'javascript',
+  title: 'Render the canonical link from the component (React 19 hoists it to <head>)',
+  code: 'export function ProductPage() {\n  return (\n    <>\n      <link rel="canonical" href="{{url}}" />\n      <main>...</main>\n    </>\n  );\n}'
+};
+
+const STACK_SNIPPETS = {
+  'code-splitting': {
+    next: {
+      type: 'javascript',
+      title: 'Dynamic Imports for Code Splitting',
+      code: '// pages/index.js or app/page.js\nimport dynamic from \'next/dynamic\';\n\n// Lazy load heavy components\nconst HeavyChart = dynamic(() => import(\'../components/HeavyChart\'), {\n  loading: () => <div>Loading chart...</div>,\n  ssr: false\n});'
+    },
+    nuxt: {
+      type: 'html',
+      title: 'Lazy load components with the Lazy prefix',
+      code: '<template>\n  <!-- Nuxt only downloads the component when it renders -->\n  <LazyHeavyChart v-if="showChart" />\n</template>'
+    },
+    'vite-react': REACT_LAZY,
+    react: REACT_LAZY,
+    remix: REACT_LAZY,
+    gatsby: REACT_LAZY,
+    angular: {
+      type: 'typescript',
+      title: 'Lazy load routes and defer heavy components',
+      code: '// app.routes.ts\nexport const routes: Routes = [\n  {\n    path: \'dashboard\',\n    loadComponent: () => import(\'./dashboard/dashboard.component\').then(m => m.DashboardComponent)\n  }\n];\n\n<!-- dashboard.component.html -->\n@defer (on viewport) {\n  <app-heavy-chart />\n} @placeholder {\n  <div>Loading chart...</div>\n}'
+    },
+    sveltekit: {
+      type: 'html',
+      title: 'Import heavy components on demand',
+      code: '<script>\n  const chart = import(\'$lib/HeavyChart.svelte\');\n</script>\n\n{#await chart then module}\n  <svelte:component this={module.default} />\n{/await}'
+    },
+    astro: {
+      type: 'html',
+      title: 'Hydrate islands only when needed',
+      code: '---\nimport HeavyChart from \'../components/HeavyChart.jsx\';\n---\n<!-- Ships no JavaScript until the chart scrolls into view -->\n<HeavyChart client:visible />'
+    },
+    wordpress: {
+      type: 'php',
+      title: 'Only enqueue scripts where they are used',
+      code: '// functions.php\nadd_action(\'wp_enqueue_scripts\', function () {\n  if (is_page(\'pricing\')) {\n    wp_enqueue_script(\'pricing-chart\', get_template_directory_uri() . \'/js/chart.js\', [], null, [\n      \'strategy\' => \'defer\',\n      \'in_footer\' => true\n    ]);\n  }\n});'
+    },
+    default: {
+      type: 'javascript',
+      title: 'Load code on interaction with dynamic import()',
+      code: '<script type="module">\n  document.querySelector(\'#show-chart\').addEventListener(\'click\', async () => {\n    const { renderChart } = await import(\'./chart.js\');\n    renderChart();\n  });\n</script>'
+    }
+  },
+
+  'source-maps': {
+    next: {
+      type: 'bash',
+      title: 'Enable source maps in Next.js',
+      code: '# next.config.js\nmodule.exports = {\n  productionBrowserSourceMaps: true\n};\n\nnpm run build'
+    },
+    nuxt: {
+      type: 'javascript',
+      title: 'Enable client source maps in nuxt.config',
+      code: '// nuxt.config.ts\nexport default defineNuxtConfig({\n  sourcemap: {\n    client: true\n  }\n});'
+    },
+    'vite-react': VITE_SOURCE_MAPS,
+    remix: VITE_SOURCE_MAPS,
+    sveltekit: VITE_SOURCE_MAPS,
+    astro: {
+      type: 'javascript',
+      title: 'Enable source maps in astro.config',
+      code: '// astro.config.mjs\nexport default defineConfig({\n  vite: {\n    build: {\n      sourcemap: true\n    }\n  }\n});'
+    },
+    angular: {
+      type: 'json',
+      title: 'Enable source maps in angular.json',
+      code: '"configurations": {\n  "production": {\n    "sourceMap": true\n  }\n}'
+    },
+    gatsby: {
+      type: 'javascript',
+      title: 'Emit source maps from the Gatsby webpack build',
+      code: '// gatsby-node.js\nexports.onCreateWebpackConfig = ({ stage, actions }) => {\n  if (stage === \'build-javascript\') {\n    actions.setWebpackConfig({ devtool: \'source-map\' });\n  }\n};'
+    },
+    default: {
+      type: 'bash',
+      title: 'Emit source maps when minifying',
+      code: '# Keep the //# sourceMappingURL comment and deploy the .map files\nnpx esbuild src/app.js --bundle --minify --sourcemap --outfile=dist/app.js'
+    }
+  },
+
+  'bundle-analysis': {
+    next: {
+      type: 'bash',
+      title: 'Analyze Bundle Size',
+      code: 'npm install @next/bundle-analyzer\nANALYZE=true npm run build'
+    },
+    nuxt: {
+      type: 'bash',
+      title: 'Analyze Bundle Size',
+      code: 'npx nuxi analyze'
+    },
+    'vite-react': VITE_BUNDLE_ANALYSIS,
+    remix: VITE_BUNDLE_ANALYSIS,
+    sveltekit: VITE_BUNDLE_ANALYSIS,
+    astro: VITE_BUNDLE_ANALYSIS,
+    angular: {
+      type: 'bash',
+      title: 'Analyze Bundle Size',
+      code: 'ng build --stats-json\n# Drop dist/<app>/stats.json on https://esbuild.github.io/analyze/'
+    },
+    gatsby: {
+      type: 'bash',
+      title: 'Analyze Bundle Size',
+      code: 'npm install gatsby-plugin-webpack-bundle-analyser-v2\n# then add it to the plugins list in gatsby-config.js and run gatsby build'
+    },
+    wordpress: {
+      type: 'text',
+      title: 'Find which plugins enqueue the scripts',
+      code: 'Install the Query Monitor plugin and open "Scripts" on the slow page.\nEach enqueued script lists the plugin or theme that added it.'
+    },
+    default: {
+      type: 'bash',
+      title: 'Analyze Bundle Size',
+      code: 'npx source-map-explorer dist/*.js'
+    }
+  },
+
+  'build-config': {
+    next: {
+      type: 'javascript',
+      title: 'Optimize next.config.js',
+      code: 'module.exports = {\n  swcMinify: true,\n  compiler: {\n    removeConsole: process.env.NODE_ENV === \'production\'\n  }\n};'
+    },
+    nuxt: {
+      type: 'javascript',
+      title: 'Optimize nuxt.config',
+      code: '// nuxt.config.ts\nexport default defineNuxtConfig({\n  vite: {\n    esbuild: {\n      drop: process.env.NODE_ENV === \'production\' ? [\'console\', \'debugger\'] : []\n    }\n  }\n});'
+    },
+    'vite-react': VITE_BUILD_CONFIG,
+    remix: VITE_BUILD_CONFIG,
+    sveltekit: VITE_BUILD_CONFIG,
+    astro: {
+      type: 'javascript',
+      title: 'Optimize astro.config',
+      code: '// astro.config.mjs\nexport default defineConfig({\n  vite: {\n    esbuild: {\n      drop: [\'console\', \'debugger\']\n    }\n  }\n});'
+    },
+    angular: {
+      type: 'json',
+      title: 'Enforce bundle budgets in angular.json',
+      code: '"budgets": [\n  {\n    "type": "initial",\n    "maximumWarning": "300kb",\n    "maximumError": "500kb"\n  }\n]'
+    },
+    gatsby: {
+      type: 'javascript',
+      title: 'Drop heavy plugins from gatsby-config.js',
+      code: '// gatsby-config.js\n// Every plugin with gatsby-browser code ships to every page;\n// remove the ones the site no longer needs.\nmodule.exports = {\n  plugins: [\n    \'gatsby-plugin-image\'\n  ]\n};'
+    },
+    wordpress: {
+      type: 'php',
+      title: 'Dequeue scripts on pages that do not use them',
+      code: '// functions.php\nadd_action(\'wp_enqueue_scripts\', function () {\n  if (!is_page(\'contact\')) {\n    wp_dequeue_script(\'contact-form-7\');\n    wp_dequeue_style(\'contact-form-7\');\n  }\n}, 100);'
+    }
+  },
+
+  'meta-description': {
+    next: {
+      type: 'javascript',
+      title: 'Add a description to the metadata export',
+      code: '// app/layout.js or app/page.js\nexport const metadata = {\n  description: \'A clear, compelling description between 50-160 characters.\'\n};'
+    },
+    nuxt: {
+      type: 'javascript',
+      title: 'Set the description with useSeoMeta',
+      code: '<script setup>\nuseSeoMeta({\n  description: \'A clear, compelling description between 50-160 characters.\'\n});\n</script>'
+    },
+    'vite-react': REACT_DESCRIPTION,
+    react: REACT_DESCRIPTION,
+    remix: {
+      type: 'javascript',
+      title: 'Return the description from the route meta export',
+      code: 'export const meta = () => [\n  { title: \'Product\' },\n  { name: \'description\', content: \'A clear, compelling description between 50-160 characters.\' }\n];'
+    },
+    gatsby: {
+      type: 'javascript',
+      title: 'Add the description with the Gatsby Head API',
+      code: 'export const Head = () => (\n  <meta name="description" content="A clear, compelling description between 50-160 characters." />\n);'
+    },
+    angular: {
+      type: 'typescript',
+      title: 'Set the description with the Meta service',
+      code: 'import { Meta } from \'@angular/platform-browser\';\n\nexport class ProductComponent {\n  constructor(meta: Meta) {\n    meta.updateTag({ name: \'description\', content: \'A clear, compelling description between 50-160 characters.\' });\n  }\n}'
+    },
+    sveltekit: {
+      type: 'html',
+      title: 'Add the description in <svelte:head>',
+      code: '<svelte:head>\n  <meta name="description" content="A clear, compelling description between 50-160 characters." />\n</svelte:head>'
+    },
+    astro: {
+      type: 'html',
+      title: 'Pass the description to the layout head',
+      code: '---\nconst { description = \'A clear, compelling description between 50-160 characters.\' } = Astro.props;\n---\n<head>\n  <meta name="description" content={description} />\n</head>'
+    },
+    wordpress: {
+      type: 'php',
+      title: 'Output the excerpt as the description (or use an SEO plugin)',
+      code: '// functions.php\nadd_action(\'wp_head\', function () {\n  if (is_singular()) {\n    echo \'<meta name="description" content="\' . esc_attr(wp_strip_all_tags(get_the_excerpt())) . \'">\';\n  }\n});'
+    },
+    default: {
+      type: 'html',
+      title: 'Add meta description in head',
+      code: '<head>\n  <meta name="description" content="A clear, compelling description between 50-160 characters.">\n</head>'
+    }
+  },
+
+  canonical: {
+    next: {
+      type: 'javascript',
+      title: 'Add a canonical URL to the metadata export',
+      code: '// app/page.js\nexport const metadata = {\n  alternates: {\n    canonical: \'{{url}}\'\n  }\n};'
+    },
+    nuxt: {
+      type: 'javascript',
+      title: 'Add the canonical link with useHead',
+      code: '<script setup>\nuseHead({\n  link: [{ rel: \'canonical\', href: \'{{url}}\' }]\n});\n</script>'
+    },
+    'vite-react': REACT_CANONICAL,
+    react: REACT_CANONICAL,
+    remix: {
+      type: 'javascript',
+      title: 'Return the canonical link from the route meta export',
+      code: 'export const meta = () => [\n  { tagName: \'link\', rel: \'canonical\', href: \'{{url}}\' }\n];'
+    },
+    gatsby: {
+      type: 'javascript',
+      title: 'Add the canonical link with the Gatsby Head API',
+      code: 'export const Head = () => (\n  <link rel="canonical" href="{{url}}" />\n);'
+    },
+    angular: {
+      type: 'typescript',
+      title: 'Add the canonical link from a component',
+      code: 'import { DOCUMENT } from \'@angular/common\';\n\nexport class ProductComponent {\n  constructor(@Inject(DOCUMENT) document: Document) {\n    const link = document.createElement(\'link\');\n    link.rel = \'canonical\';\n    link.href = \'{{url}}\';\n    document.head.appendChild(link);\n  }\n}'
+    },
+    sveltekit: {
+      type: 'html',
+      title: 'Add the canonical link in <svelte:head>',
+      code: '<svelte:head>\n  <link rel="canonical" href="{{url}}" />\n</svelte:head>'
+    },
+    astro: {
+      type: 'html',
+      title: 'Build the canonical link from Astro.url',
+      code: '---\nconst canonical = new URL(Astro.url.pathname, Astro.site);\n---\n<head>\n  <link rel="canonical" href={canonical} />\n</head>'
+    },
+    wordpress: {
+      type: 'php',
+      title: 'Let WordPress print the canonical link',
+      code: '// WordPress adds rel="canonical" to singular pages through wp_head().\n// Make sure the theme\'s header.php calls it:\n<?php wp_head(); ?>'
+    },
+    default: {
+      type: 'html',
+      title: 'Add canonical link element',
+      code: '<head>\n  <link rel="canonical" href="{{url}}">\n</head>'
+    }
+  },
+
+  'critical-css': {
+    next: {
+      type: 'javascript',
+      title: 'Inline critical CSS (pages router)',
+      code: '// next.config.js (npm install critters)\nmodule.exports = {\n  experimental: {\n    optimizeCss: true\n  }\n};'
+    },
+    nuxt: {
+      type: 'javascript',
+      title: 'Inline component styles in the HTML',
+      code: '// nuxt.config.ts\nexport default defineNuxtConfig({\n  features: {\n    inlineStyles: true\n  }\n});'
+    },
+    sveltekit: {
+      type: 'javascript',
+      title: 'Inline small stylesheets',
+      code: '// svelte.config.js\nconst config = {\n  kit: {\n    inlineStyleThreshold: 5000\n  }\n};\n\nexport default config;'
+    },
+    astro: {
+      type: 'javascript',
+      title: 'Inline stylesheets',
+      code: '// astro.config.mjs\nexport default defineConfig({\n  build: {\n    inlineStylesheets: \'always\'\n  }\n});'
+    },
+    angular: {
+      type: 'json',
+      title: 'Inline critical CSS in angular.json',
+      code: '"optimization": {\n  "styles": {\n    "minify": true,\n    "inlineCritical": true\n  }\n}'
+    },
+    default: {
+      type: 'html',
+      title: 'Add critical CSS inline',
+      code: '<head>\n  <style>body { margin: 0; font-family: system-ui; }</style>\n  <link rel="preload" href="styles.css" as="style" onload="this.onload=null;this.rel=\'stylesheet\'">\n</head>'
+    }
+  },
+
+  'cache-headers': {
+    next: {
+      type: 'javascript',
+      title: 'Serve the page from cache with revalidation',
+      code: '// app/page.js\n// Render once and revalidate in the background at most every hour\nexport const revalidate = 3600;'
+    },
+    nuxt: {
+      type: 'javascript',
+      title: 'Cache rendered pages with routeRules',
+      code: '// nuxt.config.ts\nexport default defineNuxtConfig({\n  routeRules: {\n    \'/**\': { swr: 3600 }\n  }\n});'
+    },
+    sveltekit: {
+      type: 'javascript',
+      title: 'Set cache headers from load',
+      code: '// src/routes/+page.server.js\nexport async function load({ setHeaders }) {\n  setHeaders({ \'cache-control\': \'public, max-age=0, s-maxage=3600\' });\n  return {};\n}'
+    },
+    remix: {
+      type: 'javascript',
+      title: 'Set cache headers from the route',
+      code: 'export const headers = () => ({\n  \'Cache-Control\': \'public, max-age=0, s-maxage=3600, stale-while-revalidate=86400\'\n});'
+    },
+    astro: {
+      type: 'javascript',
+      title: 'Prerender the page or cache the SSR response',
+      code: '---\n// Build the page to static HTML\nexport const prerender = true;\n\n// ...or, for on-demand pages, let the CDN cache it\nAstro.response.headers.set(\'Cache-Control\', \'public, s-maxage=3600\');\n---'
+    },
+    angular: {
+      type: 'typescript',
+      title: 'Cache static assets in the SSR server',
+      code: '// server.ts\nserver.get(\'**\', express.static(browserDistFolder, {\n  maxAge: \'1y\',\n  index: \'index.html\'\n}));'
+    },
+    default: {
+      type: 'bash',
+      title: 'Add Cache Headers',
+      code: '# Apache .htaccess\n<IfModule mod_expires.c>\n  ExpiresActive On\n  ExpiresByType text/html "access plus 1 hour"\n</IfModule>'
+    }
+  },
+
+  // Only stacks with a built-in image optimizer; others get a build script from ImagePlanner
+  'image-formats': {
+    next: {
+      type: 'javascript',
+      title: 'Serve AVIF/WebP from next/image',
+      code: '// next.config.js\nmodule.exports = {\n  images: {\n    formats: [\'image/avif\', \'image/webp\'],\n    // Images on other hosts must be allowed explicitly\n    remotePatterns: [{ protocol: \'https\', hostname: \'{{imageHost}}\' }]\n  }\n};'
+    }
+  }
+};
+
+module.exports = STACK_SNIPPETS;
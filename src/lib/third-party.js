@@ -0,0 +1,339 @@
+/**
+ * Third-Party Report
+ *
+ * Groups the page's requests by vendor (Lighthouse entity, or origin when the
+ * report has none) with transfer size, main-thread time and blocking time per
+ * vendor, built from third-party-summary, bootup-time and network-requests.
+ * Embeds that third-party-facades flags, or that match a known heavy widget,
+ * get a lightweight facade to load in their place. Vendors listed in the
+ * project's `.lighthouse/config.json` allowlist are marked as accepted.
+ */
+
+const ProjectConfig = require('./project-config');
+
+// Known heavy embeds and the facade that replaces them until the user interacts
+const FACADES = [
+  {
+    id: 'youtube',
+    name: 'YouTube embed',
+    match: /youtube(-nocookie)?\.com\/(embed|iframe_api)|ytimg\.com/i,
+    products: /youtube/i,
+    facade: 'lite-youtube-embed',
+    snippet: {
+      type: 'html',
+      code: '<!-- npm install lite-youtube-embed, or load it from a CDN -->\n' +
+        '<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/lite-youtube-embed/src/lite-yt-embed.css">\n' +
+        '<script src="https://cdn.jsdelivr.net/npm/lite-youtube-embed/src/lite-yt-embed.js" defer></script>\n\n' +
+        '<!-- Replaces <iframe src="https://www.youtube.com/embed/{{videoId}}"> -->\n' +
+        '<lite-youtube videoid="{{videoId}}" playlabel="Play video"></lite-youtube>'
+    }
+  },
+  {
+    id: 'vimeo',
+    name: 'Vimeo embed',
+    match: /player\.vimeo\.com|vimeocdn\.com/i,
+    products: /vimeo/i,
+    facade: 'lite-vimeo-embed',
+    snippet: {
+      type: 'html',
+      code: '<!-- npm install lite-vimeo-embed -->\n' +
+        '<script type="module" src="https://cdn.jsdelivr.net/npm/lite-vimeo-embed/module/lite-vimeo-embed.js"></script>\n\n' +
+        '<!-- Replaces <iframe src="https://player.vimeo.com/video/{{videoId}}"> -->\n' +
+        '<lite-vimeo videoid="{{videoId}}"></lite-vimeo>'
+    }
+  },
+  {
+    id: 'google-maps',
+    name: 'Google Maps embed',
+    match: /maps\.googleapis\.com|google\.com\/maps\/embed|maps\.gstatic\.com/i,
+    products: /google maps/i,
+    facade: 'static map image',
+    snippet: {
+      type: 'html',
+      code: '<!-- A static preview that loads the interactive map on click -->\n' +
+        '<button type="button" class="map-facade" onclick="this.outerHTML = this.dataset.embed" ' +
+        'data-embed=\'<iframe src="https://www.google.com/maps/embed?pb=..." width="600" height="450" loading="lazy"></iframe>\'>\n' +
+        '  <img src="https://maps.googleapis.com/maps/api/staticmap?center=...&zoom=14&size=600x450&key=..." width="600" height="450" alt="Map: open the interactive map">\n' +
+        '</button>'
+    }
+  },
+  {
+    id: 'chat',
+    name: 'chat widget',
+    match: /widget\.intercom\.io|intercomcdn\.com|js\.driftt\.com|static\.zdassets\.com|js\.usemessages\.com|client\.crisp\.chat|embed\.tawk\.to|cdn\.livechatinc\.com|wchat\.freshchat\.com/i,
+    products: /intercom|drift|zendesk|hubspot|crisp|tawk|livechat|freshchat|help scout/i,
+    facade: 'load on interaction',
+    snippet: {
+      type: 'html',
+      code: '<!-- A look-alike launcher; the real widget script loads on first click -->\n' +
+        '<button type="button" id="chat-facade" class="chat-launcher" aria-label="Open chat">💬</button>\n' +
+        '<script>\n' +
+        '  document.getElementById(\'chat-facade\').addEventListener(\'click\', function () {\n' +
+        '    const script = document.createElement(\'script\');\n' +
+        '    script.src = \'{{scriptUrl}}\';\n' +
+        '    script.async = true;\n' +
+        '    // Open the widget once it is ready, e.g. Intercom(\'show\') or $crisp.push([\'do\', \'chat:open\'])\n' +
+        '    script.onload = () => this.remove();\n' +
+        '    document.head.appendChild(script);\n' +
+        '  }, { once: true });\n' +
+        '</script>'
+    }
+  }
+];
+
+class ThirdPartyReport {
+  constructor(lhr, options = {}) {
+    this.lhr = lhr;
+    this.allowlist = (options.allowlist || []).map(entry => String(entry).toLowerCase());
+    this.url = lhr.finalDisplayedUrl || lhr.finalUrl || null;
+    this.entityByOrigin = this.indexEntities();
+  }
+
+  /**
+   * The `thirdParty.allowlist` array from `.lighthouse/config.json`, if any
+   */
+  static loadAllowlist(projectRoot) {
+    try {
+      const config = new ProjectConfig(projectRoot).read();
+      return Array.isArray(config.thirdParty?.allowlist) ? config.thirdParty.allowlist : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Third-party vendors, costliest first, with the facade candidates among them
+   */
+  analyze() {
+    const entities = new Map();
+    const entry = name => {
+      if (!entities.has(name)) {
+        entities.set(name, {
+          name: name,
+          category: null,
+          firstParty: false,
+          accepted: false,
+          requests: 0,
+          transferSize: 0,
+          mainThreadMs: 0,
+          blockingMs: 0,
+          origins: new Set(),
+          urls: []
+        });
+      }
+      return entities.get(name);
+    };
+
+    for (const request of this.lhr.audits['network-requests']?.details?.items || []) {
+      const entity = entry(this.getEntityName(request.url));
+      entity.requests++;
+      entity.transferSize += request.transferSize || 0;
+      entity.urls.push(request.url);
+      const origin = this.getOrigin(request.url);
+      if (origin) entity.origins.add(origin);
+    }
+
+    // Script evaluation per URL; third-party-summary below has the fuller per-entity numbers
+    for (const item of this.lhr.audits['bootup-time']?.details?.items || []) {
+      if (!this.getOrigin(item.url)) continue;
+      entry(this.getEntityName(item.url)).mainThreadMs += item.total || 0;
+    }
+
+    for (const item of this.lhr.audits['third-party-summary']?.details?.items || []) {
+      const name = this.itemText(item.entity);
+      if (!name) continue;
+      const entity = entry(name);
+      entity.transferSize = Math.max(entity.transferSize, item.transferSize || 0);
+      entity.mainThreadMs = item.mainThreadTime ?? entity.mainThreadMs;
+      entity.blockingMs = item.blockingTime || 0;
+      for (const sub of item.subItems?.items || []) {
+        const origin = this.getOrigin(sub.url);
+        if (origin) entity.origins.add(origin);
+        if (sub.url && !entity.urls.includes(sub.url)) entity.urls.push(sub.url);
+      }
+    }
+
+    const list = [...entities.values()]
+      .map(entity => {
+        const known = this.lhr.entities?.find(candidate => candidate.name === entity.name);
+        entity.category = known?.category || null;
+        entity.origins = [...entity.origins];
+        entity.firstParty = known ? Boolean(known.isFirstParty) : entity.origins.some(origin => this.isFirstParty(origin));
+        entity.accepted = this.isAccepted(entity);
+        entity.mainThreadMs = Math.round(entity.mainThreadMs);
+        entity.blockingMs = Math.round(entity.blockingMs);
+        return entity;
+      })
+      .filter(entity => !entity.firstParty)
+      .sort((a, b) => b.blockingMs - a.blockingMs || b.mainThreadMs - a.mainThreadMs || b.transferSize - a.transferSize);
+
+    const facades = this.findFacades(list);
+    for (const facade of facades) {
+      const entity = list.find(candidate => candidate.name === facade.entity);
+      if (entity) entity.facade = facade.facade;
+    }
+
+    const thirdParty = list.filter(entity => !entity.accepted);
+    return {
+      entities: list,
+      facades: facades,
+      totals: {
+        entities: list.length,
+        transferSize: thirdParty.reduce((sum, entity) => sum + entity.transferSize, 0),
+        mainThreadMs: thirdParty.reduce((sum, entity) => sum + entity.mainThreadMs, 0),
+        blockingMs: thirdParty.reduce((sum, entity) => sum + entity.blockingMs, 0),
+        accepted: list.length - thirdParty.length
+      }
+    };
+  }
+
+  /**
+   * Facade candidates: what third-party-facades reports, plus known embeds by URL
+   */
+  findFacades(entities) {
+    const facades = [];
+    const add = (kind, entity, details) => {
+      const url = details.url || entity.urls.find(entityUrl => kind.match.test(entityUrl)) || null;
+      // One candidate per embed, however many entities or audits mention it
+      if (facades.some(existing => existing.id === kind.id && (existing.entity === entity.name || (url && existing.url === url)))) return;
+      facades.push({
+        id: kind.id,
+        name: details.product || kind.name,
+        entity: entity.name,
+        facade: kind.facade,
+        accepted: entity.accepted,
+        transferSize: details.transferSize ?? entity.transferSize,
+        blockingMs: details.blockingTime ?? entity.blockingMs,
+        url: url,
+        snippet: this.fillSnippet(kind, url)
+      });
+    };
+
+    for (const item of this.lhr.audits['third-party-facades']?.details?.items || []) {
+      const product = this.itemText(item.product) || '';
+      const url = item.subItems?.items?.[0]?.url;
+      const kind = FACADES.find(candidate => candidate.products.test(product) || (url && candidate.match.test(url)));
+      const entity = entities.find(candidate => product.toLowerCase().startsWith(candidate.name.toLowerCase()) ||
+        (url && candidate.urls.includes(url))) || entities.find(candidate => kind && candidate.urls.some(entityUrl => kind.match.test(entityUrl)));
+      if (kind && entity) add(kind, entity, { product, url, transferSize: item.transferSize, blockingTime: item.blockingTime });
+    }
+
+    for (const entity of entities) {
+      for (const kind of FACADES) {
+        const url = entity.urls.find(entityUrl => kind.match.test(entityUrl));
+        if (url) add(kind, entity, { url });
+      }
+    }
+
+    return facades;
+  }
+
+  fillSnippet(kind, url) {
+    const videoId = /(?:embed\/|video\/|[?&]v=)([\w-]+)/.exec(url || '')?.[1] || 'VIDEO_ID';
+    const values = { videoId, scriptUrl: url || 'https://widget.example.com/loader.js' };
+    return {
+      ...kind.snippet,
+      title: 'Replace the ' + kind.name + ' with a facade (' + kind.facade + ')',
+      code: kind.snippet.code.replace(/\{\{(\w+)\}\}/g, (match, name) => values[name] ?? match)
+    };
+  }
+
+  /**
+   * Lighthouse's entity for a URL, falling back to its host
+   */
+  getEntityName(url) {
+    const origin = this.getOrigin(url);
+    if (!origin) return 'Other';
+    if (this.entityByOrigin.has(origin)) return this.entityByOrigin.get(origin);
+    return new URL(origin).hostname.replace(/^www\./, '');
+  }
+
+  /**
+   * Origin -> entity name, from lhr.entities, the entity column of
+   * network-requests or the URLs third-party-summary lists per entity, so a
+   * vendor is never counted under both its name and its hostname
+   */
+  indexEntities() {
+    const index = new Map();
+    for (const entity of this.lhr.entities || []) {
+      for (const origin of entity.origins || []) index.set(origin, entity.name);
+    }
+    for (const request of this.lhr.audits['network-requests']?.details?.items || []) {
+      const origin = this.getOrigin(request.url);
+      const name = this.itemText(request.entity);
+      if (origin && name && !index.has(origin)) index.set(origin, name);
+    }
+    for (const item of this.lhr.audits['third-party-summary']?.details?.items || []) {
+      const name = this.itemText(item.entity);
+      for (const sub of item.subItems?.items || []) {
+        const origin = this.getOrigin(sub.url);
+        if (origin && name && !index.has(origin)) index.set(origin, name);
+      }
+    }
+    return index;
+  }
+
+  isAccepted(entity) {
+    return this.allowlist.some(entry =>
+      entity.name.toLowerCase() === entry ||
+      entity.origins.some(origin => {
+        const host = new URL(origin).hostname;
+        return host === entry || host.endsWith('.' + entry);
+      }));
+  }
+
+  isFirstParty(origin) {
+    try {
+      return this.getSite(new URL(origin).hostname) === this.getSite(new URL(this.url).hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * "cdn.shop.example.co.uk" -> "example.co.uk", close enough to a registrable domain
+   */
+  getSite(hostname) {
+    const labels = hostname.split('.');
+    const keep = labels.length > 2 && labels[labels.length - 2].length <= 3 && labels[labels.length - 1].length === 2 ? 3 : 2;
+    return labels.slice(-keep).join('.');
+  }
+
+  getOrigin(url) {
+    try {
+      const parsed = new URL(url);
+      return /^https?:$/.test(parsed.protocol) ? parsed.origin : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  itemText(value) {
+    if (typeof value === 'string') return value;
+    return value?.text || value?.value || null;
+  }
+
+  formatTable(entities) {
+    let output = '| Vendor | Category | Requests | Transfer | Main thread | Blocking | Notes |\n';
+    output += '|--------|----------|----------|----------|-------------|----------|-------|\n';
+
+    for (const entity of entities) {
+      const notes = [entity.accepted ? 'accepted' : null, entity.facade ? 'facade: ' + entity.facade : null].filter(Boolean).join(', ');
+      output += '| ' + [
+        entity.name,
+        entity.category || '—',
+        entity.requests || '—',
+        Math.round(entity.transferSize / 1024) + ' KB',
+        entity.mainThreadMs + 'ms',
+        entity.blockingMs + 'ms',
+        notes || '—'
+      ].join(' | ') + ' |\n';
+    }
+
+    return output;
+  }
+}
+
+ThirdPartyReport.FACADES = FACADES;
+
+module.exports = ThirdPartyReport;
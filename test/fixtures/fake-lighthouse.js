@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Stand-in for the Lighthouse CLI, used as `audit.lighthouse` in tests
+ *
+ * Writes a minimal LHR to --output-path. Metrics come from the environment so
+ * a test can make runs differ: FAKE_LH_FCP and FAKE_LH_TTI (ms), FAKE_LH_SCORE
+ * (0-1). FAKE_LH_FAIL makes it exit 1 with that message on stderr. The
+ * arguments it was called with are kept in the report as `fakeArgs`.
+ */
+
+const fs = require('fs');
+
+const args = process.argv.slice(2);
+
+if (process.env.FAKE_LH_FAIL) {
+  process.stderr.write('Runtime error encountered: ' + process.env.FAKE_LH_FAIL + '\n');
+  process.exit(1);
+}
+
+const url = args.find(arg => !arg.startsWith('--'));
+const outputPath = (args.find(arg => arg.startsWith('--output-path=')) || '').slice('--output-path='.length);
+if (!url || !outputPath) {
+  process.stderr.write('Usage: fake-lighthouse <url> --output-path=<file>\n');
+  process.exit(2);
+}
+
+const number = (name, fallback) => process.env[name] !== undefined ? Number(process.env[name]) : fallback;
+
+const lhr = {
+  lighthouseVersion: '12.0.0',
+  requestedUrl: url,
+  finalDisplayedUrl: url,
+  fetchTime: new Date().toISOString(),
+  configSettings: {
+    formFactor: args.includes('--preset=desktop') ? 'desktop' : 'mobile'
+  },
+  categories: {
+    performance: { id: 'performance', title: 'Performance', score: number('FAKE_LH_SCORE', 0.9), auditRefs: [] }
+  },
+  audits: {
+    'first-contentful-paint': { id: 'first-contentful-paint', score: 1, numericValue: number('FAKE_LH_FCP', 1000) },
+    'interactive': { id: 'interactive', score: 1, numericValue: number('FAKE_LH_TTI', 3000) }
+  },
+  fakeArgs: args
+};
+
+fs.writeFileSync(outputPath, JSON.stringify(lhr, null, 2));
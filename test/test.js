@@ -0,0 +1,988 @@
+/**
+ * Behaviour tests for the library modules and commands
+ *
+ * Plain node + assert, no framework: `npm test`. Reports are small LHR
+ * objects written to temporary projects. For `gl audit`, Lighthouse is
+ * replaced by test/fixtures/fake-lighthouse.js, which writes a small report
+ * whose metrics come from FAKE_LH_* environment variables.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { spawnSync } = require('child_process');
+
+const AccessibilityFixer = require('../src/lib/accessibility-fixer');
+const FixPatcher = require('../src/lib/patcher');
+const ReportAggregator = require('../src/lib/aggregator');
+const HtmlSnippet = require('../src/lib/html-snippet');
+const ReportComparator = require('../src/lib/comparator');
+const ReportLoader = require('../src/lib/report-loader');
+const ContrastAnalyzer = require('../src/lib/contrast');
+const SourceMapper = require('../src/lib/source-mapper');
+const FlowAnalyzer = require('../src/lib/flow');
+const DashboardServer = require('../src/lib/dashboard');
+const RenderBlockingAnalyzer = require('../src/lib/render-blocking');
+const LayoutShiftAnalyzer = require('../src/lib/layout-shift');
+const ThirdPartyReport = require('../src/lib/third-party');
+const StackDetector = require('../src/lib/stack-detector');
+const LighthouseRunner = require('../src/lib/lighthouse-runner');
+
+const FAKE_LIGHTHOUSE = path.join(__dirname, 'fixtures', 'fake-lighthouse.js');
+const GL = path.join(__dirname, '..', 'bin', 'gl.js');
+const TIMESTAMP = '2025-03-01T10-00-00';
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const tempDirs = [];
+function makeProject(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-test-'));
+  tempDirs.push(dir);
+  if (config) {
+    fs.mkdirSync(path.join(dir, '.lighthouse'), { recursive: true });
+    fs.writeFileSync(path.join(dir, '.lighthouse', 'config.json'), JSON.stringify(config, null, 2));
+  }
+  return dir;
+}
+
+function writeReport(dir, name, fcp, tti, fetchTime = new Date().toISOString()) {
+  const reportPath = path.join(dir, name);
+  fs.writeFileSync(reportPath, JSON.stringify({
+    lighthouseVersion: '12.0.0',
+    finalDisplayedUrl: 'http://localhost:3000/',
+    fetchTime: fetchTime,
+    categories: { performance: { score: 0.9 } },
+    audits: {
+      'first-contentful-paint': { numericValue: fcp },
+      'interactive': { numericValue: tti }
+    }
+  }));
+  return reportPath;
+}
+
+function writeFiles(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+}
+
+function writeLhr(dir, name, lhr) {
+  const reportPath = path.join(dir, name);
+  fs.writeFileSync(reportPath, JSON.stringify({
+    lighthouseVersion: '12.0.0',
+    finalDisplayedUrl: 'https://example.com/',
+    fetchTime: '2025-03-01T10:00:00.000Z',
+    categories: {},
+    ...lhr
+  }));
+  return reportPath;
+}
+
+const failing = (...ids) => ({
+  finalUrl: 'https://example.com/',
+  finalDisplayedUrl: 'https://example.com/',
+  audits: Object.fromEntries(ids.map(id => [id, { id, score: 0 }]))
+});
+
+const flag = (args, name) => args.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+
+// gl audit: argument building
+
+test('buildArgs: mobile preset uses Lighthouse defaults', () => {
+  const runner = new LighthouseRunner('/project', {}, { env: {} });
+  const args = runner.buildArgs('http://localhost:3000/', runner.getPreset('mobile'), '/tmp/out.json');
+
+  assert.deepStrictEqual(args.slice(0, 4), ['http://localhost:3000/', '--output=json', '--output-path=/tmp/out.json', '--quiet']);
+  assert.strictEqual(flag(args, 'chrome-flags'), '--headless=new');
+  assert.strictEqual(flag(args, 'throttling-method'), 'simulate');
+  assert.ok(!args.includes('--preset=desktop'));
+  assert.strictEqual(flag(args, 'extra-headers'), undefined);
+});
+
+test('buildArgs: desktop and custom presets', () => {
+  const runner = new LighthouseRunner('/project', {
+    flags: ['--locale=de'],
+    customPresets: {
+      'desktop-fast': { extends: 'desktop', throttling: 'provided', categories: ['performance', 'seo'], flags: ['--max-wait-for-load=20000'] }
+    }
+  }, { env: {} });
+
+  const desktop = runner.buildArgs('http://localhost:3000/', runner.getPreset('desktop'), 'out.json');
+  assert.ok(desktop.includes('--preset=desktop'));
+
+  const custom = runner.buildArgs('http://localhost:3000/', runner.getPreset('desktop-fast'), 'out.json');
+  assert.ok(custom.includes('--preset=desktop'));
+  assert.strictEqual(flag(custom, 'throttling-method'), 'provided');
+  assert.strictEqual(flag(custom, 'only-categories'), 'performance,seo');
+  assert.deepStrictEqual(custom.slice(-2), ['--locale=de', '--max-wait-for-load=20000']);
+});
+
+test('getPresets: comma-separated names, config default, unknown names', () => {
+  const runner = new LighthouseRunner('/project', { presets: ['desktop'] });
+  assert.deepStrictEqual(runner.getPresets().map(preset => preset.name), ['desktop']);
+  assert.deepStrictEqual(runner.getPresets('mobile, desktop').map(preset => preset.name), ['mobile', 'desktop']);
+  assert.throws(() => runner.getPresets('tablet'), /Unknown preset "tablet"/);
+
+  const looping = new LighthouseRunner('/project', { customPresets: { a: { extends: 'b' }, b: { extends: 'a' } } });
+  assert.throws(() => looping.getPreset('a'), /extends itself/);
+});
+
+test('buildArgs: --extra-headers merges headers and cookies and expands ${VAR}', () => {
+  const runner = new LighthouseRunner('/project', {
+    headers: { 'X-Env': 'staging' },
+    cookies: { session: '${SESSION_ID}' },
+    customPresets: {
+      authed: { extends: 'mobile', headers: { Authorization: 'Bearer ${API_TOKEN}' }, cookies: { consent: 'yes' } }
+    }
+  }, { env: { API_TOKEN: 'abc123', SESSION_ID: 's-42' } });
+
+  const args = runner.buildArgs('http://localhost:3000/', runner.getPreset('authed'), 'out.json');
+  assert.deepStrictEqual(JSON.parse(flag(args, 'extra-headers')), {
+    'X-Env': 'staging',
+    Authorization: 'Bearer abc123',
+    Cookie: 'session=s-42; consent=yes'
+  });
+});
+
+test('getHeaders: a missing environment variable is an error', () => {
+  const runner = new LighthouseRunner('/project', { headers: { Authorization: 'Bearer ${API_TOKEN}' } }, { env: {} });
+  assert.throws(() => runner.getHeaders(runner.getPreset('mobile')), /API_TOKEN used in header Authorization is not set/);
+});
+
+test('getUrls: paths resolve against baseUrl', () => {
+  const runner = new LighthouseRunner('/project', { baseUrl: 'http://localhost:3000', urls: ['/', '/pricing'] });
+  assert.deepStrictEqual(runner.getUrls(), ['http://localhost:3000/', 'http://localhost:3000/pricing']);
+  assert.deepStrictEqual(runner.getUrls(['https://example.com/a']), ['https://example.com/a']);
+  assert.throws(() => new LighthouseRunner('/project', {}).getUrls(), /No URLs to audit/);
+  assert.throws(() => new LighthouseRunner('/project', {}).getUrls(['/about']), /set audit.baseUrl/);
+});
+
+// Report naming
+
+test('getReportPath: page, preset, timestamp and run number', () => {
+  const runner = new LighthouseRunner('/project', {});
+  const reports = path.join('/project', '.lighthouse', 'reports');
+  const mobile = runner.getPreset('mobile');
+
+  assert.strictEqual(runner.getReportPath('http://localhost:3000/pricing', mobile, TIMESTAMP, 1, 1),
+    path.join(reports, `localhost-3000-pricing-mobile-${TIMESTAMP}.json`));
+  assert.strictEqual(runner.getReportPath('https://Example.com/', runner.getPreset('desktop'), TIMESTAMP, 2, 3),
+    path.join(reports, `example-com-desktop-${TIMESTAMP}-2.json`));
+  assert.strictEqual(runner.getReportPath('https://example.com/blog/2025/hello-world?ref=x', mobile, TIMESTAMP, 1, 1),
+    path.join(reports, `example-com-blog-2025-hello-world-mobile-${TIMESTAMP}.json`));
+});
+
+// Median selection
+
+test('pickRepresentative: the run closest to the median FCP and TTI', () => {
+  const dir = makeProject();
+  const runner = new LighthouseRunner(dir, {});
+  const fast = writeReport(dir, 'fast.json', 800, 2500, '2025-03-01T10:00:00.000Z');
+  const median = writeReport(dir, 'median.json', 1000, 3000, '2025-03-01T10:01:00.000Z');
+  const slow = writeReport(dir, 'slow.json', 1900, 5200, '2025-03-01T10:02:00.000Z');
+
+  assert.strictEqual(runner.pickRepresentative([slow, median, fast]), median);
+  assert.strictEqual(runner.pickRepresentative([fast]), fast);
+
+  // A run saved twice counts once, and the pick is still a path of the median run
+  fs.copyFileSync(slow, path.join(dir, 'slow-copy.json'));
+  assert.strictEqual(runner.pickRepresentative([slow, path.join(dir, 'slow-copy.json'), median, fast]), median);
+});
+
+// Running the binary
+
+test('run: spawns audit.lighthouse and loads the report it writes', async () => {
+  const dir = makeProject();
+  const runner = new LighthouseRunner(dir, { lighthouse: FAKE_LIGHTHOUSE }, { env: {} });
+  const reportPath = runner.getReportPath('http://localhost:3000/', runner.getPreset('desktop'), TIMESTAMP, 1, 1);
+
+  assert.strictEqual(runner.getCommand().command, process.execPath);
+  const lhr = await runner.run('http://localhost:3000/', runner.getPreset('desktop'), reportPath);
+  assert.ok(fs.existsSync(reportPath));
+  assert.strictEqual(lhr.finalDisplayedUrl, 'http://localhost:3000/');
+  assert.ok(lhr.fakeArgs.includes('--preset=desktop'));
+});
+
+test('run: a failing or missing binary rejects', async () => {
+  const dir = makeProject();
+  const preset = LighthouseRunner.BUILT_IN_PRESETS.mobile;
+
+  process.env.FAKE_LH_FAIL = 'PROTOCOL_TIMEOUT';
+  try {
+    const failing = new LighthouseRunner(dir, { lighthouse: FAKE_LIGHTHOUSE });
+    await assert.rejects(failing.run('http://localhost:3000/', { ...preset, name: 'mobile' }, path.join(dir, 'out.json')),
+      /exited with code 1: Runtime error encountered: PROTOCOL_TIMEOUT/);
+  } finally {
+    delete process.env.FAKE_LH_FAIL;
+  }
+
+  const missing = new LighthouseRunner(dir, { lighthouse: 'gl-test-no-such-lighthouse' });
+  await assert.rejects(missing.run('http://localhost:3000/', { ...preset, name: 'mobile' }, path.join(dir, 'out.json')),
+    error => error.code === 'ENOENT' && /Lighthouse CLI not found/.test(error.message));
+});
+
+// latest.json
+
+test('updateLatest: copies the report to reports/latest.json', () => {
+  const dir = makeProject();
+  const runner = new LighthouseRunner(dir, {});
+  fs.mkdirSync(runner.reportsDir, { recursive: true });
+  const reportPath = writeReport(runner.reportsDir, 'page.json', 1000, 3000);
+
+  const latest = runner.updateLatest(reportPath);
+  assert.strictEqual(latest, path.join(dir, '.lighthouse', 'reports', 'latest.json'));
+  assert.strictEqual(fs.readFileSync(latest, 'utf8'), fs.readFileSync(reportPath, 'utf8'));
+});
+
+test('gl audit: runs every URL and points latest.json at the first page\'s report', () => {
+  const dir = makeProject({
+    audit: {
+      baseUrl: 'http://localhost:3000',
+      urls: ['/', '/pricing'],
+      presets: ['mobile'],
+      runs: 1,
+      lighthouse: FAKE_LIGHTHOUSE
+    }
+  });
+
+  const result = spawnSync(process.execPath, [GL, 'audit'], { cwd: dir, encoding: 'utf8', timeout: 60000 });
+  assert.strictEqual(result.status, 0, result.stderr || result.stdout);
+
+  const reportsDir = path.join(dir, '.lighthouse', 'reports');
+  const reports = fs.readdirSync(reportsDir).filter(name => name !== 'latest.json').sort();
+  assert.strictEqual(reports.length, 2);
+  assert.ok(reports[0].startsWith('localhost-3000-mobile-'));
+  assert.ok(reports[1].startsWith('localhost-3000-pricing-mobile-'));
+
+  const latest = JSON.parse(fs.readFileSync(path.join(reportsDir, 'latest.json'), 'utf8'));
+  assert.strictEqual(latest.finalDisplayedUrl, 'http://localhost:3000/');
+});
+
+// Comparator
+
+const vitals = values => ({
+  categories: { performance: { id: 'performance', title: 'Performance', score: 0.9, auditRefs: [] } },
+  audits: Object.fromEntries(Object.entries(values).map(([id, numericValue]) => [id, { id, title: id, score: 1, numericValue }]))
+});
+
+test('compare: metrics that were 0 need an absolute change, not any change', () => {
+  const dir = makeProject();
+  const base = writeLhr(dir, 'base.json', vitals({ 'cumulative-layout-shift': 0, 'total-blocking-time': 0 }));
+  const noise = writeLhr(dir, 'noise.json', vitals({ 'cumulative-layout-shift': 0.0004, 'total-blocking-time': 3 }));
+  const worse = writeLhr(dir, 'worse.json', vitals({ 'cumulative-layout-shift': 0.05, 'total-blocking-time': 250 }));
+
+  const quiet = new ReportComparator(base, noise).compare();
+  assert.strictEqual(quiet.regressions, 0);
+  assert.deepStrictEqual(quiet.metrics.map(metric => metric.status), ['unchanged', 'unchanged']);
+
+  const loud = new ReportComparator(base, worse).compare();
+  assert.strictEqual(loud.regressions, 2);
+});
+
+test('compare: metric and score tolerances', () => {
+  const dir = makeProject();
+  const base = writeLhr(dir, 'base.json', vitals({ 'largest-contentful-paint': 2000 }));
+  const slightly = writeLhr(dir, 'slightly.json', vitals({ 'largest-contentful-paint': 2080 }));
+  const faster = writeLhr(dir, 'faster.json', vitals({ 'largest-contentful-paint': 1500 }));
+
+  assert.strictEqual(new ReportComparator(base, slightly).compare().metrics[0].status, 'unchanged');
+  assert.strictEqual(new ReportComparator(base, slightly, { metricTolerance: 2 }).compare().metrics[0].status, 'regressed');
+  assert.strictEqual(new ReportComparator(base, faster).compare().metrics[0].status, 'improved');
+
+  const comparator = new ReportComparator(base, base);
+  assert.strictEqual(comparator.classifyScoreDelta(-2), 'unchanged');
+  assert.strictEqual(comparator.classifyScoreDelta(-3), 'regressed');
+  assert.strictEqual(comparator.classifyScoreDelta(null), 'unknown');
+});
+
+test('compare: newly failed and fixed audits, and opportunities that grew', () => {
+  const dir = makeProject();
+  const check = (id, score, savings) => ({
+    id, title: id, score, scoreDisplayMode: 'binary',
+    ...(savings !== undefined && { details: { type: 'opportunity', overallSavingsMs: savings, overallSavingsBytes: 0 } })
+  });
+  const report = audits => ({
+    categories: { seo: { id: 'seo', title: 'SEO', score: 0.9, auditRefs: Object.keys(audits).map(id => ({ id, weight: 1 })) } },
+    audits
+  });
+
+  const base = writeLhr(dir, 'base.json', report({
+    'document-title': check('document-title', 0),
+    'meta-description': check('meta-description', 1),
+    'render-blocking-resources': check('render-blocking-resources', 0.5, 300),
+    'unused-javascript': check('unused-javascript', 0.5, 200)
+  }));
+  const head = writeLhr(dir, 'head.json', report({
+    'document-title': check('document-title', 1),
+    'meta-description': check('meta-description', 0),
+    'render-blocking-resources': check('render-blocking-resources', 0.5, 330),
+    'unused-javascript': check('unused-javascript', 0.5, 600),
+    'uses-text-compression': check('uses-text-compression', 0.5, 150)
+  }));
+
+  const result = new ReportComparator(base, head).compare();
+  assert.deepStrictEqual(result.newlyFailed, [{ id: 'meta-description', title: 'meta-description', baseScore: 1, headScore: 0 }]);
+  assert.deepStrictEqual(result.fixed.map(audit => audit.id), ['document-title']);
+  assert.deepStrictEqual(result.grownOpportunities.map(opp => `${opp.id} +${opp.deltaMs}${opp.isNew ? ' new' : ''}`),
+    ['unused-javascript +400', 'uses-text-compression +150 new']);
+  assert.strictEqual(result.regressions, 1);
+  assert.match(new ReportComparator(base, head).formatMarkdown(result), /## Newly Failed Audits\n\n- \*\*meta-description\*\* \(`meta-description`\): 100 → 0/);
+});
+
+// Aggregator
+
+test('aggregate: the median run, per-metric stats and variance warnings', () => {
+  const dir = makeProject();
+  const runs = [
+    writeReport(dir, 'run-1.json', 1900, 5200, '2025-03-01T10:00:00.000Z'),
+    writeReport(dir, 'run-2.json', 1000, 3000, '2025-03-01T10:01:00.000Z'),
+    writeReport(dir, 'run-3.json', 800, 2500, '2025-03-01T10:02:00.000Z')
+  ];
+
+  const result = new ReportAggregator(runs).aggregate();
+  assert.strictEqual(result.runCount, 3);
+  assert.strictEqual(result.medianRunPath, runs[1]);
+  assert.deepStrictEqual(result.stats.fcp, { min: 800, median: 1000, p75: 1450, max: 1900, spread: 1.1, count: 3 });
+  assert.deepStrictEqual(result.stats.performance, { min: 90, median: 90, p75: 90, max: 90, spread: 0, count: 3 });
+  assert.deepStrictEqual(result.warnings, ['fcp varies by 110% between runs (min 800, max 1900)']);
+});
+
+test('aggregate: directories, duplicate runs, few runs and a variance threshold of 0', () => {
+  const dir = makeProject();
+  writeReport(dir, 'a.json', 1000, 3000, '2025-03-01T10:00:00.000Z');
+  writeReport(dir, 'b.json', 1010, 3000, '2025-03-01T10:01:00.000Z');
+  fs.copyFileSync(path.join(dir, 'b.json'), path.join(dir, 'latest.json'));
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a report');
+
+  assert.ok(ReportAggregator.isMultiRun(dir));
+  assert.ok(!ReportAggregator.isMultiRun(path.join(dir, 'a.json')));
+
+  const result = new ReportAggregator(dir).aggregate();
+  assert.strictEqual(result.runCount, 2);
+  assert.deepStrictEqual(result.warnings, ['Only 2 run(s) aggregated; use at least 3 for a stable median']);
+
+  const strict = new ReportAggregator(dir, { varianceThreshold: 0 }).aggregate();
+  assert.ok(strict.warnings.some(warning => warning.startsWith('fcp varies by 1%')), strict.warnings.join('\n'));
+
+  assert.throws(() => new ReportAggregator(makeProject()), /No Lighthouse reports found/);
+});
+
+// Report loader
+
+const LHR = { finalDisplayedUrl: 'https://example.com/', categories: {}, audits: {} };
+
+test('ReportLoader: JSON, gzip, HTML reports and PageSpeed Insights responses', () => {
+  const dir = makeProject();
+  const json = JSON.stringify(LHR);
+  // Lighthouse escapes "<" in the embedded JSON so a "</script>" in the data cannot end the tag
+  const html = '<!doctype html><html><body><script>window.__LIGHTHOUSE_JSON__ = ' +
+    JSON.stringify({ ...LHR, audits: { note: { title: '</script>' } } }).replace(/</g, '\\u003c') + ';</script></body></html>';
+
+  writeFiles(dir, {
+    'bom.json': '\uFEFF' + json,
+    'psi.json': JSON.stringify({ kind: 'pagespeedonline#result', lighthouseResult: LHR }),
+    'page.report.html': html
+  });
+  fs.writeFileSync(path.join(dir, 'run.json.gz'), zlib.gzipSync(json));
+  fs.writeFileSync(path.join(dir, 'page.html.gz'), zlib.gzipSync(html));
+
+  for (const file of ['bom.json', 'psi.json', 'page.report.html', 'run.json.gz', 'page.html.gz']) {
+    assert.strictEqual(ReportLoader.load(path.join(dir, file)).finalDisplayedUrl, 'https://example.com/', file);
+  }
+  assert.strictEqual(ReportLoader.load(path.join(dir, 'page.report.html')).audits.note.title, '</script>');
+  assert.ok(ReportLoader.isReportFile('run.json.gz') && !ReportLoader.isReportFile('notes.txt'));
+});
+
+test('ReportLoader: user flows, stdin and the errors it explains', () => {
+  const dir = makeProject();
+  const flow = { name: 'Checkout', steps: [{ name: 'Cold load', lhr: LHR }, { name: 'Add to cart', lhr: LHR }] };
+  writeFiles(dir, {
+    'flow.json': JSON.stringify(flow),
+    'empty.json': '  \n',
+    'broken.json': '{"audits": ',
+    'api-error.json': JSON.stringify({ error: { code: 429, message: 'Quota exceeded' } }),
+    'failed.json': JSON.stringify({ ...LHR, runtimeError: { code: 'NO_FCP', message: 'The page did not paint' } }),
+    'plain.html': '<html><body>Hello</body></html>'
+  });
+  const file = name => path.join(dir, name);
+
+  assert.strictEqual(ReportLoader.loadResult(file('flow.json')).steps.length, 2);
+  assert.throws(() => ReportLoader.load(file('flow.json')), /user-flow report with 2 steps/);
+  assert.throws(() => ReportLoader.load(file('empty.json')), /is empty/);
+  assert.throws(() => ReportLoader.load(file('broken.json')), /is not valid JSON or a Lighthouse HTML report/);
+  assert.throws(() => ReportLoader.load(file('api-error.json')), /API error response: Quota exceeded/);
+  assert.throws(() => ReportLoader.load(file('failed.json')), /Lighthouse run failed with NO_FCP/);
+  assert.throws(() => ReportLoader.load(file('plain.html')), /contains no embedded Lighthouse result/);
+  assert.throws(() => ReportLoader.load(file('missing.json')), /Failed to load report/);
+
+  const script = `process.stdout.write(require(${JSON.stringify(require.resolve('../src/lib/report-loader'))}).load('-').finalDisplayedUrl)`;
+  const result = spawnSync(process.execPath, ['-e', script], { input: zlib.gzipSync(JSON.stringify(LHR)), encoding: 'utf8', timeout: 30000 });
+  assert.strictEqual(result.stdout, 'https://example.com/', result.stderr);
+});
+
+// Colour contrast
+
+const contrastNode = (explanation, selector = '.muted') => ({ selector, nodeLabel: 'Muted text', explanation });
+
+test('ContrastAnalyzer: WCAG ratios, large-text thresholds and the nearest passing colour', () => {
+  const analyzer = new ContrastAnalyzer(makeProject());
+  const white = analyzer.parseColor('#fff');
+
+  assert.strictEqual(analyzer.getContrastRatio(analyzer.parseColor('#000000'), white), 21);
+  assert.deepStrictEqual(analyzer.parseColor('rgba(119, 119, 119, 0.5)'), { r: 119, g: 119, b: 119 });
+  assert.strictEqual(analyzer.formatRatio(analyzer.getContrastRatio(analyzer.parseColor('#777'), white)), '4.48:1');
+
+  const small = analyzer.analyzeNode(contrastNode(
+    'Element has insufficient color contrast of 4.48 (foreground color: #777777, background color: #ffffff, font size: 12.0pt (16px), font weight: normal).'));
+  assert.strictEqual(small.required, 4.5);
+  assert.ok(small.suggestion, 'a failing colour gets a suggestion');
+  assert.ok(small.suggestion.ratio >= 4.5, `suggested ${small.suggestion.color} only reaches ${small.suggestion.ratio}`);
+  assert.ok(analyzer.getLuminance(analyzer.parseColor(small.suggestion.color)) < analyzer.getLuminance(analyzer.parseColor('#777')), 'darkens on white');
+
+  // 14pt bold is large text, so 3:1 is enough
+  const bold = analyzer.analyzeNode(contrastNode(
+    'foreground color: #777777, background color: #ffffff, font size: 14.0pt (18.66px), font weight: bold'));
+  assert.strictEqual(bold.large, true);
+  assert.strictEqual(bold.required, 3);
+  assert.strictEqual(bold.suggestion, null);
+
+  assert.strictEqual(new ContrastAnalyzer(makeProject(), { level: 'AAA' }).analyzeNode(contrastNode(
+    'foreground color: #595959, background color: #ffffff, font size: 16px')).required, 7);
+});
+
+test('ContrastAnalyzer: suggests the closest passing project token', () => {
+  const dir = makeProject();
+  writeFiles(dir, {
+    'tailwind.config.js': "module.exports = { theme: { extend: { colors: { brand: { 300: '#9ca3af', 700: '#374151' }, accent: '#ffcc00' } } } };\n",
+    'src/styles/tokens.css': ':root { --text-muted: #6b7280; --text-strong: #111827; }\n'
+  });
+  const analyzer = new ContrastAnalyzer(dir);
+
+  assert.deepStrictEqual(analyzer.getTokens().map(token => token.name).sort(),
+    ['--text-muted', '--text-strong', 'accent', 'brand-300', 'brand-700']);
+
+  const row = analyzer.analyzeNode(contrastNode('foreground color: #999999, background color: #ffffff, font size: 16px'));
+  assert.strictEqual(row.token.name, '--text-muted');
+  assert.match(analyzer.formatCss([row]), /\.muted \{\n  color: var\(--text-muted\);\n\}/);
+  assert.match(analyzer.formatTable([row]), /\| Muted text \| #999999 \| #ffffff \| 16px \| 2\.85:1 \| 4\.5:1 AA \(7:1 AAA\)/);
+});
+
+// Render-blocking resources
+
+test('RenderBlockingAnalyzer: an action per resource and chain times from the document start', () => {
+  const request = (url, startTime, endTime, transferSize, children = {}) => ({ request: { url, startTime, endTime, transferSize }, children });
+  const site = 'https://shop.example';
+  const lhr = {
+    finalDisplayedUrl: site + '/',
+    audits: {
+      'critical-request-chains': {
+        score: 0,
+        details: {
+          // Monotonic seconds, as in real traces
+          chains: {
+            doc: request(site + '/', 5000.1, 5000.3, 8000, {
+              app: request(site + '/app.js', 5000.3, 5000.9, 40000),
+              css: request(site + '/main.css', 5000.3, 5000.6, 9000, {
+                font: request(site + '/fonts/inter.woff2', 5000.6, 5001.1, 30000)
+              })
+            })
+          },
+          longestChain: { duration: 1000.4, length: 3 }
+        }
+      },
+      'render-blocking-resources': {
+        score: 0,
+        details: {
+          overallSavingsMs: 700,
+          items: [
+            { url: site + '/app.js', totalBytes: 40000, wastedMs: 450 },
+            { url: site + '/main.css', totalBytes: 9000, wastedMs: 150 },
+            { url: site + '/big.css', totalBytes: 60000, wastedMs: 300 },
+            { url: 'https://fonts.googleapis.com/css2?family=Inter', totalBytes: 2000, wastedMs: 100 }
+          ]
+        }
+      },
+      'unused-css-rules': { score: 0, details: { items: [{ url: site + '/big.css', totalBytes: 60000, wastedBytes: 42000 }] } },
+      // Types come from here when the URL has no telling extension
+      'network-requests': { details: { items: [{ url: 'https://fonts.googleapis.com/css2?family=Inter', resourceType: 'Stylesheet' }] } }
+    }
+  };
+
+  const result = new RenderBlockingAnalyzer(lhr).analyze();
+  const actions = Object.fromEntries(result.resources.map(resource => [resource.url.replace(site, ''), resource.action]));
+  assert.deepStrictEqual(actions, {
+    '/app.js': 'defer',
+    '/big.css': 'inline-critical',
+    '/main.css': 'inline',
+    'https://fonts.googleapis.com/css2?family=Inter': 'async-css',
+    '/fonts/inter.woff2': 'preload'
+  });
+
+  const font = result.resources.find(resource => resource.action === 'preload');
+  assert.deepStrictEqual({ depth: font.depth, endMs: font.endMs }, { depth: 2, endMs: 1000 });
+  assert.strictEqual(result.resources[0].share, 45);
+  assert.strictEqual(result.savingsMs, 700);
+  assert.deepStrictEqual(result.longestChain, { duration: 1000, length: 3 });
+});
+
+// Layout shifts
+
+test('LayoutShiftAnalyzer: shares per element and the cause of each shift', () => {
+  const node = (selector, snippet, extra = {}) => ({ type: 'node', selector, path: selector, snippet, ...extra });
+  const hero = node('main > img.hero', '<img class="hero" src="/hero.jpg">', { boundingRect: { width: 1200.4, height: 600 } });
+  const heading = node('main > h1', '<h1>Mugs</h1>');
+  const banner = node('body > div.banner', '<div class="banner">');
+  const lhr = {
+    audits: {
+      'cumulative-layout-shift': { numericValue: 0.3 },
+      'layout-shifts': {
+        details: {
+          items: [
+            { node: hero, score: 0.15 },
+            { node: hero, score: 0.05 },
+            { node: heading, score: 0.06, subItems: { items: [{ cause: 'Web font loaded', extra: { type: 'url', value: 'https://shop.example/inter.woff2' } }] } },
+            { node: banner, score: 0.04 }
+          ]
+        }
+      },
+      'unsized-images': { score: 0, details: { items: [{ node: hero }] } }
+    }
+  };
+
+  const analyzer = new LayoutShiftAnalyzer(lhr);
+  const { elements } = analyzer.analyze();
+  assert.deepStrictEqual(elements.map(element => [element.selector, element.share, element.shifts, element.cause]), [
+    ['main > img.hero', 67, 2, 'unsized-media'],
+    ['main > h1', 20, 1, 'web-font'],
+    ['body > div.banner', 13, 1, 'unknown']
+  ]);
+  assert.strictEqual(elements[1].fontUrl, 'https://shop.example/inter.woff2');
+  assert.ok(analyzer.formatFix(elements[0]).code.includes('<img class="hero" src="/hero.jpg" width="1200" height="600">'));
+
+  // Older reports have no per-item score: the share is unknown, not 0%
+  const unscored = new LayoutShiftAnalyzer({ audits: { 'layout-shift-elements': { details: { items: [{ node: banner }] } } } }).analyze();
+  assert.deepStrictEqual([unscored.source, unscored.elements[0].share], ['layout-shift-elements', null]);
+  assert.match(analyzer.formatTable(unscored.elements), /\| `body > div\.banner` \| — \| — \| 1 \| unknown \|/);
+});
+
+// Third parties
+
+test('ThirdPartyReport: requests grouped by vendor, allowlisted vendors and facades', () => {
+  const lhr = {
+    finalDisplayedUrl: 'https://www.shop.example/',
+    audits: {
+      'network-requests': {
+        details: {
+          items: [
+            { url: 'https://www.shop.example/', transferSize: 20000 },
+            { url: 'https://cdn.shop.example/app.js', transferSize: 90000 },
+            { url: 'https://www.youtube.com/embed/dQw4w9WgXcQ', transferSize: 50000 },
+            { url: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hq.jpg', transferSize: 30000 },
+            { url: 'https://www.googletagmanager.com/gtm.js?id=GTM-1', transferSize: 80000 }
+          ]
+        }
+      },
+      'third-party-summary': {
+        details: {
+          items: [
+            {
+              entity: { type: 'link', text: 'YouTube' },
+              transferSize: 80000,
+              mainThreadTime: 640.4,
+              blockingTime: 310.2,
+              subItems: { items: [{ url: 'https://www.youtube.com/embed/dQw4w9WgXcQ' }, { url: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hq.jpg' }] }
+            },
+            {
+              entity: 'Google Tag Manager',
+              transferSize: 80000,
+              mainThreadTime: 200,
+              blockingTime: 90,
+              subItems: { items: [{ url: 'https://www.googletagmanager.com/gtm.js?id=GTM-1' }] }
+            }
+          ]
+        }
+      }
+    }
+  };
+
+  const { entities, facades, totals } = new ThirdPartyReport(lhr, { allowlist: ['googletagmanager.com'] }).analyze();
+  // The CDN subdomain is first party; ytimg.com is counted under YouTube, not its hostname
+  assert.deepStrictEqual(entities.map(entity => [entity.name, entity.requests, entity.blockingMs, entity.accepted]), [
+    ['YouTube', 2, 310, false],
+    ['Google Tag Manager', 1, 90, true]
+  ]);
+  assert.deepStrictEqual(totals, { entities: 2, transferSize: 80000, mainThreadMs: 640, blockingMs: 310, accepted: 1 });
+
+  assert.strictEqual(facades.length, 1);
+  assert.strictEqual(facades[0].facade, 'lite-youtube-embed');
+  assert.match(facades[0].snippet.code, /<lite-youtube videoid="dQw4w9WgXcQ"/);
+});
+
+// Stack detection
+
+test('StackDetector: package.json, config files, request URLs and stack packs', () => {
+  const requests = (...urls) => ({ audits: { 'network-requests': { details: { items: urls.map(url => ({ url })) } } } });
+  const detect = (lhr, files = {}) => {
+    const dir = makeProject();
+    writeFiles(dir, files);
+    return new StackDetector(lhr, dir).detect();
+  };
+
+  const next = detect(requests('https://shop.example/_next/static/chunks/main-1a2b.js'), {
+    'package.json': JSON.stringify({ dependencies: { next: '14.2.0', react: '18.3.0', 'react-dom': '18.3.0' } }),
+    'next.config.js': 'module.exports = {};\n'
+  });
+  assert.deepStrictEqual([next.id, next.confidence], ['next', 'high']);
+  assert.ok(!next.candidates.some(candidate => candidate.id === 'react'), 'React steps aside for its meta-framework');
+
+  // Report only: the react stack pack alone does not make it Vite
+  const vite = detect({ ...requests('https://shop.example/assets/index-DiwrgTda.js'), stackPacks: [{ id: 'react' }] });
+  assert.strictEqual(vite.id, 'vite-react');
+  assert.strictEqual(detect({ ...requests('https://shop.example/app.js'), stackPacks: [{ id: 'react' }] }).id, 'react');
+
+  const plain = detect(requests('https://shop.example/app.js'));
+  assert.deepStrictEqual([plain.id, plain.confidence], ['static', 'medium']);
+
+  assert.strictEqual(StackDetector.fromId('nuxt').confidence, 'forced');
+  assert.throws(() => StackDetector.fromId('rails'), /Unknown stack "rails"/);
+});
+
+// Source maps
+
+test('SourceMapper: decodes base64 VLQ segments', () => {
+  const mapper = new SourceMapper(makeProject());
+
+  assert.deepStrictEqual(mapper.decodeVlq('AAAA'), [0, 0, 0, 0]);
+  assert.deepStrictEqual(mapper.decodeVlq('D'), [-1]);
+  assert.deepStrictEqual(mapper.decodeVlq('gB'), [16]);
+  assert.deepStrictEqual(mapper.decodeVlq('+/D'), [2047]);
+  assert.deepStrictEqual(mapper.decodeVlq('AAgBC'), [0, 0, 16, 1]);
+  assert.deepStrictEqual(mapper.decodeVlq('A*A'), []);
+});
+
+test('SourceMapper: resolves a built script position to the original file and line', () => {
+  const dir = makeProject();
+  writeFiles(dir, {
+    'src/components/Hero.jsx': 'export default function Hero() {}\n',
+    'dist/assets/index-4f2a.js': 'console.log("built")\n',
+    // Generated line 0: column 0 -> line 0, column 10 -> line 2; generated line 1 -> line 3
+    'dist/assets/index-4f2a.js.map': JSON.stringify({
+      version: 3,
+      sources: ['webpack://app/./src/components/Hero.jsx', 'webpack://app/./node_modules/react/index.js'],
+      mappings: 'AAAA,UAEA;AACA'
+    })
+  });
+  const mapper = new SourceMapper(dir);
+  const url = 'https://example.com/assets/index-4f2a.js?v=2';
+  const at = (line, column) => mapper.locateSourceLocation({ url, line, column }).map(location => `${location.file}:${location.line}`);
+
+  assert.deepStrictEqual(at(0, 4), [path.join('src', 'components', 'Hero.jsx') + ':1']);
+  assert.deepStrictEqual(at(0, 12), [path.join('src', 'components', 'Hero.jsx') + ':3']);
+  assert.deepStrictEqual(at(1, 0), [path.join('src', 'components', 'Hero.jsx') + ':4']);
+  assert.deepStrictEqual(at(5, 0), []);
+
+  // Without a position only first-party sources are listed
+  assert.deepStrictEqual(mapper.locateScript(url).map(location => location.file), [path.join('src', 'components', 'Hero.jsx')]);
+});
+
+// User flows
+
+const stepAudit = (id, score, extra = {}) => ({ id, title: id, score, scoreDisplayMode: 'numeric', ...extra });
+const refs = (...ids) => ids.map(id => ({ id, weight: 1 }));
+
+const FLOW = {
+  name: 'Checkout',
+  steps: [
+    {
+      name: 'Cold load',
+      lhr: {
+        gatherMode: 'navigation',
+        finalDisplayedUrl: 'https://shop.example/',
+        categories: {
+          performance: { title: 'Performance', score: 0.82, auditRefs: refs('first-contentful-paint') },
+          accessibility: { title: 'Accessibility', score: 0.95, auditRefs: refs('image-alt') }
+        },
+        audits: {
+          'first-contentful-paint': stepAudit('first-contentful-paint', 0.9, { numericValue: 1200, displayValue: '1.2 s', rating: 'pass' }),
+          'image-alt': stepAudit('image-alt', 1)
+        }
+      }
+    },
+    {
+      name: 'Add to cart',
+      lhr: {
+        gatherMode: 'timespan',
+        finalDisplayedUrl: 'https://shop.example/',
+        categories: {
+          performance: { title: 'Performance', score: null, auditRefs: refs('interaction-to-next-paint', 'cumulative-layout-shift', 'total-blocking-time') }
+        },
+        audits: {
+          'interaction-to-next-paint': stepAudit('interaction-to-next-paint', 0.3, { numericValue: 450, numericUnit: 'millisecond', displayValue: '450 ms' }),
+          'cumulative-layout-shift': stepAudit('cumulative-layout-shift', 1, { numericValue: 0.02, numericUnit: 'unitless', displayValue: '0.02' }),
+          'total-blocking-time': stepAudit('total-blocking-time', 0.95, { numericValue: 90, numericUnit: 'millisecond', displayValue: '90 ms' })
+        }
+      }
+    },
+    {
+      lhr: {
+        gatherMode: 'snapshot',
+        finalDisplayedUrl: 'https://shop.example/cart',
+        categories: {
+          performance: { title: 'Performance', score: null, auditRefs: refs('uses-long-cache-ttl') },
+          accessibility: { title: 'Accessibility', score: null, auditRefs: refs('button-name', 'image-alt') },
+          seo: { title: 'SEO', score: null, auditRefs: refs('document-title') }
+        },
+        audits: {
+          'uses-long-cache-ttl': stepAudit('uses-long-cache-ttl', 0),
+          'button-name': stepAudit('button-name', 0),
+          'image-alt': stepAudit('image-alt', 1),
+          'document-title': stepAudit('document-title', 1)
+        }
+      }
+    }
+  ]
+};
+
+test('FlowAnalyzer: labels steps by name and mode and picks metrics per mode', () => {
+  const analyzer = new FlowAnalyzer('flow.json', { flow: FLOW });
+  const [navigation, timespan, snapshot] = analyzer.getStepSummaries();
+
+  assert.deepStrictEqual(analyzer.steps.map(step => analyzer.getStepLabel(step)),
+    ['Step 1: Cold load (Navigation)', 'Step 2: Add to cart (Timespan)', 'Step 3: https://shop.example/cart (Snapshot)']);
+
+  assert.deepStrictEqual(Object.keys(navigation.metrics), ['fcp']);
+  assert.deepStrictEqual(Object.keys(timespan.metrics), ['inp', 'cls', 'tbt']);
+  assert.strictEqual(timespan.metrics.inp.rating, 'fail');
+  assert.deepStrictEqual(snapshot.metrics, {});
+
+  // Snapshots report a11y/SEO findings, not performance audits
+  assert.deepStrictEqual(snapshot.failedAudits.map(failed => failed.id), ['button-name']);
+  assert.deepStrictEqual(snapshot.scores.accessibility, { title: 'Accessibility', score: null, passed: 1, total: 2 });
+});
+
+test('FlowAnalyzer: the worst step per category, by score or by passing audits', () => {
+  const analyzer = new FlowAnalyzer('flow.json', { flow: FLOW });
+  const worst = analyzer.getWorstSteps();
+
+  assert.deepStrictEqual(Object.fromEntries(Object.entries(worst).map(([id, entry]) => [id, `${entry.step + 1} ${entry.display}`])), {
+    performance: '3 0/1 passed',
+    accessibility: '3 1/2 passed',
+    seo: '3 1/1 passed'
+  });
+  assert.match(analyzer.formatMarkdown(), /\| Accessibility \| 3\. https:\/\/shop\.example\/cart \(Snapshot\) \| 1\/2 passed \|/);
+  assert.throws(() => new FlowAnalyzer('report.json', { flow: LHR }), /Not a user-flow report/);
+});
+
+// Dashboard
+
+test('dashboard: routes reports, saved files and assets; rejects bad paths and methods', async () => {
+  const dir = makeProject();
+  fs.mkdirSync(path.join(dir, '.lighthouse', 'reports'), { recursive: true });
+  writeLhr(path.join(dir, '.lighthouse', 'reports'), 'home.json', {
+    categories: { performance: { id: 'performance', title: 'Performance', score: 0.42, auditRefs: [] } },
+    audits: {}
+  });
+  writeFiles(dir, {
+    '.lighthouse/analysis/home.md': '# Home <script>\n',
+    'secret.txt': 'not served'
+  });
+
+  const server = await new DashboardServer(dir).listen(0, '127.0.0.1');
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = async (pathname, init) => {
+    const response = await fetch(base + pathname, init);
+    return { status: response.status, type: response.headers.get('content-type'), body: await response.text() };
+  };
+
+  try {
+    const index = await get('/');
+    assert.strictEqual(index.status, 200);
+    assert.match(index.body, /href="\/reports\/home\.json"/);
+
+    const report = await get('/reports/home.json');
+    assert.strictEqual(report.status, 200, report.body);
+    assert.match(report.body, /Performance/);
+    assert.strictEqual(JSON.parse((await get('/reports/home.json/raw')).body).finalDisplayedUrl, 'https://example.com/');
+
+    const markdown = await get('/files/analysis/home.md');
+    assert.strictEqual(markdown.status, 200);
+    assert.ok(!markdown.body.includes('<script>\n'), 'markdown is escaped');
+
+    assert.strictEqual((await get('/assets/dashboard.css')).type, 'text/css; charset=utf-8');
+
+    for (const pathname of ['/nope', '/reports/missing.json', '/reports/home.json/other', '/files/analysis/..%2F..%2Fsecret.txt', '/assets/..%2Fcli.js']) {
+      assert.strictEqual((await get(pathname)).status, 404, pathname);
+    }
+    assert.strictEqual((await get('/reports/%E0')).status, 400);
+    assert.strictEqual((await get('/', { method: 'POST' })).status, 405);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+// HTML snippets
+
+test('HtmlSnippet: set and remove attributes without expanding $ patterns', () => {
+  assert.strictEqual(HtmlSnippet.setAttribute('<img src="a.png">', 'alt', 'Costs $& or $1'), '<img src="a.png" alt="Costs $& or $1">');
+  assert.strictEqual(HtmlSnippet.setAttribute('<a title="$\'x" href="/">Go</a>', 'title', 'Price: $5'), '<a title="Price: $5" href="/">Go</a>');
+  assert.strictEqual(HtmlSnippet.setAttribute('<br/>', 'class', 'x'), '<br class="x" />');
+  assert.strictEqual(HtmlSnippet.removeAttribute('<div data-x="$&" tabindex="3">$1</div>', 'tabindex'), '<div data-x="$&">$1</div>');
+  assert.strictEqual(HtmlSnippet.getAttribute('<input disabled name=q>', 'name'), 'q');
+});
+
+// Accessibility fixes
+
+test('duplicate-id-aria: the first element keeps its id, the others get -2, -3, ...', () => {
+  const fixer = new AccessibilityFixer();
+  const afters = [1, 2, 3].map(() => fixer.fixNode('duplicate-id-aria', { snippet: '<span id="hint">' }).after);
+  assert.deepStrictEqual(afters, ['<span id="hint">', '<span id="hint-2">', '<span id="hint-3">']);
+  assert.strictEqual(fixer.fixNode('duplicate-id-aria', { snippet: '<p id="other">' }).after, '<p id="other">');
+});
+
+// Patcher
+
+const OG_LAYOUT = `export const metadata = {
+  title: 'Shop',
+  openGraph: {
+    description: 'Hand-made mugs, shipped free',
+  },
+};
+
+export default function RootLayout({ children }) {
+  return <html lang="en"><body>{children}</body></html>;
+}
+`;
+
+test('patcher: a nested openGraph description is not a top-level description', () => {
+  const dir = makeProject();
+  writeFiles(dir, { 'app/layout.tsx': OG_LAYOUT });
+
+  const { files, skipped } = new FixPatcher(failing('meta-description'), dir).plan();
+  assert.deepStrictEqual(skipped, []);
+  assert.strictEqual(files.length, 1);
+  assert.ok(files[0].diff.includes("+  description: 'Hand-made mugs, shipped free',"), files[0].diff);
+
+  const given = new FixPatcher(failing('meta-description'), dir, { description: 'Mugs from our studio' }).plan();
+  assert.ok(given.files[0].diff.includes("+  description: 'Mugs from our studio',"), given.files[0].diff);
+});
+
+test('patcher: a top-level description is left alone', () => {
+  const dir = makeProject();
+  writeFiles(dir, { 'app/layout.tsx': OG_LAYOUT.replace("  title: 'Shop',", "  title: 'Shop',\n  description: 'Mugs',") });
+
+  const { files, skipped } = new FixPatcher(failing('meta-description'), dir, { description: 'Other' }).plan();
+  assert.strictEqual(files.length, 0);
+  assert.match(skipped[0].reason, /metadata already sets description/);
+});
+
+const INDEX_HTML = '<!doctype html>\n<html>\n<head>\n  <meta charset="utf-8">\n  <title>Shop</title>\n</head>\n<body></body>\n</html>\n';
+
+test('patcher: lang, canonical and viewport in index.html as one unified diff', () => {
+  const dir = makeProject();
+  writeFiles(dir, { 'index.html': INDEX_HTML });
+
+  const patcher = new FixPatcher(failing('html-has-lang', 'canonical', 'viewport'), dir, { lang: 'de' });
+  const { target, changes, files, skipped } = patcher.plan();
+  assert.deepStrictEqual(target, { type: 'html', file: 'index.html' });
+  assert.deepStrictEqual(changes.map(change => change.auditId), ['html-has-lang', 'canonical', 'viewport']);
+  assert.deepStrictEqual(skipped, []);
+  assert.strictEqual(files[0].diff, [
+    '--- a/index.html',
+    '+++ b/index.html',
+    '@@ -1,8 +1,10 @@',
+    ' <!doctype html>',
+    '-<html>',
+    '+<html lang="de">',
+    ' <head>',
+    '   <meta charset="utf-8">',
+    '   <title>Shop</title>',
+    '+  <link rel="canonical" href="https://example.com/">',
+    '+  <meta name="viewport" content="width=device-width, initial-scale=1">',
+    ' </head>',
+    ' <body></body>',
+    ' </html>',
+    ''
+  ].join('\n'));
+
+  assert.deepStrictEqual(patcher.apply(), ['index.html']);
+  assert.match(fs.readFileSync(path.join(dir, 'index.html'), 'utf8'), /<html lang="de">/);
+  assert.strictEqual(new FixPatcher(failing('html-has-lang', 'viewport'), dir).plan().files.length, 0);
+});
+
+test('patcher: canonical only where the file is that page\'s own', () => {
+  const pricing = { ...failing('canonical'), finalDisplayedUrl: 'https://example.com/pricing' };
+
+  const spa = makeProject();
+  writeFiles(spa, { 'index.html': INDEX_HTML });
+  assert.match(new FixPatcher(pricing, spa).plan().skipped[0].reason, /index\.html is not the page for \/pricing/);
+
+  const app = makeProject();
+  writeFiles(app, {
+    'app/layout.tsx': 'export default function RootLayout({ children }) {\n  return <html><body>{children}</body></html>;\n}\n',
+    'app/pricing/page.tsx': "export const metadata = {\n  title: 'Pricing',\n};\n\nexport default function Pricing() {\n  return <main />;\n}\n",
+    'app/blog/[slug]/page.tsx': 'export default function Post() {\n  return <article />;\n}\n'
+  });
+  const { files } = new FixPatcher(pricing, app).plan();
+  assert.strictEqual(files[0].file, path.join('app', 'pricing', 'page.tsx'));
+  assert.ok(files[0].diff.includes("+  alternates: { canonical: 'https://example.com/pricing' },"), files[0].diff);
+
+  const post = { ...failing('canonical'), finalDisplayedUrl: 'https://example.com/blog/hello' };
+  assert.match(new FixPatcher(post, app).plan().skipped[0].reason, /serves every value of its dynamic segments/);
+
+  const pages = makeProject();
+  writeFiles(pages, { 'pages/_document.tsx': 'export default function Document() {\n  return <Html><Head /></Html>;\n}\n' });
+  const documentPlan = new FixPatcher(failing('html-has-lang', 'canonical'), pages).plan();
+  assert.ok(documentPlan.files[0].diff.includes('+  return <Html lang="en"><Head /></Html>;'), documentPlan.files[0].diff);
+  assert.match(documentPlan.skipped[0].reason, /shared by every page/);
+});
+
+function png(width, height) {
+  const buffer = Buffer.alloc(24);
+  buffer.writeUInt32BE(0x89504e47, 0);
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+test('patcher: unsized images get their file\'s size; a malformed URL is skipped, not fatal', () => {
+  const dir = makeProject();
+  writeFiles(dir, {
+    'index.html': '<html lang="en">\n<head>\n  <title>Shop</title>\n</head>\n<body>\n  <img src="/img/logo.png" alt="Logo">\n</body>\n</html>\n',
+    'public/img/logo.png': png(120, 40)
+  });
+
+  const lhr = failing('unsized-images');
+  lhr.audits['unsized-images'].details = { items: [{ url: 'https://example.com/img/50%.png' }, { url: 'https://example.com/img/logo.png' }] };
+
+  const { files, skipped } = new FixPatcher(lhr, dir).plan();
+  assert.match(skipped[0].reason, /50%\.png is not a valid image URL/);
+  assert.strictEqual(files.length, 1);
+  assert.ok(files[0].diff.includes('+  <img src="/img/logo.png" width="120" height="40" alt="Logo">'), files[0].diff);
+});
+
+async function main() {
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`✗ ${name}`);
+      console.log('  ' + (error.stack || error.message).split('\n').join('\n  '));
+    }
+  }
+
+  for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`\n${tests.length - failed} passed, ${failed} failed`);
+  if (failed > 0) process.exit(1);
+}
+
+main();